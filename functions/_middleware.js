@@ -1,6 +1,8 @@
 // functions/_middleware.js
 
-import { DB_SCHEMA, SCHEMA_VERSION } from './constants';
+import { DB_SCHEMA, SCHEMA_VERSION, COLUMN_MIGRATIONS } from './constants';
+import { getSessionToken, resolveSessionUser, hasRole, readSession, timingSafeEqual } from './auth';
+import { getBearerToken, resolveApiTokenUser, verifyApiToken, requiredScopeFor } from './api-tokens';
 
 export function normalizeSortOrder(val) {
   const num = Number(val);
@@ -12,19 +14,24 @@ export function isSubmissionEnabled(env) {
   return String(env.ENABLE_PUBLIC_SUBMISSION) === 'true';
 }
 
+// 返回当前登录的用户 { username, role, session_id }，未登录时返回 null
+// 携带 Authorization: Bearer 时改用 API 令牌认证，返回 { username, role, token_id, scopes }
 export async function isAdminAuthenticated(request, env) {
-  const cookie = request.headers.get('Cookie');
-  if (!cookie) return false;
-  
-  const match = cookie.match(/admin_session=([^;]+)/);
-  if (!match) return false;
-  
-  const token = match[1];
-  const session = await env.NAV_AUTH.get(`session_${token}`);
-  
-  return Boolean(session);
+  const bearer = getBearerToken(request);
+  if (bearer) {
+    // 带有 Bearer 头的请求不再回退到 Cookie，避免绕过 CSRF 校验
+    return resolveApiTokenUser(env, bearer);
+  }
+
+  const token = getSessionToken(request);
+  if (!token) return null;
+
+  return resolveSessionUser(env, token, request);
 }
 
+// 角色校验：已登录但角色不足时各接口返回 403
+export { hasRole };
+
 export function errorResponse(message, status) {
   return new Response(JSON.stringify({ code: status, message }), {
     status,
@@ -55,6 +62,25 @@ export async function clearHomeCache(env) {
 
 let dbInitialized = false;
 
+async function migrateColumns(db) {
+  const tableColumns = new Map();
+  for (const migration of COLUMN_MIGRATIONS) {
+    if (!tableColumns.has(migration.table)) {
+      const { results } = await db.prepare(`PRAGMA table_info(${migration.table})`).all();
+      tableColumns.set(migration.table, new Set(results.map(c => c.name)));
+    }
+    const columns = tableColumns.get(migration.table);
+    if (!columns.has(migration.column)) {
+      // SQLite 不支持批量 ALTER，需要逐个执行
+      await db.prepare(`ALTER TABLE ${migration.table} ADD COLUMN ${migration.column} ${migration.definition}`).run();
+      columns.add(migration.column);
+    }
+    for (const index of migration.indexes || []) {
+      await db.prepare(index).run();
+    }
+  }
+}
+
 async function initializeDb(db, kv) {
   if (dbInitialized) return;
 
@@ -81,6 +107,9 @@ async function initializeDb(db, kv) {
     const preparedStatements = statements.map(stmt => db.prepare(stmt));
     
     await db.batch(preparedStatements);
+
+    // 2. 为旧表补充新增的列及其索引
+    await migrateColumns(db);
     
     // 3. 标记初始化完成
     dbInitialized = true;
@@ -97,6 +126,96 @@ async function initializeDb(db, kv) {
   }
 }
 
+const CSRF_PROTECTED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+// 访客也会调用的公开写接口，不依赖管理员 Cookie，无需 CSRF 校验
+const CSRF_EXEMPT_PATHS = ['/admin/login', '/api/config/submit', '/api/click'];
+
+function isSameOrigin(request, url) {
+  const origin = request.headers.get('Origin');
+  if (origin) return origin === url.origin;
+
+  const referer = request.headers.get('Referer');
+  if (referer) {
+    try {
+      return new URL(referer).origin === url.origin;
+    } catch (e) {
+      return false;
+    }
+  }
+  // 两者都没有时交给令牌校验
+  return true;
+}
+
+async function readCsrfToken(request) {
+  const headerToken = request.headers.get('X-CSRF-Token');
+  if (headerToken) return headerToken;
+
+  // 普通表单提交（如 /admin/logout）通过隐藏字段携带令牌
+  const contentType = request.headers.get('Content-Type') || '';
+  if (contentType.includes('application/x-www-form-urlencoded') || contentType.includes('multipart/form-data')) {
+    try {
+      const formData = await request.clone().formData();
+      return formData.get('csrf_token');
+    } catch (e) {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * 携带管理员会话 Cookie 的写请求必须来自同源页面，并附带会话绑定的 CSRF 令牌
+ * 返回 null 表示通过，否则返回 403 响应
+ */
+async function checkCsrf(request, env) {
+  if (!CSRF_PROTECTED_METHODS.includes(request.method)) return null;
+
+  const url = new URL(request.url);
+  if (!url.pathname.startsWith('/api/') && !url.pathname.startsWith('/admin/')) return null;
+  if (CSRF_EXEMPT_PATHS.includes(url.pathname)) return null;
+  // API 令牌需要显式放在请求头中，浏览器不会自动携带，不存在 CSRF 风险
+  if (getBearerToken(request)) return null;
+
+  // 没有有效会话的请求会被各接口以 401 拒绝，这里无需处理
+  const session = await readSession(env, getSessionToken(request));
+  if (!session) return null;
+
+  if (!isSameOrigin(request, url)) {
+    return errorResponse('Cross-origin request blocked', 403);
+  }
+  const csrfToken = await readCsrfToken(request);
+  if (!csrfToken || !session.csrf_token || !timingSafeEqual(String(csrfToken), session.csrf_token)) {
+    return errorResponse('Invalid CSRF token', 403);
+  }
+  return null;
+}
+
+/**
+ * 使用 API 令牌的请求只能访问其权限范围覆盖的接口
+ * 返回 null 表示通过（或未使用令牌），否则返回 401 / 403 响应
+ */
+async function checkApiTokenScope(request, env) {
+  const bearer = getBearerToken(request);
+  if (!bearer) return null;
+
+  const url = new URL(request.url);
+  if (!url.pathname.startsWith('/api/') && url.pathname !== '/') return null;
+
+  const record = await verifyApiToken(env, bearer);
+  if (!record) {
+    return errorResponse('Invalid or expired API token', 401);
+  }
+
+  const scope = requiredScopeFor(request.method, url.pathname);
+  if (!scope) {
+    return errorResponse('This endpoint is not available to API tokens', 403);
+  }
+  if (!(record.scopes || []).includes(scope)) {
+    return errorResponse(`API token is missing the "${scope}" scope`, 403);
+  }
+  return null;
+}
+
 // 导出中间件(可选,用于添加全局逻辑)
 export async function onRequest(context) {
   // 在每个请求开始时检查并初始化数据库
@@ -104,6 +223,12 @@ export async function onRequest(context) {
     await initializeDb(context.env.NAV_DB, context.env.NAV_AUTH);
   }
   
+  const csrfError = await checkCsrf(context.request, context.env);
+  if (csrfError) return csrfError;
+
+  const scopeError = await checkApiTokenScope(context.request, context.env);
+  if (scopeError) return scopeError;
+
   // 在这里可以添加全局中间件逻辑
   // 例如: 日志记录、CORS 头等
   return context.next();
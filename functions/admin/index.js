@@ -1,26 +1,20 @@
 // functions/admin/index.js
+import { getSessionToken, resolveSessionUser, ensureSessionCsrfToken } from '../auth';
 
 async function validateAdminSession(request, env) {
-  const cookie = request.headers.get('Cookie');
-  if (!cookie) {
-    console.log('No cookie found');
-    return { authenticated: false };
-  }
-  
-  const match = cookie.match(/admin_session=([^;]+)/);
-  if (!match) {
+  const token = getSessionToken(request);
+  if (!token) {
     console.log('No session cookie found');
     return { authenticated: false };
   }
   
-  const token = match[1];
   console.log('Validating token:', token.substring(0, 8) + '...');
   
-  const session = await env.NAV_AUTH.get(`session_${token}`);
+  const user = await resolveSessionUser(env, token, request);
   
-  if (session) {
-    console.log('Session valid');
-    return { authenticated: true, token };
+  if (user) {
+    console.log('Session valid for', user.username, '(' + user.role + ')');
+    return { authenticated: true, token, user };
   } else {
     console.log('Session invalid or expired');
     return { authenticated: false };
@@ -59,7 +53,19 @@ export async function onRequestGet(context) {
     const response = await env.ASSETS.fetch(url);
     
     if (response.ok) {
-      return response;
+      // 将会话绑定的 CSRF 令牌写入页面，后台脚本据此为写请求附带 X-CSRF-Token
+      const csrfToken = await ensureSessionCsrfToken(env, session.token);
+      const page = new HTMLRewriter()
+        .on('head', {
+          element(el) {
+            el.append(`<meta name="csrf-token" content="${csrfToken}">`, { html: true });
+          }
+        })
+        .transform(response);
+
+      const headers = new Headers(page.headers);
+      headers.set('Cache-Control', 'no-store');
+      return new Response(page.body, { status: page.status, headers });
     } else {
       console.error('Failed to load admin HTML:', response.status);
       return new Response('管理页面加载失败', { status: 500 });
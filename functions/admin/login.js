@@ -1,5 +1,19 @@
 
 // functions/admin/login.js
+import {
+  authenticateUser,
+  hasAnyCredentials,
+  getUser,
+  createSession,
+  buildSessionCookie,
+  verifySecondFactor,
+  createLoginChallenge,
+  getLoginChallenge,
+  recordLoginChallengeFailure,
+  deleteLoginChallenge,
+  getClientIp
+} from '../auth';
+import { checkLoginAllowed, recordLoginFailure, clearLoginFailures, formatRetryAfter } from '../login-guard';
 
 function escapeHTML(str) {
   if (!str) return '';
@@ -11,29 +25,7 @@ function escapeHTML(str) {
     .replace(/'/g, '&#39;');
 }
 
-async function createAdminSession(env, ttl = 86400) {
-  const token = crypto.randomUUID();
-  await env.NAV_AUTH.put(`session_${token}`, Date.now().toString(), { expirationTtl: ttl });
-  return token;
-}
-
-function buildSessionCookie(token, options = {}) {
-  const maxAge = options.maxAge !== undefined ? options.maxAge : 86400;
-  return `admin_session=${token}; Max-Age=${maxAge}; Path=/; HttpOnly; Secure; SameSite=Lax`;
-}
-
-function renderLoginPage(message = '') {
-  const hasError = Boolean(message);
-  const safeMessage = hasError ? escapeHTML(message) : '';
-  
-  const html = `<!DOCTYPE html>
-<html lang="zh-CN">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>管理员登录</title>
-  <link href="https://fonts.googleapis.com/css2?family=Noto+Sans+SC:wght@400;500;700&display=swap" rel="stylesheet">
-  <style>
+const LOGIN_STYLES = `  <style>
     *, *::before, *::after { box-sizing: border-box; }
     html, body { height: 100%; margin: 0; padding: 0; font-family: 'Noto Sans SC', sans-serif; }
     body { display: flex; justify-content: center; align-items: center; background-color: #f8f9fa; padding: 1rem; }
@@ -61,7 +53,21 @@ function renderLoginPage(message = '') {
     .error-message { color: #dc3545; font-size: 0.875rem; margin-top: 0.5rem; text-align: center; }
     .back-link { display: block; text-align: center; margin-top: 1.5rem; color: #7209b7; text-decoration: none; font-size: 0.875rem; }
     .back-link:hover { text-decoration: underline; }
-  </style>
+    .hint { color: #6b7280; font-size: 0.8125rem; line-height: 1.5; margin: -0.5rem 0 1.25rem 0; }
+  </style>`;
+
+function renderLoginPage(message = '') {
+  const hasError = Boolean(message);
+  const safeMessage = hasError ? escapeHTML(message) : '';
+  
+  const html = `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>管理员登录</title>
+  <link href="https://fonts.googleapis.com/css2?family=Noto+Sans+SC:wght@400;500;700&display=swap" rel="stylesheet">
+${LOGIN_STYLES}
 </head>
 <body>
   <div class="login-container">
@@ -122,6 +128,42 @@ function renderLoginPage(message = '') {
   });
 }
 
+function renderTotpPage(challenge, message = '') {
+  const hasError = Boolean(message);
+  const safeMessage = hasError ? escapeHTML(message) : '';
+
+  const html = `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>两步验证</title>
+  <link href="https://fonts.googleapis.com/css2?family=Noto+Sans+SC:wght@400;500;700&display=swap" rel="stylesheet">
+${LOGIN_STYLES}
+</head>
+<body>
+  <div class="login-container">
+    <h1 class="login-title">两步验证</h1>
+    <form method="post" action="/admin/login" novalidate>
+      <input type="hidden" name="challenge" value="${escapeHTML(challenge)}">
+      <div class="form-group">
+        <label for="code">验证码</label>
+        <input type="text" id="code" name="code" required autocomplete="one-time-code" inputmode="numeric" autofocus placeholder="身份验证器中的 6 位数字">
+      </div>
+      <p class="hint">无法使用身份验证器时，可输入一个恢复码（如 abcd-efgh），每个恢复码只能使用一次。</p>
+      ${hasError ? `<div class="error-message">${safeMessage}</div>` : ''}
+      <button type="submit">验 证</button>
+    </form>
+    <a href="/admin/login" class="back-link">返回重新登录</a>
+  </div>
+</body>
+</html>`;
+
+  return new Response(html, {
+    headers: { 'Content-Type': 'text/html; charset=utf-8' }
+  });
+}
+
 // GET: 显示登录页面
 export async function onRequestGet(context) {
   const { request, env } = context;
@@ -133,6 +175,70 @@ export async function onRequestGet(context) {
   return renderLoginPage(error || '');
 }
 
+function renderLockedPage(retryAfter) {
+  const response = renderLoginPage(`登录失败次数过多，已暂时锁定，请在 ${formatRetryAfter(retryAfter)}后重试`);
+  return new Response(response.body, {
+    status: 429,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Retry-After': String(retryAfter),
+    },
+  });
+}
+
+function buildLoginRedirect(token, ttl) {
+  return new Response(null, {
+    status: 302,
+    headers: {
+      'Location': '/admin',
+      'Set-Cookie': buildSessionCookie(token, { maxAge: ttl }),
+    },
+  });
+}
+
+// 第二步：校验 TOTP 验证码或恢复码
+async function handleTotpSubmit(request, env, formData) {
+  const challengeToken = String(formData.get('challenge'));
+  const code = (formData.get('code') || '').trim();
+
+  const challenge = await getLoginChallenge(env, challengeToken);
+  if (!challenge) {
+    return renderLoginPage('验证已过期，请重新登录');
+  }
+
+  const ip = getClientIp(request);
+  const guard = await checkLoginAllowed(env, ip, challenge.username);
+  if (!guard.allowed) {
+    await deleteLoginChallenge(env, challengeToken);
+    await recordLoginFailure(env, request, challenge.username, 'locked');
+    return renderLockedPage(guard.retryAfter);
+  }
+
+  const user = await getUser(env, challenge.username);
+  if (!user) {
+    await deleteLoginChallenge(env, challengeToken);
+    return renderLoginPage('账号不存在，请重新登录');
+  }
+
+  const method = code ? await verifySecondFactor(env, user, code) : null;
+  if (!method) {
+    await recordLoginFailure(env, request, user.username, 'totp');
+    const stillValid = await recordLoginChallengeFailure(env, challengeToken, challenge);
+    if (!stillValid) {
+      return renderLoginPage('验证码错误次数过多，请重新登录');
+    }
+    return renderTotpPage(challengeToken, '验证码错误，请重试');
+  }
+
+  await deleteLoginChallenge(env, challengeToken);
+  console.log('Two-factor verified via', method, 'for', user.username);
+  await clearLoginFailures(env, ip, user.username);
+
+  const ttl = challenge.session_ttl || 86400;
+  const token = await createSession(env, user.username, ttl, request);
+  return buildLoginRedirect(token, ttl);
+}
+
 // POST: 处理登录提交
 export async function onRequestPost(context) {
   const { request, env } = context;
@@ -141,6 +247,11 @@ export async function onRequestPost(context) {
   
   try {
     const formData = await request.formData();
+
+    if (formData.get('challenge')) {
+      return await handleTotpSubmit(request, env, formData);
+    }
+
     const name = (formData.get('username') || '').trim();
     const password = (formData.get('password') || '').trim();
     const durationDays = parseInt(formData.get('duration') || '1', 10);
@@ -153,34 +264,42 @@ export async function onRequestPost(context) {
       return renderLoginPage('请输入用户名和密码');
     }
 
-    const storedUsername = await env.NAV_AUTH.get('admin_username');
-    const storedPassword = await env.NAV_AUTH.get('admin_password');
-
-    console.log('Stored username exists:', Boolean(storedUsername));
-    console.log('Stored password exists:', Boolean(storedPassword));
-
-    if (!storedUsername || !storedPassword) {
+    if (!(await hasAnyCredentials(env))) {
       console.error('Admin credentials not found in KV');
       return renderLoginPage('系统配置错误，请联系管理员');
     }
 
-    const isValid = name === storedUsername && password === storedPassword;
+    const ip = getClientIp(request);
+    const guard = await checkLoginAllowed(env, ip, name);
+    if (!guard.allowed) {
+      console.log('Login locked for', ip, name, 'retry after', guard.retryAfter, 's');
+      await recordLoginFailure(env, request, name, 'locked');
+      return renderLockedPage(guard.retryAfter);
+    }
+
+    const user = await authenticateUser(env, name, password);
 
-    if (isValid) {
-      console.log('Login successful, creating session');
-      const token = await createAdminSession(env, ttl);
+    if (user && user.totp_enabled) {
+      console.log('Password verified, two-factor code required');
+      const challenge = await createLoginChallenge(env, user.username, ttl);
+      return renderTotpPage(challenge);
+    }
+
+    if (user) {
+      console.log('Login successful, creating session for role:', user.role);
+      await clearLoginFailures(env, ip, user.username);
+      const token = await createSession(env, user.username, ttl, request);
       console.log('Session token created:', token.substring(0, 8) + '...');
       
-      return new Response(null, {
-        status: 302,
-        headers: {
-          'Location': '/admin',
-          'Set-Cookie': buildSessionCookie(token, { maxAge: ttl }),
-        },
-      });
+      return buildLoginRedirect(token, ttl);
     }
 
     console.log('Invalid credentials');
+    await recordLoginFailure(env, request, name, 'password');
+    const after = await checkLoginAllowed(env, ip, name);
+    if (!after.allowed) {
+      return renderLockedPage(after.retryAfter);
+    }
     return renderLoginPage('账号或密码错误，请重试');
   } catch (e) {
     console.error('Login error:', e);
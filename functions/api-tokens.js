@@ -0,0 +1,208 @@
+// functions/api-tokens.js
+// 供脚本与 CI 使用的 API 令牌：按权限范围（scope）授权，可设置过期时间（不导出路由处理函数）
+import { getUser, isValidRole, hasRole, timingSafeEqual } from './auth';
+
+const API_TOKEN_KEY_PREFIX = 'api_token_';
+// 令牌格式：iori_<id>_<secret>，KV 中只保存 secret 的 SHA-256 哈希
+const API_TOKEN_PREFIX = 'iori_';
+
+// 权限范围及创建时所需的最低角色
+export const API_TOKEN_SCOPES = {
+  read: 'reviewer',
+  bookmarks: 'editor',
+  categories: 'editor',
+  import_export: 'editor'
+};
+
+export const API_TOKEN_NAME_MAX_LENGTH = 50;
+export const API_TOKEN_MAX_EXPIRES_DAYS = 3650;
+
+// last_used_at 最多每 5 分钟刷新一次，避免每个请求都写 KV
+const API_TOKEN_TOUCH_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * 各接口所需的权限范围，按顺序匹配，第一条命中的规则生效
+ * 未列出的接口（账号、会话、令牌、系统设置等）不允许通过 API 令牌访问
+ */
+const SCOPE_RULES = [
+  { pattern: /^\/api\/config\/(import|export)$/, scope: 'import_export' },
+  { pattern: /^\/api\/categories(\/[^/]+)?$/, methods: ['GET'], scope: 'read' },
+  { pattern: /^\/api\/categories(\/[^/]+)?$/, scope: 'categories' },
+  { pattern: /^\/api\/tags(\/[^/]+)?$/, methods: ['GET'], scope: 'read' },
+  { pattern: /^\/api\/tags(\/[^/]+)?$/, scope: 'categories' },
+  { pattern: /^\/api\/(config|pending)(\/[^/]+)?$/, methods: ['GET'], scope: 'read' },
+  { pattern: /^\/api\/get-empty-desc-sites$/, methods: ['GET'], scope: 'read' },
+  { pattern: /^\/api\/search$/, methods: ['GET'], scope: 'read' },
+  { pattern: /^\/api\/suggest$/, methods: ['GET'], scope: 'read' },
+  { pattern: /^\/api\/fetch-meta$/, methods: ['GET'], scope: 'read' },
+  { pattern: /^\/api\/(config|pending)(\/[^/]+)?$/, scope: 'bookmarks' },
+  { pattern: /^\/api\/config\/batch\/undo$/, scope: 'bookmarks' },
+  { pattern: /^\/api\/update-description$/, scope: 'bookmarks' },
+  { pattern: /^\/api\/cache\/clear$/, scope: 'bookmarks' },
+  { pattern: /^\/api\/trash(\/[^/]+)?$/, scope: 'bookmarks' },
+  { pattern: /^\/api\/revisions$/, methods: ['GET'], scope: 'read' },
+  { pattern: /^\/api\/revisions\/restore$/, scope: 'bookmarks' },
+  { pattern: /^\/api\/link-check$/, methods: ['GET'], scope: 'read' },
+  { pattern: /^\/api\/duplicates$/, methods: ['GET'], scope: 'read' },
+  { pattern: /^\/api\/duplicates\/merge$/, scope: 'bookmarks' },
+  { pattern: /^\/api\/link-check(\/fix)?$/, scope: 'bookmarks' },
+  { pattern: /^\/api\/icons\/refresh$/, scope: 'bookmarks' },
+  { pattern: /^\/api\/logos$/, scope: 'bookmarks' },
+  { pattern: /^\/$/, methods: ['GET'], scope: 'read' }
+];
+
+export function getBearerToken(request) {
+  const header = request.headers.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+export function requiredScopeFor(method, pathname) {
+  const rule = SCOPE_RULES.find(r => r.pattern.test(pathname) && (!r.methods || r.methods.includes(method)));
+  return rule ? rule.scope : null;
+}
+
+export function isValidScope(scope) {
+  return Object.prototype.hasOwnProperty.call(API_TOKEN_SCOPES, scope);
+}
+
+// 当前角色是否可以创建带有该权限范围的令牌
+export function canGrantScope(user, scope) {
+  return isValidScope(scope) && hasRole(user, API_TOKEN_SCOPES[scope]);
+}
+
+function bytesToHex(bytes) {
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function hashSecret(secret) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(secret));
+  return bytesToHex(new Uint8Array(digest));
+}
+
+function parseToken(token) {
+  const match = String(token || '').match(/^iori_([0-9a-f]{16})_([0-9a-f]{64})$/);
+  return match ? { id: match[1], secret: match[2] } : null;
+}
+
+// 令牌内容同时写入 value 与 metadata（不含哈希），列表页可直接通过 KV list 读取
+async function writeApiToken(env, record) {
+  const { token_hash, ...metadata } = record;
+  const options = { metadata };
+  if (record.expires_at) {
+    options.expiration = Math.floor(record.expires_at / 1000);
+  }
+  await env.NAV_AUTH.put(`${API_TOKEN_KEY_PREFIX}${record.id}`, JSON.stringify(record), options);
+}
+
+async function readApiToken(env, id) {
+  const raw = await env.NAV_AUTH.get(`${API_TOKEN_KEY_PREFIX}${id}`);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 创建 API 令牌，返回 { token, record }
+ * 明文令牌只在创建时返回一次
+ */
+export async function createApiToken(env, username, name, scopes, expiresInDays = null) {
+  const id = bytesToHex(crypto.getRandomValues(new Uint8Array(8)));
+  const secret = bytesToHex(crypto.getRandomValues(new Uint8Array(32)));
+  const now = Date.now();
+  const record = {
+    id,
+    name,
+    username,
+    scopes,
+    created_at: now,
+    expires_at: expiresInDays ? now + expiresInDays * 86400 * 1000 : null,
+    last_used_at: null,
+    token_hash: await hashSecret(secret)
+  };
+  await writeApiToken(env, record);
+  return { token: `${API_TOKEN_PREFIX}${id}_${secret}`, record };
+}
+
+/**
+ * 列出 API 令牌，传入 username 时只返回该用户创建的令牌
+ */
+export async function listApiTokens(env, username = null) {
+  const tokens = [];
+  let cursor;
+  do {
+    const page = await env.NAV_AUTH.list({ prefix: API_TOKEN_KEY_PREFIX, cursor });
+    page.keys.forEach(k => {
+      if (!k.metadata || !k.metadata.username) return;
+      if (username && k.metadata.username !== username) return;
+      tokens.push(k.metadata);
+    });
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+
+  tokens.sort((a, b) => (b.created_at || 0) - (a.created_at || 0));
+  return tokens;
+}
+
+export async function getApiTokenMeta(env, id) {
+  const record = await readApiToken(env, id);
+  if (!record) return null;
+  const { token_hash, ...metadata } = record;
+  return metadata;
+}
+
+export async function deleteApiToken(env, id) {
+  await env.NAV_AUTH.delete(`${API_TOKEN_KEY_PREFIX}${id}`);
+}
+
+export function toPublicApiToken(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    username: record.username,
+    scopes: record.scopes || [],
+    created_at: record.created_at || null,
+    expires_at: record.expires_at || null,
+    last_used_at: record.last_used_at || null
+  };
+}
+
+/**
+ * 校验 Bearer 令牌，返回令牌记录或 null（格式错误、不存在、已过期或哈希不匹配）
+ */
+export async function verifyApiToken(env, token) {
+  const parsed = parseToken(token);
+  if (!parsed) return null;
+
+  const record = await readApiToken(env, parsed.id);
+  if (!record || !record.token_hash) return null;
+  if (record.expires_at && record.expires_at <= Date.now()) return null;
+  if (!timingSafeEqual(await hashSecret(parsed.secret), record.token_hash)) return null;
+  return record;
+}
+
+/**
+ * 将 Bearer 令牌解析为当前用户，返回 { username, role, token_id, scopes } 或 null
+ * 角色取创建者当前的角色，创建者被删除后令牌随之失效
+ */
+export async function resolveApiTokenUser(env, token) {
+  const record = await verifyApiToken(env, token);
+  if (!record) return null;
+
+  const user = await getUser(env, record.username);
+  if (!user || !isValidRole(user.role)) return null;
+
+  const now = Date.now();
+  if (now - (record.last_used_at || 0) > API_TOKEN_TOUCH_INTERVAL) {
+    try {
+      await writeApiToken(env, { ...record, last_used_at: now });
+    } catch (e) {
+      console.error('Failed to touch API token:', e);
+    }
+  }
+
+  return { username: user.username, role: user.role, token_id: record.id, scopes: record.scopes || [] };
+}
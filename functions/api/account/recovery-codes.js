@@ -0,0 +1,42 @@
+// functions/api/account/recovery-codes.js
+import { isAdminAuthenticated, errorResponse, jsonResponse } from '../../_middleware';
+import { getUser, saveUser } from '../../auth';
+import { verifyTotp, generateRecoveryCodes } from '../../totp';
+
+/**
+ * @summary Regenerate recovery codes (requires a current TOTP code)
+ * @route POST /api/account/recovery-codes
+ * @returns {Response} New recovery codes; all previous codes become invalid
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+
+  try {
+    const body = await request.json();
+    const record = await getUser(env, user.username);
+    if (!record || !record.totp_enabled) {
+      return errorResponse('尚未开启两步验证', 400);
+    }
+
+    const step = await verifyTotp(record.totp_secret, body.code, record.totp_last_step ?? -1);
+    if (step === null) {
+      return errorResponse('验证码错误', 400);
+    }
+
+    const { codes, hashes } = await generateRecoveryCodes();
+    await saveUser(env, { ...record, totp_last_step: step, recovery_codes: hashes });
+
+    return jsonResponse({
+      code: 200,
+      message: 'Recovery codes regenerated',
+      data: { recovery_codes: codes }
+    });
+  } catch (e) {
+    return errorResponse(`Failed to regenerate recovery codes: ${e.message}`, 500);
+  }
+}
@@ -0,0 +1,148 @@
+// functions/api/account/totp.js
+import { isAdminAuthenticated, errorResponse, jsonResponse } from '../../_middleware';
+import { getUser, saveUser, verifyPassword } from '../../auth';
+import { generateTotpSecret, verifyTotp, buildOtpauthUri, generateRecoveryCodes } from '../../totp';
+
+// 绑定流程中尚未确认的密钥，10 分钟内有效
+const SETUP_TTL = 600;
+
+function setupKey(username) {
+  return `totp_setup_${username}`;
+}
+
+/**
+ * @summary Get two-factor status of the current user
+ * @route GET /api/account/totp
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+
+  try {
+    const record = await getUser(env, user.username);
+    return jsonResponse({
+      code: 200,
+      data: {
+        enabled: Boolean(record && record.totp_enabled),
+        recovery_codes_remaining: record && Array.isArray(record.recovery_codes) ? record.recovery_codes.length : 0
+      }
+    });
+  } catch (e) {
+    return errorResponse(`Failed to fetch two-factor status: ${e.message}`, 500);
+  }
+}
+
+/**
+ * @summary Start enrollment: generate a secret and otpauth URI
+ * @route POST /api/account/totp
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+
+  try {
+    const record = await getUser(env, user.username);
+    if (record && record.totp_enabled) {
+      return errorResponse('两步验证已开启，请先关闭后再重新绑定', 400);
+    }
+
+    const secret = generateTotpSecret();
+    await env.NAV_AUTH.put(setupKey(user.username), secret, { expirationTtl: SETUP_TTL });
+
+    const issuer = env.SITE_NAME || '灰色轨迹';
+    return jsonResponse({
+      code: 200,
+      data: {
+        secret,
+        otpauth_uri: buildOtpauthUri(issuer, user.username, secret)
+      }
+    });
+  } catch (e) {
+    return errorResponse(`Failed to start two-factor setup: ${e.message}`, 500);
+  }
+}
+
+/**
+ * @summary Confirm enrollment with a code from the authenticator app
+ * @route PUT /api/account/totp
+ * @returns {Response} Recovery codes, shown only once
+ */
+export async function onRequestPut(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+
+  try {
+    const body = await request.json();
+    const secret = await env.NAV_AUTH.get(setupKey(user.username));
+    if (!secret) {
+      return errorResponse('绑定已过期，请重新生成密钥', 400);
+    }
+
+    const step = await verifyTotp(secret, body.code);
+    if (step === null) {
+      return errorResponse('验证码错误，请确认手机时间准确后重试', 400);
+    }
+
+    const record = await getUser(env, user.username);
+    const { codes, hashes } = await generateRecoveryCodes();
+    await saveUser(env, {
+      ...record,
+      totp_enabled: true,
+      totp_secret: secret,
+      totp_last_step: step,
+      recovery_codes: hashes
+    });
+    await env.NAV_AUTH.delete(setupKey(user.username));
+
+    return jsonResponse({
+      code: 200,
+      message: 'Two-factor authentication enabled',
+      data: { recovery_codes: codes }
+    });
+  } catch (e) {
+    return errorResponse(`Failed to enable two-factor: ${e.message}`, 500);
+  }
+}
+
+/**
+ * @summary Disable two-factor authentication (requires current password)
+ * @route DELETE /api/account/totp
+ */
+export async function onRequestDelete(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+
+  try {
+    const body = await request.json();
+    const record = await getUser(env, user.username);
+    if (!record || !(await verifyPassword((body.password || '').trim(), record.password_hash))) {
+      return errorResponse('当前密码错误', 400);
+    }
+
+    const { totp_secret, totp_last_step, recovery_codes, ...rest } = record;
+    await saveUser(env, { ...rest, totp_enabled: false });
+
+    return jsonResponse({
+      code: 200,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (e) {
+    return errorResponse(`Failed to disable two-factor: ${e.message}`, 500);
+  }
+}
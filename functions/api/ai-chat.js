@@ -1,12 +1,16 @@
-import { isAdminAuthenticated, errorResponse, jsonResponse } from '../_middleware';
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse } from '../_middleware';
 
 export async function onRequestPost(context) {
   const { request, env } = context;
 
   // 1. 权限检查：必须是登录管理员
-  if (!(await isAdminAuthenticated(request, env))) {
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
     return errorResponse('Unauthorized', 401);
   }
+  if (!hasRole(user, 'editor')) {
+    return errorResponse('Forbidden', 403);
+  }
 
   try {
     const { messages } = await request.json();
@@ -0,0 +1,80 @@
+// functions/api/audit.js
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse } from '../_middleware';
+
+/**
+ * @summary List audit log entries, filterable by actor, action, entity, keyword and date range
+ * @route GET /api/audit?actor=&action=&entity_type=&entity_id=&keyword=&from=YYYY-MM-DD&to=YYYY-MM-DD&page=&pageSize=
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+  if (!hasRole(user, 'owner')) {
+    return errorResponse('Forbidden', 403);
+  }
+
+  const url = new URL(request.url);
+  const page = Math.max(1, parseInt(url.searchParams.get('page') || '1', 10) || 1);
+  const pageSize = Math.min(200, Math.max(1, parseInt(url.searchParams.get('pageSize') || '50', 10) || 50));
+  const offset = (page - 1) * pageSize;
+
+  const conditions = [];
+  const params = [];
+  const equalsFilters = ['actor', 'action', 'entity_type', 'entity_id'];
+  equalsFilters.forEach(field => {
+    const value = (url.searchParams.get(field) || '').trim();
+    if (value) {
+      conditions.push(`${field} = ?`);
+      params.push(value);
+    }
+  });
+
+  // 关键字在修改前后的数据快照中搜索，例如书签名称或 URL
+  const keyword = (url.searchParams.get('keyword') || '').trim();
+  if (keyword) {
+    conditions.push('(before_json LIKE ? OR after_json LIKE ?)');
+    params.push(`%${keyword}%`, `%${keyword}%`);
+  }
+
+  // 日期按 UTC 存储，from / to 均为包含当天的日期
+  const from = (url.searchParams.get('from') || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(from)) {
+    conditions.push('created_at >= ?');
+    params.push(`${from} 00:00:00`);
+  }
+  const to = (url.searchParams.get('to') || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    conditions.push('created_at <= ?');
+    params.push(`${to} 23:59:59`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  try {
+    const { results } = await env.NAV_DB.prepare(`
+      SELECT * FROM audit_log
+      ${where}
+      ORDER BY id DESC
+      LIMIT ? OFFSET ?
+    `).bind(...params, pageSize, offset).all();
+
+    const countResult = await env.NAV_DB.prepare(`
+      SELECT COUNT(*) as total FROM audit_log ${where}
+    `).bind(...params).first();
+
+    const total = countResult ? countResult.total : 0;
+
+    return jsonResponse({
+      code: 200,
+      data: results,
+      total,
+      page,
+      pageSize
+    });
+  } catch (e) {
+    return errorResponse(`Failed to fetch audit log: ${e.message}`, 500);
+  }
+}
@@ -0,0 +1,26 @@
+// functions/api/avatar.js
+import { renderAvatarSvg } from '../avatar';
+
+// 相同参数总是生成相同的图片，可以长期缓存
+const AVATAR_CACHE_CONTROL = 'public, max-age=2592000';
+const MAX_TEXT_LENGTH = 100;
+
+/**
+ * @summary Generate an initial-letter avatar SVG
+ * @route GET /api/avatar?text=&color=&domain=
+ * text 为名称（取首字或首字母）；color 为十六进制颜色，未指定时根据 domain（没有时根据文字）生成固定的颜色
+ */
+export async function onRequestGet(context) {
+  const params = new URL(context.request.url).searchParams;
+  const svg = renderAvatarSvg((params.get('text') || '').slice(0, MAX_TEXT_LENGTH), {
+    color: params.get('color'),
+    domain: (params.get('domain') || '').slice(0, 253)
+  });
+  return new Response(svg, {
+    headers: {
+      'Content-Type': 'image/svg+xml; charset=utf-8',
+      'Cache-Control': AVATAR_CACHE_CONTROL,
+      'X-Content-Type-Options': 'nosniff'
+    }
+  });
+}
@@ -1,11 +1,15 @@
-import { isAdminAuthenticated, errorResponse, jsonResponse, clearHomeCache } from '../../_middleware';
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse, clearHomeCache } from '../../_middleware';
 
 export async function onRequestPost(context) {
   const { request, env } = context;
 
-  if (!(await isAdminAuthenticated(request, env))) {
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
     return errorResponse('Unauthorized', 401);
   }
+  if (!hasRole(user, 'editor')) {
+    return errorResponse('Forbidden', 403);
+  }
 
   try {
     await clearHomeCache(env);
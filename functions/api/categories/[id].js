@@ -1,13 +1,20 @@
 // functions/api/categories/[id].js
-import { isAdminAuthenticated, errorResponse, jsonResponse, normalizeSortOrder } from '../../_middleware';
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse, normalizeSortOrder } from '../../_middleware';
+import { recordAudit } from '../../audit';
+import { purgeExpiredTrash } from '../../trash';
+import { reindexCategorySites } from '../../search';
 
 export async function onRequestPut(context) {
   const { request, env, params } = context;
   const categoryId = decodeURIComponent(params.id);
   
-  if (!(await isAdminAuthenticated(request, env))) {
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
     return errorResponse('Unauthorized', 401);
   }
+  if (!hasRole(user, 'editor')) {
+    return errorResponse('Forbidden', 403);
+  }
 
   try {
     const body = await request.json();
@@ -18,7 +25,7 @@ export async function onRequestPut(context) {
 
     if (body && body.reset) {
       // 1. Check for sub-categories
-      const hasChildren = await env.NAV_DB.prepare('SELECT id FROM category WHERE parent_id = ? LIMIT 1')
+      const hasChildren = await env.NAV_DB.prepare('SELECT id FROM category WHERE parent_id = ? AND deleted_at IS NULL LIMIT 1')
         .bind(categoryId)
         .first();
         
@@ -27,7 +34,7 @@ export async function onRequestPut(context) {
       }
 
       // 2. Check for associated sites (bookmarks)
-      const hasSites = await env.NAV_DB.prepare('SELECT id FROM sites WHERE catelog_id = ? LIMIT 1')
+      const hasSites = await env.NAV_DB.prepare('SELECT id FROM sites WHERE catelog_id = ? AND deleted_at IS NULL LIMIT 1')
         .bind(categoryId)
         .first();
         
@@ -35,13 +42,20 @@ export async function onRequestPut(context) {
         return errorResponse('无法删除：该分类包含书签，请先删除或移动书签', 400);
       }
 
-      await env.NAV_DB.prepare('DELETE FROM category WHERE id = ?')
+      // 软删除：移入回收站
+      const before = await env.NAV_DB.prepare('SELECT * FROM category WHERE id = ? AND deleted_at IS NULL').bind(categoryId).first();
+      await env.NAV_DB.prepare('UPDATE category SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL')
         .bind(categoryId)
         .run();
+
+      if (before) {
+        await recordAudit(env, user, 'delete', 'category', categoryId, before, null);
+      }
+      context.waitUntil(purgeExpiredTrash(env).catch(e => console.error('Failed to purge expired trash:', e)));
       
       return jsonResponse({
         code: 200,
-        message: 'Category deleted successfully'
+        message: 'Category moved to trash successfully'
       });
     }
 
@@ -55,7 +69,7 @@ export async function onRequestPut(context) {
     const parentId = body.parent_id !== undefined ? parseInt(body.parent_id, 10) : 0;
 
     // 检查在同一个父分类下，分类名称是否已存在（排除自身）
-    const existingCategory = await env.NAV_DB.prepare('SELECT id FROM category WHERE catelog = ? AND parent_id = ? AND id != ?')
+    const existingCategory = await env.NAV_DB.prepare('SELECT id FROM category WHERE catelog = ? AND parent_id = ? AND id != ? AND deleted_at IS NULL')
       .bind(catelog, parentId, categoryId)
       .first();
 
@@ -66,6 +80,8 @@ export async function onRequestPut(context) {
     sort_order = normalizeSortOrder(sort_order);
     const isPrivate = body.is_private ? 1 : 0;
 
+    const before = await env.NAV_DB.prepare('SELECT * FROM category WHERE id = ?').bind(categoryId).first();
+
     await env.NAV_DB.prepare('UPDATE category SET catelog = ?, sort_order = ?, parent_id = ?, is_private = ? WHERE id = ?')
       .bind(catelog, sort_order, parentId, isPrivate, categoryId)
       .run();
@@ -74,6 +90,9 @@ export async function onRequestPut(context) {
     await env.NAV_DB.prepare('UPDATE sites SET catelog_name = ? WHERE catelog_id = ?')
       .bind(catelog, categoryId)
       .run();
+    if (before && before.catelog !== catelog) {
+      await reindexCategorySites(env, categoryId);
+    }
 
     // If category is set to private, force all sites in this category to be private
     if (isPrivate === 1) {
@@ -82,6 +101,11 @@ export async function onRequestPut(context) {
           .run();
     }
 
+    if (before) {
+      const after = await env.NAV_DB.prepare('SELECT * FROM category WHERE id = ?').bind(categoryId).first();
+      await recordAudit(env, user, 'update', 'category', categoryId, before, after);
+    }
+
     return jsonResponse({
       code: 200,
       message: 'Category updated successfully'
@@ -1,12 +1,17 @@
 // functions/api/categories/create.js
-import { isAdminAuthenticated, errorResponse, jsonResponse, normalizeSortOrder } from '../../_middleware';
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse, normalizeSortOrder } from '../../_middleware';
+import { recordAudit } from '../../audit';
 
 export async function onRequestPost(context) {
   const { request, env } = context;
   
-  if (!(await isAdminAuthenticated(request, env))) {
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
     return errorResponse('Unauthorized', 401);
   }
+  if (!hasRole(user, 'editor')) {
+    return errorResponse('Forbidden', 403);
+  }
 
   try {
     const body = await request.json();
@@ -20,7 +25,7 @@ export async function onRequestPost(context) {
 
     // 检查在同一个父分类下，分类名称是否已存在
     const existing = await env.NAV_DB.prepare(
-      'SELECT catelog FROM category WHERE catelog = ? AND parent_id = ?'
+      'SELECT catelog FROM category WHERE catelog = ? AND parent_id = ? AND deleted_at IS NULL'
     ).bind(categoryName, parentId).first();
 
     if (existing) {
@@ -32,11 +37,18 @@ export async function onRequestPost(context) {
     const isPrivate = body.is_private ? 1 : 0;
 
     // 插入新分类
-    await env.NAV_DB.prepare(`
+    const insert = await env.NAV_DB.prepare(`
       INSERT INTO category (catelog, sort_order, parent_id, is_private)
       VALUES (?, ?, ?, ?)
     `).bind(categoryName, sortOrderValue, parentId, isPrivate).run();
 
+    await recordAudit(env, user, 'create', 'category', insert.meta.last_row_id, null, {
+      catelog: categoryName,
+      sort_order: sortOrderValue,
+      parent_id: parentId,
+      is_private: isPrivate
+    });
+
     return jsonResponse({
       code: 201,
       message: '分类创建成功',
@@ -45,13 +45,14 @@ export async function onRequestGet(context) {
     const { results } = await env.NAV_DB.prepare(`
         SELECT c.id, c.catelog, c.sort_order, c.parent_id, c.is_private, COUNT(s.id) AS site_count
         FROM category c
-        LEFT JOIN sites s ON c.id = s.catelog_id
+        LEFT JOIN sites s ON c.id = s.catelog_id AND s.deleted_at IS NULL
+        WHERE c.deleted_at IS NULL
         GROUP BY c.id, c.catelog, c.sort_order, c.parent_id
         ORDER BY c.sort_order ASC, c.create_time DESC
         LIMIT ? OFFSET ?
       `).bind(pageSize, offset).all();
     const countResult = await env.NAV_DB.prepare(`
-      SELECT COUNT(*) as total FROM category
+      SELECT COUNT(*) as total FROM category WHERE deleted_at IS NULL
     `).first();
 
     const total = countResult ? countResult.total : 0;
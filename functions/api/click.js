@@ -0,0 +1,54 @@
+// functions/api/click.js
+import { isAdminAuthenticated, errorResponse } from '../_middleware';
+import { isBotRequest, recordClick, purgeExpiredClicks, dayKey } from '../clicks';
+
+// 每个 Worker 实例每天最多清理一次过期的点击记录
+let lastPurgeDay = '';
+
+/**
+ * @summary Record a bookmark click from the homepage (sent with navigator.sendBeacon)
+ * @route POST /api/click?id=
+ * 访客也会调用，无需登录；书签 ID 可放在查询参数或 JSON 请求体中。爬虫请求、不存在的书签与未登录时的私密书签会被忽略，成功时返回 204
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const url = new URL(request.url);
+
+  // 只接受本站页面发出的上报，避免被其他站点刷点击数
+  const origin = request.headers.get('Origin');
+  if (origin && origin !== url.origin) {
+    return errorResponse('Cross-origin request blocked', 403);
+  }
+  if (isBotRequest(request)) {
+    return new Response(null, { status: 204 });
+  }
+
+  let siteId = url.searchParams.get('id');
+  if (!siteId) {
+    // sendBeacon 发送字符串时 Content-Type 为 text/plain，这里不依赖请求头直接解析
+    try {
+      siteId = JSON.parse(await request.text()).id;
+    } catch (e) {
+      siteId = null;
+    }
+  }
+  siteId = parseInt(siteId, 10);
+  if (!Number.isInteger(siteId) || siteId <= 0) {
+    return errorResponse('Invalid site id', 400);
+  }
+
+  try {
+    // 私密书签只有登录后才会显示在首页，访客按 ID 上报时不计入
+    const user = await isAdminAuthenticated(request, env);
+    await recordClick(env, siteId, { includePrivate: !!user });
+  } catch (e) {
+    return errorResponse(`Failed to record click: ${e.message}`, 500);
+  }
+
+  const today = dayKey();
+  if (lastPurgeDay !== today) {
+    lastPurgeDay = today;
+    context.waitUntil(purgeExpiredClicks(env).catch(e => console.error('Failed to purge expired clicks:', e)));
+  }
+  return new Response(null, { status: 204 });
+}
@@ -1,5 +1,13 @@
 // functions/api/config/[id].js
-import { isAdminAuthenticated, errorResponse, jsonResponse, normalizeSortOrder } from '../../_middleware';
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse, normalizeSortOrder } from '../../_middleware';
+import { recordAudit } from '../../audit';
+import { purgeExpiredTrash } from '../../trash';
+import { recordSiteRevision, hasRevisionChanges } from '../../revisions';
+import { normalizeTagNames, setSiteTags, attachSiteTags } from '../../tags';
+import { reindexSites } from '../../search';
+import { clearLinkCheck } from '../../link-checker';
+import { defaultLogoUrl } from '../../icons';
+import { canonicalizeUrl, findSiteByCanonicalUrl, duplicateUrlMessage } from '../../duplicates';
 
 
 export async function onRequestGet(context) {
@@ -11,10 +19,11 @@ export async function onRequestGet(context) {
   }
   const config = results[0];
   
-  // 私密站点需要认证才能访问
-  if (config.is_private && !(await isAdminAuthenticated(request, env))) {
+  // 私密站点与回收站中的站点需要认证才能访问
+  if ((config.is_private || config.deleted_at) && !(await isAdminAuthenticated(request, env))) {
     return errorResponse('config not found', 404);
   }
+  await attachSiteTags(env, [config]);
   
   return jsonResponse({
     code: 200,
@@ -26,13 +35,17 @@ export async function onRequestPut(context) {
   const { request, env, params } = context;
   const id = params.id;
 
-  if (!(await isAdminAuthenticated(request, env))) {
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
     return errorResponse('Unauthorized', 401);
   }
+  if (!hasRole(user, 'editor')) {
+    return errorResponse('Forbidden', 403);
+  }
   
   try {
     const config = await request.json();
-    const { name, url, logo, desc, catelog_id, sort_order, is_private } = config;
+    const { name, url, logo, desc, catelog_id, sort_order, is_private, tags } = config;
 
     const sanitizedName = (name || '').trim();
     const sanitizedUrl = (url || '').trim();
@@ -44,13 +57,8 @@ export async function onRequestPut(context) {
     if (!sanitizedName || !sanitizedUrl || !catelog_id) {
       return errorResponse('Name, URL and Catelog are required', 400);
     }
-    const iconAPI=env.ICON_API ||'https://faviconsnap.com/api/favicon?url=';
-    if(!logo && url){
-      if(url.startsWith('https://') || url.startsWith('http://')){
-        const domain = url.replace(/^https?:\/\//, '').split('/')[0];
-        sanitizedLogo = iconAPI+domain;
-      }
-      
+    if (!logo && url) {
+      sanitizedLogo = defaultLogoUrl(env, url);
     }
 
     // Fetch category name
@@ -63,12 +71,56 @@ export async function onRequestPut(context) {
         finalIsPrivate = 1;
     }
 
+    const before = await env.NAV_DB.prepare('SELECT * FROM sites WHERE id = ?').bind(id).first();
+    if (before) {
+      await attachSiteTags(env, [before]);
+    }
+
+    // 修改了地址时检查是否与其他书签重复（规范化后比较，与新增书签相同），不影响已有重复书签的其他字段修改
+    if (!before || canonicalizeUrl(before.url) !== canonicalizeUrl(sanitizedUrl)) {
+      const existingSite = await findSiteByCanonicalUrl(env, sanitizedUrl, Number(id));
+      if (existingSite) {
+        return errorResponse(duplicateUrlMessage(existingSite, sanitizedUrl), 409);
+      }
+    }
+
+    // 保存修改前的版本，可在历史记录中恢复
+    const next = {
+      name: sanitizedName,
+      url: sanitizedUrl,
+      logo: sanitizedLogo,
+      desc: sanitizedDesc,
+      catelog_id: Number(catelog_id),
+      catelog_name: catelogName,
+      sort_order: sortOrderValue,
+      is_private: finalIsPrivate
+    };
+    if (before && hasRevisionChanges(before, next)) {
+      await recordSiteRevision(env, user, before, 'edit');
+    }
+
     const update = await env.NAV_DB.prepare(`
       UPDATE sites
       SET name = ?, url = ?, logo = ?, desc = ?, catelog_id = ?, catelog_name = ?, sort_order = ?, is_private = ?, update_time = CURRENT_TIMESTAMP
       WHERE id = ?
     `).bind(sanitizedName, sanitizedUrl, sanitizedLogo, sanitizedDesc, catelog_id, catelogName, sortOrderValue, finalIsPrivate, id).run();
 
+    // 未传 tags 时保持原有标签不变
+    if (before && tags !== undefined) {
+      await setSiteTags(env, id, normalizeTagNames(tags));
+    }
+    await reindexSites(env, [id]);
+    // 地址变化后旧的检查结果已无意义，等待下次检查
+    if (before && before.url !== sanitizedUrl) {
+      await clearLinkCheck(env, id);
+    }
+
+    if (before) {
+      const after = await env.NAV_DB.prepare('SELECT * FROM sites WHERE id = ?').bind(id).first();
+      await attachSiteTags(env, [after]);
+      await recordAudit(env, user, 'update', 'site', id, before, after);
+    }
+
     return jsonResponse({
       code: 200,
       message: 'Config updated successfully',
@@ -83,16 +135,29 @@ export async function onRequestDelete(context) {
   const { request, env, params } = context;
   const id = params.id;
 
-  if (!(await isAdminAuthenticated(request, env))) {
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
     return errorResponse('Unauthorized', 401);
   }
+  if (!hasRole(user, 'editor')) {
+    return errorResponse('Forbidden', 403);
+  }
 
   try {
-    const del = await env.NAV_DB.prepare('DELETE FROM sites WHERE id = ?').bind(id).run();
+    // 软删除：移入回收站，可在回收站中恢复或彻底删除
+    const before = await env.NAV_DB.prepare('SELECT * FROM sites WHERE id = ? AND deleted_at IS NULL').bind(id).first();
+    const del = await env.NAV_DB.prepare(
+      'UPDATE sites SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL'
+    ).bind(id).run();
+
+    if (before) {
+      await recordAudit(env, user, 'delete', 'site', id, before, null);
+    }
+    context.waitUntil(purgeExpiredTrash(env).catch(e => console.error('Failed to purge expired trash:', e)));
 
     return jsonResponse({
       code: 200,
-      message: 'Config deleted successfully',
+      message: 'Config moved to trash successfully',
       del
     });
   } catch (e) {
@@ -1,11 +1,19 @@
-import { isAdminAuthenticated, errorResponse, jsonResponse } from '../../_middleware';
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse } from '../../_middleware';
+import { recordAudit, fetchSitesByIds } from '../../audit';
+import { purgeExpiredTrash } from '../../trash';
+import { saveBatchOperation, purgeExpiredBatchOperations, BATCH_UNDO_WINDOW_SECONDS } from '../../batch-undo';
+import { reindexSites } from '../../search';
 
 export async function onRequestPost(context) {
   const { request, env } = context;
   
-  if (!(await isAdminAuthenticated(request, env))) {
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
     return errorResponse('Unauthorized', 401);
   }
+  if (!hasRole(user, 'editor')) {
+    return errorResponse('Forbidden', 403);
+  }
 
   try {
     const { action, ids, payload } = await request.json();
@@ -25,19 +33,29 @@ export async function onRequestPost(context) {
 
     const statements = [];
 
+    // 批量操作前的完整数据写入审计日志，误删时可据此找回
+    const before = await fetchSitesByIds(env, ids, CHUNK_SIZE);
+    context.waitUntil(purgeExpiredBatchOperations(env).catch(e => console.error('Failed to purge expired batch operations:', e)));
+
     if (action === 'delete') {
       chunks.forEach(chunk => {
         const placeholders = chunk.map(() => '?').join(',');
         statements.push(
-          env.NAV_DB.prepare(`DELETE FROM sites WHERE id IN (${placeholders})`).bind(...chunk)
+          env.NAV_DB.prepare(`UPDATE sites SET deleted_at = CURRENT_TIMESTAMP WHERE deleted_at IS NULL AND id IN (${placeholders})`).bind(...chunk)
         );
       });
 
+      // 保存操作前的快照，可通过 /api/config/batch/undo 撤销
+      const operationId = await saveBatchOperation(env, user, action, before);
       await env.NAV_DB.batch(statements);
+      await recordAudit(env, user, 'batch_delete', 'site', null, before, { ids });
+      context.waitUntil(purgeExpiredTrash(env).catch(e => console.error('Failed to purge expired trash:', e)));
       
       return jsonResponse({
         code: 200,
-        message: `成功删除 ${ids.length} 条项目`
+        message: `已将 ${ids.length} 条项目移入回收站`,
+        operation_id: operationId,
+        undo_expires_in: BATCH_UNDO_WINDOW_SECONDS
       });
 
     } else if (action === 'update_category') {
@@ -46,7 +64,7 @@ export async function onRequestPost(context) {
         return errorResponse('分类 ID 是必填项', 400);
       }
 
-      const category = await env.NAV_DB.prepare('SELECT catelog, is_private FROM category WHERE id = ?').bind(categoryId).first();
+      const category = await env.NAV_DB.prepare('SELECT catelog, is_private FROM category WHERE id = ? AND deleted_at IS NULL').bind(categoryId).first();
       if (!category) {
         return errorResponse('找不到分类', 404);
       }
@@ -65,11 +83,20 @@ export async function onRequestPost(context) {
         );
       });
 
+      const operationId = await saveBatchOperation(env, user, action, before);
       await env.NAV_DB.batch(statements);
+      await reindexSites(env, ids);
+      await recordAudit(env, user, 'batch_move', 'site', null, before, {
+        ids,
+        catelog_id: categoryId,
+        catelog_name: category.catelog
+      });
 
       return jsonResponse({
         code: 200,
-        message: `成功更新 ${ids.length} 条项目的分类`
+        message: `成功更新 ${ids.length} 条项目的分类`,
+        operation_id: operationId,
+        undo_expires_in: BATCH_UNDO_WINDOW_SECONDS
       });
 
     } else if (action === 'update_privacy') {
@@ -87,11 +114,15 @@ export async function onRequestPost(context) {
         );
       });
 
+      const operationId = await saveBatchOperation(env, user, action, before);
       await env.NAV_DB.batch(statements);
+      await recordAudit(env, user, 'batch_privacy', 'site', null, before, { ids, is_private: isPrivateValue });
 
       return jsonResponse({
         code: 200,
-        message: `成功更新 ${ids.length} 条项目的隐私属性`
+        message: `成功更新 ${ids.length} 条项目的隐私属性`,
+        operation_id: operationId,
+        undo_expires_in: BATCH_UNDO_WINDOW_SECONDS
       });
     } else {
       return errorResponse('无效的操作', 400);
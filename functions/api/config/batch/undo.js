@@ -0,0 +1,59 @@
+// functions/api/config/batch/undo.js
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse } from '../../../_middleware';
+import { recordAudit, fetchSitesByIds } from '../../../audit';
+import { getUndoableBatchOperation, undoBatchOperation } from '../../../batch-undo';
+import { reindexSites } from '../../../search';
+
+/**
+ * @summary Undo a batch operation within its undo window
+ * @route POST /api/config/batch/undo  body: { operation_id: string }
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+  if (!hasRole(user, 'editor')) {
+    return errorResponse('Forbidden', 403);
+  }
+
+  try {
+    const { operation_id } = await request.json();
+    if (!operation_id) {
+      return errorResponse('未提供操作 ID', 400);
+    }
+
+    const operation = await getUndoableBatchOperation(env, operation_id);
+    if (!operation) {
+      return errorResponse('操作不存在、已撤销或已超过可撤销时间', 404);
+    }
+    // 只能撤销自己的操作，owner 可撤销任何人的操作
+    if (operation.actor !== user.username && !hasRole(user, 'owner')) {
+      return errorResponse('Forbidden', 403);
+    }
+
+    const ids = operation.snapshot.map(item => item.id);
+    const before = await fetchSitesByIds(env, ids);
+    const restored = await undoBatchOperation(env, operation);
+    // 撤销批量移动会改回分类名
+    if (operation.action === 'update_category') {
+      await reindexSites(env, ids);
+    }
+
+    await recordAudit(env, user, 'batch_undo', 'site', null, before, {
+      operation_id: operation.id,
+      undone_action: operation.action,
+      ids
+    });
+
+    return jsonResponse({
+      code: 200,
+      message: `已撤销，恢复了 ${restored} 条项目`,
+      restored
+    });
+  } catch (e) {
+    return errorResponse(`撤销失败: ${e.message}`, 500);
+  }
+}
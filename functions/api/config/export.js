@@ -1,26 +1,32 @@
 // functions/api/config/export.js
-import { isAdminAuthenticated, errorResponse } from '../../_middleware';
+import { isAdminAuthenticated, hasRole, errorResponse } from '../../_middleware';
+import { fetchSiteTagMap } from '../../tags';
 
 export async function onRequestGet(context) {
   const { request, env } = context;
   
-  if (!(await isAdminAuthenticated(request, env))) {
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
     return errorResponse('Unauthorized', 401);
   }
+  if (!hasRole(user, 'editor')) {
+    return errorResponse('Forbidden', 403);
+  }
 
   const url = new URL(request.url);
   const includePrivate = url.searchParams.get('include_private') === 'true';
 
   try {
-    let categoryQuery = 'SELECT id, catelog, sort_order, parent_id, is_private FROM category';
-    let sitesQuery = 'SELECT id, name, url, logo, desc, catelog_id, sort_order, is_private FROM sites';
+    // 回收站中的数据不导出
+    let categoryQuery = 'SELECT id, catelog, sort_order, parent_id, is_private FROM category WHERE deleted_at IS NULL';
+    let sitesQuery = 'SELECT id, name, url, logo, desc, catelog_id, sort_order, is_private FROM sites WHERE deleted_at IS NULL';
 
     if (!includePrivate) {
-        categoryQuery += ' WHERE is_private = 0';
+        categoryQuery += ' AND is_private = 0';
         // Site is private if itself is private OR its category is private.
         // Since we are doing a simple export, let's just filter by sites.is_private = 0.
         // Because previous logic ensures site.is_private = 1 if category is private.
-        sitesQuery += ' WHERE is_private = 0';
+        sitesQuery += ' AND is_private = 0';
     }
 
     categoryQuery += ' ORDER BY sort_order ASC';
@@ -34,6 +40,12 @@ export async function onRequestGet(context) {
 
     const [{ results: categories }, { results: sites }] = await Promise.all([categoriesPromise, sitesPromise]);
 
+    // 标签以名称数组导出，导入时按名称重新关联
+    const tagMap = await fetchSiteTagMap(env);
+    sites.forEach(site => {
+      site.tags = tagMap.get(site.id) || [];
+    });
+
     const exportData = {
       category: categories,
       sites: sites
@@ -1,12 +1,21 @@
 // functions/api/config/import.js
-import { isAdminAuthenticated, errorResponse, jsonResponse, normalizeSortOrder } from '../../_middleware';
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse, normalizeSortOrder } from '../../_middleware';
+import { recordAudit } from '../../audit';
+import { normalizeTagNames, setSiteTags } from '../../tags';
+import { reindexSites } from '../../search';
+import { canonicalizeUrl } from '../../duplicates';
+import { defaultLogoUrl } from '../../icons';
 
 export async function onRequestPost(context) {
   const { request, env } = context;
 
-  if (!(await isAdminAuthenticated(request, env))) {
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
     return errorResponse('Unauthorized', 401);
   }
+  if (!hasRole(user, 'editor')) {
+    return errorResponse('Forbidden', 403);
+  }
 
   try {
     const jsonData = await request.json();
@@ -50,9 +59,10 @@ export async function onRequestPost(context) {
     // --- Category Processing ---
     const oldCatIdToNewCatIdMap = new Map(); // Maps JSON ID -> DB ID
     let categoryNameToIdMap = new Map(); // For legacy format mapping
+    const createdCategories = []; // For audit log
     
-    // 1. Fetch all existing categories from DB
-    const { results: existingDbCategoriesRaw } = await db.prepare('SELECT id, catelog, parent_id, is_private FROM category').all();
+    // 1. Fetch all existing categories from DB (categories in the trash are ignored)
+    const { results: existingDbCategoriesRaw } = await db.prepare('SELECT id, catelog, parent_id, is_private FROM category WHERE deleted_at IS NULL').all();
     const existingDbCategories = existingDbCategoriesRaw || [];
     
     // Helper to find existing category by name and parent_id
@@ -126,6 +136,7 @@ export async function onRequestPost(context) {
                                        .bind(catName, sortOrder, dbParentId, isPrivate)
                                        .run();
                 let newId = result.meta.last_row_id;
+                createdCategories.push({ id: newId, catelog: catName, parent_id: dbParentId, is_private: isPrivate });
                 
                 const newCatObj = { id: newId, catelog: catName, parent_id: dbParentId, is_private: isPrivate };
                 if (!existingDbCategories) {
@@ -149,11 +160,12 @@ export async function onRequestPost(context) {
             // Legacy import doesn't have is_private info, defaults to 0
             const insertStmts = newCategoryNames.map(name => db.prepare('INSERT INTO category (catelog, is_private) VALUES (?, 0)').bind(name));
             await db.batch(insertStmts);
+            createdCategories.push(...newCategoryNames.map(name => ({ catelog: name, is_private: 0 })));
             
             for (let i = 0; i < newCategoryNames.length; i += BATCH_SIZE) {
                 const chunk = newCategoryNames.slice(i, i + BATCH_SIZE);
                 const placeholders = chunk.map(() => '?').join(',');
-                const { results: newCategories } = await db.prepare(`SELECT id, catelog, is_private FROM category WHERE catelog IN (${placeholders})`).bind(...chunk).all();
+                const { results: newCategories } = await db.prepare(`SELECT id, catelog, is_private FROM category WHERE deleted_at IS NULL AND catelog IN (${placeholders})`).bind(...chunk).all();
                 if (newCategories) {
                     newCategories.forEach(c => {
                         categoryNameToIdMap.set(c.catelog, c.id);
@@ -165,24 +177,26 @@ export async function onRequestPost(context) {
     }
 
     // --- Site Processing ---
-    const siteUrls = sitesToImport.map(item => (item.url || '').trim()).filter(url => url);
-    const existingSiteUrls = new Set();
-    if (siteUrls.length > 0) {
-        for (let i = 0; i < siteUrls.length; i += BATCH_SIZE) {
-            const chunk = siteUrls.slice(i, i + BATCH_SIZE);
-            const placeholders = chunk.map(() => '?').join(',');
-            const { results: existingSites } = await db.prepare(`SELECT url FROM sites WHERE url IN (${placeholders})`).bind(...chunk).all();
-            if (existingSites) {
-                existingSites.forEach(site => existingSiteUrls.add(site.url));
-            }
-        }
+    // 按规范化地址匹配已有书签：协议、www.、末尾斜杠、追踪参数等写法不同也视为同一书签
+    // Sites in the trash are restored and updated instead of duplicated
+    const existingSitesByCanonical = new Map();
+    if (sitesToImport.length > 0) {
+        const { results: existingSites } = await db.prepare('SELECT * FROM sites ORDER BY deleted_at IS NOT NULL, id ASC').all();
+        (existingSites || []).forEach(site => {
+            const key = canonicalizeUrl(site.url);
+            if (!existingSitesByCanonical.has(key)) existingSitesByCanonical.set(key, site);
+        });
     }
+    const importedCanonicalUrls = new Set(); // 导入文件内的重复书签只保留第一个
 
     const batchStmts = [];
     let itemsAdded = 0;
     let itemsUpdated = 0;
     let itemsSkipped = 0;
-    const iconAPI = env.ICON_API || 'https://faviconsnap.com/api/favicon?url=';
+    const addedSites = [];
+    const updatedSitesBefore = [];
+    const updatedSitesAfter = [];
+    const siteTagsByUrl = new Map(); // 带有 tags 字段的书签，写入后按 URL 关联标签
 
     for (const site of sitesToImport) {
         const sanitizedUrl = (site.url || '').trim();
@@ -197,8 +211,19 @@ export async function onRequestPost(context) {
             continue;
         }
 
-        const exists = existingSiteUrls.has(sanitizedUrl);
-        if (exists && !override) {
+        const canonicalUrl = canonicalizeUrl(sanitizedUrl);
+        if (importedCanonicalUrls.has(canonicalUrl)) {
+            itemsSkipped++;
+            continue;
+        }
+        importedCanonicalUrls.add(canonicalUrl);
+
+        const existingSite = existingSitesByCanonical.get(canonicalUrl);
+        const exists = !!existingSite;
+        const inTrash = exists && !!existingSite.deleted_at;
+        // 覆盖已有书签时保留其原来的地址
+        const targetUrl = exists ? existingSite.url : sanitizedUrl;
+        if (exists && !override && !inTrash) {
             itemsSkipped++;
             continue;
         }
@@ -230,9 +255,8 @@ export async function onRequestPost(context) {
         }
 
         let sanitizedLogo = (site.logo || '').trim();
-        if ((!sanitizedLogo || sanitizedLogo.startsWith('data:image')) && sanitizedUrl.startsWith('http')) {
-            const domain = sanitizedUrl.replace(/^https?:\/\//, '').split('/')[0];
-            sanitizedLogo = `${iconAPI}${domain}`;
+        if (!sanitizedLogo || sanitizedLogo.startsWith('data:image')) {
+            sanitizedLogo = defaultLogoUrl(env, sanitizedUrl);
         }
         if (!sanitizedLogo) sanitizedLogo = null;
 
@@ -246,13 +270,19 @@ export async function onRequestPost(context) {
             finalIsPrivate = 1;
         }
 
-        if (exists && override) {
-            // Update
+        if (site.tags !== undefined) {
+            siteTagsByUrl.set(targetUrl, normalizeTagNames(site.tags));
+        }
+
+        if (exists) {
+            // Update (also restores the site if it was in the trash)
             batchStmts.push(
-                db.prepare('UPDATE sites SET name=?, logo=?, desc=?, catelog_id=?, catelog_name=?, sort_order=?, is_private=?, update_time=CURRENT_TIMESTAMP WHERE url=?')
-                  .bind(sanitizedName, sanitizedLogo, sanitizedDesc, newCatId, catNameForDb, sortOrderValue, finalIsPrivate, sanitizedUrl)
+                db.prepare('UPDATE sites SET name=?, logo=?, desc=?, catelog_id=?, catelog_name=?, sort_order=?, is_private=?, deleted_at=NULL, update_time=CURRENT_TIMESTAMP WHERE id=?')
+                  .bind(sanitizedName, sanitizedLogo, sanitizedDesc, newCatId, catNameForDb, sortOrderValue, finalIsPrivate, existingSite.id)
             );
             itemsUpdated++;
+            updatedSitesBefore.push(existingSite);
+            updatedSitesAfter.push({ name: sanitizedName, url: targetUrl, logo: sanitizedLogo, desc: sanitizedDesc, catelog_id: newCatId, catelog_name: catNameForDb, sort_order: sortOrderValue, is_private: finalIsPrivate });
         } else {
             // Insert
             batchStmts.push(
@@ -260,6 +290,7 @@ export async function onRequestPost(context) {
                   .bind(sanitizedName, sanitizedUrl, sanitizedLogo, sanitizedDesc, newCatId, catNameForDb, sortOrderValue, finalIsPrivate)
             );
             itemsAdded++;
+            addedSites.push({ name: sanitizedName, url: sanitizedUrl, catelog_id: newCatId, catelog_name: catNameForDb });
         }
     }
 
@@ -271,6 +302,35 @@ export async function onRequestPost(context) {
         }
     }
 
+    // 按 URL 找回新增 / 覆盖的书签 ID，关联标签并更新搜索索引
+    const writtenUrls = [...addedSites, ...updatedSitesAfter].map(site => site.url);
+    const writtenIds = [];
+    for (let i = 0; i < writtenUrls.length; i += BATCH_SIZE) {
+        const chunk = writtenUrls.slice(i, i + BATCH_SIZE);
+        const placeholders = chunk.map(() => '?').join(',');
+        const { results: writtenSites } = await db.prepare(`SELECT id, url FROM sites WHERE url IN (${placeholders})`).bind(...chunk).all();
+        for (const site of writtenSites || []) {
+            writtenIds.push(site.id);
+            if (siteTagsByUrl.has(site.url)) {
+                await setSiteTags(env, site.id, siteTagsByUrl.get(site.url));
+            }
+        }
+    }
+    await reindexSites(env, writtenIds);
+
+    // 整次导入记为一条日志：before 为被覆盖书签的原始数据，after 为新增 / 覆盖后的内容
+    if (batchStmts.length > 0 || createdCategories.length > 0) {
+        await recordAudit(env, user, 'import', 'site', null, updatedSitesBefore.length > 0 ? updatedSitesBefore : null, {
+            override,
+            added: itemsAdded,
+            updated: itemsUpdated,
+            skipped: itemsSkipped,
+            created_categories: createdCategories,
+            added_sites: addedSites,
+            updated_sites: updatedSitesAfter
+        });
+    }
+
     let msg = `导入完成。`;
     if (itemsAdded > 0) msg += ` 新增 ${itemsAdded} 个`;
     if (itemsUpdated > 0) msg += ` 更新 ${itemsUpdated} 个`;
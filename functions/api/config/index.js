@@ -1,5 +1,12 @@
 // functions/api/config/index.js
-import { isAdminAuthenticated, errorResponse, jsonResponse, normalizeSortOrder } from '../../_middleware';
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse, normalizeSortOrder } from '../../_middleware';
+import { recordAudit } from '../../audit';
+import { normalizeTagNames, setSiteTags, attachSiteTags } from '../../tags';
+import { reindexSites, searchSites, ensureSearchIndex } from '../../search';
+import { attachClickStats } from '../../clicks';
+import { attachLinkChecks, LINK_STATUS } from '../../link-checker';
+import { findSiteByCanonicalUrl, duplicateUrlMessage } from '../../duplicates';
+import { defaultLogoUrl } from '../../icons';
 
 let indexesChecked = false;
 
@@ -47,44 +54,75 @@ export async function onRequestGet(context) {
   const page = parseInt(url.searchParams.get('page') || '1', 10);
   const pageSize = parseInt(url.searchParams.get('pageSize') || '10', 10);
   const keyword = url.searchParams.get('keyword');
+  const tag = (url.searchParams.get('tag') || '').trim();
+  const linkStatus = url.searchParams.get('linkStatus');
   const offset = (page - 1) * pageSize;
 
   const isAuthenticated = await isAdminAuthenticated(request, env);
   const includePrivate = isAuthenticated ? 1 : 0;
 
   try {
-    // 基础查询：不再关联 category，直接查 sites 表，提高性能
-    // 注意：始终筛选 (is_private = 0 OR includePrivate = 1)
-    let queryBase = `FROM sites s WHERE (s.is_private = 0 OR ? = 1)`;
-    let queryBindParams = [includePrivate];
+    // 分类、标签与链接状态筛选，列表查询与全文搜索共用
+    let filterSql = '';
+    const filterParams = [];
 
     if (catalogId) {
-      queryBase += ` AND s.catelog_id = ?`;
-      queryBindParams.push(catalogId);
+      filterSql += ` AND s.catelog_id = ?`;
+      filterParams.push(catalogId);
     } else if (catalog) {
-      queryBase += ` AND s.catelog_name = ?`;
-      queryBindParams.push(catalog);
+      filterSql += ` AND s.catelog_name = ?`;
+      filterParams.push(catalog);
     }
 
-    if (keyword) {
-      queryBase += ` AND (name LIKE ? OR url LIKE ? OR catelog_name LIKE ? OR s.desc LIKE ?)`;
-      queryBindParams.push(`%${keyword}%`, `%${keyword}%`, `%${keyword}%`, `%${keyword}%`);
+    if (tag) {
+      filterSql += ` AND s.id IN (SELECT st.site_id FROM site_tags st JOIN tags t ON t.id = st.tag_id WHERE t.name = ?)`;
+      filterParams.push(tag);
     }
 
-    const query = `SELECT * ${queryBase} ORDER BY sort_order ASC, create_time DESC LIMIT ? OFFSET ?`;
-    const countQuery = `SELECT COUNT(*) as total ${queryBase}`;
-    
-    // 添加分页参数
-    const fullBindParams = [...queryBindParams, pageSize, offset];
-    const { results } = await env.NAV_DB.prepare(query).bind(...fullBindParams).all();
-    
-    // 优化：如果 pageSize 很大（通常是“获取全部”场景），则跳过 COUNT 查询
+    // 按最近一次链接检查结果筛选，只对管理员生效
+    if (isAuthenticated && (linkStatus === LINK_STATUS.DEAD || linkStatus === LINK_STATUS.REDIRECT)) {
+      filterSql += ` AND s.id IN (SELECT site_id FROM site_link_checks WHERE status = ?)`;
+      filterParams.push(linkStatus);
+    }
+
+    let results;
     let total = 0;
-    if (pageSize >= 1000) {
-        total = results.length + offset; 
+    if (keyword && keyword.trim()) {
+      // 有关键词时使用全文索引，按相关度排序（与 /api/search 相同）
+      await ensureSearchIndex(env);
+      ({ results, total } = await searchSites(env, keyword.trim(), {
+        includePrivate: !!isAuthenticated,
+        extraWhere: filterSql.trim(),
+        extraParams: filterParams,
+        limit: pageSize,
+        offset
+      }));
     } else {
-        const countResult = await env.NAV_DB.prepare(countQuery).bind(...queryBindParams).first();
-        total = countResult ? countResult.total : 0;
+      // 基础查询：不再关联 category，直接查 sites 表，提高性能
+      // 注意：始终筛选 (is_private = 0 OR includePrivate = 1)
+      const queryBase = `FROM sites s WHERE s.deleted_at IS NULL AND (s.is_private = 0 OR ? = 1)${filterSql}`;
+      const queryBindParams = [includePrivate, ...filterParams];
+
+      const query = `SELECT * ${queryBase} ORDER BY sort_order ASC, create_time DESC LIMIT ? OFFSET ?`;
+      const countQuery = `SELECT COUNT(*) as total ${queryBase}`;
+
+      // 添加分页参数
+      const fullBindParams = [...queryBindParams, pageSize, offset];
+      ({ results } = await env.NAV_DB.prepare(query).bind(...fullBindParams).all());
+
+      // 优化：如果 pageSize 很大（通常是“获取全部”场景），则跳过 COUNT 查询
+      if (pageSize >= 1000) {
+          total = results.length + offset;
+      } else {
+          const countResult = await env.NAV_DB.prepare(countQuery).bind(...queryBindParams).first();
+          total = countResult ? countResult.total : 0;
+      }
+    }
+    await attachSiteTags(env, results);
+    // 点击统计与链接检查结果只提供给管理员（后台书签列表）
+    if (isAuthenticated) {
+      await attachClickStats(env, results);
+      await attachLinkChecks(env, results);
     }
 
     return jsonResponse({
@@ -102,14 +140,17 @@ export async function onRequestGet(context) {
 export async function onRequestPost(context) {
   const { request, env } = context;
   
-  if (!(await isAdminAuthenticated(request, env))) {
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
     return errorResponse('Unauthorized', 401);
   }
+  if (!hasRole(user, 'editor')) {
+    return errorResponse('Forbidden', 403);
+  }
 
   try {
     const config = await request.json();
-    const { name, url, logo, desc, catelogId, sort_order, is_private } = config;
-    const iconAPI=env.ICON_API ||'https://faviconsnap.com/api/favicon?url=';
+    const { name, url, logo, desc, catelogId, sort_order, is_private, tags } = config;
     
     const sanitizedName = (name || '').trim();
     const sanitizedUrl = (url || '').trim();
@@ -117,26 +158,23 @@ export async function onRequestPost(context) {
     const sanitizedDesc = (desc || '').trim() || null;
     const sortOrderValue = normalizeSortOrder(sort_order);
     const isPrivateValue = is_private ? 1 : 0;
+    const tagNames = normalizeTagNames(tags);
 
     if (!sanitizedName || !sanitizedUrl || !catelogId) {
       return errorResponse('Name, URL and Catelog are required', 400);
     }
 
-    // Check if URL already exists
-    const existingSite = await env.NAV_DB.prepare('SELECT id FROM sites WHERE url = ?').bind(sanitizedUrl).first();
+    // Check if URL already exists（规范化后比较，忽略协议、www.、末尾斜杠与追踪参数等差异）
+    const existingSite = await findSiteByCanonicalUrl(env, sanitizedUrl);
     if (existingSite) {
-        return errorResponse('该 URL 已存在，请勿重复添加', 409);
+        return errorResponse(duplicateUrlMessage(existingSite, sanitizedUrl), 409);
     }
 
-    if(!logo && url){
-      if(url.startsWith('https://') || url.startsWith('http://')){
-        const domain = url.replace(/^https?:\/\//, '').split('/')[0];
-        sanitizedLogo = iconAPI+domain;
-    }
-      
+    if (!logo && url) {
+      sanitizedLogo = defaultLogoUrl(env, url);
     }
     // Find the category ID from the category name
-    const categoryResult = await env.NAV_DB.prepare('SELECT catelog, is_private FROM category WHERE id = ?').bind(catelogId).first();
+    const categoryResult = await env.NAV_DB.prepare('SELECT catelog, is_private FROM category WHERE id = ? AND deleted_at IS NULL').bind(catelogId).first();
 
     if (!categoryResult) {
       return errorResponse(`Category not found.`, 400);
@@ -152,6 +190,22 @@ export async function onRequestPost(context) {
       INSERT INTO sites (name, url, logo, desc, catelog_id, catelog_name, sort_order, is_private)
       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
     `).bind(sanitizedName, sanitizedUrl, sanitizedLogo, sanitizedDesc, catelogId, categoryResult.catelog, sortOrderValue, finalIsPrivate).run();
+    if (tagNames.length > 0) {
+      await setSiteTags(env, insert.meta.last_row_id, tagNames);
+    }
+    await reindexSites(env, [insert.meta.last_row_id]);
+
+    await recordAudit(env, user, 'create', 'site', insert.meta.last_row_id, null, {
+      name: sanitizedName,
+      url: sanitizedUrl,
+      logo: sanitizedLogo,
+      desc: sanitizedDesc,
+      catelog_id: catelogId,
+      catelog_name: categoryResult.catelog,
+      sort_order: sortOrderValue,
+      is_private: finalIsPrivate,
+      tags: tagNames
+    });
 
     return jsonResponse({
       code: 201,
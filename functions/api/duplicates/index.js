@@ -0,0 +1,45 @@
+// functions/api/duplicates/index.js
+import { isAdminAuthenticated, errorResponse, jsonResponse } from '../../_middleware';
+import { attachSiteTags } from '../../tags';
+import { findDuplicateGroups, DUPLICATE_TYPES } from '../../duplicates';
+
+/**
+ * @summary List groups of duplicate and near-duplicate bookmarks
+ * @route GET /api/duplicates?type=url,title,domain
+ * type 可选，逗号分隔；url 为规范化后地址相同，title 为标题相同，domain 为同一域名下的多个书签
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  if (!(await isAdminAuthenticated(request, env))) {
+    return errorResponse('Unauthorized', 401);
+  }
+
+  const url = new URL(request.url);
+  const typeParam = (url.searchParams.get('type') || '').trim();
+  const types = typeParam ? typeParam.split(',').map(t => t.trim()).filter(t => DUPLICATE_TYPES.includes(t)) : DUPLICATE_TYPES;
+  if (types.length === 0) {
+    return errorResponse('Invalid duplicate type', 400);
+  }
+
+  try {
+    const { results } = await env.NAV_DB.prepare(`
+      SELECT id, name, url, logo, desc, catelog_id, catelog_name, sort_order, is_private, create_time, update_time
+      FROM sites WHERE deleted_at IS NULL ORDER BY id ASC
+    `).all();
+
+    const groups = findDuplicateGroups(results || [], types);
+    const groupedSites = [...new Map(groups.flatMap(g => g.sites).map(site => [site.id, site])).values()];
+    await attachSiteTags(env, groupedSites);
+
+    const counts = Object.fromEntries(DUPLICATE_TYPES.map(type => [type, groups.filter(g => g.type === type).length]));
+    return jsonResponse({
+      code: 200,
+      data: groups,
+      total: groups.length,
+      counts
+    });
+  } catch (e) {
+    return errorResponse(`Failed to find duplicates: ${e.message}`, 500);
+  }
+}
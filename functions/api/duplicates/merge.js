@@ -0,0 +1,120 @@
+// functions/api/duplicates/merge.js
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse } from '../../_middleware';
+import { recordAudit, fetchSitesByIds } from '../../audit';
+import { purgeExpiredTrash } from '../../trash';
+import { recordSiteRevision, hasRevisionChanges } from '../../revisions';
+import { normalizeTagNames, setSiteTags, fetchSiteTagMap } from '../../tags';
+import { reindexSites } from '../../search';
+import { mergeClicks } from '../../clicks';
+import { clearLinkCheck } from '../../link-checker';
+
+// 可以从组内任意书签选取的字段
+const MERGE_FIELDS = ['name', 'url', 'logo', 'desc', 'catelog_id'];
+const MAX_MERGE_SITES = 50;
+
+/**
+ * @summary Merge duplicate bookmarks into one
+ * @route POST /api/duplicates/merge  body: { keepId: number, removeIds: number[], sources?: { name, url, logo, desc, catelog_id } }
+ * sources 指定各字段取自组内哪个书签（书签 ID），未指定的字段保留 keepId 的值；
+ * 标签取并集，点击统计累加到保留的书签上，其余书签移入回收站
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+  if (!hasRole(user, 'editor')) {
+    return errorResponse('Forbidden', 403);
+  }
+
+  try {
+    const { keepId, removeIds, sources = {} } = await request.json();
+    const keepSiteId = parseInt(keepId, 10);
+    const removeSiteIds = [...new Set((Array.isArray(removeIds) ? removeIds : []).map(id => parseInt(id, 10)))]
+      .filter(id => id > 0 && id !== keepSiteId);
+    if (!(keepSiteId > 0) || removeSiteIds.length === 0) {
+      return errorResponse('请选择要保留和合并的书签', 400);
+    }
+    if (removeSiteIds.length + 1 > MAX_MERGE_SITES) {
+      return errorResponse(`每次最多合并 ${MAX_MERGE_SITES} 个书签`, 400);
+    }
+
+    const sites = (await fetchSitesByIds(env, [keepSiteId, ...removeSiteIds])).filter(site => !site.deleted_at);
+    const siteMap = new Map(sites.map(site => [site.id, site]));
+    const before = siteMap.get(keepSiteId);
+    if (!before || removeSiteIds.some(id => !siteMap.has(id))) {
+      return errorResponse('部分书签不存在或已在回收站中，请刷新后重试', 404);
+    }
+
+    const next = {
+      name: before.name,
+      url: before.url,
+      logo: before.logo,
+      desc: before.desc,
+      catelog_id: before.catelog_id,
+      catelog_name: before.catelog_name,
+      sort_order: before.sort_order,
+      is_private: before.is_private
+    };
+    for (const field of MERGE_FIELDS) {
+      if (sources[field] === undefined || sources[field] === null || sources[field] === '') continue;
+      const source = siteMap.get(parseInt(sources[field], 10));
+      if (!source) {
+        return errorResponse('字段来源必须是参与合并的书签', 400);
+      }
+      next[field] = source[field];
+    }
+
+    if (next.catelog_id !== before.catelog_id) {
+      const category = await env.NAV_DB.prepare(
+        'SELECT catelog, is_private FROM category WHERE id = ? AND deleted_at IS NULL'
+      ).bind(next.catelog_id).first();
+      if (!category) {
+        return errorResponse('所选分类不存在', 400);
+      }
+      next.catelog_name = category.catelog;
+      // If category is private, force site to be private
+      if (category.is_private === 1) next.is_private = 1;
+    }
+
+    if (hasRevisionChanges(before, next)) {
+      await recordSiteRevision(env, user, before, 'edit');
+    }
+
+    const placeholders = removeSiteIds.map(() => '?').join(',');
+    await env.NAV_DB.batch([
+      env.NAV_DB.prepare(`
+        UPDATE sites
+        SET name = ?, url = ?, logo = ?, desc = ?, catelog_id = ?, catelog_name = ?, is_private = ?, update_time = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).bind(next.name, next.url, next.logo, next.desc, next.catelog_id, next.catelog_name, next.is_private, keepSiteId),
+      env.NAV_DB.prepare(
+        `UPDATE sites SET deleted_at = CURRENT_TIMESTAMP WHERE deleted_at IS NULL AND id IN (${placeholders})`
+      ).bind(...removeSiteIds)
+    ]);
+
+    // 标签取并集（超出单个书签上限的部分会被截断）
+    const tagMap = await fetchSiteTagMap(env, [keepSiteId, ...removeSiteIds]);
+    const mergedTags = normalizeTagNames([keepSiteId, ...removeSiteIds].flatMap(id => tagMap.get(id) || []));
+    await setSiteTags(env, keepSiteId, mergedTags);
+    await mergeClicks(env, keepSiteId, removeSiteIds);
+    if (next.url !== before.url) {
+      await clearLinkCheck(env, keepSiteId);
+    }
+    await reindexSites(env, [keepSiteId]);
+
+    const after = await env.NAV_DB.prepare('SELECT * FROM sites WHERE id = ?').bind(keepSiteId).first();
+    await recordAudit(env, user, 'merge', 'site', keepSiteId, sites, { ...after, tags: mergedTags, merged_ids: removeSiteIds });
+    context.waitUntil(purgeExpiredTrash(env).catch(e => console.error('Failed to purge expired trash:', e)));
+
+    return jsonResponse({
+      code: 200,
+      message: `已合并 ${removeSiteIds.length + 1} 个书签，其余书签已移入回收站`,
+      data: after
+    });
+  } catch (e) {
+    return errorResponse(`Failed to merge duplicates: ${e.message}`, 500);
+  }
+}
@@ -0,0 +1,87 @@
+// functions/api/fetch-meta.js
+import { isAdminAuthenticated, isSubmissionEnabled, errorResponse, jsonResponse } from '../_middleware';
+import { fetchPageMeta, parseFetchableUrl } from '../page-meta';
+
+// 抓取结果缓存时间（秒）
+const CACHE_TTL = 86400;
+
+/**
+ * 访客请求必须确认来自本站页面：优先看 Sec-Fetch-Site，不支持该请求头的旧浏览器看 Origin 或 Referer
+ * 三者都没有的请求（curl、脚本等）一律拒绝
+ */
+function isFromSameSite(request) {
+  const fetchSite = request.headers.get('Sec-Fetch-Site');
+  if (fetchSite) return fetchSite === 'same-origin';
+
+  const { origin } = new URL(request.url);
+  const requestOrigin = request.headers.get('Origin');
+  if (requestOrigin) return requestOrigin === origin;
+
+  const referer = request.headers.get('Referer');
+  if (!referer) return false;
+  try {
+    return new URL(referer).origin === origin;
+  } catch (e) {
+    return false;
+  }
+}
+
+// KV 键名最长 512 字节，按网址的 SHA-256 生成缓存键
+async function metaCacheHash(href) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(href));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @summary Fetch title, description and icon of a web page for prefilling the bookmark forms
+ * @route GET /api/fetch-meta?url=
+ * 后台新增书签与首页提交书签时调用；访客只能在开启公开提交时从本站页面调用。结果缓存一天：
+ * 管理员的结果写入 KV；访客可随意构造网址，只使用 Cache API，避免占用 KV 的写入配额
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    if (!isSubmissionEnabled(env)) {
+      return errorResponse('Unauthorized', 401);
+    }
+    // 访客只能从本站页面调用，避免被当作公开的网页抓取代理
+    if (!isFromSameSite(request)) {
+      return errorResponse('Cross-origin request blocked', 403);
+    }
+  }
+
+  const target = parseFetchableUrl(new URL(request.url).searchParams.get('url'));
+  if (!target) {
+    return errorResponse('无效的网址', 400);
+  }
+
+  try {
+    const hash = await metaCacheHash(target.href);
+    const kvKey = `meta:${hash}`;
+    const cache = caches.default;
+    const cacheRequest = new Request(new URL(`/api/fetch-meta/cache/${hash}`, request.url));
+
+    const cached = user
+      ? await env.NAV_AUTH.get(kvKey, 'json')
+      : await cache.match(cacheRequest).then(res => (res ? res.json() : null));
+    if (cached) {
+      return jsonResponse({ code: 200, data: cached });
+    }
+
+    const meta = await fetchPageMeta(target.href);
+    const body = JSON.stringify(meta);
+    context.waitUntil(
+      (user
+        ? env.NAV_AUTH.put(kvKey, body, { expirationTtl: CACHE_TTL })
+        : cache.put(cacheRequest, new Response(body, {
+          headers: { 'Content-Type': 'application/json', 'Cache-Control': `public, max-age=${CACHE_TTL}` }
+        }))
+      ).catch(e => console.error('Failed to cache page meta:', e))
+    );
+    return jsonResponse({ code: 200, data: meta });
+  } catch (e) {
+    return errorResponse(`获取网页信息失败：${e.message}`, 502);
+  }
+}
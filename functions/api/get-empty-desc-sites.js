@@ -1,18 +1,22 @@
 // functions/api/get-empty-desc-sites.js
-import { isAdminAuthenticated, errorResponse, jsonResponse } from '../_middleware';
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse } from '../_middleware';
 
 export async function onRequestGet(context) {
   const { request, env } = context;
 
   // 1. 身份验证
-  if (!(await isAdminAuthenticated(request, env))) {
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
     return errorResponse('Unauthorized', 401);
   }
+  if (!hasRole(user, 'editor')) {
+    return errorResponse('Forbidden', 403);
+  }
 
   try {
     // 2. 查询数据库中描述为空或NULL的记录
     const { results } = await env.NAV_DB.prepare(
-      "SELECT id, name, url , logo FROM sites WHERE desc IS NULL OR desc = ''"
+      "SELECT id, name, url , logo FROM sites WHERE deleted_at IS NULL AND (desc IS NULL OR desc = '')"
     ).all();
 
     // 3. 返回结果
@@ -0,0 +1,68 @@
+// functions/api/icons/refresh.js
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse } from '../../_middleware';
+import { recordAudit } from '../../audit';
+import { recordSiteRevision } from '../../revisions';
+import { iconDomainOf, isDefaultLogo, refreshIcon, refreshDueIcons, ICON_STATUS } from '../../icons';
+
+/**
+ * @summary Re-fetch the cached favicon of a bookmark, or refresh one batch of expired icons
+ * @route POST /api/icons/refresh  body: { id?: number }
+ * 传入 id 时重新获取该书签域名的图标，书签使用默认图标（为空、第三方图标接口或本站缓存）时改为 /icons/<domain>；
+ * 不传 id 时刷新超过刷新周期的图标，定时任务根据返回的 remaining 循环调用直到为 0
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+  if (!hasRole(user, 'editor')) {
+    return errorResponse('Forbidden', 403);
+  }
+
+  try {
+    const body = await request.json().catch(() => ({}));
+    if (body.id === undefined || body.id === null) {
+      const { results, removed, remaining } = await refreshDueIcons(env);
+      return jsonResponse({
+        code: 200,
+        data: results,
+        refreshed: results.filter(result => result.refreshed).length,
+        removed,
+        remaining
+      });
+    }
+
+    const before = await env.NAV_DB.prepare('SELECT * FROM sites WHERE id = ? AND deleted_at IS NULL').bind(body.id).first();
+    if (!before) {
+      return errorResponse('config not found', 404);
+    }
+    const domain = iconDomainOf(before.url);
+    if (!domain) {
+      return errorResponse('该书签的地址不支持获取图标', 400);
+    }
+
+    const result = await refreshIcon(env, domain);
+    if (result.status !== ICON_STATUS.OK) {
+      return errorResponse('未能获取到该网站的图标', 502);
+    }
+
+    const logo = `/icons/${domain}`;
+    let after = before;
+    if (before.logo !== logo && isDefaultLogo(env, before.logo, before.url)) {
+      await recordSiteRevision(env, user, before, 'edit');
+      await env.NAV_DB.prepare('UPDATE sites SET logo = ?, update_time = CURRENT_TIMESTAMP WHERE id = ?').bind(logo, before.id).run();
+      after = await env.NAV_DB.prepare('SELECT * FROM sites WHERE id = ?').bind(before.id).first();
+      await recordAudit(env, user, 'update', 'site', before.id, before, after);
+    }
+
+    return jsonResponse({
+      code: 200,
+      message: result.refreshed ? '已重新获取图标' : '未获取到新图标，继续使用已缓存的图标',
+      data: { ...result, logo: after.logo }
+    });
+  } catch (e) {
+    return errorResponse(`Failed to refresh icon: ${e.message}`, 500);
+  }
+}
@@ -0,0 +1,68 @@
+// functions/api/link-check/fix.js
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse } from '../../_middleware';
+import { recordAudit } from '../../audit';
+import { recordSiteRevision } from '../../revisions';
+import { reindexSites } from '../../search';
+import { LINK_STATUS } from '../../link-checker';
+import { findSiteByCanonicalUrl, duplicateUrlMessage } from '../../duplicates';
+
+/**
+ * @summary Replace a redirected bookmark URL with the redirect target
+ * @route POST /api/link-check/fix  body: { id: number }
+ * 只处理最近一次检查结果为 redirect 的书签；修改前保存历史版本，可在历史版本中撤销
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+  if (!hasRole(user, 'editor')) {
+    return errorResponse('Forbidden', 403);
+  }
+
+  try {
+    const { id } = await request.json();
+    if (!id) {
+      return errorResponse('ID is required', 400);
+    }
+
+    const before = await env.NAV_DB.prepare('SELECT * FROM sites WHERE id = ? AND deleted_at IS NULL').bind(id).first();
+    if (!before) {
+      return errorResponse('config not found', 404);
+    }
+    const check = await env.NAV_DB.prepare('SELECT * FROM site_link_checks WHERE site_id = ?').bind(before.id).first();
+    if (!check || check.status !== LINK_STATUS.REDIRECT || !check.final_url) {
+      return errorResponse('该书签没有待修复的重定向', 409);
+    }
+    if (check.final_url === before.url) {
+      return errorResponse('书签地址已是重定向后的地址', 409);
+    }
+    // 与新增、修改书签相同，跳转后的地址不能与其他书签重复
+    const existingSite = await findSiteByCanonicalUrl(env, check.final_url, before.id);
+    if (existingSite) {
+      return errorResponse(duplicateUrlMessage(existingSite, check.final_url), 409);
+    }
+
+    await recordSiteRevision(env, user, before, 'edit');
+    await env.NAV_DB.batch([
+      env.NAV_DB.prepare('UPDATE sites SET url = ?, update_time = CURRENT_TIMESTAMP WHERE id = ?').bind(check.final_url, before.id),
+      env.NAV_DB.prepare(`
+        UPDATE site_link_checks SET status = ?, final_url = NULL, error = NULL, checked_at = CURRENT_TIMESTAMP WHERE site_id = ?
+      `).bind(LINK_STATUS.OK, before.id)
+    ]);
+    await reindexSites(env, [before.id]);
+
+    const after = await env.NAV_DB.prepare('SELECT * FROM sites WHERE id = ?').bind(before.id).first();
+    await recordAudit(env, user, 'update', 'site', before.id, before, after);
+
+    return jsonResponse({
+      code: 200,
+      message: '已更新为重定向后的地址',
+      data: after
+    });
+  } catch (e) {
+    return errorResponse(`Failed to fix redirect: ${e.message}`, 500);
+  }
+}
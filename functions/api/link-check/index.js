@@ -0,0 +1,70 @@
+// functions/api/link-check/index.js
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse } from '../../_middleware';
+import { checkSites, getLinkCheckSummary, countDueSites, CHECK_BATCH_SIZE } from '../../link-checker';
+
+/**
+ * @summary Get the number of bookmarks in each link status
+ * @route GET /api/link-check
+ * 返回 { total, ok, redirect, dead, unchecked, due }，due 为到期待检查的书签数
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  if (!(await isAdminAuthenticated(request, env))) {
+    return errorResponse('Unauthorized', 401);
+  }
+
+  try {
+    const summary = await getLinkCheckSummary(env);
+    summary.due = await countDueSites(env);
+    return jsonResponse({
+      code: 200,
+      data: summary
+    });
+  } catch (e) {
+    return errorResponse(`Failed to fetch link check summary: ${e.message}`, 500);
+  }
+}
+
+/**
+ * @summary Check one batch of bookmark links and save the results
+ * @route POST /api/link-check  body: { ids?: number[] }
+ * 不传 ids 时检查到期的书签，每次最多 CHECK_BATCH_SIZE 个；后台与定时任务根据返回的 remaining 循环调用直到为 0
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+  if (!hasRole(user, 'editor')) {
+    return errorResponse('Forbidden', 403);
+  }
+
+  try {
+    const body = await request.json().catch(() => ({}));
+    let ids = null;
+    if (Array.isArray(body.ids)) {
+      ids = [...new Set(body.ids.map(id => parseInt(id, 10)).filter(id => id > 0))];
+      if (ids.length === 0) {
+        return errorResponse('没有可检查的书签', 400);
+      }
+      if (ids.length > CHECK_BATCH_SIZE) {
+        return errorResponse(`每次最多检查 ${CHECK_BATCH_SIZE} 个书签`, 400);
+      }
+    }
+
+    const { results, remaining } = await checkSites(env, { ids });
+    return jsonResponse({
+      code: 200,
+      data: results,
+      checked: results.length,
+      dead: results.filter(r => r.status === 'dead').length,
+      redirect: results.filter(r => r.status === 'redirect').length,
+      remaining
+    });
+  } catch (e) {
+    return errorResponse(`Failed to check links: ${e.message}`, 500);
+  }
+}
@@ -0,0 +1,78 @@
+// functions/api/login-failures/index.js
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse } from '../../_middleware';
+import { pruneLoginFailureLog } from '../../login-guard';
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+  if (!hasRole(user, 'owner')) {
+    return errorResponse('Forbidden', 403);
+  }
+
+  const url = new URL(request.url);
+  const page = parseInt(url.searchParams.get('page') || '1', 10);
+  const pageSize = parseInt(url.searchParams.get('pageSize') || '50', 10);
+  const keyword = (url.searchParams.get('keyword') || '').trim();
+  const offset = (page - 1) * pageSize;
+
+  try {
+    // 顺带清理过期日志，避免表无限增长
+    context.waitUntil(pruneLoginFailureLog(env).catch(e => console.error('Failed to prune login failures:', e)));
+
+    let where = '';
+    const params = [];
+    if (keyword) {
+      where = 'WHERE ip LIKE ? OR username LIKE ?';
+      params.push(`%${keyword}%`, `%${keyword}%`);
+    }
+
+    const { results } = await env.NAV_DB.prepare(`
+      SELECT * FROM login_failures
+      ${where}
+      ORDER BY id DESC
+      LIMIT ? OFFSET ?
+    `).bind(...params, pageSize, offset).all();
+
+    const countResult = await env.NAV_DB.prepare(`
+      SELECT COUNT(*) as total FROM login_failures ${where}
+    `).bind(...params).first();
+
+    const total = countResult ? countResult.total : 0;
+
+    return jsonResponse({
+      code: 200,
+      data: results,
+      total,
+      page,
+      pageSize
+    });
+  } catch (e) {
+    return errorResponse(`Failed to fetch login failures: ${e.message}`, 500);
+  }
+}
+
+export async function onRequestDelete(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+  if (!hasRole(user, 'owner')) {
+    return errorResponse('Forbidden', 403);
+  }
+
+  try {
+    await env.NAV_DB.prepare('DELETE FROM login_failures').run();
+    return jsonResponse({
+      code: 200,
+      message: 'Login failure log cleared'
+    });
+  } catch (e) {
+    return errorResponse(`Failed to clear login failures: ${e.message}`, 500);
+  }
+}
@@ -0,0 +1,60 @@
+// functions/api/login-failures/lockouts.js
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse } from '../../_middleware';
+import { listLoginLockouts, unlockLogin } from '../../login-guard';
+
+/**
+ * @summary List IPs / usernames with recent failed logins and their lock status
+ * @route GET /api/login-failures/lockouts
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+  if (!hasRole(user, 'owner')) {
+    return errorResponse('Forbidden', 403);
+  }
+
+  try {
+    const lockouts = await listLoginLockouts(env);
+    return jsonResponse({
+      code: 200,
+      data: lockouts
+    });
+  } catch (e) {
+    return errorResponse(`Failed to fetch lockouts: ${e.message}`, 500);
+  }
+}
+
+/**
+ * @summary Reset the failure counter of an IP or username (unlock)
+ * @route DELETE /api/login-failures/lockouts
+ */
+export async function onRequestDelete(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+  if (!hasRole(user, 'owner')) {
+    return errorResponse('Forbidden', 403);
+  }
+
+  try {
+    const { scope, value } = await request.json();
+    if (!['ip', 'user'].includes(scope) || !value) {
+      return errorResponse('Invalid lockout', 400);
+    }
+
+    await unlockLogin(env, scope, value);
+    return jsonResponse({
+      code: 200,
+      message: 'Lockout cleared'
+    });
+  } catch (e) {
+    return errorResponse(`Failed to clear lockout: ${e.message}`, 500);
+  }
+}
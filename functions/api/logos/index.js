@@ -0,0 +1,55 @@
+// functions/api/logos/index.js
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse } from '../../_middleware';
+import { validateLogo, normalizeLogo, maxLogoDimension, storeLogo, MAX_LOGO_BYTES } from '../../logos';
+
+/**
+ * @summary Upload a custom bookmark logo
+ * @route POST /api/logos  multipart/form-data: file
+ * 支持 PNG、SVG、ICO 与 WebP；返回 { url }，保存书签时写入 logo 字段即可
+ * 绑定 IMAGES 时，超过 128×128 的 PNG / WebP 会在保存前缩放为标准尺寸；未绑定时只接受不超过 256×256 的位图
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+  if (!hasRole(user, 'editor')) {
+    return errorResponse('Forbidden', 403);
+  }
+
+  // multipart 的边界与字段名会占用少量额外字节
+  if (Number(request.headers.get('Content-Length')) > MAX_LOGO_BYTES + 4096) {
+    return errorResponse(`图片不能超过 ${MAX_LOGO_BYTES / 1024} KB`, 413);
+  }
+
+  let logo;
+  try {
+    const formData = await request.formData();
+    const file = formData.get('file');
+    if (!file || typeof file === 'string') {
+      return errorResponse('请选择图片', 400);
+    }
+    logo = validateLogo(new Uint8Array(await file.arrayBuffer()), { maxDimension: maxLogoDimension(env) });
+  } catch (e) {
+    return errorResponse(e.message, 400);
+  }
+
+  try {
+    logo = await normalizeLogo(env, logo);
+  } catch (e) {
+    return errorResponse(`图片缩放失败：${e.message}`, 502);
+  }
+
+  try {
+    const url = await storeLogo(env, logo);
+    return jsonResponse({
+      code: 200,
+      message: '上传成功',
+      data: { url, content_type: logo.contentType, size: logo.bytes.length }
+    });
+  } catch (e) {
+    return errorResponse(`Failed to upload logo: ${e.message}`, 500);
+  }
+}
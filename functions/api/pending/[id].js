@@ -1,11 +1,15 @@
 // functions/api/pending/[id].js
 import { isAdminAuthenticated, errorResponse, jsonResponse } from '../../_middleware';
+import { recordAudit } from '../../audit';
+import { reindexSites } from '../../search';
+import { defaultLogoUrl } from '../../icons';
 
 export async function onRequestPut(context) {
   const { request, env, params } = context;
   const id = params.id;
   
-  if (!(await isAdminAuthenticated(request, env))) {
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
     return errorResponse('Unauthorized', 401);
   }
 
@@ -19,20 +23,19 @@ export async function onRequestPut(context) {
     const config = results[0];
     let { logo, url } = config;
     let sanitizedLogo = logo;
-    const iconAPI=env.ICON_API ||'https://faviconsnap.com/api/favicon?url=';
-    if(!logo && url){
-      if(url.startsWith('https://') || url.startsWith('http://')){
-        const domain = url.replace(/^https?:\/\//, '').split('/')[0];
-        sanitizedLogo = iconAPI+domain;
-      }
-      
+    if (!logo && url) {
+      sanitizedLogo = defaultLogoUrl(env, url);
     }
-    await env.NAV_DB.prepare(`
+    const insert = await env.NAV_DB.prepare(`
       INSERT INTO sites (name, url, logo, desc, catelog_id, sort_order)
       VALUES (?, ?, ?, ?, ?, 9999)
     `).bind(config.name, config.url, sanitizedLogo, config.desc, config.catelog_id).run();
     
     await env.NAV_DB.prepare('DELETE FROM pending_sites WHERE id = ?').bind(id).run();
+    await reindexSites(env, [insert.meta.last_row_id]);
+
+    const site = await env.NAV_DB.prepare('SELECT * FROM sites WHERE id = ?').bind(insert.meta.last_row_id).first();
+    await recordAudit(env, user, 'approve', 'pending', id, config, site);
 
     return jsonResponse({
       code: 200,
@@ -48,12 +51,18 @@ export async function onRequestDelete(context) {
   const { request, env, params } = context;
   const id = params.id;
   
-  if (!(await isAdminAuthenticated(request, env))) {
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
     return errorResponse('Unauthorized', 401);
   }
 
   try {
+    const before = await env.NAV_DB.prepare('SELECT * FROM pending_sites WHERE id = ?').bind(id).first();
     await env.NAV_DB.prepare('DELETE FROM pending_sites WHERE id = ?').bind(id).run();
+
+    if (before) {
+      await recordAudit(env, user, 'reject', 'pending', id, before, null);
+    }
     
     return jsonResponse({
       code: 200,
@@ -0,0 +1,41 @@
+// functions/api/revisions/index.js
+import { isAdminAuthenticated, errorResponse, jsonResponse } from '../../_middleware';
+
+/**
+ * @summary List the saved revisions of a bookmark, newest first
+ * @route GET /api/revisions?site_id=
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+
+  const siteId = parseInt(new URL(request.url).searchParams.get('site_id') || '', 10);
+  if (!siteId) {
+    return errorResponse('site_id is required', 400);
+  }
+
+  try {
+    const current = await env.NAV_DB.prepare('SELECT * FROM sites WHERE id = ?').bind(siteId).first();
+    if (!current) {
+      return errorResponse('config not found', 404);
+    }
+
+    const { results } = await env.NAV_DB.prepare(`
+      SELECT * FROM site_revisions
+      WHERE site_id = ?
+      ORDER BY id DESC
+    `).bind(siteId).all();
+
+    return jsonResponse({
+      code: 200,
+      data: results || [],
+      current
+    });
+  } catch (e) {
+    return errorResponse(`Failed to fetch revisions: ${e.message}`, 500);
+  }
+}
@@ -0,0 +1,94 @@
+// functions/api/revisions/restore.js
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse } from '../../_middleware';
+import { recordAudit } from '../../audit';
+import { recordSiteRevision, hasRevisionChanges } from '../../revisions';
+import { reindexSites } from '../../search';
+import { clearLinkCheck } from '../../link-checker';
+
+/**
+ * @summary Restore a bookmark to one of its saved revisions
+ * @route POST /api/revisions/restore  body: { id: number }
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+  if (!hasRole(user, 'editor')) {
+    return errorResponse('Forbidden', 403);
+  }
+
+  try {
+    const { id } = await request.json();
+    if (!id) {
+      return errorResponse('Revision ID is required', 400);
+    }
+
+    const revision = await env.NAV_DB.prepare('SELECT * FROM site_revisions WHERE id = ?').bind(id).first();
+    if (!revision) {
+      return errorResponse('Revision not found', 404);
+    }
+
+    const before = await env.NAV_DB.prepare('SELECT * FROM sites WHERE id = ?').bind(revision.site_id).first();
+    if (!before) {
+      return errorResponse('config not found', 404);
+    }
+    if (before.deleted_at) {
+      return errorResponse('该书签在回收站中，请先从回收站恢复', 409);
+    }
+
+    // 版本中的分类已被删除时保留当前分类
+    let catelogId = revision.catelog_id;
+    let category = await env.NAV_DB.prepare(
+      'SELECT id, catelog, is_private FROM category WHERE id = ? AND deleted_at IS NULL'
+    ).bind(catelogId).first();
+    if (!category) {
+      catelogId = before.catelog_id;
+      category = await env.NAV_DB.prepare('SELECT id, catelog, is_private FROM category WHERE id = ?').bind(catelogId).first();
+    }
+    const catelogName = category ? category.catelog : before.catelog_name;
+    const isPrivate = revision.is_private || (category && category.is_private === 1) ? 1 : 0;
+
+    const next = {
+      name: revision.name,
+      url: revision.url,
+      logo: revision.logo,
+      desc: revision.desc,
+      catelog_id: catelogId,
+      catelog_name: catelogName,
+      sort_order: revision.sort_order,
+      is_private: isPrivate
+    };
+    if (!hasRevisionChanges(before, next)) {
+      return jsonResponse({
+        code: 200,
+        message: '当前内容与该版本一致，无需恢复'
+      });
+    }
+
+    // 恢复前同样保存当前版本，恢复操作本身也可以撤销
+    await recordSiteRevision(env, user, before, 'restore');
+    await env.NAV_DB.prepare(`
+      UPDATE sites
+      SET name = ?, url = ?, logo = ?, desc = ?, catelog_id = ?, catelog_name = ?, sort_order = ?, is_private = ?, update_time = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).bind(next.name, next.url, next.logo, next.desc, next.catelog_id, next.catelog_name, next.sort_order, next.is_private, before.id).run();
+    await reindexSites(env, [before.id]);
+    if (before.url !== next.url) {
+      await clearLinkCheck(env, before.id);
+    }
+
+    const after = await env.NAV_DB.prepare('SELECT * FROM sites WHERE id = ?').bind(before.id).first();
+    await recordAudit(env, user, 'revert', 'site', before.id, before, after);
+
+    return jsonResponse({
+      code: 200,
+      message: '已恢复到所选版本',
+      data: after
+    });
+  } catch (e) {
+    return errorResponse(`Failed to restore revision: ${e.message}`, 500);
+  }
+}
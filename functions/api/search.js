@@ -0,0 +1,57 @@
+// functions/api/search.js
+import { isAdminAuthenticated, errorResponse, jsonResponse } from '../_middleware';
+import { attachSiteTags } from '../tags';
+import { searchSites, ensureSearchIndex, parseSearchTerms, highlightText } from '../search';
+
+const MAX_PAGE_SIZE = 100;
+const SNIPPET_LENGTH = 80;
+
+/**
+ * @summary Full-text search over bookmarks, ranked by relevance (bm25)
+ * @route GET /api/search?q=&catalogId=&page=&pageSize=
+ * 支持前缀匹配与名称的拼音首字母；未登录时不返回私密书签
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  const url = new URL(request.url);
+  const keyword = (url.searchParams.get('q') || '').trim();
+  const catalogId = url.searchParams.get('catalogId');
+  const page = Math.max(1, parseInt(url.searchParams.get('page') || '1', 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(url.searchParams.get('pageSize') || '20', 10) || 20));
+
+  if (!keyword) {
+    return errorResponse('搜索关键词不能为空', 400);
+  }
+
+  const isAuthenticated = await isAdminAuthenticated(request, env);
+
+  try {
+    await ensureSearchIndex(env);
+    const { results, total } = await searchSites(env, keyword, {
+      includePrivate: !!isAuthenticated,
+      catalogId,
+      limit: pageSize,
+      offset: (page - 1) * pageSize
+    });
+    await attachSiteTags(env, results);
+
+    const terms = parseSearchTerms(keyword);
+    results.forEach(site => {
+      site.highlight = {
+        name: highlightText(site.name, terms),
+        desc: highlightText(site.desc, terms, SNIPPET_LENGTH)
+      };
+    });
+
+    return jsonResponse({
+      code: 200,
+      data: results,
+      total,
+      page,
+      pageSize
+    });
+  } catch (e) {
+    return errorResponse(`Failed to search: ${e.message}`, 500);
+  }
+}
@@ -0,0 +1,34 @@
+// functions/api/sessions/[id].js
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse } from '../../_middleware';
+import { listSessions } from '../../auth';
+
+/**
+ * @summary Revoke a single session by its id (own sessions; owner may revoke any)
+ * @route DELETE /api/sessions/:id
+ */
+export async function onRequestDelete(context) {
+  const { request, env, params } = context;
+  const id = params.id;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+
+  try {
+    const sessions = await listSessions(env, hasRole(user, 'owner') ? null : user.username);
+    const target = sessions.find(s => s.id === id);
+    if (!target) {
+      return errorResponse('Session not found', 404);
+    }
+
+    await env.NAV_AUTH.delete(target.key);
+
+    return jsonResponse({
+      code: 200,
+      message: 'Session revoked successfully'
+    });
+  } catch (e) {
+    return errorResponse(`Failed to revoke session: ${e.message}`, 500);
+  }
+}
@@ -0,0 +1,56 @@
+// functions/api/sessions/index.js
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse } from '../../_middleware';
+import { listSessions, toPublicSession } from '../../auth';
+
+/**
+ * @summary List active sessions of the current user (owner may pass scope=all)
+ * @route GET /api/sessions
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+
+  const url = new URL(request.url);
+  const showAll = url.searchParams.get('scope') === 'all' && hasRole(user, 'owner');
+
+  try {
+    const sessions = await listSessions(env, showAll ? null : user.username);
+    return jsonResponse({
+      code: 200,
+      data: sessions.map(s => toPublicSession(s, user.session_id))
+    });
+  } catch (e) {
+    return errorResponse(`Failed to fetch sessions: ${e.message}`, 500);
+  }
+}
+
+/**
+ * @summary Revoke all sessions of the current user except the current one
+ * @route DELETE /api/sessions
+ */
+export async function onRequestDelete(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+
+  try {
+    const sessions = await listSessions(env, user.username);
+    const others = sessions.filter(s => !s.id || s.id !== user.session_id);
+    await Promise.all(others.map(s => env.NAV_AUTH.delete(s.key)));
+
+    return jsonResponse({
+      code: 200,
+      message: `Revoked ${others.length} sessions`,
+      revoked: others.length
+    });
+  } catch (e) {
+    return errorResponse(`Failed to revoke sessions: ${e.message}`, 500);
+  }
+}
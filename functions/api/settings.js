@@ -1,5 +1,7 @@
 
-import { isAdminAuthenticated, errorResponse, jsonResponse } from '../_middleware';
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse } from '../_middleware';
+import { recordAudit, maskSettings } from '../audit';
+import { SEARCH_ENGINES_SETTING_KEY, validateSearchEngines } from '../search-engines';
 
 export async function onRequestGet(context) {
   const { request, env } = context;
@@ -56,9 +58,13 @@ export async function onRequestGet(context) {
 export async function onRequestPost(context) {
   const { request, env } = context;
 
-  if (!(await isAdminAuthenticated(request, env))) {
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
     return errorResponse('Unauthorized', 401);
   }
+  if (!hasRole(user, 'owner')) {
+    return errorResponse('Forbidden', 403);
+  }
 
   try {
     const body = await request.json();
@@ -68,6 +74,23 @@ export async function onRequestPost(context) {
         return errorResponse('Invalid settings data', 400);
     }
 
+    // 搜索引擎配置校验后以规范化的 JSON 保存
+    if (settings[SEARCH_ENGINES_SETTING_KEY] !== undefined) {
+        let engines = settings[SEARCH_ENGINES_SETTING_KEY];
+        if (typeof engines === 'string') {
+            try {
+                engines = JSON.parse(engines);
+            } catch (e) {
+                return errorResponse('搜索引擎配置不是有效的 JSON', 400);
+            }
+        }
+        const result = validateSearchEngines(engines);
+        if (result.error) {
+            return errorResponse(result.error, 400);
+        }
+        settings[SEARCH_ENGINES_SETTING_KEY] = JSON.stringify(result.engines);
+    }
+
     // Ensure table exists
     try {
         await env.NAV_DB.prepare(`
@@ -82,19 +105,34 @@ export async function onRequestPost(context) {
     }
 
     const stmt = env.NAV_DB.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)');
+
+    const { results: existingRows } = await env.NAV_DB.prepare('SELECT key, value FROM settings').all();
+    const existing = {};
+    (existingRows || []).forEach(row => { existing[row.key] = row.value; });
     
     const batch = [];
+    const before = {};
+    const after = {};
     for (const [key, value] of Object.entries(settings)) {
         // 不要保存临时字段
         if (key === 'has_api_key' || key === 'debug_api_key_info') continue;
         
         batch.push(stmt.bind(key, String(value)));
+        // 审计日志只记录实际发生变化的设置项
+        if (existing[key] !== String(value)) {
+            before[key] = existing[key] === undefined ? null : existing[key];
+            after[key] = String(value);
+        }
     }
 
     if (batch.length > 0) {
         await env.NAV_DB.batch(batch);
     }
 
+    if (Object.keys(after).length > 0) {
+        await recordAudit(env, user, 'update', 'settings', null, maskSettings(before), maskSettings(after));
+    }
+
     return jsonResponse({
       code: 200,
       message: 'Settings saved'
@@ -0,0 +1,89 @@
+// functions/api/suggest.js
+import { errorResponse, jsonResponse } from '../_middleware';
+import { SEARCH_ENGINES_SETTING_KEY, parseSearchEngines, getSuggestSource, normalizeSuggestions } from '../search-engines';
+
+const QUERY_MAX_LENGTH = 100;
+// 联想词缓存时间（秒）
+const CACHE_TTL = 300;
+const FETCH_TIMEOUT = 3000;
+
+// 请求上游联想接口；部分接口返回 GBK 等编码，按响应头中的 charset 解码
+async function fetchSuggestions(source, upstreamUrl) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+  try {
+    const res = await fetch(upstreamUrl, {
+      headers: { 'Accept': 'application/json, text/javascript, */*' },
+      signal: controller.signal
+    });
+    if (!res.ok) throw new Error(`upstream returned ${res.status}`);
+
+    const buffer = await res.arrayBuffer();
+    const charset = ((res.headers.get('Content-Type') || '').match(/charset=([\w-]+)/i) || [])[1];
+    let text;
+    try {
+      text = new TextDecoder(charset || 'utf-8').decode(buffer);
+    } catch (e) {
+      text = new TextDecoder('utf-8').decode(buffer);
+    }
+    return normalizeSuggestions(source.format, JSON.parse(text));
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * @summary Search suggestions from a configured external search engine
+ * @route GET /api/suggest?engine=&q=
+ * 代理搜索引擎的联想词接口并统一为字符串数组，结果按上游地址在 Cache API 中缓存几分钟；首页未开启站外搜索时不可用
+ * 访客可随意构造查询词，因此不写入 KV，避免占满命名空间与写入配额
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  const url = new URL(request.url);
+  const engineId = (url.searchParams.get('engine') || '').trim();
+  const query = (url.searchParams.get('q') || '').trim().slice(0, QUERY_MAX_LENGTH);
+
+  if (!query) {
+    return jsonResponse({ code: 200, data: [] });
+  }
+
+  try {
+    const { results } = await env.NAV_DB.prepare('SELECT key, value FROM settings WHERE key IN (?, ?)')
+      .bind('home_search_engine_enabled', SEARCH_ENGINES_SETTING_KEY)
+      .all();
+    const settings = {};
+    (results || []).forEach(row => { settings[row.key] = row.value; });
+
+    if (settings.home_search_engine_enabled !== 'true') {
+      return errorResponse('站外搜索未开启', 404);
+    }
+    const engine = parseSearchEngines(settings[SEARCH_ENGINES_SETTING_KEY]).find(item => item.id === engineId);
+    if (!engine) {
+      return errorResponse('搜索引擎不存在', 404);
+    }
+    const source = getSuggestSource(engine);
+    if (!source) {
+      return jsonResponse({ code: 200, data: [] });
+    }
+
+    const upstreamUrl = source.url.replace(/%s/g, encodeURIComponent(query));
+    const cache = caches.default;
+    const cacheKey = new Request(upstreamUrl);
+    const cached = await cache.match(cacheKey);
+    if (cached) {
+      return jsonResponse({ code: 200, data: await cached.json() });
+    }
+
+    const suggestions = await fetchSuggestions(source, upstreamUrl);
+    context.waitUntil(
+      cache.put(cacheKey, new Response(JSON.stringify(suggestions), {
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': `public, max-age=${CACHE_TTL}` }
+      })).catch(e => console.error('Failed to cache suggestions:', e))
+    );
+    return jsonResponse({ code: 200, data: suggestions });
+  } catch (e) {
+    return errorResponse(`Failed to fetch suggestions: ${e.message}`, 502);
+  }
+}
@@ -0,0 +1,92 @@
+// functions/api/tags/[id].js
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse } from '../../_middleware';
+import { recordAudit } from '../../audit';
+import { normalizeTagNames } from '../../tags';
+import { reindexSites } from '../../search';
+
+/**
+ * @summary Rename a tag
+ * @route PUT /api/tags/:id  body: { name: string }
+ */
+export async function onRequestPut(context) {
+  const { request, env, params } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+  if (!hasRole(user, 'editor')) {
+    return errorResponse('Forbidden', 403);
+  }
+
+  try {
+    const body = await request.json();
+    const [name] = normalizeTagNames([body.name]);
+    if (!name) {
+      return errorResponse('标签名称不能为空', 400);
+    }
+
+    const before = await env.NAV_DB.prepare('SELECT * FROM tags WHERE id = ?').bind(params.id).first();
+    if (!before) {
+      return errorResponse('Tag not found', 404);
+    }
+
+    const existing = await env.NAV_DB.prepare('SELECT id FROM tags WHERE name = ? AND id != ?').bind(name, params.id).first();
+    if (existing) {
+      return errorResponse('该标签已存在', 409);
+    }
+
+    await env.NAV_DB.prepare('UPDATE tags SET name = ? WHERE id = ?').bind(name, params.id).run();
+    const { results } = await env.NAV_DB.prepare('SELECT site_id FROM site_tags WHERE tag_id = ?').bind(params.id).all();
+    await reindexSites(env, (results || []).map(r => r.site_id));
+    await recordAudit(env, user, 'update', 'tag', params.id, before, { ...before, name });
+
+    return jsonResponse({
+      code: 200,
+      message: 'Tag updated successfully'
+    });
+  } catch (e) {
+    return errorResponse(`Failed to update tag: ${e.message}`, 500);
+  }
+}
+
+/**
+ * @summary Delete a tag and remove it from all bookmarks
+ * @route DELETE /api/tags/:id
+ */
+export async function onRequestDelete(context) {
+  const { request, env, params } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+  if (!hasRole(user, 'editor')) {
+    return errorResponse('Forbidden', 403);
+  }
+
+  try {
+    const before = await env.NAV_DB.prepare('SELECT * FROM tags WHERE id = ?').bind(params.id).first();
+    if (!before) {
+      return errorResponse('Tag not found', 404);
+    }
+
+    const { results } = await env.NAV_DB.prepare('SELECT site_id FROM site_tags WHERE tag_id = ?').bind(params.id).all();
+    await env.NAV_DB.batch([
+      env.NAV_DB.prepare('DELETE FROM site_tags WHERE tag_id = ?').bind(params.id),
+      env.NAV_DB.prepare('DELETE FROM tags WHERE id = ?').bind(params.id)
+    ]);
+    await reindexSites(env, (results || []).map(r => r.site_id));
+    await recordAudit(env, user, 'delete', 'tag', params.id, {
+      ...before,
+      site_ids: (results || []).map(r => r.site_id)
+    }, null);
+
+    return jsonResponse({
+      code: 200,
+      message: 'Tag deleted successfully'
+    });
+  } catch (e) {
+    return errorResponse(`Failed to delete tag: ${e.message}`, 500);
+  }
+}
@@ -0,0 +1,76 @@
+// functions/api/tags/index.js
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse } from '../../_middleware';
+import { recordAudit } from '../../audit';
+import { normalizeTagNames } from '../../tags';
+
+/**
+ * @summary List all tags with the number of bookmarks using each tag
+ * @route GET /api/tags
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  if (!(await isAdminAuthenticated(request, env))) {
+    return errorResponse('Unauthorized', 401);
+  }
+
+  try {
+    const { results } = await env.NAV_DB.prepare(`
+      SELECT t.id, t.name, t.create_time, COUNT(s.id) AS site_count
+      FROM tags t
+      LEFT JOIN site_tags st ON st.tag_id = t.id
+      LEFT JOIN sites s ON s.id = st.site_id AND s.deleted_at IS NULL
+      GROUP BY t.id, t.name, t.create_time
+      ORDER BY t.name ASC
+    `).all();
+
+    return jsonResponse({
+      code: 200,
+      data: results || [],
+      total: (results || []).length
+    });
+  } catch (e) {
+    return errorResponse(`Failed to fetch tags: ${e.message}`, 500);
+  }
+}
+
+/**
+ * @summary Create a tag
+ * @route POST /api/tags  body: { name: string }
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+  if (!hasRole(user, 'editor')) {
+    return errorResponse('Forbidden', 403);
+  }
+
+  try {
+    const body = await request.json();
+    const [name] = normalizeTagNames([body.name]);
+    if (!name) {
+      return errorResponse('标签名称不能为空', 400);
+    }
+
+    const existing = await env.NAV_DB.prepare('SELECT id FROM tags WHERE name = ?').bind(name).first();
+    if (existing) {
+      return errorResponse('该标签已存在', 409);
+    }
+
+    const insert = await env.NAV_DB.prepare('INSERT INTO tags (name) VALUES (?)').bind(name).run();
+    const id = insert.meta.last_row_id;
+    await recordAudit(env, user, 'create', 'tag', id, null, { name });
+
+    return jsonResponse({
+      code: 201,
+      message: '标签创建成功',
+      data: { id, name }
+    }, 201);
+  } catch (e) {
+    return errorResponse(`创建标签失败: ${e.message}`, 500);
+  }
+}
@@ -0,0 +1,33 @@
+// functions/api/tokens/[id].js
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse } from '../../_middleware';
+import { getApiTokenMeta, deleteApiToken } from '../../api-tokens';
+
+/**
+ * @summary Revoke an API token (own tokens; owner may revoke any)
+ * @route DELETE /api/tokens/:id
+ */
+export async function onRequestDelete(context) {
+  const { request, env, params } = context;
+  const id = params.id;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+
+  try {
+    const target = await getApiTokenMeta(env, id);
+    if (!target || (target.username !== user.username && !hasRole(user, 'owner'))) {
+      return errorResponse('API token not found', 404);
+    }
+
+    await deleteApiToken(env, id);
+
+    return jsonResponse({
+      code: 200,
+      message: 'API token revoked successfully'
+    });
+  } catch (e) {
+    return errorResponse(`Failed to revoke API token: ${e.message}`, 500);
+  }
+}
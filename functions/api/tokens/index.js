@@ -0,0 +1,79 @@
+// functions/api/tokens/index.js
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse } from '../../_middleware';
+import {
+  API_TOKEN_NAME_MAX_LENGTH,
+  API_TOKEN_MAX_EXPIRES_DAYS,
+  canGrantScope,
+  createApiToken,
+  listApiTokens,
+  toPublicApiToken
+} from '../../api-tokens';
+
+/**
+ * @summary List API tokens of the current user (owner may pass scope=all)
+ * @route GET /api/tokens
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+
+  const url = new URL(request.url);
+  const showAll = url.searchParams.get('scope') === 'all' && hasRole(user, 'owner');
+
+  try {
+    const tokens = await listApiTokens(env, showAll ? null : user.username);
+    return jsonResponse({
+      code: 200,
+      data: tokens.map(toPublicApiToken)
+    });
+  } catch (e) {
+    return errorResponse(`Failed to fetch API tokens: ${e.message}`, 500);
+  }
+}
+
+/**
+ * @summary Create a named API token with scopes and optional expiry
+ * @route POST /api/tokens
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+
+  try {
+    const body = await request.json();
+    const name = (body.name || '').trim();
+    const scopes = Array.isArray(body.scopes) ? [...new Set(body.scopes)] : [];
+    const expiresInDays = body.expires_in_days ? Number(body.expires_in_days) : null;
+
+    if (!name || name.length > API_TOKEN_NAME_MAX_LENGTH) {
+      return errorResponse(`令牌名称不能为空，且不超过 ${API_TOKEN_NAME_MAX_LENGTH} 个字符`, 400);
+    }
+    if (scopes.length === 0) {
+      return errorResponse('请至少选择一个权限范围', 400);
+    }
+    if (!scopes.every(scope => canGrantScope(user, scope))) {
+      return errorResponse('包含无效或超出当前角色的权限范围', 400);
+    }
+    if (expiresInDays !== null && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > API_TOKEN_MAX_EXPIRES_DAYS)) {
+      return errorResponse(`有效期必须为 1 到 ${API_TOKEN_MAX_EXPIRES_DAYS} 天`, 400);
+    }
+
+    const { token, record } = await createApiToken(env, user.username, name, scopes, expiresInDays);
+
+    return jsonResponse({
+      code: 201,
+      message: 'API token created successfully',
+      data: { ...toPublicApiToken(record), token }
+    }, 201);
+  } catch (e) {
+    return errorResponse(`Failed to create API token: ${e.message}`, 500);
+  }
+}
@@ -0,0 +1,111 @@
+// functions/api/trash/index.js
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse } from '../../_middleware';
+import { recordAudit } from '../../audit';
+import { TRASH_TYPES, isTrashType, getTrashRetentionDays, purgeExpiredTrash, purgeFromTrash } from '../../trash';
+
+/**
+ * @summary List bookmarks or categories in the recycle bin
+ * @route GET /api/trash?type=site|category&keyword=&page=&pageSize=
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+  if (!hasRole(user, 'editor')) {
+    return errorResponse('Forbidden', 403);
+  }
+
+  const url = new URL(request.url);
+  const type = url.searchParams.get('type') || 'site';
+  if (!isTrashType(type)) {
+    return errorResponse('Invalid type', 400);
+  }
+  const page = Math.max(1, parseInt(url.searchParams.get('page') || '1', 10) || 1);
+  const pageSize = Math.min(200, Math.max(1, parseInt(url.searchParams.get('pageSize') || '50', 10) || 50));
+  const keyword = (url.searchParams.get('keyword') || '').trim();
+  const offset = (page - 1) * pageSize;
+
+  try {
+    // 顺带清理过期数据，避免回收站无限增长
+    context.waitUntil(purgeExpiredTrash(env).catch(e => console.error('Failed to purge expired trash:', e)));
+
+    let where = 'WHERE deleted_at IS NOT NULL';
+    const params = [];
+    if (keyword) {
+      if (type === 'site') {
+        where += ' AND (name LIKE ? OR url LIKE ? OR catelog_name LIKE ?)';
+        params.push(`%${keyword}%`, `%${keyword}%`, `%${keyword}%`);
+      } else {
+        where += ' AND catelog LIKE ?';
+        params.push(`%${keyword}%`);
+      }
+    }
+
+    const table = TRASH_TYPES[type];
+    const { results } = await env.NAV_DB.prepare(`
+      SELECT * FROM ${table}
+      ${where}
+      ORDER BY deleted_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `).bind(...params, pageSize, offset).all();
+
+    const countResult = await env.NAV_DB.prepare(`
+      SELECT COUNT(*) as total FROM ${table} ${where}
+    `).bind(...params).first();
+
+    return jsonResponse({
+      code: 200,
+      data: results,
+      total: countResult ? countResult.total : 0,
+      page,
+      pageSize,
+      retention_days: await getTrashRetentionDays(env)
+    });
+  } catch (e) {
+    return errorResponse(`Failed to fetch trash: ${e.message}`, 500);
+  }
+}
+
+/**
+ * @summary Empty the recycle bin (permanently delete every trashed row of the given type)
+ * @route DELETE /api/trash?type=site|category
+ */
+export async function onRequestDelete(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+  if (!hasRole(user, 'editor')) {
+    return errorResponse('Forbidden', 403);
+  }
+
+  const url = new URL(request.url);
+  const type = url.searchParams.get('type') || 'site';
+  if (!isTrashType(type)) {
+    return errorResponse('Invalid type', 400);
+  }
+
+  try {
+    const { results } = await env.NAV_DB.prepare(
+      `SELECT id FROM ${TRASH_TYPES[type]} WHERE deleted_at IS NOT NULL`
+    ).all();
+    const purged = await purgeFromTrash(env, type, (results || []).map(r => r.id));
+
+    if (purged.length > 0) {
+      await recordAudit(env, user, 'purge', type, null, purged, null);
+    }
+
+    return jsonResponse({
+      code: 200,
+      message: `已彻底删除 ${purged.length} 条记录`,
+      purged: purged.length
+    });
+  } catch (e) {
+    return errorResponse(`Failed to empty trash: ${e.message}`, 500);
+  }
+}
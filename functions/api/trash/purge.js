@@ -0,0 +1,44 @@
+// functions/api/trash/purge.js
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse } from '../../_middleware';
+import { recordAudit } from '../../audit';
+import { isTrashType, purgeFromTrash } from '../../trash';
+
+/**
+ * @summary Permanently delete selected bookmarks or categories from the recycle bin
+ * @route POST /api/trash/purge  body: { type: 'site' | 'category', ids: number[] }
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+  if (!hasRole(user, 'editor')) {
+    return errorResponse('Forbidden', 403);
+  }
+
+  try {
+    const { type, ids } = await request.json();
+    if (!isTrashType(type)) {
+      return errorResponse('Invalid type', 400);
+    }
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return errorResponse('未提供 ID', 400);
+    }
+
+    const purged = await purgeFromTrash(env, type, ids);
+
+    if (purged.length > 0) {
+      await recordAudit(env, user, 'purge', type, purged.length === 1 ? purged[0].id : null, purged, null);
+    }
+
+    return jsonResponse({
+      code: 200,
+      message: `已彻底删除 ${purged.length} 条记录`,
+      purged: purged.length
+    });
+  } catch (e) {
+    return errorResponse(`Failed to purge trash: ${e.message}`, 500);
+  }
+}
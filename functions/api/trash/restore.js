@@ -0,0 +1,53 @@
+// functions/api/trash/restore.js
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse } from '../../_middleware';
+import { recordAudit } from '../../audit';
+import { isTrashType, restoreFromTrash } from '../../trash';
+
+/**
+ * @summary Restore bookmarks or categories from the recycle bin
+ * @route POST /api/trash/restore  body: { type: 'site' | 'category', ids: number[] }
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+  if (!hasRole(user, 'editor')) {
+    return errorResponse('Forbidden', 403);
+  }
+
+  try {
+    const { type, ids } = await request.json();
+    if (!isTrashType(type)) {
+      return errorResponse('Invalid type', 400);
+    }
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return errorResponse('未提供 ID', 400);
+    }
+
+    const { restored, categories } = await restoreFromTrash(env, type, ids);
+
+    if (restored.length > 0) {
+      await recordAudit(env, user, 'restore', type, restored.length === 1 ? restored[0].id : null, restored, null);
+    }
+    // 书签所在分类被一并恢复时单独记录
+    if (categories.length > 0) {
+      await recordAudit(env, user, 'restore', 'category', categories.length === 1 ? categories[0].id : null, categories, null);
+    }
+
+    let message = `已恢复 ${restored.length} 条记录`;
+    if (categories.length > 0) {
+      message += `，并恢复了 ${categories.length} 个所属分类`;
+    }
+
+    return jsonResponse({
+      code: 200,
+      message,
+      restored: restored.length
+    });
+  } catch (e) {
+    return errorResponse(`Failed to restore from trash: ${e.message}`, 500);
+  }
+}
@@ -1,13 +1,21 @@
 // functions/api/update-description.js
-import { isAdminAuthenticated, errorResponse, jsonResponse } from '../_middleware';
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse } from '../_middleware';
+import { recordAudit } from '../audit';
+import { recordSiteRevision, hasRevisionChanges } from '../revisions';
+import { reindexSites } from '../search';
+import { defaultLogoUrl } from '../icons';
 
 export async function onRequestPost(context) {
   const { request, env } = context;
 
   // 1. 身份验证
-  if (!(await isAdminAuthenticated(request, env))) {
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
     return errorResponse('Unauthorized', 401);
   }
+  if (!hasRole(user, 'editor')) {
+    return errorResponse('Forbidden', 403);
+  }
 
   try {
     const { id, description, url, logo } = await request.json();
@@ -16,18 +24,18 @@ export async function onRequestPost(context) {
     if (!id || typeof description !== 'string') {
       return errorResponse('Bookmark ID and description are required', 400);
     }
-    const iconAPI=env.ICON_API ||'https://faviconsnap.com/api/favicon?url=';
     let sanitizedLogo = (logo || '').trim() || null;
-    if(!logo && url){
-      if(url.startsWith('https://') || url.startsWith('http://')){
-        const domain = url.replace(/^https?:\/\//, '').split('/')[0];
-        sanitizedLogo = iconAPI+domain;
-      }
-      
+    if (!logo && url) {
+      sanitizedLogo = defaultLogoUrl(env, url);
     }
     console.log('Sanitized Logo URL:', sanitizedLogo);
 
     // 3. 更新数据库
+    const before = await env.NAV_DB.prepare('SELECT * FROM sites WHERE id = ?').bind(id).first();
+    // 保存 AI 生成前的描述，可在历史记录中恢复
+    if (before && hasRevisionChanges(before, { ...before, desc: description, logo: sanitizedLogo })) {
+      await recordSiteRevision(env, user, before, 'ai');
+    }
     const result = await env.NAV_DB.prepare(
       'UPDATE sites SET desc = ?, logo = ?, update_time = CURRENT_TIMESTAMP WHERE id = ?'
     ).bind(description, sanitizedLogo, id).run();
@@ -35,6 +43,10 @@ export async function onRequestPost(context) {
     if (result.changes === 0) {
         return errorResponse('Bookmark not found or no changes made', 404);
     }
+    await reindexSites(env, [id]);
+
+    const after = await env.NAV_DB.prepare('SELECT * FROM sites WHERE id = ?').bind(id).first();
+    await recordAudit(env, user, 'update', 'site', id, before, after);
 
     // 4. 返回成功响应
     return jsonResponse({
@@ -0,0 +1,108 @@
+// functions/api/users/[username].js
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse } from '../../_middleware';
+import { listUsers, getUser, saveUser, deleteUser, hashPassword, isValidRole, toPublicUser, MIN_PASSWORD_LENGTH } from '../../auth';
+import { listApiTokens, deleteApiToken } from '../../api-tokens';
+
+// 至少保留一个 owner，避免后台无人可管理账号
+async function isLastOwner(env, username) {
+  const users = await listUsers(env);
+  const owners = users.filter(u => u.role === 'owner');
+  return owners.length === 1 && owners[0].username === username;
+}
+
+export async function onRequestPut(context) {
+  const { request, env, params } = context;
+  const username = params.username;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+  if (!hasRole(user, 'owner')) {
+    return errorResponse('Forbidden', 403);
+  }
+
+  try {
+    const target = await getUser(env, username);
+    if (!target) {
+      return errorResponse('User not found', 404);
+    }
+
+    const body = await request.json();
+    const updated = { ...target };
+
+    if (body.role !== undefined && body.role !== target.role) {
+      if (!isValidRole(body.role)) {
+        return errorResponse('Invalid role', 400);
+      }
+      if (target.role === 'owner' && await isLastOwner(env, username)) {
+        return errorResponse('至少需要保留一个 owner 账号', 400);
+      }
+      updated.role = body.role;
+    }
+
+    if (body.password !== undefined && body.password !== '') {
+      const password = String(body.password).trim();
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        return errorResponse(`密码长度不能少于 ${MIN_PASSWORD_LENGTH} 位`, 400);
+      }
+      updated.password_hash = await hashPassword(password);
+    }
+
+    // owner 可为丢失身份验证器的账号关闭两步验证
+    if (body.disable_totp === true) {
+      delete updated.totp_secret;
+      delete updated.totp_last_step;
+      delete updated.recovery_codes;
+      updated.totp_enabled = false;
+    }
+
+    const saved = await saveUser(env, updated);
+
+    return jsonResponse({
+      code: 200,
+      message: 'User updated successfully',
+      data: toPublicUser(saved)
+    });
+  } catch (e) {
+    return errorResponse(`Failed to update user: ${e.message}`, 500);
+  }
+}
+
+export async function onRequestDelete(context) {
+  const { request, env, params } = context;
+  const username = params.username;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+  if (!hasRole(user, 'owner')) {
+    return errorResponse('Forbidden', 403);
+  }
+
+  try {
+    const target = await getUser(env, username);
+    if (!target) {
+      return errorResponse('User not found', 404);
+    }
+    if (target.username === user.username) {
+      return errorResponse('不能删除当前登录的账号', 400);
+    }
+    if (target.role === 'owner' && await isLastOwner(env, username)) {
+      return errorResponse('至少需要保留一个 owner 账号', 400);
+    }
+
+    await deleteUser(env, username);
+    // 同时吊销该账号创建的 API 令牌，避免以后重建同名账号时旧令牌恢复生效
+    const tokens = await listApiTokens(env, username);
+    await Promise.all(tokens.map(t => deleteApiToken(env, t.id)));
+
+    return jsonResponse({
+      code: 200,
+      message: 'User deleted successfully'
+    });
+  } catch (e) {
+    return errorResponse(`Failed to delete user: ${e.message}`, 500);
+  }
+}
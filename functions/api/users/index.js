@@ -0,0 +1,71 @@
+// functions/api/users/index.js
+import { isAdminAuthenticated, hasRole, errorResponse, jsonResponse } from '../../_middleware';
+import { listUsers, getUser, saveUser, hashPassword, isValidUsername, isValidRole, toPublicUser, MIN_PASSWORD_LENGTH } from '../../auth';
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+  if (!hasRole(user, 'owner')) {
+    return errorResponse('Forbidden', 403);
+  }
+
+  try {
+    const users = await listUsers(env);
+    return jsonResponse({
+      code: 200,
+      data: users.map(toPublicUser)
+    });
+  } catch (e) {
+    return errorResponse(`Failed to fetch users: ${e.message}`, 500);
+  }
+}
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+  if (!hasRole(user, 'owner')) {
+    return errorResponse('Forbidden', 403);
+  }
+
+  try {
+    const body = await request.json();
+    const username = (body.username || '').trim();
+    const password = (body.password || '').trim();
+    const role = body.role || 'editor';
+
+    if (!isValidUsername(username)) {
+      return errorResponse('用户名只能包含字母、数字以及 _ . @ -，长度不超过 64', 400);
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return errorResponse(`密码长度不能少于 ${MIN_PASSWORD_LENGTH} 位`, 400);
+    }
+    if (!isValidRole(role)) {
+      return errorResponse('Invalid role', 400);
+    }
+    if (await getUser(env, username)) {
+      return errorResponse('用户名已存在', 409);
+    }
+
+    const created = await saveUser(env, {
+      username,
+      role,
+      password_hash: await hashPassword(password)
+    });
+
+    return jsonResponse({
+      code: 201,
+      message: 'User created successfully',
+      data: toPublicUser(created)
+    }, 201);
+  } catch (e) {
+    return errorResponse(`Failed to create user: ${e.message}`, 500);
+  }
+}
@@ -0,0 +1,61 @@
+// functions/api/users/me.js
+import { isAdminAuthenticated, errorResponse, jsonResponse } from '../../_middleware';
+import { getUser, saveUser, hashPassword, verifyPassword, toPublicUser, MIN_PASSWORD_LENGTH } from '../../auth';
+
+/**
+ * @summary Get the currently logged-in admin user
+ * @route GET /api/users/me
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+
+  return jsonResponse({
+    code: 200,
+    data: user
+  });
+}
+
+/**
+ * @summary Change the password of the currently logged-in user
+ * @route PUT /api/users/me
+ */
+export async function onRequestPut(context) {
+  const { request, env } = context;
+
+  const user = await isAdminAuthenticated(request, env);
+  if (!user) {
+    return errorResponse('Unauthorized', 401);
+  }
+
+  try {
+    const body = await request.json();
+    const currentPassword = (body.current_password || '').trim();
+    const newPassword = (body.new_password || '').trim();
+
+    const record = await getUser(env, user.username);
+    if (!record || !(await verifyPassword(currentPassword, record.password_hash))) {
+      return errorResponse('当前密码错误', 400);
+    }
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return errorResponse(`密码长度不能少于 ${MIN_PASSWORD_LENGTH} 位`, 400);
+    }
+
+    const saved = await saveUser(env, {
+      ...record,
+      password_hash: await hashPassword(newPassword)
+    });
+
+    return jsonResponse({
+      code: 200,
+      message: 'Password updated successfully',
+      data: toPublicUser(saved)
+    });
+  } catch (e) {
+    return errorResponse(`Failed to update password: ${e.message}`, 500);
+  }
+}
@@ -0,0 +1,75 @@
+// functions/audit.js
+// 后台操作审计日志：记录谁在什么时候对哪条数据做了什么修改（不导出路由处理函数）
+
+// 设置项中不能明文写入日志的字段
+const SENSITIVE_SETTING_KEYS = ['apiKey'];
+
+export const AUDIT_ACTIONS = [
+  'create',
+  'update',
+  'delete',
+  'batch_delete',
+  'batch_move',
+  'batch_privacy',
+  'batch_undo',
+  'approve',
+  'reject',
+  'import',
+  'restore',
+  'purge',
+  'revert',
+  'merge'
+];
+
+export const AUDIT_ENTITY_TYPES = ['site', 'category', 'tag', 'pending', 'settings'];
+
+function toJson(value) {
+  if (value === undefined || value === null) return null;
+  return JSON.stringify(value);
+}
+
+/**
+ * 写入一条审计日志
+ * user 为 isAdminAuthenticated 返回的用户，通过 API 令牌操作时会同时记录令牌 ID
+ * 日志写入失败只打印错误，不影响业务操作本身
+ */
+export async function recordAudit(env, user, action, entityType, entityId, before = null, after = null) {
+  try {
+    await env.NAV_DB.prepare(`
+      INSERT INTO audit_log (actor, actor_token, action, entity_type, entity_id, before_json, after_json)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      user ? user.username : 'unknown',
+      user && user.token_id ? user.token_id : null,
+      action,
+      entityType,
+      entityId === undefined || entityId === null ? null : String(entityId),
+      toJson(before),
+      toJson(after)
+    ).run();
+  } catch (e) {
+    console.error('Failed to write audit log:', e);
+  }
+}
+
+// 按 ID 列表分块读取书签，用于记录批量操作前的完整数据
+export async function fetchSitesByIds(env, ids, chunkSize = 50) {
+  const rows = [];
+  for (let i = 0; i < ids.length; i += chunkSize) {
+    const chunk = ids.slice(i, i + chunkSize);
+    const placeholders = chunk.map(() => '?').join(',');
+    const { results } = await env.NAV_DB.prepare(`SELECT * FROM sites WHERE id IN (${placeholders})`).bind(...chunk).all();
+    rows.push(...(results || []));
+  }
+  return rows;
+}
+
+export function maskSettings(settings) {
+  const masked = { ...settings };
+  SENSITIVE_SETTING_KEYS.forEach(key => {
+    if (masked[key] !== undefined && masked[key] !== null) {
+      masked[key] = masked[key] ? '******' : '';
+    }
+  });
+  return masked;
+}
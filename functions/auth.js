@@ -0,0 +1,415 @@
+// functions/auth.js
+// 管理员账号、密码哈希与会话相关的公共逻辑（不导出路由处理函数）
+import { verifyTotp, consumeRecoveryCode } from './totp';
+
+// 角色按权限从低到高排列：reviewer 只能审核，editor 可编辑书签/分类，owner 拥有全部权限
+export const ROLES = ['reviewer', 'editor', 'owner'];
+
+// Workers 运行时的 PBKDF2 迭代次数上限为 100000
+const PBKDF2_ITERATIONS = 100000;
+const PBKDF2_KEY_LENGTH = 256;
+// 用户不存在时用于校验的固定哈希（全零的盐与哈希），使响应时间与用户存在时一致，避免借此探测用户名
+const DUMMY_PASSWORD_HASH = `pbkdf2$${PBKDF2_ITERATIONS}$${'A'.repeat(22)}==$${'A'.repeat(43)}=`;
+const SALT_BYTES = 16;
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+const USER_KEY_PREFIX = 'user_';
+const SESSION_KEY_PREFIX = 'session_';
+const LOGIN_CHALLENGE_PREFIX = 'login_challenge_';
+
+// 密码验证通过后，输入两步验证码的有效时间与最多尝试次数
+const LOGIN_CHALLENGE_TTL = 300;
+const LOGIN_CHALLENGE_MAX_ATTEMPTS = 5;
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(value) {
+  const binary = atob(value);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// 定长比较，避免通过响应时间推测哈希内容
+export function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+async function derivePasswordHash(password, salt, iterations) {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    keyMaterial,
+    PBKDF2_KEY_LENGTH
+  );
+  return bytesToBase64(new Uint8Array(bits));
+}
+
+/**
+ * 生成加盐的 PBKDF2 密码哈希
+ * 格式: pbkdf2$<iterations>$<salt base64>$<hash base64>
+ */
+export async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const hash = await derivePasswordHash(password, salt, PBKDF2_ITERATIONS);
+  return `pbkdf2$${PBKDF2_ITERATIONS}$${bytesToBase64(salt)}$${hash}`;
+}
+
+export async function verifyPassword(password, stored) {
+  if (!password || !stored) return false;
+  const parts = String(stored).split('$');
+  if (parts.length !== 4 || parts[0] !== 'pbkdf2') return false;
+
+  const iterations = parseInt(parts[1], 10);
+  if (!Number.isFinite(iterations) || iterations <= 0) return false;
+
+  const hash = await derivePasswordHash(password, base64ToBytes(parts[2]), iterations);
+  return timingSafeEqual(hash, parts[3]);
+}
+
+export function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+// 判断用户角色是否满足所需的最低角色
+export function hasRole(user, requiredRole) {
+  if (!user || !isValidRole(user.role)) return false;
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(requiredRole);
+}
+
+export function isValidUsername(username) {
+  return typeof username === 'string' && /^[\w.@-]{1,64}$/.test(username);
+}
+
+// 返回给前端的用户信息，不包含密码哈希等敏感字段
+export function toPublicUser(user) {
+  if (!user) return null;
+  return {
+    username: user.username,
+    role: user.role,
+    totp_enabled: Boolean(user.totp_enabled),
+    created_at: user.created_at || null,
+    updated_at: user.updated_at || null
+  };
+}
+
+export async function getUser(env, username) {
+  if (!isValidUsername(username)) return null;
+  const raw = await env.NAV_AUTH.get(`${USER_KEY_PREFIX}${username}`);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    console.error('Invalid user record:', username, e);
+    return null;
+  }
+}
+
+export async function saveUser(env, user) {
+  const now = new Date().toISOString();
+  const record = {
+    ...user,
+    created_at: user.created_at || now,
+    updated_at: now
+  };
+  await env.NAV_AUTH.put(`${USER_KEY_PREFIX}${record.username}`, JSON.stringify(record));
+  return record;
+}
+
+export async function deleteUser(env, username) {
+  await env.NAV_AUTH.delete(`${USER_KEY_PREFIX}${username}`);
+}
+
+export async function listUsers(env) {
+  const users = [];
+  let cursor;
+  do {
+    const page = await env.NAV_AUTH.list({ prefix: USER_KEY_PREFIX, cursor });
+    const records = await Promise.all(
+      page.keys.map(k => getUser(env, k.name.slice(USER_KEY_PREFIX.length)))
+    );
+    records.forEach(user => { if (user) users.push(user); });
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+
+  users.sort((a, b) => String(a.username).localeCompare(String(b.username)));
+  return users;
+}
+
+/**
+ * 校验用户名和密码，成功返回用户记录，失败返回 null
+ * 兼容旧版本：KV 中仅有明文 admin_username / admin_password 时，
+ * 首次登录成功后自动迁移为哈希存储的 owner 账号，并删除明文密码
+ */
+export async function authenticateUser(env, username, password) {
+  const user = await getUser(env, username);
+  if (user) {
+    return (await verifyPassword(password, user.password_hash)) ? user : null;
+  }
+  await verifyPassword(password, DUMMY_PASSWORD_HASH);
+
+  const legacyUsername = await env.NAV_AUTH.get('admin_username');
+  const legacyPassword = await env.NAV_AUTH.get('admin_password');
+  if (!legacyUsername || !legacyPassword) return null;
+  if (!timingSafeEqual(username, legacyUsername) || !timingSafeEqual(password, legacyPassword)) {
+    return null;
+  }
+
+  const migrated = await saveUser(env, {
+    username: legacyUsername,
+    role: 'owner',
+    password_hash: await hashPassword(legacyPassword)
+  });
+  await env.NAV_AUTH.delete('admin_password');
+  console.log('Migrated legacy admin credentials to hashed owner account:', legacyUsername);
+  return migrated;
+}
+
+// 是否已经配置了任何可登录的账号（新账号或旧版明文账号）
+export async function hasAnyCredentials(env) {
+  const page = await env.NAV_AUTH.list({ prefix: USER_KEY_PREFIX, limit: 1 });
+  if (page.keys.length > 0) return true;
+  const legacyUsername = await env.NAV_AUTH.get('admin_username');
+  const legacyPassword = await env.NAV_AUTH.get('admin_password');
+  return Boolean(legacyUsername && legacyPassword);
+}
+
+/**
+ * 校验两步验证码：优先按 TOTP 校验，其次尝试一次性恢复码
+ * 成功时更新用户记录（记录已用时间步 / 移除已用恢复码）并返回使用的方式，失败返回 null
+ */
+export async function verifySecondFactor(env, user, code) {
+  if (!user || !user.totp_enabled) return null;
+
+  const step = await verifyTotp(user.totp_secret, code, user.totp_last_step ?? -1);
+  if (step !== null) {
+    await saveUser(env, { ...user, totp_last_step: step });
+    return 'totp';
+  }
+
+  const remaining = await consumeRecoveryCode(user.recovery_codes, code);
+  if (remaining) {
+    await saveUser(env, { ...user, recovery_codes: remaining });
+    return 'recovery_code';
+  }
+
+  return null;
+}
+
+// 密码正确但需要两步验证时，先发放一个短期的登录挑战令牌
+export async function createLoginChallenge(env, username, sessionTtl) {
+  const token = crypto.randomUUID();
+  const challenge = { username, session_ttl: sessionTtl, attempts: 0 };
+  await env.NAV_AUTH.put(`${LOGIN_CHALLENGE_PREFIX}${token}`, JSON.stringify(challenge), { expirationTtl: LOGIN_CHALLENGE_TTL });
+  return token;
+}
+
+export async function getLoginChallenge(env, token) {
+  if (!token) return null;
+  const raw = await env.NAV_AUTH.get(`${LOGIN_CHALLENGE_PREFIX}${token}`);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return null;
+  }
+}
+
+// 记录一次失败尝试，超过次数后作废挑战令牌，返回挑战是否仍然有效
+export async function recordLoginChallengeFailure(env, token, challenge) {
+  const attempts = (challenge.attempts || 0) + 1;
+  if (attempts >= LOGIN_CHALLENGE_MAX_ATTEMPTS) {
+    await deleteLoginChallenge(env, token);
+    return false;
+  }
+  await env.NAV_AUTH.put(
+    `${LOGIN_CHALLENGE_PREFIX}${token}`,
+    JSON.stringify({ ...challenge, attempts }),
+    { expirationTtl: LOGIN_CHALLENGE_TTL }
+  );
+  return true;
+}
+
+export async function deleteLoginChallenge(env, token) {
+  await env.NAV_AUTH.delete(`${LOGIN_CHALLENGE_PREFIX}${token}`);
+}
+
+export function getSessionToken(request) {
+  const cookie = request.headers.get('Cookie');
+  if (!cookie) return null;
+  const match = cookie.match(/admin_session=([^;]+)/);
+  return match ? match[1] : null;
+}
+
+// 会话元数据（last_seen 等）最多每 5 分钟刷新一次，避免每个请求都写 KV
+const SESSION_TOUCH_INTERVAL = 5 * 60 * 1000;
+const SESSION_UA_MAX_LENGTH = 200;
+
+export function getClientIp(request) {
+  return request.headers.get('CF-Connecting-IP')
+    || (request.headers.get('X-Forwarded-For') || '').split(',')[0].trim()
+    || 'unknown';
+}
+
+// 会话内容同时写入 value 与 metadata，列表页可直接通过 KV list 读取
+async function writeSession(env, token, session) {
+  await env.NAV_AUTH.put(`${SESSION_KEY_PREFIX}${token}`, JSON.stringify(session), {
+    expiration: Math.floor(session.expires_at / 1000),
+    metadata: session
+  });
+}
+
+function generateCsrfToken() {
+  return Array.from(crypto.getRandomValues(new Uint8Array(32)))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+export async function readSession(env, token) {
+  if (!token) return null;
+  const raw = await env.NAV_AUTH.get(`${SESSION_KEY_PREFIX}${token}`);
+  if (!raw) return null;
+  try {
+    const session = JSON.parse(raw);
+    return session && typeof session === 'object' ? session : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 创建会话并记录元数据：会话 ID（用于展示与吊销，不同于 Cookie 中的令牌）、
+ * 用户代理、IP、创建/最后活动时间与所选有效期
+ */
+export async function createSession(env, username, ttl = 86400, request = null) {
+  const token = crypto.randomUUID();
+  const now = Date.now();
+  const ip = request ? getClientIp(request) : '';
+  const session = {
+    id: crypto.randomUUID(),
+    username,
+    created_at: now,
+    last_seen_at: now,
+    expires_at: now + ttl * 1000,
+    ttl,
+    ip,
+    last_ip: ip,
+    user_agent: request ? (request.headers.get('User-Agent') || '').slice(0, SESSION_UA_MAX_LENGTH) : '',
+    csrf_token: generateCsrfToken()
+  };
+  await writeSession(env, token, session);
+  return token;
+}
+
+export async function destroySession(env, token) {
+  await env.NAV_AUTH.delete(`${SESSION_KEY_PREFIX}${token}`);
+}
+
+/**
+ * 列出会话，传入 username 时只返回该用户的会话
+ * 返回的记录中 key 仅供服务端吊销使用，不能返回给前端
+ */
+export async function listSessions(env, username = null) {
+  const sessions = [];
+  let cursor;
+  do {
+    const page = await env.NAV_AUTH.list({ prefix: SESSION_KEY_PREFIX, cursor });
+    for (const k of page.keys) {
+      let session = k.metadata;
+      if (!session) {
+        // 没有 metadata 的会话（由旧版本创建）需要单独读取
+        const raw = await env.NAV_AUTH.get(k.name);
+        try { session = raw ? JSON.parse(raw) : null; } catch (e) { session = null; }
+      }
+      if (!session || typeof session !== 'object' || !session.username) continue;
+      if (username && session.username !== username) continue;
+      sessions.push({ ...session, key: k.name });
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+
+  sessions.sort((a, b) => (b.last_seen_at || 0) - (a.last_seen_at || 0));
+  return sessions;
+}
+
+export function toPublicSession(session, currentSessionId = null) {
+  return {
+    id: session.id || null,
+    username: session.username,
+    created_at: session.created_at || null,
+    last_seen_at: session.last_seen_at || null,
+    expires_at: session.expires_at || null,
+    ttl: session.ttl || null,
+    ip: session.ip || '',
+    last_ip: session.last_ip || session.ip || '',
+    user_agent: session.user_agent || '',
+    current: Boolean(currentSessionId && session.id === currentSessionId)
+  };
+}
+
+/**
+ * 将会话令牌解析为当前用户，返回 { username, role, session_id } 或 null
+ * 角色每次都从用户记录读取，因此修改角色或删除用户会立即生效
+ * 传入 request 时会按间隔刷新会话的最后活动时间与 IP
+ */
+export async function resolveSessionUser(env, token, request = null) {
+  const session = await readSession(env, token);
+  // 旧版本会话只保存了时间戳，无法对应到具体用户，需要重新登录
+  if (!session || !session.username) return null;
+
+  const user = await getUser(env, session.username);
+  if (!user || !isValidRole(user.role)) return null;
+
+  const now = Date.now();
+  if (request && session.id && session.expires_at > now && now - (session.last_seen_at || 0) > SESSION_TOUCH_INTERVAL) {
+    try {
+      await writeSession(env, token, { ...session, last_seen_at: now, last_ip: getClientIp(request) });
+    } catch (e) {
+      console.error('Failed to touch session:', e);
+    }
+  }
+
+  return { username: user.username, role: user.role, session_id: session.id || null };
+}
+
+/**
+ * 获取会话绑定的 CSRF 令牌，早期创建的会话没有令牌时自动补发
+ */
+export async function ensureSessionCsrfToken(env, token) {
+  const session = await readSession(env, token);
+  if (!session || !session.username) return null;
+  if (session.csrf_token) return session.csrf_token;
+
+  const csrfToken = generateCsrfToken();
+  // 早期会话可能没有 expires_at，只能按 24 小时补写
+  const expiresAt = session.expires_at || Date.now() + 86400 * 1000;
+  await writeSession(env, token, { ...session, expires_at: expiresAt, csrf_token: csrfToken });
+  return csrfToken;
+}
+
+export function buildSessionCookie(token, options = {}) {
+  const maxAge = options.maxAge !== undefined ? options.maxAge : 86400;
+  return `admin_session=${token}; Max-Age=${maxAge}; Path=/; HttpOnly; Secure; SameSite=Lax`;
+}
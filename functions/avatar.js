@@ -0,0 +1,86 @@
+// functions/avatar.js
+// 首字母头像：书签没有图标或图标加载失败时，根据名称生成带背景色的 SVG 头像，背景色由域名决定（不导出路由处理函数）
+
+export const AVATAR_SIZE = 64;
+
+// 白色文字在这些背景色上都有足够的对比度
+const AVATAR_COLORS = [
+  '#ef4444', '#f97316', '#d97706', '#65a30d', '#16a34a', '#0d9488',
+  '#0891b2', '#2563eb', '#4f46e5', '#7c3aed', '#c026d3', '#db2777'
+];
+const CJK_RE = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uac00-\ud7af]/;
+const HEX_COLOR_RE = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * 头像上显示的文字：中日韩文字取第一个字；
+ * 其他文字取前两个单词的首字母（如 Visual Studio → VS），只有一个单词时取首字母，统一转为大写
+ */
+export function avatarInitials(text) {
+  const name = String(text || '').normalize('NFKC').trim();
+  const chars = Array.from(name.replace(/^[\s\p{P}\p{S}]+/u, ''));
+  if (chars.length === 0) return '站';
+  if (CJK_RE.test(chars[0])) return chars[0];
+
+  const words = name.split(/[\s\p{P}\p{S}]+/u).filter(word => /^[\p{L}\p{N}]/u.test(word));
+  const initials = words.length > 1 && !CJK_RE.test(words[1])
+    ? Array.from(words[0])[0] + Array.from(words[1])[0]
+    : chars[0];
+  return initials.toUpperCase();
+}
+
+// 从地址中取出域名（去掉 www.），不是地址时原样返回小写文本
+export function avatarDomain(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return '';
+  try {
+    return new URL(/^[a-z][a-z0-9+.-]*:\/\//.test(text) ? text : `http://${text}`).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return text;
+  }
+}
+
+// 同一域名始终得到相同的颜色（FNV-1a 哈希）
+export function avatarColor(seed) {
+  let hash = 0x811c9dc5;
+  for (const char of String(seed || '')) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return AVATAR_COLORS[hash % AVATAR_COLORS.length];
+}
+
+// 校验 color 参数，支持带或不带 # 的 3 位与 6 位十六进制颜色
+export function normalizeAvatarColor(value) {
+  const match = String(value || '').trim().match(HEX_COLOR_RE);
+  return match ? `#${match[1].toLowerCase()}` : '';
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 生成头像 SVG。options.color 优先；未指定时按 options.domain 计算颜色，没有域名时按文字计算
+ */
+export function renderAvatarSvg(text, options = {}) {
+  const initials = avatarInitials(text);
+  const color = normalizeAvatarColor(options.color) || avatarColor(avatarDomain(options.domain) || initials);
+  const fontSize = Array.from(initials).length > 1 ? 26 : 32;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${AVATAR_SIZE}" height="${AVATAR_SIZE}" viewBox="0 0 ${AVATAR_SIZE} ${AVATAR_SIZE}">`
+    + `<rect width="${AVATAR_SIZE}" height="${AVATAR_SIZE}" rx="12" fill="${color}"/>`
+    + `<text x="50%" y="50%" dy="0.35em" text-anchor="middle" fill="#ffffff" font-size="${fontSize}" font-weight="600" `
+    + `font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', 'PingFang SC', 'Hiragino Sans GB', 'Microsoft YaHei', 'Noto Sans CJK SC', sans-serif">`
+    + `${escapeXml(initials)}</text></svg>`;
+}
+
+// 书签的头像地址，首页渲染卡片时作为默认图标与图标加载失败时的替代（与 public/js/main.js 中的 avatarUrl 保持一致）
+export function avatarUrl(name, url) {
+  const params = new URLSearchParams({ text: String(name || '').trim() });
+  const domain = avatarDomain(url);
+  if (domain) params.set('domain', domain);
+  return `/api/avatar?${params.toString()}`;
+}
@@ -0,0 +1,69 @@
+// functions/batch-undo.js
+// 批量操作撤销：保存操作前的书签状态快照，在有效期内可一键撤销（不导出路由处理函数）
+
+// 快照有效期（秒），超过后不能撤销并会被自动清理
+export const BATCH_UNDO_WINDOW_SECONDS = 10 * 60;
+
+// 批量操作可能修改的字段，撤销时按快照逐条写回
+const SNAPSHOT_FIELDS = ['catelog_id', 'catelog_name', 'is_private', 'deleted_at'];
+
+function bytesToHex(bytes) {
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 保存批量操作前的快照，返回操作 ID
+ * rows 为操作前的 sites 整行，只保留批量操作会修改的字段
+ */
+export async function saveBatchOperation(env, user, action, rows) {
+  const id = bytesToHex(crypto.getRandomValues(new Uint8Array(8)));
+  const snapshot = rows.map(row => {
+    const item = { id: row.id };
+    SNAPSHOT_FIELDS.forEach(field => {
+      item[field] = row[field] ?? null;
+    });
+    return item;
+  });
+
+  await env.NAV_DB.prepare(
+    'INSERT INTO batch_operations (id, actor, action, snapshot_json) VALUES (?, ?, ?, ?)'
+  ).bind(id, user ? user.username : 'unknown', action, JSON.stringify(snapshot)).run();
+  return id;
+}
+
+// 读取仍在有效期内且未撤销的操作
+export async function getUndoableBatchOperation(env, id) {
+  const row = await env.NAV_DB.prepare(`
+    SELECT * FROM batch_operations
+    WHERE id = ? AND undone_at IS NULL AND created_at >= datetime('now', '-${BATCH_UNDO_WINDOW_SECONDS} seconds')
+  `).bind(id).first();
+  if (!row) return null;
+  try {
+    return { ...row, snapshot: JSON.parse(row.snapshot_json) };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 按快照写回书签状态并标记操作已撤销，返回恢复的书签数量
+ * 已被彻底删除的书签会被跳过
+ */
+export async function undoBatchOperation(env, operation) {
+  const statements = operation.snapshot.map(item => env.NAV_DB.prepare(`
+    UPDATE sites SET catelog_id = ?, catelog_name = ?, is_private = ?, deleted_at = ?, update_time = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).bind(item.catelog_id, item.catelog_name, item.is_private, item.deleted_at, item.id));
+  statements.push(
+    env.NAV_DB.prepare('UPDATE batch_operations SET undone_at = CURRENT_TIMESTAMP WHERE id = ?').bind(operation.id)
+  );
+
+  const results = await env.NAV_DB.batch(statements);
+  return results.slice(0, -1).reduce((sum, r) => sum + ((r.meta && r.meta.changes) || 0), 0);
+}
+
+export async function purgeExpiredBatchOperations(env) {
+  await env.NAV_DB.prepare(
+    `DELETE FROM batch_operations WHERE created_at < datetime('now', '-${BATCH_UNDO_WINDOW_SECONDS} seconds')`
+  ).run();
+}
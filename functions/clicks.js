@@ -0,0 +1,129 @@
+// functions/clicks.js
+// 书签点击统计：首页通过 /api/click 上报，按书签与日期（UTC）聚合计数并过滤爬虫（不导出路由处理函数）
+
+// 热度排序与“常用书签”按最近 N 天的点击数计算
+export const POPULAR_WINDOW_DAYS = 30;
+// 后台书签列表中趋势图的天数
+export const TREND_DAYS = 14;
+// 点击记录保留天数，更早的数据会被清理
+export const CLICK_RETENTION_DAYS = 365;
+
+// D1 单条语句变量数上限为 100，按 50 分块
+const CHUNK_SIZE = 50;
+
+const BOT_UA_RE = /bot|crawl|spider|slurp|scrap|headless|phantom|puppeteer|playwright|selenium|lighthouse|preview|monitor|uptime|curl|wget|python|java\/|go-http|okhttp|axios|node-fetch|httpclient|facebookexternalhit/i;
+
+function chunk(items) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += CHUNK_SIZE) {
+    chunks.push(items.slice(i, i + CHUNK_SIZE));
+  }
+  return chunks;
+}
+
+// N 天前的 UTC 日期，格式 YYYY-MM-DD
+export function dayKey(daysAgo = 0) {
+  return new Date(Date.now() - daysAgo * 86400000).toISOString().slice(0, 10);
+}
+
+/**
+ * 是否为爬虫或自动化请求：没有 UA、UA 命中常见爬虫 / 脚本特征、Cloudflare 标记的已验证爬虫，
+ * 以及浏览器的预取 / 预渲染请求都不计入点击
+ */
+export function isBotRequest(request) {
+  const ua = request.headers.get('User-Agent') || '';
+  if (!ua || BOT_UA_RE.test(ua)) return true;
+
+  const botManagement = request.cf && request.cf.botManagement;
+  if (botManagement && botManagement.verifiedBot) return true;
+
+  const purpose = request.headers.get('Sec-Purpose') || request.headers.get('Purpose') || '';
+  return /prefetch|prerender/i.test(purpose);
+}
+
+// 当天的点击数加一，书签不存在或已在回收站时不记录；includePrivate 为 false 时（访客）也不记录私密书签。返回是否记录成功
+export async function recordClick(env, siteId, { includePrivate = false } = {}) {
+  const result = await env.NAV_DB.prepare(`
+    INSERT INTO site_clicks (site_id, day, count)
+    SELECT id, ?, 1 FROM sites WHERE id = ? AND deleted_at IS NULL AND (is_private = 0 OR ? = 1)
+    ON CONFLICT(site_id, day) DO UPDATE SET count = count + 1
+  `).bind(dayKey(), siteId, includePrivate ? 1 : 0).run();
+  return !!(result.meta && result.meta.changes > 0);
+}
+
+// 最近 days 天内各书签的点击数，返回 Map<site_id, number>
+export async function fetchClickCounts(env, days = POPULAR_WINDOW_DAYS) {
+  const { results } = await env.NAV_DB.prepare(
+    'SELECT site_id, SUM(count) AS clicks FROM site_clicks WHERE day >= ? GROUP BY site_id'
+  ).bind(dayKey(days - 1)).all();
+
+  const map = new Map();
+  (results || []).forEach(row => map.set(row.site_id, row.clicks));
+  return map;
+}
+
+/**
+ * 为书签列表附加点击统计（后台列表使用）：
+ * clicks 为最近 30 天点击数，clicks_total 为保留期内的总数，click_trend 为最近 14 天每天的点击数（从旧到新）
+ */
+export async function attachClickStats(env, sites) {
+  if (sites.length === 0) return sites;
+  const since = dayKey(POPULAR_WINDOW_DAYS - 1);
+  const trendSince = dayKey(TREND_DAYS - 1);
+  const trendDays = Array.from({ length: TREND_DAYS }, (_, i) => dayKey(TREND_DAYS - 1 - i));
+
+  const totals = new Map();
+  const trends = new Map();
+  for (const part of chunk(sites.map(s => s.id))) {
+    const placeholders = part.map(() => '?').join(',');
+    const [totalResult, trendResult] = await env.NAV_DB.batch([
+      env.NAV_DB.prepare(`
+        SELECT site_id, SUM(count) AS total, SUM(CASE WHEN day >= ? THEN count ELSE 0 END) AS recent
+        FROM site_clicks WHERE site_id IN (${placeholders}) GROUP BY site_id
+      `).bind(since, ...part),
+      env.NAV_DB.prepare(`
+        SELECT site_id, day, count FROM site_clicks WHERE site_id IN (${placeholders}) AND day >= ?
+      `).bind(...part, trendSince)
+    ]);
+    (totalResult.results || []).forEach(row => totals.set(row.site_id, row));
+    (trendResult.results || []).forEach(row => {
+      if (!trends.has(row.site_id)) trends.set(row.site_id, new Map());
+      trends.get(row.site_id).set(row.day, row.count);
+    });
+  }
+
+  sites.forEach(site => {
+    const total = totals.get(site.id);
+    const trend = trends.get(site.id) || new Map();
+    site.clicks = total ? total.recent : 0;
+    site.clicks_total = total ? total.total : 0;
+    site.click_trend = trendDays.map(day => trend.get(day) || 0);
+  });
+  return sites;
+}
+
+// 合并重复书签时把被合并书签的点击数累加到保留的书签上，避免热度统计重复计算
+export async function mergeClicks(env, targetId, sourceIds) {
+  if (sourceIds.length === 0) return;
+  const placeholders = sourceIds.map(() => '?').join(',');
+  await env.NAV_DB.batch([
+    env.NAV_DB.prepare(`
+      INSERT INTO site_clicks (site_id, day, count)
+      SELECT ?, day, SUM(count) FROM site_clicks WHERE site_id IN (${placeholders}) GROUP BY day
+      ON CONFLICT(site_id, day) DO UPDATE SET count = count + excluded.count
+    `).bind(targetId, ...sourceIds),
+    env.NAV_DB.prepare(`DELETE FROM site_clicks WHERE site_id IN (${placeholders})`).bind(...sourceIds)
+  ]);
+}
+
+// 删除超过保留期的点击记录
+export async function purgeExpiredClicks(env) {
+  await env.NAV_DB.prepare('DELETE FROM site_clicks WHERE day < ?').bind(dayKey(CLICK_RETENTION_DAYS)).run();
+}
+
+// 删除已不存在的书签的点击记录，在彻底删除书签后调用
+export async function purgeOrphanClicks(env) {
+  await env.NAV_DB.prepare(
+    'DELETE FROM site_clicks WHERE NOT EXISTS (SELECT 1 FROM sites WHERE sites.id = site_clicks.site_id)'
+  ).run();
+}
@@ -1,6 +1,6 @@
 
 // 数据库 Schema 版本 - 修改此值会触发迁移
-export const SCHEMA_VERSION = 'v2';
+export const SCHEMA_VERSION = 'v12';
 
 // 数据库表结构定义
 export const DB_SCHEMA = `
@@ -15,7 +15,8 @@ CREATE TABLE IF NOT EXISTS sites (
   sort_order INTEGER NOT NULL DEFAULT 9999,
   is_private INTEGER DEFAULT 0,
   create_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  update_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  update_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  deleted_at TIMESTAMP
 );
 
 CREATE TABLE IF NOT EXISTS pending_sites (
@@ -36,7 +37,8 @@ CREATE TABLE IF NOT EXISTS category (
   parent_id INTEGER DEFAULT 0,
   is_private INTEGER DEFAULT 0,
   create_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  update_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  update_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  deleted_at TIMESTAMP
 );
 
 CREATE TABLE IF NOT EXISTS settings (
@@ -44,10 +46,126 @@ CREATE TABLE IF NOT EXISTS settings (
   value TEXT
 );
 
+CREATE TABLE IF NOT EXISTS login_failures (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  ip TEXT,
+  username TEXT,
+  reason TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  actor TEXT NOT NULL,
+  actor_token TEXT,
+  action TEXT NOT NULL,
+  entity_type TEXT NOT NULL,
+  entity_id TEXT,
+  before_json TEXT,
+  after_json TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS site_revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  site_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  url TEXT NOT NULL,
+  logo TEXT,
+  desc TEXT,
+  catelog_id INTEGER NOT NULL,
+  catelog_name TEXT,
+  sort_order INTEGER NOT NULL DEFAULT 9999,
+  is_private INTEGER DEFAULT 0,
+  source TEXT NOT NULL,
+  actor TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS batch_operations (
+  id TEXT PRIMARY KEY,
+  actor TEXT NOT NULL,
+  action TEXT NOT NULL,
+  snapshot_json TEXT NOT NULL,
+  undone_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS tags (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  create_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS site_tags (
+  site_id INTEGER NOT NULL,
+  tag_id INTEGER NOT NULL,
+  PRIMARY KEY (site_id, tag_id)
+);
+
+CREATE TABLE IF NOT EXISTS site_clicks (
+  site_id INTEGER NOT NULL,
+  day TEXT NOT NULL,
+  count INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (site_id, day)
+);
+
+CREATE TABLE IF NOT EXISTS site_link_checks (
+  site_id INTEGER PRIMARY KEY,
+  status TEXT NOT NULL,
+  status_code INTEGER,
+  final_url TEXT,
+  latency_ms INTEGER,
+  error TEXT,
+  checked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS site_icons (
+  domain TEXT PRIMARY KEY,
+  status TEXT NOT NULL,
+  content_type TEXT,
+  size INTEGER,
+  source TEXT,
+  etag TEXT,
+  fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS sites_fts USING fts5(
+  name, url, desc, catelog_name, tags, initials,
+  tokenize = 'unicode61 remove_diacritics 2'
+);
+
 CREATE INDEX IF NOT EXISTS idx_sites_catelog_id ON sites(catelog_id);
 CREATE INDEX IF NOT EXISTS idx_sites_sort_order ON sites(sort_order);
+CREATE INDEX IF NOT EXISTS idx_login_failures_created_at ON login_failures(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_site_revisions_site_id ON site_revisions(site_id, id);
+CREATE INDEX IF NOT EXISTS idx_batch_operations_created_at ON batch_operations(created_at);
+CREATE INDEX IF NOT EXISTS idx_site_tags_tag_id ON site_tags(tag_id);
+CREATE INDEX IF NOT EXISTS idx_site_clicks_day ON site_clicks(day);
+CREATE INDEX IF NOT EXISTS idx_site_link_checks_checked_at ON site_link_checks(checked_at);
+CREATE INDEX IF NOT EXISTS idx_site_icons_fetched_at ON site_icons(fetched_at);
 `;
 
+// 已有数据库需要补充的列：DB_SCHEMA 中的 CREATE TABLE IF NOT EXISTS 不会修改旧表
+// indexes 为依赖该列的索引，需在列添加之后创建
+export const COLUMN_MIGRATIONS = [
+  {
+    table: 'sites',
+    column: 'deleted_at',
+    definition: 'TIMESTAMP',
+    indexes: ['CREATE INDEX IF NOT EXISTS idx_sites_deleted_at ON sites(deleted_at)']
+  },
+  {
+    table: 'category',
+    column: 'deleted_at',
+    definition: 'TIMESTAMP',
+    indexes: ['CREATE INDEX IF NOT EXISTS idx_category_deleted_at ON category(deleted_at)']
+  }
+];
+
 // 字体映射表
 export const FONT_MAP = {
   // System Fonts (无需引入)
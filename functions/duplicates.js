@@ -0,0 +1,120 @@
+// functions/duplicates.js
+// 重复书签检测：URL 规范化、按规范化地址 / 标题 / 域名分组，供新增、导入与重复书签报告使用（不导出路由处理函数）
+
+export const DUPLICATE_TYPES = ['url', 'title', 'domain'];
+
+// 统计与广告追踪参数，不影响页面内容，比较地址时去掉
+const TRACKING_PARAM_RE = /^(utm_[a-z0-9_]+|fbclid|gclid|dclid|msclkid|yclid|igshid|mc_cid|mc_eid|_hsenc|_hsmi|spm|ref|ref_src)$/i;
+const INDEX_FILE_RE = /\/index\.(html?|php|aspx?|jsp)$/i;
+
+function parseHttpUrl(value) {
+  let text = String(value || '').trim();
+  if (!text) return null;
+  // 没有协议的地址按 http 处理，例如 example.com/path、example.com:8080
+  if (!/^[a-z][a-z0-9+.-]*:/i.test(text) || /^[^/:]+\.[^/:]+:\d+/.test(text)) text = `http://${text}`;
+  try {
+    const url = new URL(text);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 规范化 URL，用于判断两个地址是否指向同一页面：
+ * 忽略协议（http 与 https 视为相同）、开头的 www.、默认首页文件、末尾的 / 与域名的大小写（路径区分大小写），
+ * 去掉追踪参数并按参数名排序；# 之后的部分只保留 #/ 与 #! 形式的前端路由
+ * 非 http(s) 地址原样转为小写返回
+ */
+export function canonicalizeUrl(value) {
+  const url = parseHttpUrl(value);
+  if (!url) return String(value || '').trim().toLowerCase();
+
+  const host = url.hostname.replace(/^www\./, '');
+  const port = url.port ? `:${url.port}` : '';
+  const path = url.pathname
+    .replace(/\/{2,}/g, '/')
+    .replace(INDEX_FILE_RE, '/')
+    .replace(/\/+$/, '');
+
+  const params = [...url.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAM_RE.test(key))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+  const hash = /^#!?\//.test(url.hash) ? url.hash : '';
+
+  return `${host}${port}${path}${query}${hash}`;
+}
+
+// 去掉 www. 后的主机名，无法解析时返回空字符串
+export function siteDomain(value) {
+  const url = parseHttpUrl(value);
+  return url ? url.hostname.replace(/^www\./, '') : '';
+}
+
+// 比较标题时忽略大小写、空白与标点符号
+export function normalizeTitle(value) {
+  return String(value || '').normalize('NFKC').toLowerCase().replace(/[\s\p{P}\p{S}]+/gu, '');
+}
+
+function groupBy(sites, keyFn) {
+  const map = new Map();
+  sites.forEach(site => {
+    const key = keyFn(site);
+    if (!key) return;
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(site);
+  });
+  return [...map.entries()].filter(([, items]) => items.length > 1);
+}
+
+/**
+ * 找出疑似重复的书签，返回 [{ type, key, sites }]，按类型（url → title → domain）与组内数量排序
+ * url 为规范化后地址相同；title 为标题相同；domain 为同一域名下的多个书签，可能只是同站的不同页面，需要人工判断
+ * 已被同一个 url 组完整包含的 title / domain 组不再重复列出
+ */
+export function findDuplicateGroups(sites, types = DUPLICATE_TYPES) {
+  const groups = [];
+  const urlGroupKeys = new Set();
+  const idsKey = items => items.map(site => site.id).sort((a, b) => a - b).join(',');
+
+  const keyFns = {
+    url: site => canonicalizeUrl(site.url),
+    title: site => normalizeTitle(site.name),
+    domain: site => siteDomain(site.url)
+  };
+
+  DUPLICATE_TYPES.forEach(type => {
+    const entries = groupBy(sites, keyFns[type]);
+    if (type === 'url') {
+      entries.forEach(([, items]) => urlGroupKeys.add(idsKey(items)));
+    }
+    if (!types.includes(type)) return;
+    entries
+      .filter(([, items]) => type === 'url' || !urlGroupKeys.has(idsKey(items)))
+      .sort((a, b) => b[1].length - a[1].length)
+      .forEach(([key, items]) => groups.push({ type, key, sites: items }));
+  });
+  return groups;
+}
+
+/**
+ * 查找与 url 规范化后相同的书签（包括回收站中的书签），返回 { id, url, deleted_at } 或 null
+ * 先按域名模糊匹配缩小范围，再逐条比较规范化地址；未删除的书签优先
+ */
+export async function findSiteByCanonicalUrl(env, url, excludeId = null) {
+  const canonical = canonicalizeUrl(url);
+  const domain = siteDomain(url);
+  if (!canonical) return null;
+
+  const { results } = await env.NAV_DB.prepare(
+    'SELECT id, url, deleted_at FROM sites WHERE url LIKE ? ORDER BY deleted_at IS NOT NULL, id ASC'
+  ).bind(`%${domain || canonical}%`).all();
+  return (results || []).find(site => site.id !== excludeId && canonicalizeUrl(site.url) === canonical) || null;
+}
+
+// 新增或修改书签时地址重复的提示，existingSite 为 findSiteByCanonicalUrl 的结果
+export function duplicateUrlMessage(existingSite, url) {
+  const sameText = existingSite.url === url ? '该 URL' : `相同地址（${existingSite.url}）`;
+  return existingSite.deleted_at ? `${sameText}已在回收站中，请从回收站恢复` : `${sameText}已存在，请勿重复添加`;
+}
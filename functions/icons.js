@@ -0,0 +1,273 @@
+// functions/icons.js
+// 网站图标缓存：按域名依次尝试网站自身声明的图标、/favicon.ico 与公共图标服务，取到的图片保存在 R2（绑定 NAV_ICONS）或 KV 中，由 /icons/<domain> 提供（不导出路由处理函数）
+// 解析函数接受 options.fetchImpl，可传入模拟的 fetch 离线测试
+
+import { fetchPageMeta, fetchPublicUrl, isPrivateHost } from './page-meta';
+
+export const ICON_STATUS = {
+  OK: 'ok',
+  MISSING: 'missing'
+};
+
+// 图标超过该天数后，访问时在后台重新获取，定时任务也会按此刷新
+export const ICON_REFRESH_DAYS = 30;
+// 找不到图标的域名在该时长内不再重试
+export const ICON_MISS_RETRY_HOURS = 24;
+// 每次调用最多刷新的域名数：单个域名最多约 8 个子请求，Workers 免费版单次调用限 50 个
+export const ICON_REFRESH_BATCH_SIZE = 5;
+
+const FETCH_TIMEOUT = 5000;
+// 公共图标服务对未知域名常返回极小的占位图
+const MIN_SERVICE_ICON_BYTES = 100;
+const MAX_ICON_BYTES = 256 * 1024;
+const USER_AGENT = 'Mozilla/5.0 (compatible; iori-nav-icons/1.0)';
+// 旧版本未设置 ICON_API 时使用的默认图标接口
+const LEGACY_ICON_API = 'https://faviconsnap.com/api/favicon?url=';
+const DOMAIN_RE = /^(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+(?:[a-z]{2,63}|xn--[a-z0-9-]{1,59})$/;
+
+// 与 other/icon-worker.js 相同的公共图标服务，按顺序尝试
+const ICON_SERVICES = [
+  domain => `https://www.google.com/s2/favicons?domain=${domain}&sz=64`,
+  domain => `https://favicon.im/${domain}?larger=true`,
+  domain => `https://icon.bqb.cool/?url=https://${domain}`,
+  domain => `https://www.faviconextractor.com/favicon/${domain}?larger=true`
+];
+
+// 校验并规范化域名（小写，不含端口），无效或内网地址返回空字符串
+export function normalizeIconDomain(value) {
+  const domain = String(value || '').trim().toLowerCase().replace(/\.$/, '');
+  return DOMAIN_RE.test(domain) && !isPrivateHost(domain) ? domain : '';
+}
+
+// 书签地址对应的图标域名，非 http(s) 地址返回空字符串
+export function iconDomainOf(url) {
+  try {
+    const parsed = new URL(String(url || '').trim());
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return '';
+    return normalizeIconDomain(parsed.hostname);
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * 书签未填写 Logo 时使用的默认图标地址
+ * 设置了 ICON_API 环境变量时沿用第三方图标接口，否则使用本站缓存的 /icons/<domain>
+ */
+export function defaultLogoUrl(env, url) {
+  const domain = iconDomainOf(url);
+  if (!domain) return null;
+  return env.ICON_API ? `${env.ICON_API}${domain}` : `/icons/${domain}`;
+}
+
+/**
+ * 首页显示用的图标地址：旧版本默认保存的第三方图标地址换成本站缓存的 /icons/<domain>，其他 Logo 原样返回
+ * 与 public/js/main.js 中的 displayLogoUrl 保持一致
+ */
+export function displayLogoUrl(logo, url) {
+  const value = String(logo || '').trim();
+  if (!value.startsWith(LEGACY_ICON_API)) return value;
+  const domain = iconDomainOf(url);
+  return domain ? `/icons/${domain}` : '';
+}
+
+// 是否为自动生成的默认图标（本站缓存或第三方图标接口），重新获取图标时只替换这类 Logo
+export function isDefaultLogo(env, logo, url) {
+  const value = String(logo || '').trim();
+  if (!value) return true;
+  const domain = iconDomainOf(url);
+  if (!domain) return false;
+  return value === `/icons/${domain}`
+    || value === `${LEGACY_ICON_API}${domain}`
+    || (!!env.ICON_API && value === `${env.ICON_API}${domain}`);
+}
+
+// 根据文件头判断图片类型，不是支持的图片时返回空字符串
+export function detectImageType(bytes) {
+  const b = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  if (b.length >= 8 && b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4e && b[3] === 0x47) return 'image/png';
+  if (b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff) return 'image/jpeg';
+  if (b.length >= 6 && b[0] === 0x47 && b[1] === 0x49 && b[2] === 0x46 && b[3] === 0x38) return 'image/gif';
+  if (b.length >= 6 && b[0] === 0x00 && b[1] === 0x00 && (b[2] === 0x01 || b[2] === 0x02) && b[3] === 0x00) return 'image/x-icon';
+  if (b.length >= 12 && String.fromCharCode(...b.subarray(0, 4)) === 'RIFF' && String.fromCharCode(...b.subarray(8, 12)) === 'WEBP') return 'image/webp';
+  const head = new TextDecoder('utf-8').decode(b.subarray(0, 1024)).replace(/^\uFEFF/, '').trimStart();
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!doctype svg[^>]*>\s*)?<svg[\s>]/i.test(head)) return 'image/svg+xml';
+  return '';
+}
+
+async function sha1Hex(bytes) {
+  const digest = await crypto.subtle.digest('SHA-1', bytes);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// 下载一张图标，不是有效图片或大小不合适时返回 null；跳转到内网地址时同样返回 null
+async function downloadIcon(fetchImpl, url, minBytes) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+  try {
+    const { res } = await fetchPublicUrl(fetchImpl, url, {
+      signal: controller.signal,
+      headers: { 'User-Agent': USER_AGENT, 'Accept': 'image/avif,image/webp,image/svg+xml,image/*,*/*;q=0.8' }
+    });
+    if (!res.ok) {
+      res.body?.cancel().catch(() => {});
+      return null;
+    }
+    if (Number(res.headers.get('Content-Length')) > MAX_ICON_BYTES) {
+      res.body?.cancel().catch(() => {});
+      return null;
+    }
+    const bytes = new Uint8Array(await res.arrayBuffer());
+    if (bytes.length < minBytes || bytes.length > MAX_ICON_BYTES) return null;
+    const contentType = detectImageType(bytes);
+    return contentType ? { bytes, contentType } : null;
+  } catch (e) {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * 按顺序尝试网页中声明的图标、/favicon.ico 与公共图标服务，返回 { bytes, contentType, source } 或 null
+ * source 为最终取到图标的地址
+ */
+export async function resolveIcon(domain, options = {}) {
+  const fetchImpl = options.fetchImpl || fetch;
+  const candidates = [];
+  try {
+    const meta = await fetchPageMeta(`https://${domain}/`, { fetchImpl });
+    if (meta.logo) candidates.push({ url: meta.logo, minBytes: 1 });
+  } catch (e) {
+    // 网页无法访问时继续尝试其他来源
+  }
+  candidates.push({ url: `https://${domain}/favicon.ico`, minBytes: 1 });
+  ICON_SERVICES.forEach(service => candidates.push({ url: service(domain), minBytes: MIN_SERVICE_ICON_BYTES }));
+
+  for (const candidate of candidates) {
+    const icon = await downloadIcon(fetchImpl, candidate.url, candidate.minBytes);
+    if (icon) return { ...icon, source: candidate.url };
+  }
+  return null;
+}
+
+// 图标内容存放在 R2；未绑定 NAV_ICONS 时存放在 KV（单个值最大 25 MB，图标足够）
+async function putIconBytes(env, domain, bytes, contentType) {
+  if (env.NAV_ICONS) {
+    await env.NAV_ICONS.put(`icons/${domain}`, bytes, { httpMetadata: { contentType } });
+  } else {
+    await env.NAV_AUTH.put(`icon:${domain}`, bytes, { metadata: { contentType } });
+  }
+}
+
+async function deleteIconBytes(env, domain) {
+  if (env.NAV_ICONS) {
+    await env.NAV_ICONS.delete(`icons/${domain}`);
+  } else {
+    await env.NAV_AUTH.delete(`icon:${domain}`);
+  }
+}
+
+// 读取缓存的图标，返回 { body, contentType } 或 null
+export async function getStoredIcon(env, domain) {
+  if (env.NAV_ICONS) {
+    const object = await env.NAV_ICONS.get(`icons/${domain}`);
+    return object ? { body: object.body, contentType: object.httpMetadata?.contentType || 'image/x-icon' } : null;
+  }
+  const { value, metadata } = await env.NAV_AUTH.getWithMetadata(`icon:${domain}`, 'arrayBuffer');
+  return value ? { body: value, contentType: metadata?.contentType || 'image/x-icon' } : null;
+}
+
+/**
+ * 读取域名的图标记录，附带 stale（超过刷新周期）与 retry（找不到图标且已过重试间隔）两个标记
+ */
+export async function getIconRecord(env, domain) {
+  const row = await env.NAV_DB.prepare(`
+    SELECT *,
+      fetched_at < datetime('now', ?) AS stale,
+      fetched_at < datetime('now', ?) AS retry
+    FROM site_icons WHERE domain = ?
+  `).bind(`-${ICON_REFRESH_DAYS} days`, `-${ICON_MISS_RETRY_HOURS} hours`, domain).first();
+  return row ? { ...row, stale: !!row.stale, retry: !!row.retry } : null;
+}
+
+// 是否有未删除的书签使用该域名，/icons/<domain> 只为书签中的域名抓取图标
+export async function isBookmarkedDomain(env, domain) {
+  const row = await env.NAV_DB.prepare(`
+    SELECT 1 FROM sites
+    WHERE deleted_at IS NULL AND (url LIKE ? OR url LIKE ? OR url LIKE ? OR url LIKE ?)
+    LIMIT 1
+  `).bind(`%://${domain}`, `%://${domain}/%`, `%://${domain}:%`, `%://${domain}?%`).first();
+  return !!row;
+}
+
+/**
+ * 重新获取并保存域名的图标，返回 { domain, status, source, size, refreshed }
+ * 获取失败但已有缓存时保留旧图标，只更新获取时间，避免反复重试
+ */
+export async function refreshIcon(env, domain, options = {}) {
+  const icon = await resolveIcon(domain, options);
+  if (icon) {
+    const etag = (await sha1Hex(icon.bytes)).slice(0, 16);
+    await putIconBytes(env, domain, icon.bytes, icon.contentType);
+    await env.NAV_DB.prepare(`
+      INSERT INTO site_icons (domain, status, content_type, size, source, etag, fetched_at)
+      VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(domain) DO UPDATE SET
+        status = excluded.status,
+        content_type = excluded.content_type,
+        size = excluded.size,
+        source = excluded.source,
+        etag = excluded.etag,
+        fetched_at = excluded.fetched_at
+    `).bind(domain, ICON_STATUS.OK, icon.contentType, icon.bytes.length, icon.source, etag).run();
+    return { domain, status: ICON_STATUS.OK, source: icon.source, size: icon.bytes.length, refreshed: true };
+  }
+
+  const existing = await getIconRecord(env, domain);
+  if (existing && existing.status === ICON_STATUS.OK) {
+    await env.NAV_DB.prepare('UPDATE site_icons SET fetched_at = CURRENT_TIMESTAMP WHERE domain = ?').bind(domain).run();
+    return { domain, status: ICON_STATUS.OK, source: existing.source, size: existing.size, refreshed: false };
+  }
+  await env.NAV_DB.prepare(`
+    INSERT INTO site_icons (domain, status, fetched_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(domain) DO UPDATE SET status = excluded.status, fetched_at = excluded.fetched_at
+  `).bind(domain, ICON_STATUS.MISSING).run();
+  return { domain, status: ICON_STATUS.MISSING, source: null, size: 0, refreshed: false };
+}
+
+async function deleteIcon(env, domain) {
+  await deleteIconBytes(env, domain);
+  await env.NAV_DB.prepare('DELETE FROM site_icons WHERE domain = ?').bind(domain).run();
+}
+
+/**
+ * 刷新超过刷新周期的图标，返回 { results, removed, remaining }
+ * 已没有书签使用的域名直接删除缓存，不计入本次刷新数量
+ */
+export async function refreshDueIcons(env, options = {}) {
+  const limit = options.limit || ICON_REFRESH_BATCH_SIZE;
+  const { results: due } = await env.NAV_DB.prepare(`
+    SELECT domain FROM site_icons
+    WHERE fetched_at < datetime('now', ?)
+    ORDER BY fetched_at ASC
+    LIMIT ?
+  `).bind(`-${ICON_REFRESH_DAYS} days`, limit * 2).all();
+
+  const results = [];
+  let removed = 0;
+  for (const { domain } of due || []) {
+    if (results.length >= limit) break;
+    if (!(await isBookmarkedDomain(env, domain))) {
+      await deleteIcon(env, domain);
+      removed++;
+      continue;
+    }
+    results.push(await refreshIcon(env, domain, options));
+  }
+
+  const row = await env.NAV_DB.prepare(
+    "SELECT COUNT(*) AS total FROM site_icons WHERE fetched_at < datetime('now', ?)"
+  ).bind(`-${ICON_REFRESH_DAYS} days`).first();
+  return { results, removed, remaining: row ? row.total : 0 };
+}
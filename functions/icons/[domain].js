@@ -0,0 +1,71 @@
+// functions/icons/[domain].js
+import { normalizeIconDomain, getIconRecord, getStoredIcon, isBookmarkedDomain, refreshIcon, ICON_STATUS } from '../icons';
+
+// 浏览器缓存一天，之后一周内可先使用旧图标再后台更新
+const ICON_CACHE_CONTROL = 'public, max-age=86400, stale-while-revalidate=604800';
+const MISSING_CACHE_CONTROL = 'public, max-age=3600';
+
+function iconResponse(request, icon, record) {
+  const etag = record && record.etag ? `"${record.etag}"` : null;
+  const headers = {
+    'Content-Type': icon.contentType,
+    'Cache-Control': ICON_CACHE_CONTROL,
+    'X-Content-Type-Options': 'nosniff',
+    // SVG 图标可能包含脚本，禁止其在本站执行
+    'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; sandbox"
+  };
+  if (etag) {
+    headers.ETag = etag;
+    if (request.headers.get('If-None-Match') === etag) {
+      if (icon.body && typeof icon.body.cancel === 'function') icon.body.cancel().catch(() => {});
+      return new Response(null, { status: 304, headers });
+    }
+  }
+  return new Response(icon.body, { headers });
+}
+
+function notFound() {
+  return new Response('Icon not found', {
+    status: 404,
+    headers: { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': MISSING_CACHE_CONTROL }
+  });
+}
+
+/**
+ * @summary Serve the cached favicon of a bookmarked domain
+ * @route GET /icons/:domain
+ * 首次访问时按图标来源依次获取并保存；超过刷新周期的图标先返回旧图标，再在后台重新获取
+ * 只为书签中出现的域名获取图标，避免被当作公开的图标代理
+ */
+export async function onRequestGet(context) {
+  const { request, env, params } = context;
+  const domain = normalizeIconDomain(params.domain);
+  if (!domain) {
+    return notFound();
+  }
+
+  try {
+    const record = await getIconRecord(env, domain);
+    if (record && record.status === ICON_STATUS.OK) {
+      const icon = await getStoredIcon(env, domain);
+      if (icon) {
+        if (record.stale) {
+          context.waitUntil(refreshIcon(env, domain).catch(e => console.error(`Failed to refresh icon for ${domain}:`, e)));
+        }
+        return iconResponse(request, icon, record);
+      }
+    } else if (record && !record.retry) {
+      return notFound();
+    }
+
+    if (!(await isBookmarkedDomain(env, domain))) {
+      return notFound();
+    }
+    const result = await refreshIcon(env, domain);
+    const icon = result.status === ICON_STATUS.OK ? await getStoredIcon(env, domain) : null;
+    return icon ? iconResponse(request, icon, await getIconRecord(env, domain)) : notFound();
+  } catch (e) {
+    console.error(`Failed to serve icon for ${domain}:`, e);
+    return new Response('Failed to load icon', { status: 500, headers: { 'Cache-Control': 'no-store' } });
+  }
+}
@@ -2,6 +2,16 @@
 // functions/index.js
 import { isAdminAuthenticated } from './_middleware';
 import { FONT_MAP, SCHEMA_VERSION } from './constants';
+import { fetchSiteTagMap } from './tags';
+import { SEARCH_ENGINES_SETTING_KEY, DEFAULT_SEARCH_ENGINES, parseSearchEngines } from './search-engines';
+import { fetchClickCounts } from './clicks';
+import { avatarUrl } from './avatar';
+import { displayLogoUrl } from './icons';
+
+// 首页“常用书签”最多显示的数量
+const FREQUENT_SITES_LIMIT = 8;
+// 按热度排序或显示常用书签时，首页缓存的有效期（秒），让排序随点击数定期更新
+const POPULAR_CACHE_TTL = 3600;
 
 // 辅助函数
 function escapeHTML(str) {
@@ -18,6 +28,10 @@ function sanitizeUrl(url) {
   if (!url) return '';
   const trimmed = url.trim();
   if (!trimmed) return '';
+  // 本站路径，例如缓存的图标 /icons/<domain>
+  if (/^\/(?!\/)/.test(trimmed) && !/[\s"'<>\\]/.test(trimmed)) {
+    return trimmed;
+  }
   try {
     const parsed = new URL(trimmed);
     if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
@@ -32,6 +46,14 @@ function sanitizeUrl(url) {
   }
 }
 
+// 书签图标：没有图标时使用首字母头像，图标加载失败时也替换为头像；旧版本默认的第三方图标改用本站缓存
+function renderSiteLogo(site, className, alt = '') {
+  const logoUrl = sanitizeUrl(displayLogoUrl(site.logo, site.url));
+  const fallback = escapeHTML(avatarUrl(site.name, site.url));
+  const errorAttrs = logoUrl ? ` data-fallback="${fallback}" onerror="this.onerror=null;this.src=this.dataset.fallback"` : '';
+  return `<img src="${logoUrl ? escapeHTML(logoUrl) : fallback}" alt="${escapeHTML(alt)}" class="${className}" decoding="async" loading="lazy"${errorAttrs}>`;
+}
+
 function normalizeSortOrder(val) {
   const num = Number(val);
   return Number.isFinite(num) ? num : 9999;
@@ -155,8 +177,8 @@ export async function onRequest(context) {
 
   // 并行执行数据库查询（分类、设置、站点）
   const categoryQuery = isAuthenticated 
-    ? 'SELECT * FROM category ORDER BY sort_order ASC, id ASC'
-    : 'SELECT * FROM category WHERE is_private = 0 ORDER BY sort_order ASC, id ASC';
+    ? 'SELECT * FROM category WHERE deleted_at IS NULL ORDER BY sort_order ASC, id ASC'
+    : 'SELECT * FROM category WHERE deleted_at IS NULL AND is_private = 0 ORDER BY sort_order ASC, id ASC';
   
   const settingsKeys = [
     'layout_hide_desc', 'layout_hide_links', 'layout_hide_category',
@@ -167,7 +189,8 @@ export async function onRequest(context) {
     'home_hide_github', 'home_hide_admin',
     'home_custom_font_url', 'home_title_font', 'home_subtitle_font', 'home_stats_font', 'home_hitokoto_font',
     'home_site_name', 'home_site_description',
-    'home_search_engine_enabled', 'home_default_category', 'home_remember_last_category',
+    'home_search_engine_enabled', SEARCH_ENGINES_SETTING_KEY, 'home_default_category', 'home_remember_last_category',
+    'home_sort_by_popularity', 'home_show_frequent_sites',
     'layout_grid_cols', 'layout_custom_wallpaper', 'layout_menu_layout',
     'layout_random_wallpaper', 'bing_country',
     'layout_enable_frosted_glass', 'layout_frosted_glass_intensity',
@@ -180,7 +203,7 @@ export async function onRequest(context) {
   const settingsPlaceholders = settingsKeys.map(() => '?').join(',');
 
   const sitesQuery = `SELECT id, name, url, logo, desc, catelog_id, catelog_name, sort_order, is_private, create_time, update_time 
-                      FROM sites WHERE (is_private = 0 OR ? = 1) 
+                      FROM sites WHERE deleted_at IS NULL AND (is_private = 0 OR ? = 1) 
                       ORDER BY sort_order ASC, create_time DESC`;
 
   // 并行执行所有查询
@@ -249,8 +272,11 @@ export async function onRequest(context) {
   let homeSiteName = '';
   let homeSiteDescription = '';
   let homeSearchEngineEnabled = false;
+  let homeSearchEngines = DEFAULT_SEARCH_ENGINES;
   let homeDefaultCategory = '';
   let homeRememberLastCategory = false;
+  let homeSortByPopularity = false;
+  let homeShowFrequentSites = false;
   let layoutGridCols = '4';
   let layoutCustomWallpaper = '';
   let layoutMenuLayout = 'horizontal';
@@ -307,8 +333,11 @@ export async function onRequest(context) {
       if (row.key === 'home_site_description') homeSiteDescription = row.value;
 
       if (row.key === 'home_search_engine_enabled') homeSearchEngineEnabled = row.value === 'true';
+      if (row.key === SEARCH_ENGINES_SETTING_KEY) homeSearchEngines = parseSearchEngines(row.value);
       if (row.key === 'home_default_category') homeDefaultCategory = row.value;
       if (row.key === 'home_remember_last_category') homeRememberLastCategory = row.value === 'true';
+      if (row.key === 'home_sort_by_popularity') homeSortByPopularity = row.value === 'true';
+      if (row.key === 'home_show_frequent_sites') homeShowFrequentSites = row.value === 'true';
 
       if (row.key === 'layout_grid_cols') layoutGridCols = row.value;
       if (row.key === 'layout_custom_wallpaper') layoutCustomWallpaper = row.value;
@@ -339,6 +368,31 @@ export async function onRequest(context) {
     return new Response(`Failed to fetch sites: ${sitesResult.error.message}`, { status: 500 });
   }
 
+  // 附加标签，随 IORI_SITES 输出供前端按标签筛选
+  const siteTagMap = await fetchSiteTagMap(env).catch(e => {
+    console.error('Failed to fetch site tags:', e);
+    return new Map();
+  });
+  allSites.forEach(site => {
+    site.tags = siteTagMap.get(site.id) || [];
+  });
+
+  // 按热度排序或显示常用书签时，附加最近 30 天的点击数（随 IORI_SITES 输出，前端切换分类时保持同样的顺序）
+  const usePopularity = homeSortByPopularity || homeShowFrequentSites;
+  if (usePopularity) {
+    const clickCounts = await fetchClickCounts(env).catch(e => {
+      console.error('Failed to fetch click counts:', e);
+      return new Map();
+    });
+    allSites.forEach(site => {
+      site.clicks = clickCounts.get(site.id) || 0;
+    });
+    if (homeSortByPopularity) {
+      // 点击数相同时保持手动排序的顺序（sort 是稳定排序）
+      allSites.sort((a, b) => b.clicks - a.clicks);
+    }
+  }
+
   // 确定目标分类
   let requestedCatalogName = (url.searchParams.get('catalog') || '').trim();
   const explicitAll = requestedCatalogName.toLowerCase() === 'all';
@@ -394,6 +448,13 @@ export async function onRequest(context) {
     sites = allSites;
   }
 
+  // 根据标签过滤站点（不区分大小写）
+  const requestedTag = (url.searchParams.get('tag') || '').trim();
+  if (requestedTag) {
+    const tagKey = requestedTag.toLowerCase();
+    sites = sites.filter(site => site.tags.some(tag => tag.toLowerCase() === tagKey));
+  }
+
   // 随机壁纸轮询
   let nextWallpaperIndex = 0;
   if (layoutRandomWallpaper) {
@@ -721,10 +782,6 @@ export async function onRequest(context) {
 
       const safeDisplayUrl = normalizedUrl || '未提供链接';
 
-      const logoUrl = sanitizeUrl(site.logo);
-
-      const cardInitial = escapeHTML((rawName.trim().charAt(0) || '站').toUpperCase());
-
       const safeName = escapeHTML(rawName);
 
       const safeCatalog = escapeHTML(rawCatalog);
@@ -911,7 +968,7 @@ export async function onRequest(context) {
 
   
 
-                                <div class="${baseCardClass} ${frostedClass} ${cardStyleClass} card-anim-enter" ${animStyle} data-id="${site.id}" data-name="${escapeHTML(site.name)}" data-url="${escapeHTML(normalizedUrl)}" data-catalog="${escapeHTML(site.catelog_name || site.catelog || '未分类')}" data-desc="${safeDesc}">
+                                <div class="${baseCardClass} ${frostedClass} ${cardStyleClass} card-anim-enter" ${animStyle} data-id="${site.id}" data-name="${escapeHTML(site.name)}" data-url="${escapeHTML(normalizedUrl)}" data-catalog="${escapeHTML(site.catelog_name || site.catelog || '未分类')}" data-desc="${safeDesc}" data-tags="${escapeHTML(site.tags.join(','))}">
 
   
 
@@ -935,15 +992,7 @@ export async function onRequest(context) {
 
   
 
-                                                  logoUrl
-
-  
-
-                                                    ? `<img src="${escapeHTML(logoUrl)}" alt="${safeName}" class="w-10 h-10 rounded-lg object-cover bg-gray-100 dark:bg-gray-700" decoding="async" loading="lazy">`
-
-  
-
-                                                    : `<div class="w-10 h-10 rounded-lg bg-primary-600 flex items-center justify-center text-white font-semibold text-lg shadow-inner">${cardInitial}</div>`
+                                                  renderSiteLogo(site, 'w-10 h-10 rounded-lg object-cover bg-gray-100 dark:bg-gray-700', rawName)
 
   
 
@@ -1043,6 +1092,46 @@ export async function onRequest(context) {
       gridClass = 'grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 xl:grid-cols-7 gap-3 sm:gap-6 justify-items-center';
   }
 
+  // 标签筛选栏：列出所有可见书签用到的标签，没有标签时不显示
+  const tagCounts = new Map();
+  allSites.forEach(site => {
+    site.tags.forEach(tag => {
+      const key = tag.toLowerCase();
+      if (!tagCounts.has(key)) tagCounts.set(key, { name: tag, count: 0 });
+      tagCounts.get(key).count++;
+    });
+  });
+  const activeTagKey = requestedTag.toLowerCase();
+  const catalogQuery = catalogExists ? `catalog=${encodeURIComponent(currentCatalogName)}` : '';
+  const tagChipsMarkup = [...tagCounts.values()]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(({ name, count }) => {
+      const href = `?${catalogQuery ? `${catalogQuery}&` : ''}tag=${encodeURIComponent(name)}`;
+      const activeClass = name.toLowerCase() === activeTagKey ? 'active' : '';
+      return `<a href="${escapeHTML(href)}" class="tag-chip ${activeClass}" data-tag="${escapeHTML(name)}">#${escapeHTML(name)}<span class="tag-chip-count">${count}</span></a>`;
+    })
+    .join('');
+  const tagFilterMarkup = tagCounts.size === 0 ? '' : `
+      <div id="tagFilterBar" class="tag-filter-bar" data-catalog-id="${catalogExists ? categoryIdMap.get(currentCatalogName) : ''}">
+        <a href="${catalogQuery ? `?${escapeHTML(catalogQuery)}` : '?catalog=all'}" class="tag-chip ${activeTagKey ? '' : 'active'}" data-tag="">全部标签</a>
+        ${tagChipsMarkup}
+      </div>`;
+
+  // 常用书签：最近 30 天点击最多的书签，显示在分类列表上方，不随分类切换变化
+  const frequentSites = homeShowFrequentSites
+    ? allSites.filter(site => site.clicks > 0).sort((a, b) => b.clicks - a.clicks).slice(0, FREQUENT_SITES_LIMIT)
+    : [];
+  const frequentSitesMarkup = frequentSites.length === 0 ? '' : `
+      <div id="frequentSites" class="site-chip-row">
+        <span class="site-chip-row-title">常用</span>
+        ${frequentSites.map(site => {
+          const siteUrl = sanitizeUrl(site.url);
+          const rawName = site.name || '未命名';
+          const icon = renderSiteLogo(site, 'site-chip-icon');
+          return `<a href="${escapeHTML(siteUrl || '#')}" ${siteUrl ? 'target="_blank" rel="noopener noreferrer"' : ''} class="site-chip" data-id="${site.id}" title="${escapeHTML(rawName)}">${icon}<span class="site-chip-name">${escapeHTML(rawName)}</span></a>`;
+        }).join('')}
+      </div>`;
+
   const datalistOptions = categories.map((cat) => `<option value="${escapeHTML(cat.catelog)}">`).join('');
   
   const headingPlainText = currentCatalogName
@@ -1082,41 +1171,44 @@ export async function onRequest(context) {
   const horizontalTitleHtml = layoutHideTitle ? '' : `<h1 class="text-3xl md:text-4xl font-bold tracking-tight mb-3 ${titleColorClass}" ${titleStyle}>{{SITE_NAME}}</h1>`;
   const horizontalSubtitleHtml = layoutHideSubtitle ? '' : `<p class="${subTextColorClass} opacity-90 text-sm md:text-base" ${subtitleStyle}>{{SITE_DESCRIPTION}}</p>`;
 
-  // 搜索引擎选项 HTML
-  const searchEngineOptions = homeSearchEngineEnabled ? `
-    <div class="flex justify-center items-center gap-3 mb-4 text-sm select-none search-engine-wrapper">
+  // 搜索引擎选项 HTML（后台“站外搜索”中配置，图标可以是图片地址或文字）
+  const externalSearchEngines = homeSearchEngineEnabled ? homeSearchEngines : [];
+  const searchEngineIconHtml = (engine) => {
+    if (!engine.icon) return '';
+    if (/^(https?:\/\/|\/)/i.test(engine.icon)) {
+      return `<img src="${escapeHTML(engine.icon)}" alt="" class="search-engine-icon" loading="lazy">`;
+    }
+    return `<span class="search-engine-icon">${escapeHTML(engine.icon)}</span>`;
+  };
+  const searchEngineOptions = externalSearchEngines.length > 0 ? `
+    <div class="flex flex-wrap justify-center items-center gap-3 mb-4 text-sm select-none search-engine-wrapper">
         <label class="search-engine-option active" data-engine="local">
             <span>站内</span>
         </label>
-        <label class="search-engine-option" data-engine="google">
-            <span>Google</span>
-        </label>
-        <label class="search-engine-option" data-engine="baidu">
-            <span>Baidu</span>
-        </label>
-        <label class="search-engine-option" data-engine="bing">
-            <span>Bing</span>
-        </label>
+        ${externalSearchEngines.map(engine => `
+        <label class="search-engine-option" data-engine="${escapeHTML(engine.id)}"${engine.bang ? ` title="!${escapeHTML(engine.bang)}"` : ''}>
+            ${searchEngineIconHtml(engine)}<span>${escapeHTML(engine.name)}</span>
+        </label>`).join('')}
     </div>
     <script>
     (function(){
       try {
         var saved = localStorage.getItem('search_engine');
         if(saved && saved !== 'local'){
+          var matched = null;
           var wrappers = document.querySelectorAll('.search-engine-wrapper');
           wrappers.forEach(function(w){
              var opts = w.querySelectorAll('.search-engine-option');
              opts.forEach(function(opt){
-               if(opt.dataset.engine === saved) opt.classList.add('active');
+               if(opt.dataset.engine === saved) { opt.classList.add('active'); matched = opt; }
                else opt.classList.remove('active');
              });
           });
-          var inputs = document.querySelectorAll('.search-input-target');
-          var ph = '搜索书签...';
-          if(saved === 'google') ph = 'Google 搜索...';
-          if(saved === 'baidu') ph = '百度搜索...';
-          if(saved === 'bing') ph = 'Bing 搜索...';
-          inputs.forEach(function(i){ i.placeholder = ph; });
+          if(matched){
+            var ph = matched.textContent.trim() + ' 搜索...';
+            var inputs = document.querySelectorAll('.search-input-target');
+            inputs.forEach(function(i){ i.placeholder = ph; });
+          }
         }
       } catch(e){}
     })();
@@ -1182,6 +1274,12 @@ export async function onRequest(context) {
   let mobileToggleVisibilityClass = 'lg:hidden';
   let githubIconHtml = '';
   let adminIconHtml = '';
+  const personalIconHtml = `
+    <button id="personalSettingsBtn" class="flex items-center justify-center p-2 rounded-lg bg-white/80 backdrop-blur shadow-md hover:bg-white text-gray-700 hover:text-primary-600 dark:bg-gray-800/80 dark:text-gray-200 dark:hover:text-primary-300 transition-all cursor-pointer" title="个性化">
+      <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"></path></svg>
+    </button>
+  `;
+
   let themeIconHtml = `
     <button id="themeToggleBtn" class="flex items-center justify-center p-2 rounded-lg bg-white/80 backdrop-blur shadow-md hover:bg-white text-gray-700 hover:text-amber-500 dark:bg-gray-800/80 dark:text-gray-200 dark:hover:text-yellow-300 transition-all cursor-pointer" title="切换主题">
       <!-- Sun Icon (Light Mode) -->
@@ -1228,6 +1326,7 @@ export async function onRequest(context) {
   // Combine for Top Right
   const topRightActionsHtml = `
     <div class="fixed top-4 right-4 z-50 flex items-center gap-3">
+        ${personalIconHtml}
         ${themeIconHtml}
         ${adminIconHtml}
     </div>
@@ -1409,6 +1508,7 @@ export async function onRequest(context) {
   const globalDataScript = `
     <script>
       window.IORI_SITES = ${safeJson};
+      window.IORI_SEARCH_ENGINES = ${JSON.stringify(externalSearchEngines).replace(/</g, '\\u003c')};
     </script>
   `;
   html = html.replace('</head>', `${globalDataScript}</head>`);
@@ -1462,6 +1562,8 @@ export async function onRequest(context) {
     .replace('{{HITOKOTO_CONTENT}}', hitokotoContent)
     .replace(/{{HITOKOTO_STYLE}}/g, hitokotoStyle)
     .replace('{{SITES_GRID}}', sitesGridMarkup)
+    .replace('{{TAG_FILTER}}', tagFilterMarkup)
+    .replace('{{FREQUENT_SITES}}', frequentSitesMarkup)
     .replace('{{CURRENT_YEAR}}', new Date().getFullYear())
     .replace('grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4 sm:gap-6', gridClass)
     .replace('{{SIDEBAR_CLASS}}', sidebarClass)
@@ -1480,7 +1582,7 @@ export async function onRequest(context) {
   // 写入缓存 (只要不是管理员强制刷新或 Stale 状态，都应该写入缓存，包括随机壁纸开启的情况)
   if (isHomePage) {
     const cacheKey = isAuthenticated ? 'home_html_private' : 'home_html_public';
-    context.waitUntil(env.NAV_AUTH.put(cacheKey, html));
+    context.waitUntil(env.NAV_AUTH.put(cacheKey, html, usePopularity ? { expirationTtl: POPULAR_CACHE_TTL } : {}));
   }
 
   return response;
@@ -0,0 +1,235 @@
+// functions/link-checker.js
+// 失效链接检查：先发 HEAD 请求，服务器不支持时回退到 GET，记录状态码、跳转地址、耗时与检查时间（不导出路由处理函数）
+// 所有检查函数都接受 options.fetchImpl，可传入模拟的 fetch 离线测试
+
+export const LINK_STATUS = {
+  OK: 'ok',
+  REDIRECT: 'redirect',
+  DEAD: 'dead'
+};
+
+// 单个请求的超时时间（毫秒）
+export const CHECK_TIMEOUT = 8000;
+export const CHECK_CONCURRENCY = 5;
+// 每次调用最多检查的书签数：Workers 单次调用的子请求数有限（免费版 50 个），每个书签最多发两次请求
+export const CHECK_BATCH_SIZE = 20;
+// 距上次检查超过该时长的书签才会被定时任务再次检查
+export const CHECK_INTERVAL_HOURS = 24;
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; iori-nav-link-checker/1.0)';
+// 这些状态码常见于不支持 HEAD 或拦截非浏览器请求的服务器，需要再用 GET 确认
+const RETRY_WITH_GET_STATUS = new Set([400, 403, 404, 405, 406, 429, 501]);
+
+// D1 单条语句变量数上限为 100，按 50 分块
+const CHUNK_SIZE = 50;
+
+function chunk(items) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += CHUNK_SIZE) {
+    chunks.push(items.slice(i, i + CHUNK_SIZE));
+  }
+  return chunks;
+}
+
+// 比较地址时忽略 # 之后的部分
+function sameUrl(a, b) {
+  try {
+    const left = new URL(a);
+    const right = new URL(b);
+    left.hash = '';
+    right.hash = '';
+    return left.href === right.href;
+  } catch (e) {
+    return a === b;
+  }
+}
+
+async function request(fetchImpl, url, method, timeout) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    const res = await fetchImpl(url, {
+      method,
+      redirect: 'follow',
+      signal: controller.signal,
+      headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html,application/xhtml+xml,*/*;q=0.8' }
+    });
+    // GET 只需要状态码，不读取响应体
+    if (method === 'GET' && res.body && typeof res.body.cancel === 'function') {
+      res.body.cancel().catch(() => {});
+    }
+    return { res, error: null, timedOut: false };
+  } catch (e) {
+    const timedOut = controller.signal.aborted;
+    return { res: null, error: timedOut ? '请求超时' : (e.message || '请求失败'), timedOut };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * 检查单个链接，返回 { status, status_code, final_url, latency_ms, error }
+ * final_url 只在跳转到其他地址时返回；latency_ms 为包含 GET 重试在内的总耗时
+ */
+export async function checkUrl(url, options = {}) {
+  const fetchImpl = options.fetchImpl || fetch;
+  const timeout = options.timeout || CHECK_TIMEOUT;
+
+  let target;
+  try {
+    target = new URL(String(url || '').trim());
+  } catch (e) {
+    target = null;
+  }
+  if (!target || (target.protocol !== 'http:' && target.protocol !== 'https:')) {
+    return { status: LINK_STATUS.DEAD, status_code: null, final_url: null, latency_ms: null, error: '不是有效的 http(s) 地址' };
+  }
+
+  const started = Date.now();
+  let result = await request(fetchImpl, target.href, 'HEAD', timeout);
+  // 超时的地址用 GET 重试通常也会超时，不再浪费一次子请求
+  const shouldRetry = result.res
+    ? RETRY_WITH_GET_STATUS.has(result.res.status) || result.res.status >= 500
+    : !result.timedOut;
+  if (shouldRetry) {
+    result = await request(fetchImpl, target.href, 'GET', timeout);
+  }
+  const latency = Date.now() - started;
+
+  if (!result.res) {
+    return { status: LINK_STATUS.DEAD, status_code: null, final_url: null, latency_ms: latency, error: result.error };
+  }
+
+  const { res } = result;
+  if (res.status >= 400) {
+    return { status: LINK_STATUS.DEAD, status_code: res.status, final_url: null, latency_ms: latency, error: null };
+  }
+  const finalUrl = res.url || target.href;
+  if (!sameUrl(finalUrl, target.href)) {
+    return { status: LINK_STATUS.REDIRECT, status_code: res.status, final_url: finalUrl, latency_ms: latency, error: null };
+  }
+  return { status: LINK_STATUS.OK, status_code: res.status, final_url: null, latency_ms: latency, error: null };
+}
+
+// 以固定并发数依次处理列表，返回与输入顺序一致的结果
+async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index]);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+// 待检查的书签：从未检查或距上次检查超过 CHECK_INTERVAL_HOURS 的书签，未检查的优先
+function dueSitesQuery(select) {
+  return `
+    SELECT ${select} FROM sites s
+    LEFT JOIN site_link_checks c ON c.site_id = s.id
+    WHERE s.deleted_at IS NULL
+      AND (c.checked_at IS NULL OR c.checked_at < datetime('now', '-${CHECK_INTERVAL_HOURS} hours'))
+  `;
+}
+
+export async function countDueSites(env) {
+  const row = await env.NAV_DB.prepare(dueSitesQuery('COUNT(*) AS total')).first();
+  return row ? row.total : 0;
+}
+
+/**
+ * 检查一批书签并保存结果，返回 { results: [{ site_id, url, ...checkUrl 结果 }], remaining }
+ * 传入 options.ids 时检查指定书签（忽略检查间隔），否则按检查时间从旧到新取最多 options.limit 个待检查的书签
+ */
+export async function checkSites(env, options = {}) {
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || CHECK_BATCH_SIZE, 1), CHECK_BATCH_SIZE);
+
+  let sites = [];
+  if (Array.isArray(options.ids) && options.ids.length > 0) {
+    const ids = options.ids.slice(0, limit);
+    const placeholders = ids.map(() => '?').join(',');
+    const { results } = await env.NAV_DB.prepare(
+      `SELECT id, url FROM sites WHERE deleted_at IS NULL AND id IN (${placeholders})`
+    ).bind(...ids).all();
+    sites = results || [];
+  } else {
+    const { results } = await env.NAV_DB.prepare(
+      `${dueSitesQuery('s.id, s.url')} ORDER BY c.checked_at IS NOT NULL, c.checked_at ASC, s.id ASC LIMIT ?`
+    ).bind(limit).all();
+    sites = results || [];
+  }
+
+  const results = await mapWithConcurrency(sites, options.concurrency || CHECK_CONCURRENCY, async site => ({
+    site_id: site.id,
+    url: site.url,
+    ...(await checkUrl(site.url, options))
+  }));
+
+  if (results.length > 0) {
+    await env.NAV_DB.batch(results.map(result => env.NAV_DB.prepare(`
+      INSERT INTO site_link_checks (site_id, status, status_code, final_url, latency_ms, error, checked_at)
+      VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(site_id) DO UPDATE SET
+        status = excluded.status, status_code = excluded.status_code, final_url = excluded.final_url,
+        latency_ms = excluded.latency_ms, error = excluded.error, checked_at = excluded.checked_at
+    `).bind(result.site_id, result.status, result.status_code, result.final_url, result.latency_ms, result.error)));
+  }
+
+  return { results, remaining: await countDueSites(env) };
+}
+
+// 各状态的书签数量，用于后台概览
+export async function getLinkCheckSummary(env) {
+  const [statusResult, totalRow] = await env.NAV_DB.batch([
+    env.NAV_DB.prepare(`
+      SELECT c.status, COUNT(*) AS total FROM site_link_checks c
+      JOIN sites s ON s.id = c.site_id AND s.deleted_at IS NULL
+      GROUP BY c.status
+    `),
+    env.NAV_DB.prepare('SELECT COUNT(*) AS total FROM sites WHERE deleted_at IS NULL')
+  ]);
+  const summary = { total: totalRow.results[0] ? totalRow.results[0].total : 0, ok: 0, redirect: 0, dead: 0 };
+  (statusResult.results || []).forEach(row => {
+    if (summary[row.status] !== undefined) summary[row.status] = row.total;
+  });
+  summary.unchecked = Math.max(summary.total - summary.ok - summary.redirect - summary.dead, 0);
+  return summary;
+}
+
+// 为书签列表附加 link_check 字段（最近一次检查结果，未检查时为 null）
+export async function attachLinkChecks(env, sites) {
+  if (sites.length === 0) return sites;
+  const map = new Map();
+  for (const part of chunk(sites.map(s => s.id))) {
+    const placeholders = part.map(() => '?').join(',');
+    const { results } = await env.NAV_DB.prepare(
+      `SELECT site_id, status, status_code, final_url, latency_ms, error, checked_at FROM site_link_checks WHERE site_id IN (${placeholders})`
+    ).bind(...part).all();
+    (results || []).forEach(row => map.set(row.site_id, row));
+  }
+  sites.forEach(site => {
+    const check = map.get(site.id);
+    if (!check) {
+      site.link_check = null;
+      return;
+    }
+    const { site_id, ...rest } = check;
+    site.link_check = rest;
+  });
+  return sites;
+}
+
+// 书签地址修改后，之前的检查结果不再有效
+export async function clearLinkCheck(env, siteId) {
+  await env.NAV_DB.prepare('DELETE FROM site_link_checks WHERE site_id = ?').bind(siteId).run();
+}
+
+// 删除已不存在的书签的检查结果，在彻底删除书签后调用
+export async function purgeOrphanLinkChecks(env) {
+  await env.NAV_DB.prepare(
+    'DELETE FROM site_link_checks WHERE NOT EXISTS (SELECT 1 FROM sites WHERE sites.id = site_link_checks.site_id)'
+  ).run();
+}
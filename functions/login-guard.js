@@ -0,0 +1,135 @@
+// functions/login-guard.js
+// 登录防暴力破解：按 IP 与用户名分别计数失败次数，指数退避锁定（不导出路由处理函数）
+import { getClientIp } from './auth';
+
+const FAILURE_KEY_PREFIX = 'login_fail_';
+
+// 连续失败达到该次数后开始锁定，之后每多失败一次锁定时长翻倍
+const FREE_ATTEMPTS = 5;
+const BASE_LOCK_SECONDS = 60;
+const MAX_LOCK_SECONDS = 3600;
+// 最后一次失败 24 小时后计数自动清零
+const FAILURE_WINDOW_SECONDS = 86400;
+// 失败日志保留天数
+const FAILURE_LOG_RETENTION_DAYS = 30;
+
+function failureKey(scope, value) {
+  return `${FAILURE_KEY_PREFIX}${scope}_${String(value).toLowerCase()}`;
+}
+
+function lockSecondsFor(count) {
+  if (count < FREE_ATTEMPTS) return 0;
+  return Math.min(BASE_LOCK_SECONDS * (2 ** (count - FREE_ATTEMPTS)), MAX_LOCK_SECONDS);
+}
+
+async function readCounter(env, scope, value) {
+  const raw = await env.NAV_AUTH.get(failureKey(scope, value));
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return null;
+  }
+}
+
+async function bumpCounter(env, scope, value, now) {
+  const current = await readCounter(env, scope, value);
+  const count = (current ? current.count : 0) + 1;
+  const lockSeconds = lockSecondsFor(count);
+  const counter = {
+    count,
+    last_at: now,
+    locked_until: lockSeconds > 0 ? now + lockSeconds * 1000 : 0
+  };
+  // metadata 便于后台通过 list 直接展示锁定状态，无需逐个读取
+  await env.NAV_AUTH.put(failureKey(scope, value), JSON.stringify(counter), {
+    expirationTtl: FAILURE_WINDOW_SECONDS,
+    metadata: { scope, value: String(value), count, locked_until: counter.locked_until }
+  });
+  return counter;
+}
+
+/**
+ * 检查 IP 与用户名当前是否处于锁定状态
+ * 返回 { allowed: true } 或 { allowed: false, retryAfter: 秒数 }
+ */
+export async function checkLoginAllowed(env, ip, username) {
+  const now = Date.now();
+  const counters = await Promise.all([
+    readCounter(env, 'ip', ip),
+    username ? readCounter(env, 'user', username) : null
+  ]);
+
+  const lockedUntil = Math.max(0, ...counters.filter(Boolean).map(c => c.locked_until || 0));
+  if (lockedUntil > now) {
+    return { allowed: false, retryAfter: Math.ceil((lockedUntil - now) / 1000) };
+  }
+  return { allowed: true };
+}
+
+/**
+ * 记录一次失败登录：累加计数并写入失败日志
+ * reason: password | totp | locked
+ */
+export async function recordLoginFailure(env, request, username, reason) {
+  const now = Date.now();
+  const ip = getClientIp(request);
+
+  if (reason !== 'locked') {
+    await Promise.all([
+      bumpCounter(env, 'ip', ip, now),
+      username ? bumpCounter(env, 'user', username, now) : null
+    ]);
+  }
+
+  if (env.NAV_DB) {
+    try {
+      await env.NAV_DB.prepare(
+        'INSERT INTO login_failures (ip, username, reason, user_agent) VALUES (?, ?, ?, ?)'
+      ).bind(ip, username || '', reason, (request.headers.get('User-Agent') || '').slice(0, 255)).run();
+    } catch (e) {
+      // 日志写入失败不应影响登录流程
+      console.error('Failed to write login failure log:', e);
+    }
+  }
+}
+
+export async function clearLoginFailures(env, ip, username) {
+  await Promise.all([
+    env.NAV_AUTH.delete(failureKey('ip', ip)),
+    username ? env.NAV_AUTH.delete(failureKey('user', username)) : null
+  ]);
+}
+
+// 列出当前仍在计数周期内的 IP / 用户名（含锁定状态）
+export async function listLoginLockouts(env) {
+  const items = [];
+  let cursor;
+  do {
+    const page = await env.NAV_AUTH.list({ prefix: FAILURE_KEY_PREFIX, cursor });
+    page.keys.forEach(k => {
+      if (k.metadata) items.push(k.metadata);
+    });
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+
+  const now = Date.now();
+  return items
+    .map(item => ({ ...item, locked: item.locked_until > now }))
+    .sort((a, b) => b.count - a.count);
+}
+
+export async function unlockLogin(env, scope, value) {
+  await env.NAV_AUTH.delete(failureKey(scope, value));
+}
+
+export async function pruneLoginFailureLog(env) {
+  await env.NAV_DB.prepare(
+    `DELETE FROM login_failures WHERE created_at < datetime('now', '-${FAILURE_LOG_RETENTION_DAYS} days')`
+  ).run();
+}
+
+export function formatRetryAfter(seconds) {
+  if (seconds < 60) return `${seconds} 秒`;
+  return `${Math.ceil(seconds / 60)} 分钟`;
+}
@@ -0,0 +1,205 @@
+// functions/logos.js
+// 上传的书签 Logo：校验图片类型、大小与尺寸，清理 SVG 中的脚本，位图通过 Cloudflare Images（绑定 IMAGES）缩放为标准尺寸，
+// 按内容哈希保存在 R2（绑定 NAV_ICONS）或 KV 中，由 /logos/<name> 提供（不导出路由处理函数）
+
+import { detectImageType } from './icons';
+
+export const MAX_LOGO_BYTES = 256 * 1024;
+// PNG / WebP Logo 的标准尺寸：宽高超过该值时等比缩小（首页图标显示为 40px，兼顾高分屏）
+export const LOGO_STANDARD_SIZE = 128;
+// 未绑定 IMAGES 时服务端无法缩放，只接受不超过该尺寸的位图（后台页面上传前会先缩放）
+export const MAX_LOGO_DIMENSION = 256;
+// 绑定 IMAGES 后可接受更大的位图，保存前缩放为标准尺寸
+export const MAX_SOURCE_LOGO_DIMENSION = 4096;
+
+const LOGO_TYPES = {
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'image/x-icon': 'ico'
+};
+const LOGO_NAME_RE = /^[0-9a-f]{32}\.(png|webp|svg|ico)$/;
+
+// SVG 中可能执行脚本或加载外部内容的元素，连同内容一起删除
+const SVG_FORBIDDEN_ELEMENTS = ['script', 'foreignObject', 'iframe', 'embed', 'object', 'audio', 'video', 'set', 'animate', 'animateMotion', 'animateTransform', 'handler', 'listener'];
+// 允许的内部引用：页内锚点与内嵌位图
+const SAFE_REF_RE = /^\s*(#|data:image\/(png|jpeg|gif|webp);)/i;
+// 只允许 SVG 与 xlink 命名空间，其他命名空间（如 XHTML）中的元素可能被当作 HTML 执行
+const SVG_ALLOWED_NAMESPACES = ['http://www.w3.org/2000/svg', 'http://www.w3.org/1999/xlink'];
+// 元素与属性名可以带命名空间前缀，如 <svg:script>、<h:iframe>
+const NS_PREFIX = '(?:[\\w.-]+:)?';
+
+export function isValidLogoName(name) {
+  return LOGO_NAME_RE.test(String(name || ''));
+}
+
+export function logoContentType(name) {
+  const ext = String(name).split('.').pop();
+  return Object.keys(LOGO_TYPES).find(type => LOGO_TYPES[type] === ext) || 'application/octet-stream';
+}
+
+// PNG、WebP 与 ICO 的宽高（ICO 取最大的一张），无法解析时返回 null
+function imageSize(bytes, contentType) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  try {
+    if (contentType === 'image/png') {
+      return { width: view.getUint32(16), height: view.getUint32(20) };
+    }
+    if (contentType === 'image/x-icon') {
+      const count = view.getUint16(4, true);
+      let width = 0;
+      let height = 0;
+      for (let i = 0; i < count; i++) {
+        // 0 表示 256
+        width = Math.max(width, bytes[6 + i * 16] || 256);
+        height = Math.max(height, bytes[7 + i * 16] || 256);
+      }
+      return count > 0 ? { width, height } : null;
+    }
+    if (contentType === 'image/webp') {
+      const chunk = String.fromCharCode(...bytes.subarray(12, 16));
+      if (chunk === 'VP8X') {
+        return { width: 1 + (view.getUint32(24, true) & 0xffffff), height: 1 + (view.getUint32(27, true) & 0xffffff) };
+      }
+      if (chunk === 'VP8 ') {
+        return { width: view.getUint16(26, true) & 0x3fff, height: view.getUint16(28, true) & 0x3fff };
+      }
+      if (chunk === 'VP8L') {
+        const bits = view.getUint32(21, true);
+        return { width: 1 + (bits & 0x3fff), height: 1 + ((bits >> 14) & 0x3fff) };
+      }
+    }
+  } catch (e) {
+    return null;
+  }
+  return null;
+}
+
+function stripUnsafeRef(match, name, quoted) {
+  const value = quoted.replace(/^["']|["']$/g, '');
+  return SAFE_REF_RE.test(value) ? match : '';
+}
+
+/**
+ * 清理 SVG：删除 DOCTYPE / 实体声明、处理指令、脚本与嵌入类元素（包括带命名空间前缀的写法）、事件属性、指向外部的链接与样式中的外部资源
+ * 声明了 SVG、xlink 以外的命名空间，或清理后仍包含可疑内容时抛出错误。返回清理后的 SVG 文本
+ */
+export function sanitizeSvg(text) {
+  let svg = String(text || '').replace(/^\uFEFF/, '');
+  svg = svg
+    .replace(/<!DOCTYPE[^[>]*(\[[\s\S]*?\])?\s*>/gi, '')
+    .replace(/<\?(?!xml\s)[\s\S]*?\?>/gi, '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+
+  for (const match of svg.matchAll(/\sxmlns(?::[\w.-]+)?\s*=\s*("[^"]*"|'[^']*')/gi)) {
+    if (!SVG_ALLOWED_NAMESPACES.includes(match[1].slice(1, -1).trim())) {
+      throw new Error('SVG 中包含不支持的命名空间');
+    }
+  }
+  // 带前缀的元素只允许 svg:，其他前缀要么绑定到不允许的命名空间，要么未声明
+  if (/<\/?(?!svg:)[\w.-]+:/i.test(svg)) {
+    throw new Error('SVG 中包含不支持的命名空间');
+  }
+
+  const names = SVG_FORBIDDEN_ELEMENTS.join('|');
+  svg = svg
+    .replace(new RegExp(`<(${NS_PREFIX}(?:${names}))\\b[\\s\\S]*?<\\/\\1\\s*>`, 'gi'), '')
+    .replace(new RegExp(`<\\/?${NS_PREFIX}(${names})\\b[^>]*>`, 'gi'), '');
+
+  svg = svg
+    .replace(/\s+(?:[\w.-]+:)?on[a-z-]+\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, '')
+    .replace(/\s+((?:[\w.-]+:)?href|src)\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, stripUnsafeRef)
+    .replace(/@import[^;]*;?/gi, '')
+    .replace(/url\(\s*(['"]?)(?!#|data:image\/(png|jpeg|gif|webp);)[^)]*\)/gi, 'none');
+
+  if (/<(?:[\w.-]+:)?script|javascript:|vbscript:|data:text\/html|<!ENTITY|\s(?:[\w.-]+:)?on[a-z-]+\s*=/i.test(svg) || !/<(?:svg:)?svg[\s>]/i.test(svg)) {
+    throw new Error('SVG 中包含不支持的内容');
+  }
+  return svg.trim();
+}
+
+/**
+ * 校验上传的 Logo，返回 { bytes, contentType, ext, width, height }（SVG 没有 width / height）
+ * 类型根据文件头判断，不信任浏览器提供的 Content-Type；SVG 会先经过 sanitizeSvg 清理
+ * options.maxDimension 为允许的最大宽高
+ */
+export function validateLogo(bytes, { maxDimension = MAX_LOGO_DIMENSION } = {}) {
+  if (!bytes || bytes.length === 0) {
+    throw new Error('请选择图片');
+  }
+  if (bytes.length > MAX_LOGO_BYTES) {
+    throw new Error(`图片不能超过 ${MAX_LOGO_BYTES / 1024} KB`);
+  }
+  const contentType = detectImageType(bytes);
+  if (!LOGO_TYPES[contentType]) {
+    throw new Error('只支持 PNG、SVG、ICO 与 WebP 格式的图片');
+  }
+
+  if (contentType === 'image/svg+xml') {
+    const svg = sanitizeSvg(new TextDecoder('utf-8').decode(bytes));
+    return { bytes: new TextEncoder().encode(svg), contentType, ext: LOGO_TYPES[contentType] };
+  }
+
+  const size = imageSize(bytes, contentType);
+  if (!size || !size.width || !size.height) {
+    throw new Error('无法识别图片尺寸');
+  }
+  if (size.width > maxDimension || size.height > maxDimension) {
+    throw new Error(`图片尺寸不能超过 ${maxDimension}×${maxDimension}`);
+  }
+  return { bytes, contentType, ext: LOGO_TYPES[contentType], width: size.width, height: size.height };
+}
+
+// 当前环境允许上传的位图最大宽高：绑定 IMAGES 时由服务端缩放，可以更大
+export function maxLogoDimension(env) {
+  return env.IMAGES ? MAX_SOURCE_LOGO_DIMENSION : MAX_LOGO_DIMENSION;
+}
+
+/**
+ * 把超过标准尺寸的 PNG / WebP 等比缩小到 LOGO_STANDARD_SIZE 以内（保持原格式），返回新的 Logo
+ * SVG 为矢量图、ICO 本身包含多种尺寸，原样返回；未绑定 IMAGES 时无法缩放，也原样返回
+ */
+export async function normalizeLogo(env, logo) {
+  if (logo.ext !== 'png' && logo.ext !== 'webp') return logo;
+  if (logo.width <= LOGO_STANDARD_SIZE && logo.height <= LOGO_STANDARD_SIZE) return logo;
+  if (!env.IMAGES) return logo;
+
+  const result = await env.IMAGES.input(new Blob([logo.bytes]).stream())
+    .transform({ width: LOGO_STANDARD_SIZE, height: LOGO_STANDARD_SIZE, fit: 'scale-down' })
+    .output({ format: logo.contentType });
+  const bytes = new Uint8Array(await result.response().arrayBuffer());
+  const resized = validateLogo(bytes, { maxDimension: LOGO_STANDARD_SIZE });
+  if (resized.contentType !== logo.contentType) {
+    throw new Error('图片缩放失败');
+  }
+  return resized;
+}
+
+async function sha256Hex(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 保存校验后的 Logo，返回可写入 sites.logo 的地址 /logos/<name>
+ * 文件名取内容哈希，相同的图片只保存一份
+ */
+export async function storeLogo(env, logo) {
+  const name = `${(await sha256Hex(logo.bytes)).slice(0, 32)}.${logo.ext}`;
+  if (env.NAV_ICONS) {
+    await env.NAV_ICONS.put(`logos/${name}`, logo.bytes, { httpMetadata: { contentType: logo.contentType } });
+  } else {
+    await env.NAV_AUTH.put(`logo:${name}`, logo.bytes, { metadata: { contentType: logo.contentType } });
+  }
+  return `/logos/${name}`;
+}
+
+// 读取上传的 Logo，返回 { body, contentType } 或 null
+export async function getStoredLogo(env, name) {
+  if (env.NAV_ICONS) {
+    const object = await env.NAV_ICONS.get(`logos/${name}`);
+    return object ? { body: object.body, contentType: logoContentType(name) } : null;
+  }
+  const value = await env.NAV_AUTH.get(`logo:${name}`, 'arrayBuffer');
+  return value ? { body: value, contentType: logoContentType(name) } : null;
+}
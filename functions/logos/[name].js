@@ -0,0 +1,33 @@
+// functions/logos/[name].js
+import { isValidLogoName, getStoredLogo } from '../logos';
+
+/**
+ * @summary Serve an uploaded bookmark logo
+ * @route GET /logos/:name
+ * 文件名为内容哈希，内容不会变化，可以长期缓存
+ */
+export async function onRequestGet(context) {
+  const { env, params } = context;
+  if (!isValidLogoName(params.name)) {
+    return new Response('Logo not found', { status: 404 });
+  }
+
+  try {
+    const logo = await getStoredLogo(env, params.name);
+    if (!logo) {
+      return new Response('Logo not found', { status: 404, headers: { 'Cache-Control': 'public, max-age=300' } });
+    }
+    return new Response(logo.body, {
+      headers: {
+        'Content-Type': logo.contentType,
+        'Cache-Control': 'public, max-age=31536000, immutable',
+        'X-Content-Type-Options': 'nosniff',
+        // SVG 已在上传时清理，这里再禁止其执行脚本
+        'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; sandbox"
+      }
+    });
+  } catch (e) {
+    console.error(`Failed to serve logo ${params.name}:`, e);
+    return new Response('Failed to load logo', { status: 500, headers: { 'Cache-Control': 'no-store' } });
+  }
+}
@@ -0,0 +1,263 @@
+// functions/page-meta.js
+// 网页元数据抓取：在服务端请求网页，用 HTMLRewriter 解析标题、描述、OpenGraph / Twitter 标签、图标与 Web App Manifest（不导出路由处理函数）
+
+const FETCH_TIMEOUT = 6000;
+const MANIFEST_TIMEOUT = 3000;
+// 元数据都在 <head> 中，只读取网页开头的部分
+const MAX_HTML_BYTES = 512 * 1024;
+const NAME_MAX_LENGTH = 100;
+const DESC_MAX_LENGTH = 300;
+const USER_AGENT = 'Mozilla/5.0 (compatible; iori-nav-meta/1.0)';
+const MAX_REDIRECTS = 5;
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'" };
+
+// HTMLRewriter 返回的文本与属性值不会解码字符实体
+function decodeEntities(text) {
+  return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+\d*);/gi, (match, entity) => {
+    const lower = entity.toLowerCase();
+    if (lower.startsWith('#x')) return String.fromCodePoint(parseInt(lower.slice(2), 16) || 0xfffd);
+    if (lower.startsWith('#')) return String.fromCodePoint(parseInt(lower.slice(1), 10) || 0xfffd);
+    return HTML_ENTITIES[lower] ?? match;
+  });
+}
+
+function cleanText(text, maxLength) {
+  return decodeEntities(text).replace(/\s+/g, ' ').trim().slice(0, maxLength);
+}
+
+// 不允许抓取本机与内网地址
+export function isPrivateHost(hostname) {
+  const host = String(hostname || '').toLowerCase().replace(/^\[|\]$/g, '');
+  if (!host || host === 'localhost' || /\.(localhost|local|internal|lan|home)$/.test(host)) return true;
+  if (host === '::1' || host === '::' || /^(fc|fd|fe8|fe9|fea|feb)[0-9a-f]*:/.test(host)) return true;
+  const ipv4 = host.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+  if (!ipv4) return false;
+  const [a, b] = [Number(ipv4[1]), Number(ipv4[2])];
+  return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31)
+    || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+}
+
+// 解析并校验要抓取的地址，无效时返回 null
+export function parseFetchableUrl(value) {
+  let text = String(value || '').trim();
+  if (!text) return null;
+  // 没有协议的地址按 https 处理
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(text)) text = `https://${text}`;
+  try {
+    const url = new URL(text);
+    if ((url.protocol !== 'http:' && url.protocol !== 'https:') || isPrivateHost(url.hostname)) return null;
+    url.hash = '';
+    return url;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 请求公网地址并手动跟随跳转，每次跳转的目标都重新经过 parseFetchableUrl 校验，
+ * 避免公网地址跳转到本机或内网地址。返回 { res, url }，url 为最终请求的地址
+ */
+export async function fetchPublicUrl(fetchImpl, url, init = {}) {
+  let current = url;
+  for (let i = 0; i <= MAX_REDIRECTS; i++) {
+    const res = await fetchImpl(current, { ...init, redirect: 'manual' });
+    const location = res.status >= 300 && res.status < 400 ? res.headers.get('Location') : null;
+    if (!location) return { res, url: current };
+
+    res.body?.cancel().catch(() => {});
+    let next = null;
+    try {
+      next = parseFetchableUrl(new URL(location, current).href);
+    } catch (e) {
+      next = null;
+    }
+    if (!next) throw new Error('跳转到了不允许访问的地址');
+    current = next.href;
+  }
+  throw new Error('跳转次数过多');
+}
+
+async function fetchWithTimeout(fetchImpl, url, init, timeout) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    return await fetchPublicUrl(fetchImpl, url, { ...init, signal: controller.signal });
+  } catch (e) {
+    throw new Error(controller.signal.aborted ? '请求超时' : (e.message || '请求失败'));
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// 只读取前 MAX_HTML_BYTES 字节；charset 依次取响应头、<meta charset>，默认 utf-8
+async function readHtml(res) {
+  if (!res.body) return '';
+  const reader = res.body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (size < MAX_HTML_BYTES) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.byteLength;
+  }
+  reader.cancel().catch(() => {});
+
+  const bytes = new Uint8Array(Math.min(size, MAX_HTML_BYTES));
+  let offset = 0;
+  for (const chunk of chunks) {
+    const part = chunk.subarray(0, bytes.length - offset);
+    bytes.set(part, offset);
+    offset += part.length;
+    if (offset >= bytes.length) break;
+  }
+
+  const head = String.fromCharCode(...bytes.subarray(0, 2048));
+  const charset = ((res.headers.get('Content-Type') || '').match(/charset=["']?([\w-]+)/i) || [])[1]
+    || (head.match(/<meta[^>]+charset=["']?([\w-]+)/i) || [])[1];
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch (e) {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+// sizes 属性中的最大边长，any（矢量图标）视为最大
+function iconSize(sizes) {
+  if (/any/i.test(sizes || '')) return 1024;
+  return Math.max(0, ...String(sizes || '').split(/\s+/).map(size => parseInt(size, 10) || 0));
+}
+
+async function parseHtml(html) {
+  const meta = {};
+  const icons = [];
+  let title = '';
+  let inTitle = false;
+  let baseHref = '';
+  let manifestHref = '';
+
+  const rewriter = new HTMLRewriter()
+    .on('title', {
+      element(element) {
+        // 只取第一个 <title>，忽略 <svg> 中的 title
+        inTitle = !title;
+        element.onEndTag(() => { inTitle = false; });
+      },
+      text(chunk) {
+        if (inTitle) title += chunk.text;
+      }
+    })
+    .on('meta', {
+      element(element) {
+        const key = (element.getAttribute('property') || element.getAttribute('name') || element.getAttribute('itemprop') || '').toLowerCase();
+        const content = element.getAttribute('content');
+        if (key && content && meta[key] === undefined) meta[key] = content;
+      }
+    })
+    .on('base[href]', {
+      element(element) {
+        if (!baseHref) baseHref = element.getAttribute('href');
+      }
+    })
+    .on('link[rel][href]', {
+      element(element) {
+        const rel = element.getAttribute('rel').toLowerCase().split(/\s+/);
+        const href = element.getAttribute('href');
+        if (rel.includes('manifest')) {
+          manifestHref = manifestHref || href;
+        } else if (rel.includes('apple-touch-icon') || rel.includes('apple-touch-icon-precomposed')) {
+          // 未标注尺寸的 apple-touch-icon 一般为 180×180
+          icons.push({ href, size: iconSize(element.getAttribute('sizes')) || 180 });
+        } else if (rel.includes('icon')) {
+          icons.push({ href, size: iconSize(element.getAttribute('sizes')) || (/\.svg(\?|$)/i.test(href) ? 1024 : 16) });
+        }
+      }
+    });
+
+  await rewriter.transform(new Response(html, { headers: { 'Content-Type': 'text/html; charset=utf-8' } })).text();
+  return { meta, icons, title, baseHref, manifestHref };
+}
+
+function resolveUrl(href, base) {
+  if (!href) return '';
+  try {
+    const url = new URL(decodeEntities(href).trim(), base);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+async function fetchManifest(fetchImpl, manifestUrl) {
+  const url = parseFetchableUrl(manifestUrl);
+  if (!url) return null;
+  try {
+    const { res, url: finalUrl } = await fetchWithTimeout(fetchImpl, url.href, {
+      headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/manifest+json, application/json' }
+    }, MANIFEST_TIMEOUT);
+    if (!res.ok) return null;
+    return { data: JSON.parse(await res.text()), url: finalUrl };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 抓取网页元数据，返回 { url, name, desc, logo, image, site_name, theme_color }
+ * url 为跳转后的最终地址；name 依次取 og:title、twitter:title、<title>、manifest 的 name；
+ * logo 取尺寸最大的图标（包括 manifest 中的图标），找不到时为空字符串，由调用方使用默认图标
+ * options.fetchImpl 可传入模拟的 fetch 离线测试
+ */
+export async function fetchPageMeta(value, options = {}) {
+  const fetchImpl = options.fetchImpl || fetch;
+  const target = parseFetchableUrl(value);
+  if (!target) {
+    throw new Error('无效的网址');
+  }
+
+  const { res, url: finalUrl } = await fetchWithTimeout(fetchImpl, target.href, {
+    headers: {
+      'User-Agent': USER_AGENT,
+      'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+      'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8'
+    }
+  }, FETCH_TIMEOUT);
+  if (!res.ok) {
+    throw new Error(`网页返回 HTTP ${res.status}`);
+  }
+  if (!/html/i.test(res.headers.get('Content-Type') || '')) {
+    res.body?.cancel().catch(() => {});
+    throw new Error('该地址不是网页');
+  }
+
+  const { meta, icons, title, baseHref, manifestHref } = await parseHtml(await readHtml(res));
+  const base = resolveUrl(baseHref, finalUrl) || finalUrl;
+
+  let manifest = null;
+  if (manifestHref) {
+    const manifestUrl = resolveUrl(manifestHref, base);
+    const result = manifestUrl ? await fetchManifest(fetchImpl, manifestUrl) : null;
+    if (result && result.data && typeof result.data === 'object') {
+      manifest = result.data;
+      (Array.isArray(manifest.icons) ? manifest.icons : []).forEach(icon => {
+        if (icon && icon.src) icons.push({ href: resolveUrl(icon.src, result.url), size: iconSize(icon.sizes) || 48 });
+      });
+    }
+  }
+
+  const logo = icons
+    .map(icon => ({ ...icon, href: resolveUrl(icon.href, base) }))
+    .filter(icon => icon.href)
+    .sort((a, b) => b.size - a.size)[0];
+
+  return {
+    url: finalUrl,
+    name: cleanText(meta['og:title'] || meta['twitter:title'] || title || (manifest && (manifest.name || manifest.short_name)), NAME_MAX_LENGTH),
+    desc: cleanText(meta.description || meta['og:description'] || meta['twitter:description'] || (manifest && manifest.description), DESC_MAX_LENGTH),
+    logo: logo ? logo.href : '',
+    image: resolveUrl(meta['og:image'] || meta['twitter:image'], base),
+    site_name: cleanText(meta['og:site_name'] || meta['application-name'] || (manifest && manifest.short_name), NAME_MAX_LENGTH),
+    theme_color: cleanText(meta['theme-color'] || (manifest && manifest.theme_color), 20)
+  };
+}
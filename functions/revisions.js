@@ -0,0 +1,55 @@
+// functions/revisions.js
+// 书签历史版本：编辑、AI 生成描述与恢复前保存旧数据，支持恢复任意版本（不导出路由处理函数）
+
+// 历史版本中保存的字段
+export const REVISION_FIELDS = ['name', 'url', 'logo', 'desc', 'catelog_id', 'catelog_name', 'sort_order', 'is_private'];
+
+// 版本来源：edit 后台编辑，ai AI 生成描述，restore 恢复历史版本
+export const REVISION_SOURCES = ['edit', 'ai', 'restore'];
+
+// 每个书签最多保留的历史版本数，超出后删除最旧的版本
+export const MAX_REVISIONS_PER_SITE = 50;
+
+// 两个版本的书签数据是否存在差异
+export function hasRevisionChanges(before, after) {
+  if (!before || !after) return false;
+  return REVISION_FIELDS.some(field => (before[field] ?? null) !== (after[field] ?? null));
+}
+
+/**
+ * 保存书签修改前的数据为一个历史版本
+ * site 为修改前的 sites 整行，user 为 isAdminAuthenticated 返回的用户
+ */
+export async function recordSiteRevision(env, user, site, source) {
+  await env.NAV_DB.batch([
+    env.NAV_DB.prepare(`
+      INSERT INTO site_revisions (site_id, name, url, logo, desc, catelog_id, catelog_name, sort_order, is_private, source, actor)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      site.id,
+      site.name,
+      site.url,
+      site.logo ?? null,
+      site.desc ?? null,
+      site.catelog_id,
+      site.catelog_name ?? null,
+      site.sort_order ?? 9999,
+      site.is_private ? 1 : 0,
+      source,
+      user ? user.username : 'unknown'
+    ),
+    env.NAV_DB.prepare(`
+      DELETE FROM site_revisions
+      WHERE site_id = ? AND id NOT IN (
+        SELECT id FROM site_revisions WHERE site_id = ? ORDER BY id DESC LIMIT ${MAX_REVISIONS_PER_SITE}
+      )
+    `).bind(site.id, site.id)
+  ]);
+}
+
+// 删除已不存在的书签的历史版本，在彻底删除书签后调用
+export async function purgeOrphanRevisions(env) {
+  await env.NAV_DB.prepare(
+    'DELETE FROM site_revisions WHERE NOT EXISTS (SELECT 1 FROM sites WHERE sites.id = site_revisions.site_id)'
+  ).run();
+}
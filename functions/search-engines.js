@@ -0,0 +1,147 @@
+// functions/search-engines.js
+// 首页站外搜索引擎：保存在 settings 表的 home_search_engines 中（JSON 数组），支持 !bang 快捷前缀与联想词（不导出路由处理函数）
+
+export const SEARCH_ENGINES_SETTING_KEY = 'home_search_engines';
+export const MAX_SEARCH_ENGINES = 20;
+export const MAX_SUGGESTIONS = 8;
+
+const NAME_MAX_LENGTH = 20;
+const ICON_TEXT_MAX_LENGTH = 4;
+const ID_RE = /^[a-z0-9_-]{1,32}$/;
+const BANG_RE = /^[a-z0-9_-]{1,15}$/;
+
+// 未配置时使用的搜索引擎，id 与旧版本保存在浏览器中的选择保持一致
+export const DEFAULT_SEARCH_ENGINES = [
+  { id: 'google', name: 'Google', icon: '', url: 'https://www.google.com/search?q=%s', bang: 'g' },
+  { id: 'baidu', name: 'Baidu', icon: '', url: 'https://www.baidu.com/s?wd=%s', bang: 'bd' },
+  { id: 'bing', name: 'Bing', icon: '', url: 'https://www.bing.com/search?q=%s', bang: 'b' }
+];
+
+// 常用搜索引擎的联想词接口，按搜索地址的域名匹配；format 决定如何解析返回内容
+// opensearch 格式为 ["搜索词", ["联想词1", "联想词2", ...]]
+const SUGGEST_PROVIDERS = [
+  { host: 'google.com', url: 'https://suggestqueries.google.com/complete/search?client=firefox&ie=utf-8&oe=utf-8&q=%s', format: 'opensearch' },
+  { host: 'bing.com', url: 'https://api.bing.com/osjson.aspx?query=%s', format: 'opensearch' },
+  { host: 'baidu.com', url: 'https://suggestion.baidu.com/su?action=opensearch&ie=utf-8&wd=%s', format: 'opensearch' },
+  { host: 'duckduckgo.com', url: 'https://duckduckgo.com/ac/?type=list&q=%s', format: 'opensearch' },
+  { host: 'npmjs.com', url: 'https://registry.npmjs.org/-/v1/search?size=10&text=%s', format: 'npm' },
+  { host: 'developer.mozilla.org', url: 'https://developer.mozilla.org/api/v1/search?size=10&q=%s', format: 'mdn' }
+];
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * 校验并规范化搜索引擎列表，返回 { engines, error }
+ * 名称必填；URL 必须是 http(s) 地址且包含 %s 占位符；bang 可选，去掉开头的 ! 后转为小写且不能重复
+ * 图标可以是图片地址，也可以是不超过 4 个字符的文字（如 emoji）
+ * 联想接口可选，同样需要包含 %s，返回 opensearch 格式的 JSON
+ */
+export function validateSearchEngines(input) {
+  if (!Array.isArray(input)) {
+    return { engines: null, error: '搜索引擎配置必须是数组' };
+  }
+  if (input.length > MAX_SEARCH_ENGINES) {
+    return { engines: null, error: `搜索引擎最多 ${MAX_SEARCH_ENGINES} 个` };
+  }
+
+  const engines = [];
+  const ids = new Set(['local']);
+  const bangs = new Set();
+  for (let i = 0; i < input.length; i++) {
+    const item = input[i] || {};
+    const label = `第 ${i + 1} 个搜索引擎`;
+
+    const name = String(item.name ?? '').trim();
+    if (!name) return { engines: null, error: `${label}缺少名称` };
+    if (name.length > NAME_MAX_LENGTH) return { engines: null, error: `${label}的名称不能超过 ${NAME_MAX_LENGTH} 个字符` };
+
+    const url = String(item.url ?? '').trim();
+    if (!isHttpUrl(url.replace(/%s/g, 'test')) || !url.includes('%s')) {
+      return { engines: null, error: `${label}的 URL 必须是 http(s) 地址并包含 %s 占位符` };
+    }
+
+    const bang = String(item.bang ?? '').trim().replace(/^!/, '').toLowerCase();
+    if (bang && !BANG_RE.test(bang)) {
+      return { engines: null, error: `${label}的 !bang 只能包含字母、数字、下划线和连字符，最长 15 个字符` };
+    }
+    if (bang && bangs.has(bang)) {
+      return { engines: null, error: `!${bang} 重复` };
+    }
+
+    const suggest = String(item.suggest ?? '').trim();
+    if (suggest && (!isHttpUrl(suggest.replace(/%s/g, 'test')) || !suggest.includes('%s'))) {
+      return { engines: null, error: `${label}的联想接口必须是 http(s) 地址并包含 %s 占位符` };
+    }
+
+    const icon = String(item.icon ?? '').trim();
+    if (icon && !isHttpUrl(icon) && !icon.startsWith('/') && [...icon].length > ICON_TEXT_MAX_LENGTH) {
+      return { engines: null, error: `${label}的图标必须是图片地址或不超过 ${ICON_TEXT_MAX_LENGTH} 个字符的文字` };
+    }
+
+    let id = String(item.id ?? '').trim().toLowerCase();
+    if (!ID_RE.test(id) || ids.has(id)) id = bang && !ids.has(bang) ? bang : `engine${i + 1}`;
+    while (ids.has(id)) id = `${id}-${i + 1}`;
+
+    ids.add(id);
+    if (bang) bangs.add(bang);
+    engines.push({ id, name, icon, url, bang, suggest });
+  }
+  return { engines, error: null };
+}
+
+// 读取保存的配置，未配置或内容无效时返回默认列表
+export function parseSearchEngines(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_SEARCH_ENGINES;
+  try {
+    const { engines } = validateSearchEngines(JSON.parse(value));
+    return engines || DEFAULT_SEARCH_ENGINES;
+  } catch (e) {
+    return DEFAULT_SEARCH_ENGINES;
+  }
+}
+
+/**
+ * 搜索引擎的联想词来源，返回 { url, format }，没有可用来源时返回 null
+ * 优先使用后台填写的联想接口（需返回 opensearch 格式），否则按搜索地址的域名匹配内置接口
+ */
+export function getSuggestSource(engine) {
+  if (engine.suggest) return { url: engine.suggest, format: 'opensearch' };
+  let hostname = '';
+  try {
+    hostname = new URL(engine.url.replace(/%s/g, 'test')).hostname;
+  } catch (e) {
+    return null;
+  }
+  const provider = SUGGEST_PROVIDERS.find(p => hostname === p.host || hostname.endsWith(`.${p.host}`));
+  return provider ? { url: provider.url, format: provider.format } : null;
+}
+
+// 把各接口的返回内容统一为去重后的字符串数组
+export function normalizeSuggestions(format, data) {
+  let list = [];
+  if (format === 'npm') {
+    list = ((data && data.objects) || []).map(item => item && item.package && item.package.name);
+  } else if (format === 'mdn') {
+    list = ((data && data.documents) || []).map(item => item && item.title);
+  } else if (Array.isArray(data) && Array.isArray(data[1])) {
+    list = data[1];
+  }
+
+  const seen = new Set();
+  const suggestions = [];
+  for (const item of list) {
+    const text = typeof item === 'string' ? item.trim() : '';
+    if (!text || seen.has(text.toLowerCase())) continue;
+    seen.add(text.toLowerCase());
+    suggestions.push(text);
+    if (suggestions.length >= MAX_SUGGESTIONS) break;
+  }
+  return suggestions;
+}
@@ -0,0 +1,239 @@
+// functions/search.js
+// 书签全文搜索：维护 FTS5 索引 sites_fts，支持 bm25 排序、前缀匹配与拼音首字母（不导出路由处理函数）
+
+// D1 单条语句变量数上限为 100，按 50 分块
+const CHUNK_SIZE = 50;
+
+// 各列的 bm25 权重，顺序与 sites_fts 的列一致：name, url, desc, catelog_name, tags, initials
+const BM25_WEIGHTS = [10.0, 3.0, 1.0, 2.0, 5.0, 8.0];
+// 搜索结果返回的书签字段
+const SEARCH_COLUMNS = 's.id, s.name, s.url, s.logo, s.desc, s.catelog_id, s.catelog_name, s.sort_order, s.is_private, s.create_time, s.update_time';
+
+const CJK_RE = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/;
+const CJK_GLOBAL_RE = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/g;
+
+// 每个声母区间的第一个汉字（按 zh-CN 排序规则），用于推算汉字的拼音首字母
+const PINYIN_BOUNDARIES = ['阿', '芭', '擦', '搭', '蛾', '发', '噶', '哈', '击', '喀', '垃', '妈', '拿', '哦', '啪', '期', '然', '撒', '塌', '挖', '昔', '压', '匝'];
+const PINYIN_LETTERS = 'abcdefghjklmnopqrstwxyz';
+
+let pinyinCollator = null;
+
+function getPinyinCollator() {
+  if (pinyinCollator === null) {
+    try {
+      const collator = new Intl.Collator('zh-Hans-CN');
+      // 运行时不支持中文排序规则时会按码位比较，此时无法推算拼音
+      pinyinCollator = collator.compare('阿', '八') < 0 ? collator : false;
+    } catch (e) {
+      pinyinCollator = false;
+    }
+  }
+  return pinyinCollator;
+}
+
+function pinyinInitial(ch) {
+  const collator = getPinyinCollator();
+  if (!collator || collator.compare(ch, PINYIN_BOUNDARIES[0]) < 0) return '';
+  let letter = '';
+  for (let i = 0; i < PINYIN_BOUNDARIES.length; i++) {
+    if (collator.compare(ch, PINYIN_BOUNDARIES[i]) < 0) break;
+    letter = PINYIN_LETTERS[i];
+  }
+  return letter;
+}
+
+/**
+ * 名称的首字母缩写：汉字取拼音首字母，英文单词（含驼峰）取首字母
+ * 例如 "哔哩哔哩" -> "blbl"，"GitHub" -> "gh"
+ */
+export function nameInitials(name) {
+  const parts = String(name || '').match(/[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]|[A-Z]?[a-z]+|[A-Z]+(?![a-z])|\d+/g) || [];
+  return parts.map(part => (CJK_RE.test(part) ? pinyinInitial(part) : part[0].toLowerCase())).join('');
+}
+
+// unicode61 分词器会把连续的汉字视为一个词，写入索引前在汉字之间插入空格，使每个汉字单独成词
+function segmentText(text) {
+  return String(text || '').replace(CJK_GLOBAL_RE, ch => ` ${ch} `).replace(/\s+/g, ' ').trim();
+}
+
+// 拆分搜索词：连续汉字为一组，字母数字为一组
+export function parseSearchTerms(keyword) {
+  return String(keyword || '').match(/[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]+|[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * 生成 FTS5 MATCH 表达式，各组之间为 AND
+ * 汉字组作为短语匹配，字母数字组使用前缀匹配（同时命中拼音首字母列）
+ */
+export function buildMatchQuery(keyword) {
+  return parseSearchTerms(keyword)
+    .map(term => (CJK_RE.test(term) ? `"${[...term].join(' ')}"` : `"${term.toLowerCase()}"*`))
+    .join(' AND ');
+}
+
+function escapeHTML(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * 生成高亮片段：转义 HTML 后用 <mark> 包裹命中的搜索词
+ * maxLength 大于 0 时截取第一个命中位置附近的内容
+ */
+export function highlightText(text, terms, maxLength = 0) {
+  let source = String(text || '');
+  if (!source) return '';
+
+  const lowered = terms.map(t => t.toLowerCase()).filter(Boolean);
+  if (maxLength > 0 && source.length > maxLength) {
+    const lowerSource = source.toLowerCase();
+    const positions = lowered.map(t => lowerSource.indexOf(t)).filter(i => i >= 0);
+    const first = positions.length > 0 ? Math.min(...positions) : 0;
+    const start = Math.max(0, Math.min(first - Math.floor(maxLength / 4), source.length - maxLength));
+    source = `${start > 0 ? '…' : ''}${source.slice(start, start + maxLength)}${start + maxLength < source.length ? '…' : ''}`;
+  }
+  if (lowered.length === 0) return escapeHTML(source);
+
+  const pattern = new RegExp(`(${lowered.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+  return source.split(pattern).map((part, i) => (i % 2 === 1 ? `<mark>${escapeHTML(part)}</mark>` : escapeHTML(part))).join('');
+}
+
+/**
+ * 按书签 ID 重建索引行，在书签的名称、URL、描述、分类名或标签变化后调用
+ * 书签不存在时只删除索引行；索引更新失败只打印错误，不影响业务操作本身
+ */
+export async function reindexSites(env, siteIds) {
+  const ids = [...new Set((siteIds || []).map(Number).filter(Number.isInteger))];
+  try {
+    for (let i = 0; i < ids.length; i += CHUNK_SIZE) {
+      const chunk = ids.slice(i, i + CHUNK_SIZE);
+      const placeholders = chunk.map(() => '?').join(',');
+      const [{ results: sites }, { results: tagRows }] = await Promise.all([
+        env.NAV_DB.prepare(`SELECT id, name, url, desc, catelog_name FROM sites WHERE id IN (${placeholders})`).bind(...chunk).all(),
+        env.NAV_DB.prepare(`
+          SELECT st.site_id, t.name FROM site_tags st JOIN tags t ON t.id = st.tag_id
+          WHERE st.site_id IN (${placeholders})
+        `).bind(...chunk).all()
+      ]);
+
+      const tagMap = new Map();
+      (tagRows || []).forEach(row => {
+        if (!tagMap.has(row.site_id)) tagMap.set(row.site_id, []);
+        tagMap.get(row.site_id).push(row.name);
+      });
+
+      const statements = [env.NAV_DB.prepare(`DELETE FROM sites_fts WHERE rowid IN (${placeholders})`).bind(...chunk)];
+      (sites || []).forEach(site => {
+        statements.push(env.NAV_DB.prepare(`
+          INSERT INTO sites_fts (rowid, name, url, desc, catelog_name, tags, initials) VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+          site.id,
+          segmentText(site.name),
+          segmentText(site.url),
+          segmentText(site.desc),
+          segmentText(site.catelog_name),
+          segmentText((tagMap.get(site.id) || []).join(' ')),
+          nameInitials(site.name)
+        ));
+      });
+      await env.NAV_DB.batch(statements);
+    }
+  } catch (e) {
+    console.error('Failed to update search index:', e);
+  }
+}
+
+// 重建分类下所有书签的索引（分类改名后调用）
+export async function reindexCategorySites(env, catelogId) {
+  const { results } = await env.NAV_DB.prepare('SELECT id FROM sites WHERE catelog_id = ?').bind(catelogId).all();
+  await reindexSites(env, (results || []).map(r => r.id));
+}
+
+// 全量重建索引
+export async function rebuildSearchIndex(env) {
+  await env.NAV_DB.prepare('DELETE FROM sites_fts').run();
+  const { results } = await env.NAV_DB.prepare('SELECT id FROM sites').all();
+  await reindexSites(env, (results || []).map(r => r.id));
+}
+
+// 每个 Worker 实例只检查一次索引，之后新增与修改的书签由 reindexSites 维护
+let searchIndexChecked = false;
+
+// 索引为空而书签不为空时（例如刚升级到带索引的版本）自动全量重建
+export async function ensureSearchIndex(env) {
+  if (searchIndexChecked) return;
+  const row = await env.NAV_DB.prepare(`
+    SELECT (SELECT COUNT(*) FROM sites_fts) AS indexed, (SELECT COUNT(*) FROM sites) AS total
+  `).first();
+  if (row && row.indexed === 0 && row.total > 0) {
+    await rebuildSearchIndex(env);
+  }
+  searchIndexChecked = true;
+}
+
+// 删除已不存在的书签的索引行，在彻底删除书签后调用
+export async function purgeOrphanSearchIndex(env) {
+  await env.NAV_DB.prepare(
+    'DELETE FROM sites_fts WHERE rowid NOT IN (SELECT id FROM sites)'
+  ).run();
+}
+
+/**
+ * 搜索书签，按 bm25 相关度排序
+ * 回收站中的书签不会出现在结果中，includePrivate 为 false 时排除私密书签
+ * extraWhere 为追加的筛选条件（以 AND 开头，书签表别名为 s），参数放在 extraParams 中
+ * 关键词只有标点符号（如 c++ 中的 ++、#）时无法生成 MATCH 表达式，改用 LIKE 匹配名称、URL、分类名与描述
+ */
+export async function searchSites(env, keyword, { includePrivate = false, catalogId = null, extraWhere = '', extraParams = [], limit = 20, offset = 0 } = {}) {
+  const text = String(keyword || '').trim();
+  if (!text) return { results: [], total: 0 };
+
+  let where = 's.deleted_at IS NULL AND (s.is_private = 0 OR ? = 1)';
+  const params = [includePrivate ? 1 : 0];
+  if (catalogId) {
+    where += ' AND s.catelog_id = ?';
+    params.push(catalogId);
+  }
+  if (extraWhere) {
+    where += ` ${extraWhere}`;
+    params.push(...extraParams);
+  }
+
+  const match = buildMatchQuery(text);
+  if (!match) {
+    const like = `%${text}%`;
+    const likeWhere = `${where} AND (s.name LIKE ? OR s.url LIKE ? OR s.catelog_name LIKE ? OR s.desc LIKE ?)`;
+    const likeParams = [...params, like, like, like, like];
+    const [countResult, { results }] = await Promise.all([
+      env.NAV_DB.prepare(`SELECT COUNT(*) AS total FROM sites s WHERE ${likeWhere}`).bind(...likeParams).first(),
+      env.NAV_DB.prepare(`
+        SELECT ${SEARCH_COLUMNS} FROM sites s
+        WHERE ${likeWhere}
+        ORDER BY s.sort_order ASC, s.create_time DESC
+        LIMIT ? OFFSET ?
+      `).bind(...likeParams, limit, offset).all()
+    ]);
+    return { results: results || [], total: countResult ? countResult.total : 0 };
+  }
+
+  where = `sites_fts MATCH ? AND ${where}`;
+  params.unshift(match);
+
+  const [countResult, { results }] = await Promise.all([
+    env.NAV_DB.prepare(`SELECT COUNT(*) AS total FROM sites_fts JOIN sites s ON s.id = sites_fts.rowid WHERE ${where}`).bind(...params).first(),
+    env.NAV_DB.prepare(`
+      SELECT ${SEARCH_COLUMNS},
+             bm25(sites_fts, ${BM25_WEIGHTS.join(', ')}) AS rank
+      FROM sites_fts JOIN sites s ON s.id = sites_fts.rowid
+      WHERE ${where}
+      ORDER BY rank ASC, s.sort_order ASC
+      LIMIT ? OFFSET ?
+    `).bind(...params, limit, offset).all()
+  ]);
+
+  return { results: results || [], total: countResult ? countResult.total : 0 };
+}
@@ -0,0 +1,113 @@
+// functions/tags.js
+// 书签标签：标签与书签为多对多关系，可与分类同时使用（不导出路由处理函数）
+
+export const TAG_NAME_MAX_LENGTH = 30;
+export const MAX_TAGS_PER_SITE = 20;
+
+// D1 单条语句变量数上限为 100，按 50 分块
+const CHUNK_SIZE = 50;
+
+function chunk(items) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += CHUNK_SIZE) {
+    chunks.push(items.slice(i, i + CHUNK_SIZE));
+  }
+  return chunks;
+}
+
+/**
+ * 规范化标签输入：支持数组或逗号分隔的字符串，去除空白与重复项（不区分大小写）
+ * 超长标签会被截断，数量超出上限的部分会被丢弃
+ */
+export function normalizeTagNames(input) {
+  let list = [];
+  if (Array.isArray(input)) {
+    list = input;
+  } else if (typeof input === 'string') {
+    list = input.split(/[,，]/);
+  }
+
+  const seen = new Set();
+  const names = [];
+  for (const item of list) {
+    const name = String(item ?? '').replace(/[,，]/g, ' ').trim().slice(0, TAG_NAME_MAX_LENGTH);
+    if (!name || seen.has(name.toLowerCase())) continue;
+    seen.add(name.toLowerCase());
+    names.push(name);
+    if (names.length >= MAX_TAGS_PER_SITE) break;
+  }
+  return names;
+}
+
+// 按名称查找标签，不存在的自动创建，返回 [{ id, name }]
+export async function ensureTags(env, names) {
+  if (names.length === 0) return [];
+  await env.NAV_DB.batch(names.map(name => env.NAV_DB.prepare('INSERT OR IGNORE INTO tags (name) VALUES (?)').bind(name)));
+
+  const rows = [];
+  for (const part of chunk(names)) {
+    const placeholders = part.map(() => '?').join(',');
+    const { results } = await env.NAV_DB.prepare(`SELECT id, name FROM tags WHERE name IN (${placeholders})`).bind(...part).all();
+    rows.push(...(results || []));
+  }
+  return rows;
+}
+
+// 用给定的标签名替换书签的全部标签
+export async function setSiteTags(env, siteId, names) {
+  const tags = await ensureTags(env, names);
+  const statements = [env.NAV_DB.prepare('DELETE FROM site_tags WHERE site_id = ?').bind(siteId)];
+  tags.forEach(tag => {
+    statements.push(env.NAV_DB.prepare('INSERT OR IGNORE INTO site_tags (site_id, tag_id) VALUES (?, ?)').bind(siteId, tag.id));
+  });
+  await env.NAV_DB.batch(statements);
+}
+
+/**
+ * 读取书签的标签，返回 Map<site_id, string[]>
+ * 不传 siteIds 时读取全部书签的标签（首页与导出使用）
+ */
+export async function fetchSiteTagMap(env, siteIds = null) {
+  const rows = [];
+  if (siteIds === null) {
+    const { results } = await env.NAV_DB.prepare(`
+      SELECT st.site_id, t.name FROM site_tags st JOIN tags t ON t.id = st.tag_id
+      ORDER BY t.name ASC
+    `).all();
+    rows.push(...(results || []));
+  } else {
+    for (const part of chunk(siteIds)) {
+      const placeholders = part.map(() => '?').join(',');
+      const { results } = await env.NAV_DB.prepare(`
+        SELECT st.site_id, t.name FROM site_tags st JOIN tags t ON t.id = st.tag_id
+        WHERE st.site_id IN (${placeholders})
+        ORDER BY t.name ASC
+      `).bind(...part).all();
+      rows.push(...(results || []));
+    }
+  }
+
+  const map = new Map();
+  rows.forEach(row => {
+    if (!map.has(row.site_id)) map.set(row.site_id, []);
+    map.get(row.site_id).push(row.name);
+  });
+  return map;
+}
+
+// 为书签列表附加 tags 字段
+export async function attachSiteTags(env, sites) {
+  if (sites.length === 0) return sites;
+  const map = await fetchSiteTagMap(env, sites.map(s => s.id));
+  sites.forEach(site => {
+    site.tags = map.get(site.id) || [];
+  });
+  return sites;
+}
+
+// 删除已不存在的书签的标签关联，在彻底删除书签后调用
+export async function purgeOrphanSiteTags(env) {
+  await env.NAV_DB.prepare(
+    'DELETE FROM site_tags WHERE NOT EXISTS (SELECT 1 FROM sites WHERE sites.id = site_tags.site_id)'
+  ).run();
+}
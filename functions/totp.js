@@ -0,0 +1,152 @@
+// functions/totp.js
+// RFC 6238 TOTP 两步验证与恢复码（不导出路由处理函数）
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+// 允许前后各一个时间窗口，兼容手机与服务器之间的时钟偏差
+const TOTP_WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+export function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (let i = 0; i < bytes.length; i++) {
+    value = (value << 8) | bytes[i];
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+export function base32Decode(input) {
+  const clean = String(input || '').toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const output = [];
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(output);
+}
+
+// 生成 160 位随机密钥（RFC 4226 推荐长度）
+export function generateTotpSecret() {
+  return base32Encode(crypto.getRandomValues(new Uint8Array(20)));
+}
+
+async function hotp(secretBytes, counter) {
+  const counterBytes = new Uint8Array(8);
+  let c = counter;
+  for (let i = 7; i >= 0; i--) {
+    counterBytes[i] = c & 0xff;
+    c = Math.floor(c / 256);
+  }
+
+  const key = await crypto.subtle.importKey(
+    'raw',
+    secretBytes,
+    { name: 'HMAC', hash: 'SHA-1' },
+    false,
+    ['sign']
+  );
+  const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counterBytes));
+
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+export function currentTimeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_PERIOD);
+}
+
+export async function generateTotp(secret, now = Date.now()) {
+  return hotp(base32Decode(secret), currentTimeStep(now));
+}
+
+/**
+ * 校验 TOTP 验证码，成功时返回匹配的时间步（用于防重放），失败返回 null
+ * lastStep 为上次成功使用的时间步，不大于它的验证码视为已使用
+ */
+export async function verifyTotp(secret, code, lastStep = -1, now = Date.now()) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized) || !secret) return null;
+
+  const secretBytes = base32Decode(secret);
+  const step = currentTimeStep(now);
+  for (let i = -TOTP_WINDOW; i <= TOTP_WINDOW; i++) {
+    const candidate = step + i;
+    if (candidate <= lastStep) continue;
+    if ((await hotp(secretBytes, candidate)) === normalized) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+export function buildOtpauthUri(issuer, account, secret) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = [
+    `secret=${secret}`,
+    `issuer=${encodeURIComponent(issuer)}`,
+    'algorithm=SHA1',
+    `digits=${TOTP_DIGITS}`,
+    `period=${TOTP_PERIOD}`
+  ].join('&');
+  return `otpauth://totp/${label}?${params}`;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+async function hashRecoveryCode(code) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalizeRecoveryCode(code)));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 生成一组一次性恢复码，返回 { codes, hashes }
+ * codes 只展示给用户一次，KV 中仅保存 hashes
+ */
+export async function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = base32Encode(crypto.getRandomValues(new Uint8Array(5))).toLowerCase();
+    codes.push(`${raw.slice(0, 4)}-${raw.slice(4, 8)}`);
+  }
+  const hashes = await Promise.all(codes.map(hashRecoveryCode));
+  return { codes, hashes };
+}
+
+/**
+ * 校验恢复码，成功时返回去掉已使用恢复码后的哈希列表，失败返回 null
+ */
+export async function consumeRecoveryCode(hashes, code) {
+  if (!Array.isArray(hashes) || normalizeRecoveryCode(code).length !== 8) return null;
+  const hash = await hashRecoveryCode(code);
+  const index = hashes.indexOf(hash);
+  if (index === -1) return null;
+  return hashes.filter((_, i) => i !== index);
+}
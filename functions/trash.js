@@ -0,0 +1,187 @@
+// functions/trash.js
+// 回收站：书签与分类的软删除、恢复、彻底删除与过期自动清理（不导出路由处理函数）
+import { purgeOrphanRevisions } from './revisions';
+import { purgeOrphanSiteTags } from './tags';
+import { purgeOrphanSearchIndex } from './search';
+import { purgeOrphanClicks, dayKey } from './clicks';
+import { purgeOrphanLinkChecks } from './link-checker';
+
+export const TRASH_TYPES = {
+  site: 'sites',
+  category: 'category'
+};
+
+// 只接受 TRASH_TYPES 自身的键，constructor、toString 等继承属性不是有效类型
+export function isTrashType(type) {
+  return Object.prototype.hasOwnProperty.call(TRASH_TYPES, type);
+}
+
+// 回收站保留天数的默认值，设置为 0 表示不自动清理
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+export const MAX_TRASH_RETENTION_DAYS = 3650;
+
+// D1 单条语句变量数上限为 100，按 50 分块
+const CHUNK_SIZE = 50;
+// 自动清理每天最多执行一次：同一 Worker 实例用内存记录，不同实例之间通过 KV 中的日期标记共享
+const TRASH_PURGE_DAY_KEY = 'trash_purged_day';
+let lastPurgeDay = '';
+
+// 书签被彻底删除后，清理其历史版本、标签关联、搜索索引、点击统计与链接检查结果
+async function purgeSiteRelations(env) {
+  await purgeOrphanRevisions(env);
+  await purgeOrphanSiteTags(env);
+  await purgeOrphanSearchIndex(env);
+  await purgeOrphanClicks(env);
+  await purgeOrphanLinkChecks(env);
+}
+
+function chunkIds(ids) {
+  const chunks = [];
+  for (let i = 0; i < ids.length; i += CHUNK_SIZE) {
+    chunks.push(ids.slice(i, i + CHUNK_SIZE));
+  }
+  return chunks;
+}
+
+export async function getTrashRetentionDays(env) {
+  const row = await env.NAV_DB.prepare("SELECT value FROM settings WHERE key = 'trash_retention_days'").first();
+  if (!row || row.value === null || row.value === '') return DEFAULT_TRASH_RETENTION_DAYS;
+  const days = parseInt(row.value, 10);
+  return Number.isFinite(days) && days >= 0 ? Math.min(days, MAX_TRASH_RETENTION_DAYS) : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+// 读取回收站中的记录（只返回已删除的行）
+export async function fetchTrashedRows(env, type, ids) {
+  const table = TRASH_TYPES[type];
+  const rows = [];
+  for (const chunk of chunkIds(ids)) {
+    const placeholders = chunk.map(() => '?').join(',');
+    const { results } = await env.NAV_DB.prepare(
+      `SELECT * FROM ${table} WHERE deleted_at IS NOT NULL AND id IN (${placeholders})`
+    ).bind(...chunk).all();
+    rows.push(...(results || []));
+  }
+  return rows;
+}
+
+// 恢复分类时一并恢复已删除的上级分类，保证分类树完整
+async function restoreCategoryAncestors(env, categoryIds) {
+  const restored = [];
+  let pending = [...new Set(categoryIds.map(Number))];
+  const visited = new Set();
+  while (pending.length > 0) {
+    const rows = await fetchTrashedRows(env, 'category', pending.filter(id => !visited.has(id)));
+    pending.forEach(id => visited.add(id));
+    if (rows.length === 0) break;
+
+    for (const chunk of chunkIds(rows.map(r => r.id))) {
+      const placeholders = chunk.map(() => '?').join(',');
+      await env.NAV_DB.prepare(`UPDATE category SET deleted_at = NULL WHERE id IN (${placeholders})`).bind(...chunk).run();
+    }
+    restored.push(...rows);
+    pending = rows.map(r => Number(r.parent_id)).filter(id => id && !visited.has(id));
+  }
+  return restored;
+}
+
+/**
+ * 从回收站恢复记录，返回 { restored, categories }
+ * 书签所在分类已被删除时，分类也会一并恢复
+ */
+export async function restoreFromTrash(env, type, ids) {
+  const rows = await fetchTrashedRows(env, type, ids);
+  if (rows.length === 0) return { restored: [], categories: [] };
+
+  if (type === 'category') {
+    const restored = await restoreCategoryAncestors(env, rows.map(r => r.id));
+    return { restored, categories: [] };
+  }
+
+  for (const chunk of chunkIds(rows.map(r => r.id))) {
+    const placeholders = chunk.map(() => '?').join(',');
+    await env.NAV_DB.prepare(`UPDATE sites SET deleted_at = NULL WHERE id IN (${placeholders})`).bind(...chunk).run();
+  }
+  const categories = await restoreCategoryAncestors(env, rows.map(r => r.catelog_id));
+  return { restored: rows, categories };
+}
+
+/**
+ * 彻底删除回收站中的记录，返回被删除的行
+ * 删除分类时，回收站中属于该分类的书签与下级分类会一起删除，避免留下无主数据
+ */
+export async function purgeFromTrash(env, type, ids) {
+  const rows = await fetchTrashedRows(env, type, ids);
+  if (rows.length === 0) return [];
+
+  if (type === 'site') {
+    for (const chunk of chunkIds(rows.map(r => r.id))) {
+      const placeholders = chunk.map(() => '?').join(',');
+      await env.NAV_DB.prepare(`DELETE FROM sites WHERE deleted_at IS NOT NULL AND id IN (${placeholders})`).bind(...chunk).run();
+    }
+    await purgeSiteRelations(env);
+    return rows;
+  }
+
+  // 收集回收站中的所有下级分类
+  const { results: trashedCategories } = await env.NAV_DB.prepare('SELECT * FROM category WHERE deleted_at IS NOT NULL').all();
+  const purgeIds = new Set(rows.map(r => r.id));
+  let added = true;
+  while (added) {
+    added = false;
+    (trashedCategories || []).forEach(c => {
+      if (!purgeIds.has(c.id) && purgeIds.has(Number(c.parent_id))) {
+        purgeIds.add(c.id);
+        added = true;
+      }
+    });
+  }
+  const purgedCategories = (trashedCategories || []).filter(c => purgeIds.has(c.id));
+
+  for (const chunk of chunkIds([...purgeIds])) {
+    const placeholders = chunk.map(() => '?').join(',');
+    await env.NAV_DB.batch([
+      env.NAV_DB.prepare(`DELETE FROM sites WHERE deleted_at IS NOT NULL AND catelog_id IN (${placeholders})`).bind(...chunk),
+      env.NAV_DB.prepare(`DELETE FROM category WHERE deleted_at IS NOT NULL AND id IN (${placeholders})`).bind(...chunk)
+    ]);
+  }
+  await purgeSiteRelations(env);
+  return purgedCategories;
+}
+
+/**
+ * 清理超过保留天数的回收站记录，每天最多执行一次（删除操作与打开回收站时通过 waitUntil 调用）
+ * 分类只有在没有任何书签引用时才会被自动清理
+ */
+export async function purgeExpiredTrash(env) {
+  const today = dayKey();
+  if (lastPurgeDay === today) return;
+  lastPurgeDay = today;
+
+  try {
+    if (await env.NAV_AUTH.get(TRASH_PURGE_DAY_KEY) === today) return;
+    await purgeExpiredTrashNow(env);
+    await env.NAV_AUTH.put(TRASH_PURGE_DAY_KEY, today, { expirationTtl: 2 * 86400 });
+  } catch (e) {
+    // 清理失败时允许下次请求重试
+    lastPurgeDay = '';
+    throw e;
+  }
+}
+
+async function purgeExpiredTrashNow(env) {
+  const days = await getTrashRetentionDays(env);
+  if (days <= 0) return;
+
+  await env.NAV_DB.batch([
+    env.NAV_DB.prepare(
+      `DELETE FROM sites WHERE deleted_at IS NOT NULL AND deleted_at < datetime('now', '-${days} days')`
+    ),
+    env.NAV_DB.prepare(`
+      DELETE FROM category
+      WHERE deleted_at IS NOT NULL AND deleted_at < datetime('now', '-${days} days')
+        AND NOT EXISTS (SELECT 1 FROM sites WHERE sites.catelog_id = category.id)
+        AND NOT EXISTS (SELECT 1 FROM category AS child WHERE child.parent_id = category.id)
+    `)
+  ]);
+  await purgeSiteRelations(env);
+}
@@ -0,0 +1,64 @@
+// 导航站定时任务 Worker：检查书签链接、刷新缓存的网站图标（Cloudflare Pages 不支持 Cron Triggers，需要单独部署）
+// 环境变量：
+//   NAV_URL       导航站地址，例如 https://nav.example.com
+//   NAV_API_TOKEN 在后台「API 令牌」中创建的令牌，需要 bookmarks 权限
+// 在 Worker 的 Triggers 中添加 Cron，例如每天凌晨 3 点：0 3 * * *
+
+// 单次定时任务中每项任务最多执行的轮数（链接检查每轮最多 20 个书签，图标刷新每轮最多 5 个域名）
+// 两项任务合计的请求数不能超过 Workers 免费版单次调用 50 个子请求的限制
+const MAX_ROUNDS = 20;
+
+async function callNav(env, path) {
+  const response = await fetch(`${env.NAV_URL.replace(/\/+$/, '')}${path}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${env.NAV_API_TOKEN}`,
+      'Content-Type': 'application/json'
+    },
+    body: '{}'
+  });
+  if (!response.ok) {
+    throw new Error(`${path} failed: HTTP ${response.status} ${await response.text()}`);
+  }
+  return response.json();
+}
+
+async function runLinkCheck(env) {
+  let checked = 0;
+  let dead = 0;
+  let redirect = 0;
+
+  for (let round = 0; round < MAX_ROUNDS; round++) {
+    const result = await callNav(env, '/api/link-check');
+    checked += result.checked;
+    dead += result.dead;
+    redirect += result.redirect;
+    // 没有到期的书签，或本轮没有检查任何书签时结束
+    if (!result.remaining || !result.checked) break;
+  }
+
+  console.log(`Link check finished: ${checked} checked, ${dead} dead, ${redirect} redirected`);
+}
+
+async function runIconRefresh(env) {
+  let refreshed = 0;
+  let removed = 0;
+
+  for (let round = 0; round < MAX_ROUNDS; round++) {
+    const result = await callNav(env, '/api/icons/refresh');
+    refreshed += result.refreshed;
+    removed += result.removed;
+    // 没有到期的图标，或本轮没有处理任何域名时结束
+    if (!result.remaining || (result.data.length === 0 && !result.removed)) break;
+  }
+
+  console.log(`Icon refresh finished: ${refreshed} refreshed, ${removed} removed`);
+}
+
+export default {
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(Promise.allSettled([runLinkCheck(env), runIconRefresh(env)]).then(results => {
+      results.filter(result => result.status === 'rejected').forEach(result => console.error(result.reason));
+    }));
+  }
+};
@@ -0,0 +1,242 @@
+/**
+ * admin-audit.js
+ * 操作日志：按账号、操作、对象、关键字与日期筛选后台修改记录，查看修改前后的数据
+ */
+
+// DOM Elements
+const auditTableBody = document.getElementById('auditTableBody');
+const auditActorFilter = document.getElementById('auditActorFilter');
+const auditActionFilter = document.getElementById('auditActionFilter');
+const auditEntityFilter = document.getElementById('auditEntityFilter');
+const auditKeywordFilter = document.getElementById('auditKeywordFilter');
+const auditFromFilter = document.getElementById('auditFromFilter');
+const auditToFilter = document.getElementById('auditToFilter');
+const auditPrevPageBtn = document.getElementById('auditPrevPage');
+const auditNextPageBtn = document.getElementById('auditNextPage');
+const auditCurrentPageSpan = document.getElementById('auditCurrentPage');
+const auditTotalPagesSpan = document.getElementById('auditTotalPages');
+
+const AUDIT_ACTION_LABELS = {
+    create: '新增',
+    update: '修改',
+    delete: '删除',
+    batch_delete: '批量删除',
+    batch_move: '批量移动',
+    batch_privacy: '批量设置隐私',
+    batch_undo: '撤销批量操作',
+    approve: '审核通过',
+    reject: '审核拒绝',
+    import: '导入',
+    restore: '从回收站恢复',
+    purge: '彻底删除',
+    revert: '恢复历史版本',
+    merge: '合并重复书签'
+};
+
+const AUDIT_ENTITY_LABELS = {
+    site: '书签',
+    category: '分类',
+    tag: '标签',
+    pending: '待审核',
+    settings: '设置'
+};
+
+// State
+let auditPage = 1;
+const auditPageSize = 50;
+let auditTotal = 0;
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+    initAuditEvents();
+});
+
+function initAuditEvents() {
+    let debounceTimer;
+    const refresh = () => {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(() => {
+            auditPage = 1;
+            window.fetchAuditLog();
+        }, 300);
+    };
+
+    [auditActorFilter, auditKeywordFilter].forEach(input => {
+        if (input) input.addEventListener('input', refresh);
+    });
+    [auditActionFilter, auditEntityFilter, auditFromFilter, auditToFilter].forEach(input => {
+        if (input) input.addEventListener('change', refresh);
+    });
+
+    if (auditPrevPageBtn) {
+        auditPrevPageBtn.addEventListener('click', () => {
+            if (auditPage > 1) {
+                auditPage--;
+                window.fetchAuditLog();
+            }
+        });
+    }
+
+    if (auditNextPageBtn) {
+        auditNextPageBtn.addEventListener('click', () => {
+            if (auditPage < Math.ceil(auditTotal / auditPageSize)) {
+                auditPage++;
+                window.fetchAuditLog();
+            }
+        });
+    }
+}
+
+// Called by tab switching in admin.js
+window.fetchAuditLog = function() {
+    if (!auditTableBody) return;
+    const params = new URLSearchParams({ page: auditPage, pageSize: auditPageSize });
+    const filters = {
+        actor: auditActorFilter && auditActorFilter.value.trim(),
+        action: auditActionFilter && auditActionFilter.value,
+        entity_type: auditEntityFilter && auditEntityFilter.value,
+        keyword: auditKeywordFilter && auditKeywordFilter.value.trim(),
+        from: auditFromFilter && auditFromFilter.value,
+        to: auditToFilter && auditToFilter.value
+    };
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+    });
+
+    fetch(`/api/audit?${params.toString()}`)
+        .then(res => res.json())
+        .then(data => {
+            if (data.code === 200) {
+                auditTotal = data.total;
+                renderAuditLog(data.data || []);
+                updateAuditPagination();
+            } else {
+                window.showMessage(data.message || '加载操作日志失败', 'error');
+            }
+        })
+        .catch(() => window.showMessage('网络错误', 'error'));
+};
+
+function parseAuditJson(value) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+function describeAuditEntity(before, after) {
+    const data = after && !Array.isArray(after) ? after : before;
+    if (!data || Array.isArray(data)) return '';
+    return data.name || data.catelog || data.url || '';
+}
+
+// 生成一行摘要，批量操作与导入显示数量
+function summarizeAudit(row, before, after) {
+    if (row.action === 'import' && after) {
+        return `新增 ${after.added || 0}，覆盖 ${after.updated || 0}，跳过 ${after.skipped || 0}`;
+    }
+    if (row.action.startsWith('batch_')) {
+        const count = Array.isArray(before) ? before.length : (after && after.ids ? after.ids.length : 0);
+        let text = `${count} 条书签`;
+        if (row.action === 'batch_move' && after) text += ` → ${after.catelog_name}`;
+        if (row.action === 'batch_privacy' && after) text += after.is_private ? ' → 私密' : ' → 公开';
+        return text;
+    }
+    if (Array.isArray(before)) {
+        return before.length === 1 ? describeAuditEntity(before[0], null) : `${before.length} 条记录`;
+    }
+    if (row.entity_type === 'settings') {
+        return Object.keys(after || {}).join(', ');
+    }
+    return describeAuditEntity(before, after);
+}
+
+function formatAuditValue(value) {
+    if (value === undefined) return '';
+    if (value === null) return '<span class="text-gray-400">null</span>';
+    return window.escapeHTML(typeof value === 'object' ? JSON.stringify(value) : String(value));
+}
+
+// 单条记录按字段对比，变化的字段高亮；批量记录直接展示 JSON
+function renderAuditDetail(row, before, after) {
+    const isPlainObject = value => value && typeof value === 'object' && !Array.isArray(value);
+    const isBulk = row.action === 'import' || row.action.startsWith('batch_') || Array.isArray(before);
+    if (!isBulk && (before === null || isPlainObject(before)) && (after === null || isPlainObject(after))) {
+        const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+        const rows = keys.map(key => {
+            const oldValue = before ? before[key] : undefined;
+            const newValue = after ? after[key] : undefined;
+            const changed = JSON.stringify(oldValue) !== JSON.stringify(newValue);
+            return `
+              <tr class="${changed ? 'bg-yellow-50' : ''}">
+                <td class="px-2 py-1 font-mono text-xs text-gray-600 align-top">${window.escapeHTML(key)}</td>
+                <td class="px-2 py-1 text-xs break-all align-top ${changed && before ? 'text-red-600' : ''}">${formatAuditValue(oldValue)}</td>
+                <td class="px-2 py-1 text-xs break-all align-top ${changed && after ? 'text-green-700' : ''}">${formatAuditValue(newValue)}</td>
+              </tr>`;
+        }).join('');
+        return `
+          <table class="w-full text-left">
+            <thead><tr><th class="px-2 py-1 text-xs">字段</th><th class="px-2 py-1 text-xs">修改前</th><th class="px-2 py-1 text-xs">修改后</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>`;
+    }
+
+    const block = (title, value) => value === null ? '' : `
+      <div class="mb-2">
+        <div class="text-xs font-semibold text-gray-600 mb-1">${title}</div>
+        <pre class="text-xs bg-white border border-gray-200 rounded p-2 overflow-auto max-h-80">${window.escapeHTML(JSON.stringify(value, null, 2))}</pre>
+      </div>`;
+    return block('修改前', before) + block('修改后', after);
+}
+
+function renderAuditLog(rows) {
+    auditTableBody.innerHTML = '';
+    if (rows.length === 0) {
+        auditTableBody.innerHTML = '<tr><td colspan="6" class="text-center py-10 text-gray-500">暂无操作记录</td></tr>';
+        return;
+    }
+
+    rows.forEach(row => {
+        const before = parseAuditJson(row.before_json);
+        const after = parseAuditJson(row.after_json);
+        // D1 的 CURRENT_TIMESTAMP 为 UTC 时间
+        const time = row.created_at ? new Date(row.created_at.replace(' ', 'T') + 'Z').toLocaleString() : '-';
+        const entity = `${AUDIT_ENTITY_LABELS[row.entity_type] || window.escapeHTML(row.entity_type)}${row.entity_id ? ` #${window.escapeHTML(row.entity_id)}` : ''}`;
+        const actor = row.actor_token
+            ? `${window.escapeHTML(row.actor)}<div class="text-xs text-gray-400">API 令牌</div>`
+            : window.escapeHTML(row.actor);
+
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+          <td class="p-3 border-b text-sm whitespace-nowrap">${time}</td>
+          <td class="p-3 border-b">${actor}</td>
+          <td class="p-3 border-b text-sm">${AUDIT_ACTION_LABELS[row.action] || window.escapeHTML(row.action)}</td>
+          <td class="p-3 border-b text-sm whitespace-nowrap">${entity}</td>
+          <td class="p-3 border-b text-sm truncate max-w-[280px]">${window.escapeHTML(summarizeAudit(row, before, after))}</td>
+          <td class="p-3 border-b">
+            <button class="audit-detail-btn bg-gray-100 text-gray-700 hover:bg-gray-200 px-2 py-1 rounded text-xs">详情</button>
+          </td>
+        `;
+
+        const detailRow = document.createElement('tr');
+        detailRow.style.display = 'none';
+        detailRow.innerHTML = `<td colspan="6" class="p-3 border-b bg-gray-50">${renderAuditDetail(row, before, after)}</td>`;
+
+        tr.querySelector('.audit-detail-btn').addEventListener('click', () => {
+            detailRow.style.display = detailRow.style.display === 'none' ? '' : 'none';
+        });
+
+        auditTableBody.appendChild(tr);
+        auditTableBody.appendChild(detailRow);
+    });
+}
+
+function updateAuditPagination() {
+    const totalPages = Math.max(1, Math.ceil(auditTotal / auditPageSize));
+    if (auditCurrentPageSpan) auditCurrentPageSpan.innerText = auditPage;
+    if (auditTotalPagesSpan) auditTotalPagesSpan.innerText = totalPages;
+    if (auditPrevPageBtn) auditPrevPageBtn.disabled = auditPage <= 1;
+    if (auditNextPageBtn) auditNextPageBtn.disabled = auditPage >= totalPages;
+}
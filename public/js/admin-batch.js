@@ -428,10 +428,69 @@ function performBatchAction(action, payload) {
               // 清空选择
               batchSelectedIds.clear();
               updateBatchUI();
+
+              if (data.operation_id) showBatchUndoToast(data.message, data.operation_id);
           } else {
               window.showMessage(data.message || '操作失败', 'error');
           }
       }).catch(err => {
           window.showMessage('网络错误: ' + err.message, 'error');
       });
-}
\ No newline at end of file
+}
+
+// ===================================
+// 撤销批量操作 (Batch Undo)
+// ===================================
+
+// 撤销提示的显示时间（毫秒），后端快照的有效期更长，这里只控制提示框
+const BATCH_UNDO_TOAST_DURATION = 15000;
+
+const batchUndoToast = document.getElementById('batchUndoToast');
+const batchUndoToastText = document.getElementById('batchUndoToastText');
+const batchUndoBtn = document.getElementById('batchUndoBtn');
+let batchUndoOperationId = null;
+let batchUndoTimer = null;
+
+function hideBatchUndoToast() {
+    clearTimeout(batchUndoTimer);
+    batchUndoOperationId = null;
+    if (batchUndoToast) batchUndoToast.style.display = 'none';
+}
+
+function showBatchUndoToast(message, operationId) {
+    if (!batchUndoToast) return;
+    clearTimeout(batchUndoTimer);
+    batchUndoOperationId = operationId;
+    batchUndoToastText.innerText = message;
+    batchUndoBtn.disabled = false;
+    batchUndoToast.style.display = 'flex';
+    batchUndoTimer = setTimeout(hideBatchUndoToast, BATCH_UNDO_TOAST_DURATION);
+}
+
+if (batchUndoBtn) {
+    batchUndoBtn.addEventListener('click', () => {
+        const operationId = batchUndoOperationId;
+        if (!operationId) return;
+        batchUndoBtn.disabled = true;
+
+        fetch('/api/config/batch/undo', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ operation_id: operationId })
+        }).then(res => res.json())
+          .then(data => {
+              hideBatchUndoToast();
+              if (data.code === 200) {
+                  window.showMessage(data.message, 'success');
+                  if (batchModal && batchModal.style.display !== 'none') fetchBatchData();
+                  if (typeof window.fetchConfigs === 'function') window.fetchConfigs();
+                  if (typeof window.fetchCategories === 'function') window.fetchCategories();
+              } else {
+                  window.showMessage(data.message || '撤销失败', 'error');
+              }
+          }).catch(err => {
+              batchUndoBtn.disabled = false;
+              window.showMessage('网络错误: ' + err.message, 'error');
+          });
+    });
+}
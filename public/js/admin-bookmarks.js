@@ -8,6 +8,7 @@ const addBookmarkCatelogSelect = document.getElementById('addBookmarkCatelog');
 
 if (addBookmarkBtn) {
   addBookmarkBtn.addEventListener('click', () => {
+    if (typeof window.refreshTagOptions === 'function') window.refreshTagOptions();
     // 确保 tree 存在
     if (typeof window.categoriesTree !== 'undefined') {
          if (typeof window.createCascadingDropdown === 'function') {
@@ -53,6 +54,48 @@ if (cancelAddBookmarkBtn) {
   });
 }
 
+// 输入 URL 后抓取网页的标题、描述与图标，只填充仍为空的字段，不覆盖手动输入的内容
+const addBookmarkUrlInput = document.getElementById('addBookmarkUrl');
+const addBookmarkMetaStatus = document.getElementById('addBookmarkMetaStatus');
+let lastBookmarkMetaUrl = '';
+
+function prefillBookmarkMeta() {
+  const url = addBookmarkUrlInput.value.trim();
+  if (!url || url === lastBookmarkMetaUrl) return;
+  lastBookmarkMetaUrl = url;
+  addBookmarkMetaStatus.innerText = '正在获取网页信息...';
+
+  fetch(`/api/fetch-meta?url=${encodeURIComponent(url)}`)
+    .then(res => res.json())
+    .then(data => {
+      // 请求期间地址已被修改时丢弃结果
+      if (url !== addBookmarkUrlInput.value.trim()) return;
+      if (data.code !== 200 || !data.data) {
+        addBookmarkMetaStatus.innerText = data.message || '获取网页信息失败';
+        return;
+      }
+      const fill = (id, value) => {
+        const input = document.getElementById(id);
+        if (input && value && !input.value.trim()) input.value = value;
+      };
+      fill('addBookmarkName', data.data.name || data.data.site_name);
+      fill('addBookmarkDesc', data.data.desc);
+      fill('addBookmarkLogo', data.data.logo);
+      addBookmarkMetaStatus.innerText = '已根据网页信息填充空白字段';
+    })
+    .catch(() => {
+      addBookmarkMetaStatus.innerText = '获取网页信息失败';
+    });
+}
+
+if (addBookmarkUrlInput && addBookmarkMetaStatus) {
+  addBookmarkUrlInput.addEventListener('change', prefillBookmarkMeta);
+  addBookmarkForm.addEventListener('reset', () => {
+    lastBookmarkMetaUrl = '';
+    addBookmarkMetaStatus.innerText = '';
+  });
+}
+
 async function checkAndUpdateCategoryPrivacy(catelogId, isPrivate) {
     // 如果书签是私密的，无需关心分类（分类私密或公开都行）
     if (isPrivate) return true;
@@ -97,6 +140,7 @@ if (addBookmarkForm) {
     const catelogId = addBookmarkCatelogSelect.value;
     const sortOrder = document.getElementById('addBookmarkSortOrder').value;
     const isPrivate = document.getElementById('addBookmarkIsPrivate').checked;
+    const tags = document.getElementById('addBookmarkTags').value;
 
     if (!name || !url || !catelogId) {
       window.showMessage('名称, URL 和分类为必填项', 'error');
@@ -113,7 +157,8 @@ if (addBookmarkForm) {
       logo: logo.trim(),
       desc: desc.trim(),
       catelogId: catelogId,
-      is_private: isPrivate
+      is_private: isPrivate,
+      tags: tags
     };
 
     if (sortOrder !== '') payload.sort_order = Number(sortOrder);
@@ -179,6 +224,44 @@ if (cancelEditBookmarkBtn) {
   });
 }
 
+// 重新获取图标：由后端按已保存的 URL 抓取并缓存到 /icons/<domain>，使用默认图标的书签会改为该地址
+const editBookmarkIconBtn = document.getElementById('editBookmarkIconBtn');
+if (editBookmarkIconBtn) {
+  editBookmarkIconBtn.addEventListener('click', async () => {
+    const id = document.getElementById('editBookmarkId').value;
+    if (!id) return;
+    const originalHtml = editBookmarkIconBtn.innerHTML;
+    editBookmarkIconBtn.disabled = true;
+    editBookmarkIconBtn.innerHTML = '<div class="ai-spinner"></div>';
+
+    try {
+      const res = await fetch('/api/icons/refresh', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: parseInt(id, 10) })
+      });
+      const result = await res.json();
+      if (result.code !== 200) {
+        window.showMessage(result.message || '获取图标失败', 'error');
+        return;
+      }
+      const logo = result.data.logo || '';
+      document.getElementById('editBookmarkLogo').value = logo;
+      // 浏览器会缓存图标一天，重新请求一次以更新缓存
+      if (logo.startsWith('/icons/')) {
+        await fetch(logo, { cache: 'reload' }).catch(() => {});
+      }
+      window.showMessage(result.message || '已重新获取图标', 'success');
+      if (typeof window.fetchConfigs === 'function') window.fetchConfigs();
+    } catch (err) {
+      window.showMessage('网络错误', 'error');
+    } finally {
+      editBookmarkIconBtn.disabled = false;
+      editBookmarkIconBtn.innerHTML = originalHtml;
+    }
+  });
+}
+
 if (editBookmarkForm) {
   editBookmarkForm.addEventListener('submit', async function (e) {
     e.preventDefault();
@@ -342,7 +342,7 @@ function deleteCategory(id) {
         body: JSON.stringify({ reset: true }) // Logical delete or reset
     }).then(res => res.json()).then(data => {
         if (data.code === 200) {
-            window.showMessage('删除成功', 'success');
+            window.showMessage('已移入回收站', 'success');
             // Refresh categories and also bookmarks configs because dropdowns/counts might change
             fetchCategories();
             if (typeof fetchConfigs === 'function') fetchConfigs();
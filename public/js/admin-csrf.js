@@ -0,0 +1,40 @@
+/**
+ * admin-csrf.js
+ * 为后台发出的写请求自动附带 CSRF 令牌（需在其他后台脚本之前加载）
+ */
+
+(function () {
+    const meta = document.querySelector('meta[name="csrf-token"]');
+    const csrfToken = meta ? meta.getAttribute('content') : '';
+    if (!csrfToken) return;
+
+    window.csrfToken = csrfToken;
+
+    const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+    const originalFetch = window.fetch.bind(window);
+
+    // 同源的非 GET 请求自动加上 X-CSRF-Token 请求头
+    window.fetch = function (input, init = {}) {
+        const request = input instanceof Request ? input : null;
+        const method = String(init.method || (request && request.method) || 'GET').toUpperCase();
+        const url = new URL(request ? request.url : String(input), window.location.href);
+
+        if (SAFE_METHODS.includes(method) || url.origin !== window.location.origin) {
+            return originalFetch(input, init);
+        }
+
+        const headers = new Headers(init.headers || (request && request.headers) || undefined);
+        headers.set('X-CSRF-Token', csrfToken);
+        return originalFetch(input, { ...init, headers });
+    };
+
+    // 普通表单（如退出登录）通过隐藏字段携带令牌
+    document.querySelectorAll('form[method="post" i]').forEach(form => {
+        if (form.querySelector('input[name="csrf_token"]')) return;
+        const input = document.createElement('input');
+        input.type = 'hidden';
+        input.name = 'csrf_token';
+        input.value = csrfToken;
+        form.appendChild(input);
+    });
+})();
@@ -0,0 +1,230 @@
+/**
+ * admin-duplicates.js
+ * 重复书签：按规范化地址、标题与域名列出疑似重复的书签，逐项选择保留的字段后合并
+ */
+
+// DOM Elements
+const duplicatesBtn = document.getElementById('duplicatesBtn');
+const duplicatesModal = document.getElementById('duplicatesModal');
+const closeDuplicatesModal = document.getElementById('closeDuplicatesModal');
+const duplicateTypeFilter = document.getElementById('duplicateTypeFilter');
+const duplicatesSummary = document.getElementById('duplicatesSummary');
+const duplicatesList = document.getElementById('duplicatesList');
+
+const DUPLICATE_TYPE_LABELS = {
+    url: '相同地址',
+    title: '相同标题',
+    domain: '同一域名'
+};
+
+// 合并时可以逐项选择来源的字段
+const DUPLICATE_MERGE_FIELDS = [
+    { key: 'name', label: '标题' },
+    { key: 'url', label: '地址' },
+    { key: 'logo', label: '图标' },
+    { key: 'desc', label: '描述' },
+    { key: 'catelog_id', label: '分类' }
+];
+
+let duplicateGroups = [];
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+    initDuplicateEvents();
+});
+
+function initDuplicateEvents() {
+    if (duplicatesBtn) {
+        duplicatesBtn.addEventListener('click', openDuplicatesModal);
+    }
+    if (closeDuplicatesModal) {
+        closeDuplicatesModal.addEventListener('click', hideDuplicatesModal);
+    }
+    if (duplicatesModal) {
+        duplicatesModal.addEventListener('click', (e) => {
+            if (e.target === duplicatesModal) hideDuplicatesModal();
+        });
+    }
+    if (duplicateTypeFilter) {
+        duplicateTypeFilter.addEventListener('change', renderDuplicateGroups);
+    }
+    if (duplicatesList) {
+        duplicatesList.addEventListener('change', handleDuplicateKeepChange);
+        duplicatesList.addEventListener('click', (e) => {
+            const btn = e.target.closest('.merge-duplicates-btn');
+            if (btn) mergeDuplicateGroup(btn.closest('.duplicate-group'), btn);
+        });
+    }
+}
+
+function openDuplicatesModal() {
+    if (!duplicatesModal) return;
+    document.body.classList.add('modal-open');
+    duplicatesModal.style.display = 'flex';
+    duplicatesModal.style.alignItems = 'center';
+    duplicatesModal.style.justifyContent = 'center';
+    fetchDuplicates();
+}
+
+function hideDuplicatesModal() {
+    duplicatesModal.style.display = 'none';
+    document.body.classList.remove('modal-open');
+}
+
+function fetchDuplicates() {
+    duplicatesList.innerHTML = '<div class="text-center text-gray-500 py-10">正在查找重复书签...</div>';
+    fetch('/api/duplicates')
+        .then(res => res.json())
+        .then(data => {
+            if (data.code !== 200) throw new Error(data.message || '加载失败');
+            duplicateGroups = data.data || [];
+            const counts = data.counts || {};
+            if (duplicatesSummary) {
+                duplicatesSummary.innerText = Object.keys(DUPLICATE_TYPE_LABELS)
+                    .map(type => `${DUPLICATE_TYPE_LABELS[type]} ${counts[type] || 0} 组`)
+                    .join(' · ');
+            }
+            renderDuplicateGroups();
+        })
+        .catch(err => {
+            duplicatesList.innerHTML = `<div class="text-center text-red-500 py-10">${window.escapeHTML(err.message)}</div>`;
+        });
+}
+
+function renderDuplicateField(groupIndex, field, site, checked) {
+    const value = site[field];
+    let content;
+    if (field === 'logo') {
+        const logo = window.normalizeUrl(value);
+        content = logo ? `<img src="${window.escapeHTML(logo)}" alt="" class="w-6 h-6 rounded object-cover bg-gray-50">` : '<span class="text-gray-400">—</span>';
+    } else if (field === 'catelog_id') {
+        content = window.escapeHTML(site.catelog_name || '未分类');
+    } else {
+        content = value ? window.escapeHTML(value) : '<span class="text-gray-400">—</span>';
+    }
+    const fieldClass = field === 'url' ? 'font-mono text-xs' : '';
+    return `
+        <label class="flex items-start gap-1 cursor-pointer ${fieldClass}">
+            <input type="radio" name="dup-${groupIndex}-${field}" value="${site.id}" class="mt-1 flex-shrink-0" ${checked ? 'checked' : ''}>
+            <span class="line-clamp-2">${content}</span>
+        </label>`;
+}
+
+function renderDuplicateGroups() {
+    if (!duplicatesList) return;
+    const type = duplicateTypeFilter ? duplicateTypeFilter.value : 'url';
+    const groups = duplicateGroups
+        .map((group, index) => ({ group, index }))
+        .filter(item => item.group.type === type);
+
+    if (groups.length === 0) {
+        duplicatesList.innerHTML = `<div class="text-center text-gray-500 py-10">没有${DUPLICATE_TYPE_LABELS[type]}的书签</div>`;
+        return;
+    }
+
+    duplicatesList.innerHTML = groups.map(({ group, index }) => {
+        const keepId = group.sites[0].id;
+        // 同一域名下的书签多数只是同站的不同页面，默认不勾选合并
+        const mergeByDefault = group.type !== 'domain';
+        const rows = group.sites.map(site => `
+            <tr class="border-b border-gray-100">
+                <td class="p-2 text-center"><input type="radio" name="dup-${index}-keep" value="${site.id}" ${site.id === keepId ? 'checked' : ''}></td>
+                <td class="p-2 text-center"><input type="checkbox" class="dup-merge" value="${site.id}" ${mergeByDefault || site.id === keepId ? 'checked' : ''} ${site.id === keepId ? 'disabled' : ''}></td>
+                ${DUPLICATE_MERGE_FIELDS.map(field => `<td class="p-2">${renderDuplicateField(index, field.key, site, site.id === keepId)}</td>`).join('')}
+                <td class="p-2 text-xs text-gray-400 whitespace-nowrap">
+                    ID: ${site.id}${(site.tags || []).length > 0 ? `<br>${site.tags.map(tag => `#${window.escapeHTML(tag)}`).join(' ')}` : ''}
+                </td>
+            </tr>`).join('');
+
+        return `
+            <div class="duplicate-group" data-index="${index}">
+                <div class="duplicate-group-header">
+                    <span class="font-medium text-gray-700">${DUPLICATE_TYPE_LABELS[group.type]}</span>
+                    <span class="font-mono text-xs text-gray-500 truncate" title="${window.escapeHTML(group.key)}">${window.escapeHTML(group.key)}</span>
+                    <span class="text-xs text-gray-400 whitespace-nowrap">${group.sites.length} 个书签</span>
+                    <button class="merge-duplicates-btn ml-auto bg-purple-600 text-white px-3 py-1 rounded text-sm hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed">合并</button>
+                </div>
+                <div class="duplicate-group-table">
+                    <table class="w-full text-left text-sm">
+                        <thead class="bg-gray-50 text-xs text-gray-500">
+                            <tr>
+                                <th class="p-2 w-12 text-center">保留</th>
+                                <th class="p-2 w-12 text-center">合并</th>
+                                ${DUPLICATE_MERGE_FIELDS.map(field => `<th class="p-2">${field.label}</th>`).join('')}
+                                <th class="p-2"></th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </div>`;
+    }).join('');
+}
+
+// 切换保留的书签时，各字段默认改为使用该书签的值
+function handleDuplicateKeepChange(e) {
+    const input = e.target;
+    if (input.type !== 'radio' || !input.name.endsWith('-keep')) return;
+    const groupEl = input.closest('.duplicate-group');
+    const keepId = input.value;
+    groupEl.querySelectorAll('.dup-merge').forEach(checkbox => {
+        const isKeep = checkbox.value === keepId;
+        checkbox.disabled = isKeep;
+        if (isKeep) checkbox.checked = true;
+    });
+    DUPLICATE_MERGE_FIELDS.forEach(field => {
+        const radio = groupEl.querySelector(`input[name="dup-${groupEl.dataset.index}-${field.key}"][value="${keepId}"]`);
+        if (radio) radio.checked = true;
+    });
+}
+
+function mergeDuplicateGroup(groupEl, btn) {
+    const index = groupEl.dataset.index;
+    const keepInput = groupEl.querySelector(`input[name="dup-${index}-keep"]:checked`);
+    if (!keepInput) return;
+    const keepId = parseInt(keepInput.value, 10);
+    const removeIds = [...groupEl.querySelectorAll('.dup-merge:checked')]
+        .map(checkbox => parseInt(checkbox.value, 10))
+        .filter(id => id !== keepId);
+    if (removeIds.length === 0) {
+        window.showMessage('请至少勾选一个要合并的书签', 'error');
+        return;
+    }
+
+    const mergedIds = [keepId, ...removeIds];
+    const sources = {};
+    for (const field of DUPLICATE_MERGE_FIELDS) {
+        const radio = groupEl.querySelector(`input[name="dup-${index}-${field.key}"]:checked`);
+        if (!radio) continue;
+        const sourceId = parseInt(radio.value, 10);
+        if (!mergedIds.includes(sourceId)) {
+            window.showMessage(`「${field.label}」所选的书签未勾选合并`, 'error');
+            return;
+        }
+        sources[field.key] = sourceId;
+    }
+
+    if (!confirm(`确定要合并这 ${mergedIds.length} 个书签吗？除保留的书签外，其余书签会移入回收站。`)) return;
+
+    btn.disabled = true;
+    fetch('/api/duplicates/merge', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ keepId, removeIds, sources })
+    })
+        .then(res => res.json())
+        .then(data => {
+            if (data.code === 200) {
+                window.showMessage(data.message || '合并成功', 'success');
+                fetchDuplicates();
+                window.fetchConfigs();
+            } else {
+                window.showMessage(data.message || '合并失败', 'error');
+                btn.disabled = false;
+            }
+        })
+        .catch(() => {
+            window.showMessage('合并失败', 'error');
+            btn.disabled = false;
+        });
+}
@@ -25,19 +25,12 @@ if (importFile) {
     const reader = new FileReader();
 
     if (fileName.endsWith('.html') || fileName.endsWith('.htm')) {
-      // Chrome 书签 HTML 格式导入
+      // 浏览器导出的书签 HTML（Chrome、Edge、Firefox、Safari）或 Pocket 导出的 HTML
       reader.onload = function (event) {
         try {
           const htmlContent = event.target.result;
-          const result = parseChromeBookmarks(htmlContent);
-
-          if (result.sites.length === 0) {
-            showMessage('未在文件中找到有效书签', 'error');
-            return;
-          }
-
-          // 显示预览并确认导入
-          showImportPreview(result);
+          const result = /<dl[\s>]/i.test(htmlContent) ? parseChromeBookmarks(htmlContent) : parsePocketHtml(htmlContent);
+          showParsedImport(result);
         } catch (error) {
           console.error(error);
           showMessage('书签解析失败: ' + error.message, 'error');
@@ -45,12 +38,16 @@ if (importFile) {
       };
       reader.readAsText(file, 'UTF-8');
     } else if (fileName.endsWith('.json')) {
-      // 系统导出的 JSON 格式导入
+      // 系统导出的 JSON 格式或 Firefox 书签备份
       reader.onload = function (event) {
         try {
           const data = JSON.parse(event.target.result);
           let previewData = { category: [], sites: [] };
 
+          if (isFirefoxBookmarksJson(data)) {
+              showParsedImport(parseFirefoxBookmarks(data));
+              return;
+          }
           if (Array.isArray(data)) {
               // Old format: Array of sites
               previewData.sites = data;
@@ -91,13 +88,53 @@ if (importFile) {
         }
       };
       reader.readAsText(file, 'UTF-8');
+    } else if (fileName.endsWith('.csv')) {
+      // Raindrop 导出的 CSV 直接导入，其他 CSV 先选择各列对应的字段
+      reader.onload = function (event) {
+        try {
+          const rows = parseCsv(event.target.result);
+          if (rows.length === 0) {
+            showMessage('CSV 文件为空', 'error');
+            return;
+          }
+          if (isRaindropCsv(rows[0])) {
+            showParsedImport(parseRaindropCsv(rows));
+          } else {
+            showCsvMappingModal(rows);
+          }
+        } catch (error) {
+          console.error(error);
+          showMessage('CSV 文件解析失败: ' + error.message, 'error');
+        }
+      };
+      reader.readAsText(file, 'UTF-8');
+    } else if (fileName.endsWith('.txt')) {
+      // OneTab 导出的文本
+      reader.onload = function (event) {
+        try {
+          showParsedImport(parseOneTab(event.target.result));
+        } catch (error) {
+          console.error(error);
+          showMessage('文本解析失败: ' + error.message, 'error');
+        }
+      };
+      reader.readAsText(file, 'UTF-8');
     } else {
-      showMessage('不支持的文件格式。请选择 .html 或 .json 文件。', 'error');
+      showMessage('不支持的文件格式。请选择 .html、.json、.csv 或 .txt 文件。', 'error');
     }
     e.target.value = '';
   });
 }
 
+// 解析结果为空时提示，否则显示预览
+function showParsedImport(result) {
+  if (result.sites.length === 0) {
+    showMessage('未在文件中找到有效书签', 'error');
+    return;
+  }
+  showImportPreview(result);
+}
+
 // 导出选项模态框逻辑
 const exportModal = document.getElementById('exportModal');
 const closeExportModal = document.getElementById('closeExportModal');
@@ -148,7 +185,16 @@ if (confirmExportBtn) {
   });
 }
 
-// 解析 Chrome 书签 HTML
+// 浏览器的顶级书签文件夹（Chrome、Edge、Firefox、Safari），其中的子文件夹作为一级分类导入
+const ROOT_BOOKMARK_FOLDERS = [
+  '书签栏', 'bookmarks bar', '其他书签', 'other bookmarks', '移动设备书签', 'mobile bookmarks',
+  '收藏夹', '收藏夹栏', 'favorites bar', '其他收藏夹', 'other favorites',
+  '书签工具栏', 'bookmarks toolbar', '书签菜单', 'bookmarks menu',
+  '个人收藏', 'favorites'
+];
+const UNCATEGORIZED_IMPORT_FOLDER = '未分类';
+
+// 解析 Chrome 书签 HTML（Edge、Firefox、Safari 导出的书签 HTML 格式相同）
 function parseChromeBookmarks(html) {
   const parser = new DOMParser();
   const doc = parser.parseFromString(html, 'text/html');
@@ -177,7 +223,7 @@ function parseChromeBookmarks(html) {
             if (h3) {
                 const folderName = h3.textContent.trim();
                 let currentFolderId = parentId;
-                if (parentId === 0 && ['书签栏', 'Bookmarks Bar', '收藏夹', '其他书签', 'Other Bookmarks'].includes(folderName)) {
+                if (parentId === 0 && ROOT_BOOKMARK_FOLDERS.includes(folderName.toLowerCase())) {
                      currentFolderId = 0;
                 } else {
                      currentFolderId = getOrCreateCategory(folderName, parentId);
@@ -186,14 +232,19 @@ function parseChromeBookmarks(html) {
             } else if (a) {
                 const url = a.getAttribute('href');
                 if (url) {
-                    sites.push({
+                    const site = {
                         name: a.textContent.trim() || '未命名',
                         url: url,
                         logo: a.getAttribute('icon') || '',
                         desc: '',
-                        catelog_id: parentId,
+                        // 直接放在书签栏等顶级文件夹中的书签归入“未分类”
+                        catelog_id: parentId || getOrCreateCategory(UNCATEGORIZED_IMPORT_FOLDER, 0),
                         sort_order: 9999
-                    });
+                    };
+                    // Firefox 等浏览器导出的书签带有 TAGS 属性（逗号分隔）
+                    const tags = a.getAttribute('tags');
+                    if (tags) site.tags = tags.split(',').map(t => t.trim()).filter(Boolean);
+                    sites.push(site);
                 }
             }
         } else if (child.tagName === 'DL') {
@@ -207,6 +258,312 @@ function parseChromeBookmarks(html) {
   return { category: categories, sites: sites };
 }
 
+// 各导入格式共用：按名称与上级分类去重创建临时分类，收集书签
+function createImportCollector() {
+  const category = [];
+  const sites = [];
+  const categoryMap = new Map();
+  let tempIdCounter = 1;
+
+  function getCategory(name, parentId = 0) {
+    const catName = String(name || '').trim() || UNCATEGORIZED_IMPORT_FOLDER;
+    const key = `${parentId}-${catName}`;
+    if (categoryMap.has(key)) return categoryMap.get(key);
+    const id = tempIdCounter++;
+    category.push({ id, catelog: catName, parent_id: parentId, sort_order: 9999 });
+    categoryMap.set(key, id);
+    return id;
+  }
+
+  // path 为分类路径，如 ['开发', '前端']，空路径归入 fallback 分类
+  function getCategoryPath(path, fallback) {
+    const names = path.map(name => String(name || '').trim()).filter(Boolean);
+    if (names.length === 0) return getCategory(fallback, 0);
+    return names.reduce((parentId, name) => getCategory(name, parentId), 0);
+  }
+
+  function addSite(site, categoryId) {
+    const url = String(site.url || '').trim();
+    if (!/^https?:\/\//i.test(url)) return;
+    const item = {
+      name: String(site.name || '').trim() || url.replace(/^https?:\/\//i, '').replace(/\/$/, ''),
+      url,
+      logo: /^https?:\/\//i.test(site.logo || '') ? site.logo.trim() : '',
+      desc: String(site.desc || '').trim(),
+      catelog_id: categoryId,
+      sort_order: 9999
+    };
+    const tags = Array.isArray(site.tags) ? site.tags : String(site.tags || '').split(',');
+    const tagNames = tags.map(tag => String(tag).trim()).filter(Boolean);
+    if (tagNames.length > 0) item.tags = tagNames;
+    sites.push(item);
+  }
+
+  return { category, sites, getCategory, getCategoryPath, addSite };
+}
+
+// Firefox 书签备份（“管理书签 → 导入和备份 → 备份”生成的 JSON）
+function isFirefoxBookmarksJson(data) {
+  return !!data && !Array.isArray(data) && typeof data === 'object'
+    && (data.type === 'text/x-moz-place-container' || data.guid === 'root________');
+}
+
+// Firefox 的顶级书签文件夹，直接放在其中的书签按文件夹名称归类，子文件夹作为一级分类
+const FIREFOX_ROOT_FOLDERS = {
+  'menu________': '书签菜单',
+  'toolbar_____': '书签工具栏',
+  'unfiled_____': '其他书签',
+  'mobile______': '移动设备书签'
+};
+
+function parseFirefoxBookmarks(data) {
+  const collector = createImportCollector();
+
+  function traverse(node, parentId, rootName) {
+    (node.children || []).forEach(child => {
+      if (child.type === 'text/x-moz-place-container') {
+        if (parentId === 0 && (FIREFOX_ROOT_FOLDERS[child.guid] || child.root)) {
+          traverse(child, 0, FIREFOX_ROOT_FOLDERS[child.guid] || child.title);
+        } else {
+          traverse(child, collector.getCategory(child.title, parentId), rootName);
+        }
+      } else if (child.type === 'text/x-moz-place' && child.uri) {
+        const descAnno = (child.annos || []).find(anno => anno.name === 'bookmarkProperties/description');
+        collector.addSite({
+          name: child.title,
+          url: child.uri,
+          logo: child.iconUri || child.iconuri,
+          desc: descAnno ? descAnno.value : '',
+          tags: child.tags
+        }, parentId || collector.getCategory(rootName, 0));
+      }
+    });
+  }
+
+  traverse(data, 0, UNCATEGORIZED_IMPORT_FOLDER);
+  return { category: collector.category, sites: collector.sites };
+}
+
+// Pocket 导出的 HTML：每个 <h1>（Unread / Read Archive）下是一个书签列表
+const POCKET_SECTION_NAMES = {
+  'unread': '未读',
+  'read archive': '已归档'
+};
+
+function parsePocketHtml(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const collector = createImportCollector();
+  const rootId = collector.getCategory('Pocket', 0);
+  let sectionId = rootId;
+
+  doc.body.querySelectorAll('h1, li > a').forEach(el => {
+    if (el.tagName === 'H1') {
+      const title = el.textContent.trim();
+      sectionId = collector.getCategory(POCKET_SECTION_NAMES[title.toLowerCase()] || title, rootId);
+      return;
+    }
+    collector.addSite({
+      name: el.textContent,
+      url: el.getAttribute('href'),
+      tags: el.getAttribute('tags') || ''
+    }, sectionId);
+  });
+  return { category: collector.category, sites: collector.sites };
+}
+
+// OneTab 导出的文本：每行“网址 | 标题”，空行分隔不同的标签组
+function parseOneTab(text) {
+  const collector = createImportCollector();
+  const groups = [[]];
+  String(text || '').split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      if (groups[groups.length - 1].length > 0) groups.push([]);
+      return;
+    }
+    const separator = trimmed.indexOf(' | ');
+    const url = separator >= 0 ? trimmed.slice(0, separator) : trimmed;
+    const name = separator >= 0 ? trimmed.slice(separator + 3) : '';
+    groups[groups.length - 1].push({ url, name });
+  });
+
+  const nonEmptyGroups = groups.filter(group => group.length > 0);
+  const rootId = collector.getCategory('OneTab', 0);
+  nonEmptyGroups.forEach((group, index) => {
+    const groupId = nonEmptyGroups.length > 1 ? collector.getCategory(`标签组 ${index + 1}`, rootId) : rootId;
+    group.forEach(site => collector.addSite(site, groupId));
+  });
+  return { category: collector.category, sites: collector.sites };
+}
+
+// 解析 CSV（RFC 4180，支持引号内的逗号与换行），根据第一行自动识别逗号、分号或制表符分隔
+function parseCsv(text) {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(char => ({ char, count: firstLine.split(char).length }))
+    .sort((a, b) => b.count - a.count)[0].char;
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+// Raindrop.io 导出的 CSV 表头：id,title,note,excerpt,url,folder,tags,created,cover,highlights,favorite
+function isRaindropCsv(header) {
+  const columns = header.map(cell => cell.trim().toLowerCase());
+  return ['title', 'url', 'folder', 'excerpt'].every(name => columns.includes(name));
+}
+
+function parseRaindropCsv(rows) {
+  const columns = rows[0].map(cell => cell.trim().toLowerCase());
+  const col = name => columns.indexOf(name);
+  return buildCsvImport(rows.slice(1), {
+    name: col('title'),
+    url: col('url'),
+    desc: col('excerpt') >= 0 ? col('excerpt') : col('note'),
+    folder: col('folder'),
+    tags: col('tags'),
+    logo: -1
+  }, 'Raindrop');
+}
+
+// 按列映射生成导入数据；分类列中的“/”表示多级分类，标签列用逗号分隔
+function buildCsvImport(rows, mapping, fallbackFolder) {
+  const collector = createImportCollector();
+  const cell = (row, key) => (mapping[key] >= 0 ? String(row[mapping[key]] || '').trim() : '');
+  rows.forEach(row => {
+    const folder = cell(row, 'folder');
+    collector.addSite({
+      name: cell(row, 'name'),
+      url: cell(row, 'url'),
+      desc: cell(row, 'desc'),
+      logo: cell(row, 'logo'),
+      tags: cell(row, 'tags')
+    }, collector.getCategoryPath(folder.split('/'), fallbackFolder));
+  });
+  return { category: collector.category, sites: collector.sites };
+}
+
+// 通用 CSV 可映射的字段，aliases 用于根据表头自动选择对应的列
+const CSV_IMPORT_FIELDS = [
+  { key: 'url', label: '网址（必选）', aliases: ['url', 'link', 'href', 'address', '网址', '链接', '地址'] },
+  { key: 'name', label: '名称', aliases: ['name', 'title', '名称', '标题', '网站名称'] },
+  { key: 'desc', label: '描述', aliases: ['desc', 'description', 'note', 'notes', 'excerpt', '描述', '备注', '简介'] },
+  { key: 'folder', label: '分类', aliases: ['folder', 'category', 'catelog', 'collection', 'group', '分类', '文件夹', '目录'] },
+  { key: 'tags', label: '标签', aliases: ['tags', 'tag', 'labels', 'keywords', '标签'] },
+  { key: 'logo', label: 'Logo', aliases: ['logo', 'icon', 'favicon', '图标'] }
+];
+
+// 通用 CSV：选择各列对应的字段后再进入导入预览
+function showCsvMappingModal(rows) {
+  document.body.classList.add('modal-open');
+  const mappingModal = document.createElement('div');
+  mappingModal.className = 'modal';
+  mappingModal.style.display = 'block';
+
+  const header = rows[0];
+  const columnCount = Math.max(...rows.slice(0, 20).map(row => row.length));
+  const guessColumn = (field) => header.findIndex(cell => field.aliases.includes(cell.trim().toLowerCase()));
+  const hasHeader = CSV_IMPORT_FIELDS.some(field => guessColumn(field) >= 0);
+
+  const columnOptions = (useHeader) => Array.from({ length: columnCount }, (_, index) => {
+    const sample = String((useHeader ? header : rows[0])[index] || '').trim();
+    const label = useHeader ? (sample || `第 ${index + 1} 列`) : `第 ${index + 1} 列${sample ? `（${sample.slice(0, 30)}）` : ''}`;
+    return `<option value="${index}">${escapeHTML(label)}</option>`;
+  }).join('');
+
+  const fieldRows = CSV_IMPORT_FIELDS.map(field => `
+      <div class="form-group">
+        <label for="csvMap-${field.key}">${field.label}:</label>
+        <select id="csvMap-${field.key}" data-field="${field.key}" class="csv-map-select"></select>
+      </div>`).join('');
+
+  mappingModal.innerHTML = `
+    <div class="modal-content">
+      <span class="modal-close" id="closeCsvMappingModal">×</span>
+      <h2>选择 CSV 列</h2>
+      <p style="margin: 10px 0 20px; color: #6c757d; font-size: 0.9rem;">共 ${rows.length} 行。请选择各字段对应的列，分类列中的 “/” 表示多级分类，标签用逗号分隔；未指定分类的书签归入“导入的书签”。</p>
+      <div class="form-group flex items-center justify-between">
+        <label for="csvHasHeader" class="cursor-pointer select-none">第一行是表头:</label>
+        <label class="switch"><input type="checkbox" id="csvHasHeader" ${hasHeader ? 'checked' : ''}><span class="slider round"></span></label>
+      </div>
+      ${fieldRows}
+      <div style="display: flex; gap: 12px; justify-content: flex-end; margin-top: 20px;">
+        <button id="cancelCsvMapping" class="px-5 py-2.5 bg-gray-100 text-gray-600 rounded-lg hover:bg-gray-200 transition-colors text-sm font-medium">取消</button>
+        <button id="confirmCsvMapping" class="px-5 py-2.5 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors text-sm font-medium shadow-sm">下一步</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(mappingModal);
+
+  const hasHeaderInput = document.getElementById('csvHasHeader');
+  const renderSelects = () => {
+    const useHeader = hasHeaderInput.checked;
+    mappingModal.querySelectorAll('.csv-map-select').forEach(select => {
+      const field = CSV_IMPORT_FIELDS.find(item => item.key === select.dataset.field);
+      select.innerHTML = `<option value="-1">（不导入）</option>${columnOptions(useHeader)}`;
+      select.value = String(useHeader ? guessColumn(field) : -1);
+    });
+  };
+  renderSelects();
+  hasHeaderInput.addEventListener('change', renderSelects);
+
+  const closeMapping = () => {
+    document.body.removeChild(mappingModal);
+    document.body.classList.remove('modal-open');
+  };
+  document.getElementById('closeCsvMappingModal').onclick = closeMapping;
+  document.getElementById('cancelCsvMapping').onclick = closeMapping;
+  mappingModal.onclick = (e) => {
+    if (e.target === mappingModal) closeMapping();
+  };
+  document.getElementById('confirmCsvMapping').onclick = () => {
+    const mapping = {};
+    mappingModal.querySelectorAll('.csv-map-select').forEach(select => {
+      mapping[select.dataset.field] = parseInt(select.value, 10);
+    });
+    if (mapping.url < 0) {
+      showMessage('请选择网址所在的列', 'error');
+      return;
+    }
+    closeMapping();
+    showParsedImport(buildCsvImport(hasHeaderInput.checked ? rows.slice(1) : rows, mapping, '导入的书签'));
+  };
+}
+
 // 显示导入预览
 function showImportPreview(result) {
   document.body.classList.add('modal-open'); // 禁用背景滚动
@@ -234,13 +591,14 @@ function showImportPreview(result) {
   const treeHtml = buildPreviewHtml(0, 0);
   const rootCount = result.sites.filter(s => s.catelog_id === 0).length;
   const rootHtml = rootCount > 0 ? `<li>(根目录) <span class="text-gray-500 text-xs">(${rootCount} 书签)</span></li>` : '';
+  const tagCount = new Set(result.sites.flatMap(s => Array.isArray(s.tags) ? s.tags.map(t => String(t).toLowerCase()) : [])).size;
 
   previewModal.innerHTML = `
     <div class="modal-content">
       <span class="modal-close" id="closePreviewModal">×</span>
       <h2>导入预览</h2>
       <div style="margin: 20px 0;">
-        <p><strong>总共发现 ${result.sites.length} 个书签，${result.category.length} 个分类</strong></p>
+        <p><strong>总共发现 ${result.sites.length} 个书签，${result.category.length} 个分类${tagCount > 0 ? `，${tagCount} 个标签` : ''}</strong></p>
         <div style="margin: 10px 0; padding: 10px; border: 1px solid #eee; max-height: 300px; overflow-y: auto; background: #f9f9f9;">
            <ul class="text-sm">
              ${rootHtml}${treeHtml}
@@ -0,0 +1,92 @@
+/**
+ * admin-link-check.js
+ * 失效链接检查：显示各状态的书签数量，手动分批检查到期的书签，并把重定向的书签更新为跳转后的地址
+ */
+
+// DOM Elements
+const checkLinksBtn = document.getElementById('checkLinksBtn');
+const linkCheckSummary = document.getElementById('linkCheckSummary');
+
+// 每轮由后端检查最多 20 个书签，避免单次请求超出 Workers 的子请求限制
+const MAX_CHECK_ROUNDS = 100;
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+    if (checkLinksBtn) {
+        checkLinksBtn.addEventListener('click', runLinkCheck);
+    }
+    loadLinkCheckSummary();
+});
+
+function loadLinkCheckSummary() {
+    if (!linkCheckSummary) return;
+    fetch('/api/link-check')
+        .then(res => res.json())
+        .then(data => {
+            if (data.code !== 200 || !data.data) return;
+            const { dead, redirect, unchecked } = data.data;
+            const parts = [`失效 ${dead}`, `重定向 ${redirect}`];
+            if (unchecked > 0) parts.push(`未检查 ${unchecked}`);
+            linkCheckSummary.innerText = parts.join(' · ');
+        })
+        .catch(err => console.error('Failed to load link check summary:', err));
+}
+
+async function runLinkCheck() {
+    const originalText = checkLinksBtn.innerText;
+    checkLinksBtn.disabled = true;
+    let checked = 0;
+    let dead = 0;
+    let redirect = 0;
+
+    try {
+        for (let round = 0; round < MAX_CHECK_ROUNDS; round++) {
+            const res = await fetch('/api/link-check', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: '{}'
+            });
+            const data = await res.json();
+            if (data.code !== 200) throw new Error(data.message || '检查失败');
+
+            checked += data.checked;
+            dead += data.dead;
+            redirect += data.redirect;
+            checkLinksBtn.innerText = `检查中… ${checked}/${checked + data.remaining}`;
+            if (!data.remaining || !data.checked) break;
+        }
+
+        if (checked === 0) {
+            window.showMessage('所有链接在 24 小时内都已检查过', 'info');
+        } else {
+            window.showMessage(`已检查 ${checked} 个链接：失效 ${dead} 个，重定向 ${redirect} 个`, 'info');
+        }
+    } catch (err) {
+        window.showMessage(err.message || '检查失败', 'error');
+    } finally {
+        checkLinksBtn.disabled = false;
+        checkLinksBtn.innerText = originalText;
+        loadLinkCheckSummary();
+        window.fetchConfigs();
+    }
+}
+
+// 把书签地址更新为最近一次检查到的跳转地址
+window.fixLinkRedirect = function(id) {
+    fetch('/api/link-check/fix', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: parseInt(id, 10) })
+    })
+        .then(res => res.json())
+        .then(data => {
+            if (data.code === 200) {
+                window.showMessage(data.message || '已更新书签地址', 'success');
+                loadLinkCheckSummary();
+                window.fetchConfigs();
+            } else {
+                window.showMessage(data.message || '更新失败', 'error');
+            }
+        })
+        .catch(() => window.showMessage('更新失败', 'error'));
+}
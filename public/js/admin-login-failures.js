@@ -0,0 +1,196 @@
+/**
+ * admin-login-failures.js
+ * 登录日志：失败登录记录、当前锁定的 IP / 用户名
+ */
+
+// DOM Elements
+const lockoutsTableBody = document.getElementById('lockoutsTableBody');
+const loginFailuresTableBody = document.getElementById('loginFailuresTableBody');
+const loginFailuresSearch = document.getElementById('loginFailuresSearch');
+const loginFailuresPrevPageBtn = document.getElementById('loginFailuresPrevPage');
+const loginFailuresNextPageBtn = document.getElementById('loginFailuresNextPage');
+const loginFailuresCurrentPageSpan = document.getElementById('loginFailuresCurrentPage');
+const loginFailuresTotalPagesSpan = document.getElementById('loginFailuresTotalPages');
+const clearLoginFailuresBtn = document.getElementById('clearLoginFailuresBtn');
+
+const LOGIN_FAILURE_REASONS = {
+    password: '密码错误',
+    totp: '验证码错误',
+    locked: '锁定期间尝试'
+};
+
+// State
+let loginFailuresPage = 1;
+const loginFailuresPageSize = 50;
+let loginFailuresTotal = 0;
+let loginFailuresKeyword = '';
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+    initLoginFailureEvents();
+});
+
+function initLoginFailureEvents() {
+    if (loginFailuresSearch) {
+        let debounceTimer;
+        loginFailuresSearch.addEventListener('input', (e) => {
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(() => {
+                loginFailuresKeyword = e.target.value.trim();
+                loginFailuresPage = 1;
+                fetchLoginFailureLog();
+            }, 300);
+        });
+    }
+
+    if (loginFailuresPrevPageBtn) {
+        loginFailuresPrevPageBtn.addEventListener('click', () => {
+            if (loginFailuresPage > 1) {
+                loginFailuresPage--;
+                fetchLoginFailureLog();
+            }
+        });
+    }
+
+    if (loginFailuresNextPageBtn) {
+        loginFailuresNextPageBtn.addEventListener('click', () => {
+            if (loginFailuresPage < Math.ceil(loginFailuresTotal / loginFailuresPageSize)) {
+                loginFailuresPage++;
+                fetchLoginFailureLog();
+            }
+        });
+    }
+
+    if (clearLoginFailuresBtn) {
+        clearLoginFailuresBtn.addEventListener('click', () => {
+            if (!confirm('确定要清空所有失败登录记录吗？')) return;
+            fetch('/api/login-failures', { method: 'DELETE' })
+                .then(res => res.json())
+                .then(data => {
+                    if (data.code === 200) {
+                        window.showMessage('记录已清空', 'info');
+                        loginFailuresPage = 1;
+                        fetchLoginFailureLog();
+                    } else {
+                        window.showMessage(data.message || '清空失败', 'error');
+                    }
+                })
+                .catch(() => window.showMessage('网络错误', 'error'));
+        });
+    }
+}
+
+// Called by tab switching in admin.js
+window.fetchLoginFailures = function() {
+    fetchLockouts();
+    fetchLoginFailureLog();
+};
+
+function fetchLockouts() {
+    if (!lockoutsTableBody) return;
+    fetch('/api/login-failures/lockouts')
+        .then(res => res.json())
+        .then(data => {
+            if (data.code === 200) {
+                renderLockouts(data.data || []);
+            } else {
+                window.showMessage(data.message || '加载锁定状态失败', 'error');
+            }
+        })
+        .catch(() => window.showMessage('网络错误', 'error'));
+}
+
+function renderLockouts(items) {
+    lockoutsTableBody.innerHTML = '';
+    if (items.length === 0) {
+        lockoutsTableBody.innerHTML = '<tr><td colspan="5" class="text-center py-6 text-gray-500">暂无</td></tr>';
+        return;
+    }
+
+    items.forEach(item => {
+        const tr = document.createElement('tr');
+        const safeValue = window.escapeHTML(item.value);
+        const status = item.locked
+            ? `<span class="text-red-600">锁定至 ${new Date(item.locked_until).toLocaleString()}</span>`
+            : '<span class="text-gray-500">计数中</span>';
+        tr.innerHTML = `
+          <td class="p-3 border-b">${item.scope === 'ip' ? 'IP' : '用户名'}</td>
+          <td class="p-3 border-b font-mono text-sm">${safeValue}</td>
+          <td class="p-3 border-b">${item.count}</td>
+          <td class="p-3 border-b text-sm">${status}</td>
+          <td class="p-3 border-b">
+            <button class="unlock-btn bg-green-100 text-green-600 hover:bg-green-200 px-2 py-1 rounded text-xs" data-scope="${item.scope}" data-value="${safeValue}">解除</button>
+          </td>
+        `;
+        lockoutsTableBody.appendChild(tr);
+    });
+
+    lockoutsTableBody.querySelectorAll('.unlock-btn').forEach(btn => {
+        btn.addEventListener('click', function() {
+            fetch('/api/login-failures/lockouts', {
+                method: 'DELETE',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ scope: this.dataset.scope, value: this.dataset.value })
+            })
+                .then(res => res.json())
+                .then(data => {
+                    if (data.code === 200) {
+                        window.showMessage('已解除锁定', 'info');
+                        fetchLockouts();
+                    } else {
+                        window.showMessage(data.message || '操作失败', 'error');
+                    }
+                })
+                .catch(() => window.showMessage('网络错误', 'error'));
+        });
+    });
+}
+
+function fetchLoginFailureLog() {
+    if (!loginFailuresTableBody) return;
+    const params = new URLSearchParams({ page: loginFailuresPage, pageSize: loginFailuresPageSize });
+    if (loginFailuresKeyword) params.set('keyword', loginFailuresKeyword);
+
+    fetch(`/api/login-failures?${params.toString()}`)
+        .then(res => res.json())
+        .then(data => {
+            if (data.code === 200) {
+                loginFailuresTotal = data.total;
+                renderLoginFailureLog(data.data || []);
+                updateLoginFailuresPagination();
+            } else {
+                window.showMessage(data.message || '加载登录日志失败', 'error');
+            }
+        })
+        .catch(() => window.showMessage('网络错误', 'error'));
+}
+
+function renderLoginFailureLog(rows) {
+    loginFailuresTableBody.innerHTML = '';
+    if (rows.length === 0) {
+        loginFailuresTableBody.innerHTML = '<tr><td colspan="5" class="text-center py-10 text-gray-500">暂无失败登录记录</td></tr>';
+        return;
+    }
+
+    rows.forEach(row => {
+        const tr = document.createElement('tr');
+        // D1 的 CURRENT_TIMESTAMP 为 UTC 时间
+        const time = row.created_at ? new Date(row.created_at.replace(' ', 'T') + 'Z').toLocaleString() : '-';
+        tr.innerHTML = `
+          <td class="p-3 border-b text-sm whitespace-nowrap">${time}</td>
+          <td class="p-3 border-b font-mono text-sm">${window.escapeHTML(row.ip)}</td>
+          <td class="p-3 border-b">${window.escapeHTML(row.username) || '-'}</td>
+          <td class="p-3 border-b text-sm">${LOGIN_FAILURE_REASONS[row.reason] || window.escapeHTML(row.reason)}</td>
+          <td class="p-3 border-b text-xs text-gray-500 truncate max-w-[260px]" title="${window.escapeHTML(row.user_agent)}">${window.escapeHTML(row.user_agent)}</td>
+        `;
+        loginFailuresTableBody.appendChild(tr);
+    });
+}
+
+function updateLoginFailuresPagination() {
+    const totalPages = Math.max(1, Math.ceil(loginFailuresTotal / loginFailuresPageSize));
+    if (loginFailuresCurrentPageSpan) loginFailuresCurrentPageSpan.innerText = loginFailuresPage;
+    if (loginFailuresTotalPagesSpan) loginFailuresTotalPagesSpan.innerText = totalPages;
+    if (loginFailuresPrevPageBtn) loginFailuresPrevPageBtn.disabled = loginFailuresPage <= 1;
+    if (loginFailuresNextPageBtn) loginFailuresNextPageBtn.disabled = loginFailuresPage >= totalPages;
+}
@@ -0,0 +1,153 @@
+/**
+ * admin-logo-upload.js
+ * 书签 Logo 上传：在新增、编辑书签弹窗中选择、粘贴或拖入图片，位图先缩放为标准尺寸再上传，上传后的地址填入 Logo 输入框
+ */
+
+// 位图 Logo 缩放后的最大边长（首页图标显示为 40px，兼顾高分屏）
+const LOGO_STANDARD_SIZE = 128;
+const LOGO_MAX_BYTES = 256 * 1024;
+const LOGO_UPLOAD_TYPES = {
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg',
+    'image/x-icon': 'ico',
+    'image/vnd.microsoft.icon': 'ico'
+};
+
+const LOGO_UPLOAD_TARGETS = [
+    { input: 'addBookmarkLogo', button: 'addBookmarkLogoUploadBtn', file: 'addBookmarkLogoFile', status: 'addBookmarkLogoStatus' },
+    { input: 'editBookmarkLogo', button: 'editBookmarkLogoUploadBtn', file: 'editBookmarkLogoFile', status: 'editBookmarkLogoStatus' }
+];
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+    LOGO_UPLOAD_TARGETS.forEach(initLogoUpload);
+});
+
+function initLogoUpload(target) {
+    const input = document.getElementById(target.input);
+    const button = document.getElementById(target.button);
+    const fileInput = document.getElementById(target.file);
+    const status = document.getElementById(target.status);
+    if (!input || !button || !fileInput) return;
+
+    const upload = (file) => uploadLogoFile(file, input, button, status);
+
+    button.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) upload(fileInput.files[0]);
+        fileInput.value = '';
+    });
+
+    // 在输入框中粘贴截图或复制的图片
+    input.addEventListener('paste', (e) => {
+        const file = [...(e.clipboardData ? e.clipboardData.files : [])].find(item => item.type.startsWith('image/'));
+        if (!file) return;
+        e.preventDefault();
+        upload(file);
+    });
+
+    input.addEventListener('dragover', (e) => {
+        if (![...e.dataTransfer.types].includes('Files')) return;
+        e.preventDefault();
+        input.classList.add('logo-drop-active');
+    });
+    input.addEventListener('dragleave', () => input.classList.remove('logo-drop-active'));
+    input.addEventListener('drop', (e) => {
+        const file = e.dataTransfer.files[0];
+        input.classList.remove('logo-drop-active');
+        if (!file) return;
+        e.preventDefault();
+        upload(file);
+    });
+
+    // 手动修改地址或重置表单时清空上传状态
+    input.addEventListener('input', () => {
+        if (status) status.innerText = '';
+    });
+    if (input.form) {
+        input.form.addEventListener('reset', () => {
+            if (status) status.innerText = '';
+        });
+    }
+}
+
+function logoFileType(file) {
+    if (LOGO_UPLOAD_TYPES[file.type]) return LOGO_UPLOAD_TYPES[file.type];
+    const ext = (file.name || '').split('.').pop().toLowerCase();
+    return Object.values(LOGO_UPLOAD_TYPES).includes(ext) ? ext : '';
+}
+
+function canvasToBlob(canvas, type, quality) {
+    return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+}
+
+/**
+ * 把 PNG / WebP 缩放到不超过 LOGO_STANDARD_SIZE 的尺寸（保持比例，不放大），减小上传体积；
+ * 绑定了 IMAGES 的服务端还会再按标准尺寸缩放，未绑定时依赖这里的缩放
+ * SVG 为矢量图、ICO 本身包含多种尺寸，原样上传，由后端校验与清理
+ */
+async function prepareLogoFile(file, type) {
+    if (type === 'svg' || type === 'ico') return file;
+
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, LOGO_STANDARD_SIZE / Math.max(bitmap.width, bitmap.height));
+    if (scale === 1 && file.size <= LOGO_MAX_BYTES) {
+        bitmap.close();
+        return file;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    let blob = await canvasToBlob(canvas, 'image/png');
+    if (!blob || blob.size > LOGO_MAX_BYTES) {
+        blob = await canvasToBlob(canvas, 'image/webp', 0.9);
+    }
+    if (!blob) throw new Error('图片处理失败');
+    return new File([blob], blob.type === 'image/webp' ? 'logo.webp' : 'logo.png', { type: blob.type });
+}
+
+async function uploadLogoFile(file, input, button, status) {
+    const setStatus = (text) => {
+        if (status) status.innerText = text;
+    };
+
+    const type = logoFileType(file);
+    if (!type) {
+        window.showMessage('只支持 PNG、SVG、ICO 与 WebP 格式的图片', 'error');
+        return;
+    }
+
+    const originalHtml = button.innerHTML;
+    button.disabled = true;
+    button.innerHTML = '<div class="ai-spinner"></div>';
+    setStatus('正在上传图片...');
+
+    try {
+        const prepared = await prepareLogoFile(file, type);
+        if (prepared.size > LOGO_MAX_BYTES) {
+            throw new Error(`图片不能超过 ${LOGO_MAX_BYTES / 1024} KB`);
+        }
+
+        const formData = new FormData();
+        formData.append('file', prepared, prepared.name || file.name);
+        const res = await fetch('/api/logos', { method: 'POST', body: formData });
+        const data = await res.json();
+        if (data.code !== 200) throw new Error(data.message || '上传失败');
+
+        input.value = data.data.url;
+        setStatus(`已上传（${Math.ceil(data.data.size / 1024)} KB），保存书签后生效`);
+    } catch (err) {
+        setStatus('');
+        window.showMessage(err.message || '上传失败', 'error');
+    } finally {
+        button.disabled = false;
+        button.innerHTML = originalHtml;
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * admin-revisions.js
+ * 书签历史版本：查看每次编辑与 AI 生成描述前的旧数据，按字段对比差异并恢复任意版本
+ */
+
+// DOM Elements
+const revisionDrawer = document.getElementById('revisionDrawer');
+const revisionDrawerTitle = document.getElementById('revisionDrawerTitle');
+const revisionList = document.getElementById('revisionList');
+const closeRevisionDrawerBtn = document.getElementById('closeRevisionDrawer');
+const revisionDrawerBackdrop = document.getElementById('revisionDrawerBackdrop');
+
+const REVISION_FIELD_LABELS = {
+    name: '名称',
+    url: 'URL',
+    logo: 'Logo',
+    desc: '描述',
+    catelog_name: '分类',
+    sort_order: '排序值',
+    is_private: '私密'
+};
+
+const REVISION_SOURCE_LABELS = {
+    edit: '编辑前',
+    ai: 'AI 生成描述前',
+    restore: '恢复版本前'
+};
+
+// State
+let revisionSiteId = null;
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+    initRevisionEvents();
+});
+
+function initRevisionEvents() {
+    [closeRevisionDrawerBtn, revisionDrawerBackdrop].forEach(el => {
+        if (el) el.addEventListener('click', closeRevisionDrawer);
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && revisionDrawer && revisionDrawer.style.display !== 'none') {
+            closeRevisionDrawer();
+        }
+    });
+}
+
+function closeRevisionDrawer() {
+    if (!revisionDrawer) return;
+    revisionDrawer.style.display = 'none';
+    document.body.classList.remove('modal-open');
+    revisionSiteId = null;
+}
+
+// Called by the history button on bookmark cards in admin.js
+window.openRevisionDrawer = function(siteId, siteName) {
+    if (!revisionDrawer) return;
+    revisionSiteId = siteId;
+    if (revisionDrawerTitle) revisionDrawerTitle.innerText = siteName ? `${siteName} · ID: ${siteId}` : `ID: ${siteId}`;
+    revisionList.innerHTML = '<div class="text-center text-gray-500 py-10">加载中...</div>';
+    revisionDrawer.style.display = 'block';
+    document.body.classList.add('modal-open');
+    fetchRevisions();
+};
+
+function fetchRevisions() {
+    const siteId = revisionSiteId;
+    fetch(`/api/revisions?site_id=${encodeURIComponent(siteId)}`)
+        .then(res => res.json())
+        .then(data => {
+            if (siteId !== revisionSiteId) return;
+            if (data.code === 200) {
+                renderRevisions(data.data || [], data.current);
+            } else {
+                revisionList.innerHTML = '';
+                window.showMessage(data.message || '加载历史版本失败', 'error');
+            }
+        })
+        .catch(() => window.showMessage('网络错误', 'error'));
+}
+
+function formatRevisionValue(field, value) {
+    if (field === 'is_private') return value ? '是' : '否';
+    if (value === null || value === undefined || value === '') return '<span class="text-gray-400">(空)</span>';
+    return window.escapeHTML(String(value));
+}
+
+// 版本保存的是修改前的数据，与其后一个版本（最新版本对比当前数据）比较即为这次修改的内容
+function renderRevisionDiff(revision, newer) {
+    const rows = Object.keys(REVISION_FIELD_LABELS)
+        .filter(field => String(revision[field] ?? '') !== String(newer[field] ?? ''))
+        .map(field => `
+          <div class="text-xs mt-1">
+            <span class="text-gray-500">${REVISION_FIELD_LABELS[field]}：</span>
+            <span class="revision-diff-old">${formatRevisionValue(field, revision[field])}</span>
+            →
+            <span class="revision-diff-new">${formatRevisionValue(field, newer[field])}</span>
+          </div>`);
+    return rows.length > 0 ? rows.join('') : '<div class="text-xs text-gray-400 mt-1">与之后的版本没有差异</div>';
+}
+
+function renderRevisions(revisions, current) {
+    revisionList.innerHTML = '';
+    if (revisions.length === 0) {
+        revisionList.innerHTML = '<div class="text-center text-gray-500 py-10">暂无历史版本</div>';
+        return;
+    }
+
+    const canRestore = window.hasAdminRole('editor') && !current.deleted_at;
+    revisions.forEach((revision, index) => {
+        const newer = index === 0 ? current : revisions[index - 1];
+        // D1 的 CURRENT_TIMESTAMP 为 UTC 时间
+        const time = revision.created_at ? new Date(revision.created_at.replace(' ', 'T') + 'Z').toLocaleString() : '-';
+        const item = document.createElement('div');
+        item.className = 'revision-item';
+        item.innerHTML = `
+          <div class="flex items-center justify-between">
+            <div class="text-sm text-gray-700">
+              ${time}
+              <span class="ml-1 px-1.5 py-0.5 rounded bg-gray-100 text-xs text-gray-600">${REVISION_SOURCE_LABELS[revision.source] || window.escapeHTML(revision.source)}</span>
+            </div>
+            ${canRestore ? `<button class="revision-restore-btn bg-green-100 text-green-600 hover:bg-green-200 px-2 py-1 rounded text-xs" data-id="${revision.id}">恢复到此版本</button>` : ''}
+          </div>
+          <div class="text-xs text-gray-400 mt-1">${window.escapeHTML(revision.actor)}</div>
+          ${renderRevisionDiff(revision, newer)}
+        `;
+        revisionList.appendChild(item);
+    });
+
+    revisionList.querySelectorAll('.revision-restore-btn').forEach(btn => {
+        btn.addEventListener('click', () => restoreRevision(Number(btn.dataset.id)));
+    });
+}
+
+function restoreRevision(id) {
+    if (!confirm('确定要将书签恢复到该版本吗？当前内容会保存为新的历史版本。')) return;
+    fetch('/api/revisions/restore', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id })
+    })
+        .then(res => res.json())
+        .then(data => {
+            if (data.code === 200) {
+                // 内容未变化时只提示，不标记缓存过期
+                window.showMessage(data.message, data.data ? 'success' : 'info');
+                fetchRevisions();
+                if (data.data && typeof window.fetchConfigs === 'function') window.fetchConfigs();
+            } else {
+                window.showMessage(data.message || '恢复失败', 'error');
+            }
+        })
+        .catch(() => window.showMessage('网络错误', 'error'));
+}
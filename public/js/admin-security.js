@@ -0,0 +1,180 @@
+/**
+ * admin-security.js
+ * 账号安全：修改自己的密码、TOTP 两步验证绑定与恢复码
+ */
+
+// DOM Elements
+const ownPasswordForm = document.getElementById('ownPasswordForm');
+const totpStatusBadge = document.getElementById('totpStatusBadge');
+const totpDisabledPanel = document.getElementById('totpDisabledPanel');
+const totpEnabledPanel = document.getElementById('totpEnabledPanel');
+const totpSetupPanel = document.getElementById('totpSetupPanel');
+const totpRecoveryCodesPanel = document.getElementById('totpRecoveryCodesPanel');
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+    initSecurityEvents();
+});
+
+function jsonRequest(url, method, payload) {
+    return fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: payload ? JSON.stringify(payload) : undefined
+    }).then(res => res.json());
+}
+
+function copyText(text) {
+    navigator.clipboard.writeText(text)
+        .then(() => window.showMessage('已复制到剪贴板', 'info'))
+        .catch(() => window.showMessage('复制失败，请手动选择复制', 'error'));
+}
+
+function initSecurityEvents() {
+    if (ownPasswordForm) {
+        ownPasswordForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            jsonRequest('/api/users/me', 'PUT', {
+                current_password: document.getElementById('currentPassword').value,
+                new_password: document.getElementById('newPassword').value
+            })
+                .then(data => {
+                    if (data.code === 200) {
+                        ownPasswordForm.reset();
+                        window.showMessage('密码已更新', 'info');
+                    } else {
+                        window.showMessage(data.message || '修改失败', 'error');
+                    }
+                })
+                .catch(() => window.showMessage('网络错误', 'error'));
+        });
+    }
+
+    const setupBtn = document.getElementById('totpSetupBtn');
+    if (setupBtn) {
+        setupBtn.addEventListener('click', startTotpSetup);
+    }
+
+    const confirmBtn = document.getElementById('totpConfirmBtn');
+    if (confirmBtn) {
+        confirmBtn.addEventListener('click', confirmTotpSetup);
+    }
+
+    const copySecretBtn = document.getElementById('totpCopySecretBtn');
+    if (copySecretBtn) {
+        copySecretBtn.addEventListener('click', () => {
+            copyText(document.getElementById('totpSecretText').innerText);
+        });
+    }
+
+    const copyRecoveryBtn = document.getElementById('totpCopyRecoveryBtn');
+    if (copyRecoveryBtn) {
+        copyRecoveryBtn.addEventListener('click', () => {
+            copyText(document.getElementById('totpRecoveryCodes').dataset.codes || '');
+        });
+    }
+
+    const regenerateBtn = document.getElementById('totpRegenerateBtn');
+    if (regenerateBtn) {
+        regenerateBtn.addEventListener('click', () => {
+            const codeInput = document.getElementById('totpRegenerateCode');
+            jsonRequest('/api/account/recovery-codes', 'POST', { code: codeInput.value.trim() })
+                .then(data => {
+                    if (data.code === 200) {
+                        codeInput.value = '';
+                        showRecoveryCodes(data.data.recovery_codes);
+                        window.fetchTotpStatus();
+                    } else {
+                        window.showMessage(data.message || '生成失败', 'error');
+                    }
+                })
+                .catch(() => window.showMessage('网络错误', 'error'));
+        });
+    }
+
+    const disableBtn = document.getElementById('totpDisableBtn');
+    if (disableBtn) {
+        disableBtn.addEventListener('click', () => {
+            const passwordInput = document.getElementById('totpDisablePassword');
+            if (!confirm('关闭后登录将只需要密码，确定要关闭两步验证吗？')) return;
+            jsonRequest('/api/account/totp', 'DELETE', { password: passwordInput.value })
+                .then(data => {
+                    if (data.code === 200) {
+                        passwordInput.value = '';
+                        totpRecoveryCodesPanel.style.display = 'none';
+                        window.showMessage('两步验证已关闭', 'info');
+                        window.fetchTotpStatus();
+                    } else {
+                        window.showMessage(data.message || '关闭失败', 'error');
+                    }
+                })
+                .catch(() => window.showMessage('网络错误', 'error'));
+        });
+    }
+}
+
+// Called by tab switching in admin.js
+window.fetchTotpStatus = function() {
+    fetch('/api/account/totp')
+        .then(res => res.json())
+        .then(data => {
+            if (data.code !== 200) return;
+            renderTotpStatus(data.data);
+        })
+        .catch(err => console.error('Failed to load two-factor status:', err));
+};
+
+function renderTotpStatus(status) {
+    if (status.enabled) {
+        totpStatusBadge.innerText = '已开启';
+        totpStatusBadge.className = 'text-xs px-2 py-0.5 rounded bg-green-100 text-green-700';
+        totpDisabledPanel.style.display = 'none';
+        totpEnabledPanel.style.display = '';
+        document.getElementById('totpRecoveryRemaining').innerText = status.recovery_codes_remaining;
+    } else {
+        totpStatusBadge.innerText = '未开启';
+        totpStatusBadge.className = 'text-xs px-2 py-0.5 rounded bg-gray-100 text-gray-600';
+        totpDisabledPanel.style.display = '';
+        totpEnabledPanel.style.display = 'none';
+        totpSetupPanel.style.display = 'none';
+    }
+}
+
+function startTotpSetup() {
+    jsonRequest('/api/account/totp', 'POST')
+        .then(data => {
+            if (data.code !== 200) {
+                window.showMessage(data.message || '生成密钥失败', 'error');
+                return;
+            }
+            const link = document.getElementById('totpOtpauthLink');
+            link.href = data.data.otpauth_uri;
+            link.innerText = data.data.otpauth_uri;
+            document.getElementById('totpSecretText').innerText = data.data.secret;
+            document.getElementById('totpSetupCode').value = '';
+            totpSetupPanel.style.display = '';
+        })
+        .catch(() => window.showMessage('网络错误', 'error'));
+}
+
+function confirmTotpSetup() {
+    const code = document.getElementById('totpSetupCode').value.trim();
+    jsonRequest('/api/account/totp', 'PUT', { code })
+        .then(data => {
+            if (data.code === 200) {
+                window.showMessage('两步验证已开启', 'info');
+                showRecoveryCodes(data.data.recovery_codes);
+                window.fetchTotpStatus();
+            } else {
+                window.showMessage(data.message || '绑定失败', 'error');
+            }
+        })
+        .catch(() => window.showMessage('网络错误', 'error'));
+}
+
+function showRecoveryCodes(codes) {
+    const container = document.getElementById('totpRecoveryCodes');
+    container.innerHTML = codes.map(code => `<span>${window.escapeHTML(code)}</span>`).join('');
+    container.dataset.codes = codes.join('\n');
+    totpRecoveryCodesPanel.style.display = '';
+}
@@ -0,0 +1,131 @@
+/**
+ * admin-sessions.js
+ * 登录会话：查看当前有效的会话，吊销单个会话或退出其他所有会话
+ */
+
+// DOM Elements
+const sessionsTableBody = document.getElementById('sessionsTableBody');
+const sessionsShowAll = document.getElementById('sessionsShowAll');
+const revokeOtherSessionsBtn = document.getElementById('revokeOtherSessionsBtn');
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+    initSessionEvents();
+});
+
+function initSessionEvents() {
+    if (sessionsShowAll) {
+        sessionsShowAll.addEventListener('change', () => window.fetchSessions());
+    }
+
+    if (revokeOtherSessionsBtn) {
+        revokeOtherSessionsBtn.addEventListener('click', () => {
+            if (!confirm('确定要退出除当前浏览器外的所有会话吗？')) return;
+            fetch('/api/sessions', { method: 'DELETE' })
+                .then(res => res.json())
+                .then(data => {
+                    if (data.code === 200) {
+                        window.showMessage(`已退出 ${data.revoked} 个会话`, 'info');
+                        window.fetchSessions();
+                    } else {
+                        window.showMessage(data.message || '操作失败', 'error');
+                    }
+                })
+                .catch(() => window.showMessage('网络错误', 'error'));
+        });
+    }
+}
+
+// Called by tab switching in admin.js
+window.fetchSessions = function() {
+    if (!sessionsTableBody) return;
+    const scope = sessionsShowAll && sessionsShowAll.checked ? '?scope=all' : '';
+
+    fetch(`/api/sessions${scope}`)
+        .then(res => res.json())
+        .then(data => {
+            if (data.code === 200) {
+                renderSessions(data.data || []);
+            } else {
+                window.showMessage(data.message || '加载会话失败', 'error');
+            }
+        })
+        .catch(() => window.showMessage('网络错误', 'error'));
+};
+
+// 从 User-Agent 中粗略识别浏览器与系统，便于辨认设备
+function describeUserAgent(ua) {
+    if (!ua) return '未知设备';
+    const browser = /Edg\//.test(ua) ? 'Edge'
+        : /OPR\//.test(ua) ? 'Opera'
+        : /Firefox\//.test(ua) ? 'Firefox'
+        : /Chrome\//.test(ua) ? 'Chrome'
+        : /Safari\//.test(ua) ? 'Safari'
+        : '其他浏览器';
+    const os = /Windows/.test(ua) ? 'Windows'
+        : /iPhone|iPad/.test(ua) ? 'iOS'
+        : /Mac OS X/.test(ua) ? 'macOS'
+        : /Android/.test(ua) ? 'Android'
+        : /Linux/.test(ua) ? 'Linux'
+        : '其他系统';
+    return `${browser} · ${os}`;
+}
+
+function formatSessionTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : '-';
+}
+
+function renderSessions(sessions) {
+    sessionsTableBody.innerHTML = '';
+    if (sessions.length === 0) {
+        sessionsTableBody.innerHTML = '<tr><td colspan="7" class="text-center py-10 text-gray-500">暂无会话</td></tr>';
+        return;
+    }
+
+    sessions.forEach(session => {
+        const tr = document.createElement('tr');
+        const ipText = session.last_ip && session.last_ip !== session.ip
+            ? `${window.escapeHTML(session.last_ip)}<div class="text-xs text-gray-400">登录于 ${window.escapeHTML(session.ip)}</div>`
+            : window.escapeHTML(session.ip || '-');
+        const duration = session.ttl ? `${Math.round(session.ttl / 86400)} 天` : '-';
+        const expires = session.expires_at ? `<div class="text-xs text-gray-400">至 ${formatSessionTime(session.expires_at)}</div>` : '';
+
+        tr.innerHTML = `
+          <td class="p-3 border-b">${window.escapeHTML(session.username)}</td>
+          <td class="p-3 border-b text-sm" title="${window.escapeHTML(session.user_agent)}">
+            ${describeUserAgent(session.user_agent)}
+            ${session.current ? '<span class="ml-1 text-xs px-1.5 py-0.5 rounded bg-green-100 text-green-700">当前</span>' : ''}
+          </td>
+          <td class="p-3 border-b font-mono text-sm">${ipText}</td>
+          <td class="p-3 border-b text-sm whitespace-nowrap">${formatSessionTime(session.created_at)}</td>
+          <td class="p-3 border-b text-sm whitespace-nowrap">${formatSessionTime(session.last_seen_at)}</td>
+          <td class="p-3 border-b text-sm whitespace-nowrap">${duration}${expires}</td>
+          <td class="p-3 border-b">
+            ${session.id ? `<button class="session-revoke-btn bg-red-100 text-red-600 hover:bg-red-200 px-2 py-1 rounded text-xs" data-id="${window.escapeHTML(session.id)}" data-current="${session.current ? '1' : ''}">${session.current ? '退出' : '吊销'}</button>` : ''}
+          </td>
+        `;
+        sessionsTableBody.appendChild(tr);
+    });
+
+    sessionsTableBody.querySelectorAll('.session-revoke-btn').forEach(btn => {
+        btn.addEventListener('click', function() {
+            const isCurrent = this.dataset.current === '1';
+            if (!confirm(isCurrent ? '这是当前浏览器的会话，吊销后需要重新登录，确定吗？' : '确定要吊销该会话吗？')) return;
+            fetch(`/api/sessions/${encodeURIComponent(this.dataset.id)}`, { method: 'DELETE' })
+                .then(res => res.json())
+                .then(data => {
+                    if (data.code === 200) {
+                        if (isCurrent) {
+                            window.location.href = '/admin/login';
+                            return;
+                        }
+                        window.showMessage('会话已吊销', 'info');
+                        window.fetchSessions();
+                    } else {
+                        window.showMessage(data.message || '操作失败', 'error');
+                    }
+                })
+                .catch(() => window.showMessage('网络错误', 'error'));
+        });
+    });
+}
@@ -87,6 +87,27 @@ const initSettings = () => {
   const homeSiteDescriptionInput = document.getElementById('homeSiteDescription');
 
   const searchEngineSwitch = document.getElementById('searchEngineSwitch');
+  const searchEngineList = document.getElementById('searchEngineList');
+  const searchEnginePreset = document.getElementById('searchEnginePreset');
+  const addSearchEngineBtn = document.getElementById('addSearchEngineBtn');
+
+  // 未配置时首页使用的搜索引擎（与 functions/search-engines.js 中的默认值一致）
+  const DEFAULT_SEARCH_ENGINES = [
+      { id: 'google', name: 'Google', icon: '', url: 'https://www.google.com/search?q=%s', bang: 'g' },
+      { id: 'baidu', name: 'Baidu', icon: '', url: 'https://www.baidu.com/s?wd=%s', bang: 'bd' },
+      { id: 'bing', name: 'Bing', icon: '', url: 'https://www.bing.com/search?q=%s', bang: 'b' }
+  ];
+
+  // “添加常用引擎”下拉框中的预设
+  const SEARCH_ENGINE_PRESETS = [
+      ...DEFAULT_SEARCH_ENGINES,
+      { id: 'ddg', name: 'DuckDuckGo', icon: '', url: 'https://duckduckgo.com/?q=%s', bang: 'ddg' },
+      { id: 'github', name: 'GitHub', icon: '', url: 'https://github.com/search?q=%s&type=repositories', bang: 'gh' },
+      { id: 'npm', name: 'npm', icon: '', url: 'https://www.npmjs.com/search?q=%s', bang: 'npm' },
+      { id: 'mdn', name: 'MDN', icon: '', url: 'https://developer.mozilla.org/zh-CN/search?q=%s', bang: 'mdn' }
+  ];
+
+  let searchEngines = DEFAULT_SEARCH_ENGINES.map(engine => ({ ...engine }));
 
   // Font Options
   const FONT_OPTIONS = [
@@ -337,8 +358,11 @@ const initSettings = () => {
     home_hitokoto_size: '',
     home_hitokoto_color: '',
     home_search_engine_enabled: false,
+    home_search_engines: '',
     home_default_category: '',
     home_remember_last_category: false,
+    home_sort_by_popularity: false,
+    home_show_frequent_sites: false,
     layout_enable_frosted_glass: false,
     layout_frosted_glass_intensity: '15',
     layout_grid_cols: '4',
@@ -785,8 +809,15 @@ const initSettings = () => {
     if (homeRememberLastCategorySwitch) {
         currentSettings.home_remember_last_category = homeRememberLastCategorySwitch.checked;
     }
+    if (homeSortByPopularitySwitch) {
+        currentSettings.home_sort_by_popularity = homeSortByPopularitySwitch.checked;
+    }
+    if (homeShowFrequentSitesSwitch) {
+        currentSettings.home_show_frequent_sites = homeShowFrequentSitesSwitch.checked;
+    }
 
     currentSettings.home_search_engine_enabled = searchEngineSwitch.checked;
+    currentSettings.home_search_engines = JSON.stringify(readSearchEngineRows());
 
     currentSettings.layout_custom_wallpaper = customWallpaperInput.value.trim();
     currentSettings.layout_random_wallpaper = randomWallpaperSwitch.checked;
@@ -876,6 +907,98 @@ const initSettings = () => {
 
   const homeDefaultCategorySelect = document.getElementById('homeDefaultCategory');
   const homeRememberLastCategorySwitch = document.getElementById('homeRememberLastCategorySwitch');
+  const homeSortByPopularitySwitch = document.getElementById('homeSortByPopularitySwitch');
+  const homeShowFrequentSitesSwitch = document.getElementById('homeShowFrequentSitesSwitch');
+
+  // ========== 站外搜索引擎 ==========
+  function parseSearchEngineSetting(value) {
+      if (!value) return DEFAULT_SEARCH_ENGINES.map(engine => ({ ...engine }));
+      try {
+          const list = JSON.parse(value);
+          return Array.isArray(list) ? list : DEFAULT_SEARCH_ENGINES.map(engine => ({ ...engine }));
+      } catch (e) {
+          return DEFAULT_SEARCH_ENGINES.map(engine => ({ ...engine }));
+      }
+  }
+
+  function renderSearchEngineList() {
+      if (!searchEngineList) return;
+      if (searchEngines.length === 0) {
+          searchEngineList.innerHTML = '<div class="text-xs text-gray-500 text-center py-2">暂无搜索引擎，首页只提供站内搜索</div>';
+          return;
+      }
+      searchEngineList.innerHTML = searchEngines.map((engine, index) => `
+        <div class="search-engine-row flex flex-wrap items-center gap-2 p-2 bg-white rounded border border-gray-200" data-index="${index}" data-id="${window.escapeHTML(engine.id || '')}">
+          <input type="text" data-field="icon" value="${window.escapeHTML(engine.icon || '')}" placeholder="图标" class="w-16 text-xs border border-gray-300 rounded px-2 py-1">
+          <input type="text" data-field="name" value="${window.escapeHTML(engine.name || '')}" placeholder="名称" class="w-24 text-xs border border-gray-300 rounded px-2 py-1">
+          <input type="text" data-field="url" value="${window.escapeHTML(engine.url || '')}" placeholder="https://example.com/search?q=%s" class="flex-1 min-w-0 text-xs border border-gray-300 rounded px-2 py-1">
+          <input type="text" data-field="bang" value="${window.escapeHTML(engine.bang || '')}" placeholder="bang" class="w-16 text-xs border border-gray-300 rounded px-2 py-1">
+          <div class="flex items-center gap-1">
+            <button type="button" class="search-engine-move bg-gray-100 text-gray-500 hover:bg-gray-200 px-2 py-1 rounded text-xs" data-step="-1" title="上移" ${index === 0 ? 'disabled' : ''}>↑</button>
+            <button type="button" class="search-engine-move bg-gray-100 text-gray-500 hover:bg-gray-200 px-2 py-1 rounded text-xs" data-step="1" title="下移" ${index === searchEngines.length - 1 ? 'disabled' : ''}>↓</button>
+            <button type="button" class="search-engine-remove bg-red-100 text-red-600 hover:bg-red-200 px-2 py-1 rounded text-xs" title="删除">删除</button>
+          </div>
+          <input type="text" data-field="suggest" value="${window.escapeHTML(engine.suggest || '')}" placeholder="联想接口（可选，常用引擎留空即可）" class="w-full text-xs border border-gray-300 rounded px-2 py-1">
+        </div>
+      `).join('');
+  }
+
+  // 从表单读取搜索引擎列表，默认忽略完全空白的行；详细校验由服务端完成
+  function readSearchEngineRows(keepEmpty = false) {
+      if (!searchEngineList) return searchEngines;
+      const rows = Array.from(searchEngineList.querySelectorAll('.search-engine-row')).map(row => {
+          const read = field => row.querySelector(`[data-field="${field}"]`).value.trim();
+          return { id: row.dataset.id || '', name: read('name'), icon: read('icon'), url: read('url'), bang: read('bang').replace(/^!/, ''), suggest: read('suggest') };
+      });
+      return keepEmpty ? rows : rows.filter(engine => engine.name || engine.url || engine.icon || engine.bang);
+  }
+
+  if (searchEngineList) {
+      if (searchEnginePreset) {
+          searchEnginePreset.innerHTML += SEARCH_ENGINE_PRESETS.map((preset, index) => `<option value="${index}">${window.escapeHTML(preset.name)} (!${window.escapeHTML(preset.bang)})</option>`).join('');
+          searchEnginePreset.addEventListener('change', () => {
+              const preset = SEARCH_ENGINE_PRESETS[Number(searchEnginePreset.value)];
+              searchEnginePreset.value = '';
+              if (!preset) return;
+              searchEngines = readSearchEngineRows(true);
+              if (searchEngines.some(engine => engine.url === preset.url)) {
+                  showMessage(`${preset.name} 已在列表中`, 'info');
+                  return;
+              }
+              searchEngines.push({ ...preset });
+              renderSearchEngineList();
+          });
+      }
+
+      if (addSearchEngineBtn) {
+          addSearchEngineBtn.addEventListener('click', () => {
+              searchEngines = readSearchEngineRows(true);
+              searchEngines.push({ id: '', name: '', icon: '', url: '', bang: '', suggest: '' });
+              renderSearchEngineList();
+              const inputs = searchEngineList.querySelectorAll('[data-field="name"]');
+              if (inputs.length > 0) inputs[inputs.length - 1].focus();
+          });
+      }
+
+      searchEngineList.addEventListener('click', (e) => {
+          const row = e.target.closest('.search-engine-row');
+          if (!row) return;
+          const index = Number(row.dataset.index);
+          // 先读取表单中的内容，避免重新渲染时丢失尚未保存的编辑
+          if (e.target.closest('.search-engine-remove')) {
+              searchEngines = readSearchEngineRows(true);
+              searchEngines.splice(index, 1);
+              renderSearchEngineList();
+          } else if (e.target.closest('.search-engine-move')) {
+              const step = Number(e.target.closest('.search-engine-move').dataset.step);
+              searchEngines = readSearchEngineRows(true);
+              const target = index + step;
+              if (target < 0 || target >= searchEngines.length) return;
+              [searchEngines[index], searchEngines[target]] = [searchEngines[target], searchEngines[index]];
+              renderSearchEngineList();
+          }
+      });
+  }
 
   async function loadSettings() {
     // Ensure categories are loaded for the dropdown
@@ -958,9 +1081,12 @@ const initSettings = () => {
             if (serverSettings.home_site_description) currentSettings.home_site_description = serverSettings.home_site_description;
 
             if (serverSettings.home_search_engine_enabled !== undefined) currentSettings.home_search_engine_enabled = serverSettings.home_search_engine_enabled === 'true';
+            if (serverSettings.home_search_engines) currentSettings.home_search_engines = serverSettings.home_search_engines;
             
             if (serverSettings.home_default_category) currentSettings.home_default_category = serverSettings.home_default_category;
             if (serverSettings.home_remember_last_category !== undefined) currentSettings.home_remember_last_category = serverSettings.home_remember_last_category === 'true';
+            if (serverSettings.home_sort_by_popularity !== undefined) currentSettings.home_sort_by_popularity = serverSettings.home_sort_by_popularity === 'true';
+            if (serverSettings.home_show_frequent_sites !== undefined) currentSettings.home_show_frequent_sites = serverSettings.home_show_frequent_sites === 'true';
 
             if (serverSettings.layout_enable_frosted_glass !== undefined) currentSettings.layout_enable_frosted_glass = serverSettings.layout_enable_frosted_glass === 'true';
             if (serverSettings.layout_frosted_glass_intensity) currentSettings.layout_frosted_glass_intensity = serverSettings.layout_frosted_glass_intensity;
@@ -1127,8 +1253,12 @@ const initSettings = () => {
     
     if (homeDefaultCategorySelect) homeDefaultCategorySelect.value = currentSettings.home_default_category || '';
     if (homeRememberLastCategorySwitch) homeRememberLastCategorySwitch.checked = !!currentSettings.home_remember_last_category;
+    if (homeSortByPopularitySwitch) homeSortByPopularitySwitch.checked = !!currentSettings.home_sort_by_popularity;
+    if (homeShowFrequentSitesSwitch) homeShowFrequentSitesSwitch.checked = !!currentSettings.home_show_frequent_sites;
 
     if (searchEngineSwitch) searchEngineSwitch.checked = !!currentSettings.home_search_engine_enabled;
+    searchEngines = parseSearchEngineSetting(currentSettings.home_search_engines);
+    renderSearchEngineList();
 
     if (frostedGlassSwitch) frostedGlassSwitch.checked = !!currentSettings.layout_enable_frosted_glass;
     if (frostedGlassIntensityRange) frostedGlassIntensityRange.value = currentSettings.layout_frosted_glass_intensity || '15';
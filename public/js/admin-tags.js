@@ -0,0 +1,155 @@
+/**
+ * admin-tags.js
+ * 标签管理：查看各标签的书签数量，新增、重命名与删除标签，并为书签表单提供标签候选项
+ */
+
+// DOM Elements
+const tagsTableBody = document.getElementById('tagsTableBody');
+const newTagNameInput = document.getElementById('newTagName');
+const createTagBtn = document.getElementById('createTagBtn');
+const tagOptionsList = document.getElementById('tagOptions');
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+    initTagEvents();
+});
+
+function initTagEvents() {
+    if (createTagBtn) {
+        createTagBtn.addEventListener('click', createTag);
+    }
+    if (newTagNameInput) {
+        newTagNameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') createTag();
+        });
+    }
+}
+
+function loadTags() {
+    return fetch('/api/tags')
+        .then(res => res.json())
+        .then(data => {
+            if (data.code !== 200) throw new Error(data.message || '加载标签失败');
+            renderTagOptions(data.data || []);
+            return data.data || [];
+        });
+}
+
+function renderTagOptions(tags) {
+    if (!tagOptionsList) return;
+    tagOptionsList.innerHTML = tags.map(tag => `<option value="${window.escapeHTML(tag.name)}"></option>`).join('');
+}
+
+// Called by the bookmark add / edit forms
+window.refreshTagOptions = function() {
+    loadTags().catch(() => {});
+};
+
+// Called by tab switching in admin.js
+window.fetchTags = function() {
+    if (!tagsTableBody) return;
+    loadTags()
+        .then(renderTags)
+        .catch(err => window.showMessage(err.message || '网络错误', 'error'));
+};
+
+function renderTags(tags) {
+    tagsTableBody.innerHTML = '';
+    if (tags.length === 0) {
+        tagsTableBody.innerHTML = '<tr><td colspan="4" class="text-center py-10 text-gray-500">暂无标签</td></tr>';
+        return;
+    }
+
+    const canEdit = window.hasAdminRole('editor');
+    tags.forEach(tag => {
+        const tr = document.createElement('tr');
+        // D1 的 CURRENT_TIMESTAMP 为 UTC 时间
+        const createdAt = tag.create_time ? new Date(tag.create_time.replace(' ', 'T') + 'Z').toLocaleString() : '-';
+        tr.innerHTML = `
+          <td class="p-3 border-b">#${window.escapeHTML(tag.name)}</td>
+          <td class="p-3 border-b text-sm">${tag.site_count}</td>
+          <td class="p-3 border-b text-sm whitespace-nowrap">${createdAt}</td>
+          <td class="p-3 border-b whitespace-nowrap">
+            ${canEdit ? `
+            <button class="tag-rename-btn bg-blue-100 text-blue-600 hover:bg-blue-200 px-2 py-1 rounded text-xs" data-id="${tag.id}">重命名</button>
+            <button class="tag-delete-btn bg-red-100 text-red-600 hover:bg-red-200 px-2 py-1 rounded text-xs ml-1" data-id="${tag.id}">删除</button>
+            ` : '-'}
+          </td>
+        `;
+        tagsTableBody.appendChild(tr);
+    });
+
+    tagsTableBody.querySelectorAll('.tag-rename-btn').forEach(btn => {
+        const tag = tags.find(t => t.id === Number(btn.dataset.id));
+        btn.addEventListener('click', () => renameTag(tag));
+    });
+    tagsTableBody.querySelectorAll('.tag-delete-btn').forEach(btn => {
+        const tag = tags.find(t => t.id === Number(btn.dataset.id));
+        btn.addEventListener('click', () => deleteTag(tag));
+    });
+}
+
+function createTag() {
+    const name = newTagNameInput ? newTagNameInput.value.trim() : '';
+    if (!name) {
+        window.showMessage('请输入标签名称', 'error');
+        return;
+    }
+    fetch('/api/tags', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
+    })
+        .then(res => res.json())
+        .then(data => {
+            if (data.code === 201) {
+                // 新标签尚未关联书签，首页内容不变
+                window.showMessage(data.message, 'info');
+                newTagNameInput.value = '';
+                window.fetchTags();
+            } else {
+                window.showMessage(data.message || '创建失败', 'error');
+            }
+        })
+        .catch(() => window.showMessage('网络错误', 'error'));
+}
+
+function renameTag(tag) {
+    if (!tag) return;
+    const name = prompt('请输入新的标签名称', tag.name);
+    if (name === null || name.trim() === '' || name.trim() === tag.name) return;
+    fetch(`/api/tags/${tag.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: name.trim() })
+    })
+        .then(res => res.json())
+        .then(data => {
+            if (data.code === 200) {
+                window.showMessage(data.message, 'success');
+                window.fetchTags();
+                if (typeof window.fetchConfigs === 'function') window.fetchConfigs();
+            } else {
+                window.showMessage(data.message || '重命名失败', 'error');
+            }
+        })
+        .catch(() => window.showMessage('网络错误', 'error'));
+}
+
+function deleteTag(tag) {
+    if (!tag) return;
+    const extra = tag.site_count > 0 ? `该标签将从 ${tag.site_count} 个书签上移除，书签本身不受影响。` : '';
+    if (!confirm(`确定要删除标签「${tag.name}」吗？${extra}`)) return;
+    fetch(`/api/tags/${tag.id}`, { method: 'DELETE' })
+        .then(res => res.json())
+        .then(data => {
+            if (data.code === 200) {
+                window.showMessage(data.message, tag.site_count > 0 ? 'success' : 'info');
+                window.fetchTags();
+                if (tag.site_count > 0 && typeof window.fetchConfigs === 'function') window.fetchConfigs();
+            } else {
+                window.showMessage(data.message || '删除失败', 'error');
+            }
+        })
+        .catch(() => window.showMessage('网络错误', 'error'));
+}
@@ -0,0 +1,142 @@
+/**
+ * admin-tokens.js
+ * API 令牌：创建带权限范围的令牌供脚本 / CI 使用，查看与吊销已有令牌
+ */
+
+// DOM Elements
+const apiTokenForm = document.getElementById('apiTokenForm');
+const apiTokenCreatedPanel = document.getElementById('apiTokenCreatedPanel');
+const apiTokenCreatedValue = document.getElementById('apiTokenCreatedValue');
+const apiTokensTableBody = document.getElementById('apiTokensTableBody');
+const apiTokensShowAll = document.getElementById('apiTokensShowAll');
+
+const API_TOKEN_SCOPE_LABELS = {
+    read: '读取',
+    bookmarks: '写入书签',
+    categories: '管理分类',
+    import_export: '导入导出'
+};
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+    initApiTokenEvents();
+});
+
+function initApiTokenEvents() {
+    if (apiTokenForm) {
+        apiTokenForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const scopes = Array.from(apiTokenForm.querySelectorAll('input[name="apiTokenScope"]:checked'))
+                .filter(input => input.closest('label').style.display !== 'none')
+                .map(input => input.value);
+            const expires = document.getElementById('apiTokenExpires').value;
+
+            fetch('/api/tokens', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    name: document.getElementById('apiTokenName').value.trim(),
+                    scopes,
+                    expires_in_days: expires ? Number(expires) : null
+                })
+            })
+                .then(res => res.json())
+                .then(data => {
+                    if (data.code === 201) {
+                        document.getElementById('apiTokenName').value = '';
+                        apiTokenCreatedValue.innerText = data.data.token;
+                        apiTokenCreatedPanel.style.display = '';
+                        window.showMessage('令牌已生成', 'info');
+                        window.fetchApiTokens();
+                    } else {
+                        window.showMessage(data.message || '生成失败', 'error');
+                    }
+                })
+                .catch(() => window.showMessage('网络错误', 'error'));
+        });
+    }
+
+    const copyBtn = document.getElementById('apiTokenCopyBtn');
+    if (copyBtn) {
+        copyBtn.addEventListener('click', () => {
+            navigator.clipboard.writeText(apiTokenCreatedValue.innerText)
+                .then(() => window.showMessage('已复制到剪贴板', 'info'))
+                .catch(() => window.showMessage('复制失败，请手动选择复制', 'error'));
+        });
+    }
+
+    if (apiTokensShowAll) {
+        apiTokensShowAll.addEventListener('change', () => window.fetchApiTokens());
+    }
+}
+
+// Called by tab switching in admin.js
+window.fetchApiTokens = function() {
+    if (!apiTokensTableBody) return;
+    const scope = apiTokensShowAll && apiTokensShowAll.checked ? '?scope=all' : '';
+
+    fetch(`/api/tokens${scope}`)
+        .then(res => res.json())
+        .then(data => {
+            if (data.code === 200) {
+                renderApiTokens(data.data || []);
+            } else {
+                window.showMessage(data.message || '加载令牌失败', 'error');
+            }
+        })
+        .catch(() => window.showMessage('网络错误', 'error'));
+};
+
+function formatTokenTime(timestamp, fallback = '-') {
+    return timestamp ? new Date(timestamp).toLocaleString() : fallback;
+}
+
+function renderApiTokens(tokens) {
+    apiTokensTableBody.innerHTML = '';
+    if (tokens.length === 0) {
+        apiTokensTableBody.innerHTML = '<tr><td colspan="7" class="text-center py-10 text-gray-500">暂无令牌</td></tr>';
+        return;
+    }
+
+    const now = Date.now();
+    tokens.forEach(token => {
+        const tr = document.createElement('tr');
+        const scopes = (token.scopes || [])
+            .map(scope => `<span class="inline-block text-xs px-1.5 py-0.5 rounded bg-blue-50 text-blue-700 mr-1">${window.escapeHTML(API_TOKEN_SCOPE_LABELS[scope] || scope)}</span>`)
+            .join('');
+        const expired = token.expires_at && token.expires_at <= now;
+        const expires = expired
+            ? '<span class="text-red-600">已过期</span>'
+            : formatTokenTime(token.expires_at, '永不过期');
+
+        tr.innerHTML = `
+          <td class="p-3 border-b">${window.escapeHTML(token.name)}</td>
+          <td class="p-3 border-b">${window.escapeHTML(token.username)}</td>
+          <td class="p-3 border-b">${scopes}</td>
+          <td class="p-3 border-b text-sm whitespace-nowrap">${formatTokenTime(token.created_at)}</td>
+          <td class="p-3 border-b text-sm whitespace-nowrap">${formatTokenTime(token.last_used_at, '从未使用')}</td>
+          <td class="p-3 border-b text-sm whitespace-nowrap">${expires}</td>
+          <td class="p-3 border-b">
+            <button class="token-revoke-btn bg-red-100 text-red-600 hover:bg-red-200 px-2 py-1 rounded text-xs" data-id="${window.escapeHTML(token.id)}">吊销</button>
+          </td>
+        `;
+        apiTokensTableBody.appendChild(tr);
+    });
+
+    apiTokensTableBody.querySelectorAll('.token-revoke-btn').forEach(btn => {
+        btn.addEventListener('click', function() {
+            if (!confirm('吊销后使用该令牌的脚本将立即失效，确定吗？')) return;
+            fetch(`/api/tokens/${encodeURIComponent(this.dataset.id)}`, { method: 'DELETE' })
+                .then(res => res.json())
+                .then(data => {
+                    if (data.code === 200) {
+                        window.showMessage('令牌已吊销', 'info');
+                        window.fetchApiTokens();
+                    } else {
+                        window.showMessage(data.message || '操作失败', 'error');
+                    }
+                })
+                .catch(() => window.showMessage('网络错误', 'error'));
+        });
+    });
+}
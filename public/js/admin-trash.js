@@ -0,0 +1,272 @@
+/**
+ * admin-trash.js
+ * 回收站：查看已删除的书签与分类，恢复、彻底删除或清空，设置自动清理天数
+ */
+
+// DOM Elements
+const trashTableBody = document.getElementById('trashTableBody');
+const trashTypeSelect = document.getElementById('trashTypeSelect');
+const trashSearch = document.getElementById('trashSearch');
+const trashSelectAll = document.getElementById('trashSelectAll');
+const trashRestoreBtn = document.getElementById('trashRestoreBtn');
+const trashPurgeBtn = document.getElementById('trashPurgeBtn');
+const trashEmptyBtn = document.getElementById('trashEmptyBtn');
+const trashRetentionText = document.getElementById('trashRetentionText');
+const trashRetentionInput = document.getElementById('trashRetentionInput');
+const trashRetentionSaveBtn = document.getElementById('trashRetentionSaveBtn');
+const trashPrevPageBtn = document.getElementById('trashPrevPage');
+const trashNextPageBtn = document.getElementById('trashNextPage');
+const trashCurrentPageSpan = document.getElementById('trashCurrentPage');
+const trashTotalPagesSpan = document.getElementById('trashTotalPages');
+
+// State
+let trashPage = 1;
+const trashPageSize = 50;
+let trashTotal = 0;
+let trashKeyword = '';
+const trashSelectedIds = new Set();
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+    initTrashEvents();
+});
+
+function currentTrashType() {
+    return trashTypeSelect ? trashTypeSelect.value : 'site';
+}
+
+function initTrashEvents() {
+    if (trashTypeSelect) {
+        trashTypeSelect.addEventListener('change', () => {
+            trashPage = 1;
+            window.fetchTrash();
+        });
+    }
+
+    if (trashSearch) {
+        let debounceTimer;
+        trashSearch.addEventListener('input', (e) => {
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(() => {
+                trashKeyword = e.target.value.trim();
+                trashPage = 1;
+                window.fetchTrash();
+            }, 300);
+        });
+    }
+
+    if (trashSelectAll) {
+        trashSelectAll.addEventListener('change', () => {
+            trashTableBody.querySelectorAll('.trash-select').forEach(checkbox => {
+                checkbox.checked = trashSelectAll.checked;
+                toggleTrashSelection(Number(checkbox.dataset.id), checkbox.checked);
+            });
+        });
+    }
+
+    if (trashRestoreBtn) {
+        trashRestoreBtn.addEventListener('click', () => restoreTrash([...trashSelectedIds]));
+    }
+
+    if (trashPurgeBtn) {
+        trashPurgeBtn.addEventListener('click', () => purgeTrash([...trashSelectedIds]));
+    }
+
+    if (trashEmptyBtn) {
+        trashEmptyBtn.addEventListener('click', () => {
+            const label = currentTrashType() === 'site' ? '书签' : '分类';
+            if (!confirm(`确定要彻底删除回收站中的所有${label}吗？此操作无法撤销。`)) return;
+            fetch(`/api/trash?type=${currentTrashType()}`, { method: 'DELETE' })
+                .then(res => res.json())
+                .then(data => {
+                    if (data.code === 200) {
+                        window.showMessage(data.message, 'info');
+                        trashPage = 1;
+                        window.fetchTrash();
+                    } else {
+                        window.showMessage(data.message || '清空失败', 'error');
+                    }
+                })
+                .catch(() => window.showMessage('网络错误', 'error'));
+        });
+    }
+
+    if (trashRetentionSaveBtn) {
+        trashRetentionSaveBtn.addEventListener('click', () => {
+            const days = parseInt(trashRetentionInput.value, 10);
+            if (!Number.isInteger(days) || days < 0 || days > 3650) {
+                window.showMessage('保留天数必须为 0 到 3650 之间的整数', 'error');
+                return;
+            }
+            fetch('/api/settings', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ trash_retention_days: days })
+            })
+                .then(res => res.json())
+                .then(data => {
+                    if (data.code === 200) {
+                        window.showMessage('保留天数已保存', 'info');
+                        renderTrashRetention(days);
+                    } else {
+                        window.showMessage(data.message || '保存失败', 'error');
+                    }
+                })
+                .catch(() => window.showMessage('网络错误', 'error'));
+        });
+    }
+
+    if (trashPrevPageBtn) {
+        trashPrevPageBtn.addEventListener('click', () => {
+            if (trashPage > 1) {
+                trashPage--;
+                window.fetchTrash();
+            }
+        });
+    }
+
+    if (trashNextPageBtn) {
+        trashNextPageBtn.addEventListener('click', () => {
+            if (trashPage < Math.ceil(trashTotal / trashPageSize)) {
+                trashPage++;
+                window.fetchTrash();
+            }
+        });
+    }
+}
+
+// Called by tab switching in admin.js
+window.fetchTrash = function() {
+    if (!trashTableBody) return;
+    const params = new URLSearchParams({ type: currentTrashType(), page: trashPage, pageSize: trashPageSize });
+    if (trashKeyword) params.set('keyword', trashKeyword);
+
+    fetch(`/api/trash?${params.toString()}`)
+        .then(res => res.json())
+        .then(data => {
+            if (data.code === 200) {
+                trashTotal = data.total;
+                renderTrashRetention(data.retention_days);
+                renderTrash(data.data || []);
+                updateTrashPagination();
+            } else {
+                window.showMessage(data.message || '加载回收站失败', 'error');
+            }
+        })
+        .catch(() => window.showMessage('网络错误', 'error'));
+};
+
+function renderTrashRetention(days) {
+    if (trashRetentionText) {
+        trashRetentionText.innerText = days > 0
+            ? `回收站中的数据将在 ${days} 天后自动彻底删除。`
+            : '回收站中的数据不会自动清理。';
+    }
+    if (trashRetentionInput && document.activeElement !== trashRetentionInput) {
+        trashRetentionInput.value = days;
+    }
+}
+
+function toggleTrashSelection(id, selected) {
+    if (selected) {
+        trashSelectedIds.add(id);
+    } else {
+        trashSelectedIds.delete(id);
+    }
+    const hasSelection = trashSelectedIds.size > 0;
+    if (trashRestoreBtn) trashRestoreBtn.disabled = !hasSelection;
+    if (trashPurgeBtn) trashPurgeBtn.disabled = !hasSelection;
+}
+
+function renderTrash(rows) {
+    trashSelectedIds.clear();
+    toggleTrashSelection(null, false);
+    if (trashSelectAll) trashSelectAll.checked = false;
+
+    trashTableBody.innerHTML = '';
+    if (rows.length === 0) {
+        trashTableBody.innerHTML = '<tr><td colspan="5" class="text-center py-10 text-gray-500">回收站是空的</td></tr>';
+        return;
+    }
+
+    const isSite = currentTrashType() === 'site';
+    rows.forEach(row => {
+        const tr = document.createElement('tr');
+        // D1 的 CURRENT_TIMESTAMP 为 UTC 时间
+        const deletedAt = row.deleted_at ? new Date(row.deleted_at.replace(' ', 'T') + 'Z').toLocaleString() : '-';
+        const detail = isSite
+            ? `<div class="text-sm text-gray-600 truncate max-w-[320px]">${window.escapeHTML(row.url)}</div><div class="text-xs text-gray-400">${window.escapeHTML(row.catelog_name || '')}</div>`
+            : `<span class="text-sm text-gray-500">${row.parent_id ? `上级分类 #${row.parent_id}` : '一级分类'}</span>`;
+
+        tr.innerHTML = `
+          <td class="p-3 border-b"><input type="checkbox" class="trash-select rounded" data-id="${row.id}"></td>
+          <td class="p-3 border-b">${window.escapeHTML(isSite ? row.name : row.catelog)}</td>
+          <td class="p-3 border-b">${detail}</td>
+          <td class="p-3 border-b text-sm whitespace-nowrap">${deletedAt}</td>
+          <td class="p-3 border-b whitespace-nowrap">
+            <button class="trash-restore-btn bg-green-100 text-green-600 hover:bg-green-200 px-2 py-1 rounded text-xs" data-id="${row.id}">恢复</button>
+            <button class="trash-purge-btn bg-red-100 text-red-600 hover:bg-red-200 px-2 py-1 rounded text-xs ml-1" data-id="${row.id}">彻底删除</button>
+          </td>
+        `;
+        trashTableBody.appendChild(tr);
+    });
+
+    trashTableBody.querySelectorAll('.trash-select').forEach(checkbox => {
+        checkbox.addEventListener('change', () => toggleTrashSelection(Number(checkbox.dataset.id), checkbox.checked));
+    });
+    trashTableBody.querySelectorAll('.trash-restore-btn').forEach(btn => {
+        btn.addEventListener('click', () => restoreTrash([Number(btn.dataset.id)]));
+    });
+    trashTableBody.querySelectorAll('.trash-purge-btn').forEach(btn => {
+        btn.addEventListener('click', () => purgeTrash([Number(btn.dataset.id)]));
+    });
+}
+
+function restoreTrash(ids) {
+    if (ids.length === 0) return;
+    fetch('/api/trash/restore', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ type: currentTrashType(), ids })
+    })
+        .then(res => res.json())
+        .then(data => {
+            if (data.code === 200) {
+                // 恢复后首页内容发生变化，使用 success 标记缓存过期
+                window.showMessage(data.message, 'success');
+                window.fetchTrash();
+            } else {
+                window.showMessage(data.message || '恢复失败', 'error');
+            }
+        })
+        .catch(() => window.showMessage('网络错误', 'error'));
+}
+
+function purgeTrash(ids) {
+    if (ids.length === 0) return;
+    const extra = currentTrashType() === 'category' ? '回收站中属于这些分类的书签与下级分类也会一并删除。' : '';
+    if (!confirm(`确定要彻底删除选中的 ${ids.length} 条记录吗？${extra}此操作无法撤销。`)) return;
+    fetch('/api/trash/purge', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ type: currentTrashType(), ids })
+    })
+        .then(res => res.json())
+        .then(data => {
+            if (data.code === 200) {
+                window.showMessage(data.message, 'info');
+                window.fetchTrash();
+            } else {
+                window.showMessage(data.message || '删除失败', 'error');
+            }
+        })
+        .catch(() => window.showMessage('网络错误', 'error'));
+}
+
+function updateTrashPagination() {
+    const totalPages = Math.max(1, Math.ceil(trashTotal / trashPageSize));
+    if (trashCurrentPageSpan) trashCurrentPageSpan.innerText = trashPage;
+    if (trashTotalPagesSpan) trashTotalPagesSpan.innerText = totalPages;
+    if (trashPrevPageBtn) trashPrevPageBtn.disabled = trashPage <= 1;
+    if (trashNextPageBtn) trashNextPageBtn.disabled = trashPage >= totalPages;
+}
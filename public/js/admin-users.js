@@ -0,0 +1,259 @@
+/**
+ * admin-users.js
+ * 账号管理：当前用户信息、按角色显示功能、账号增删改、重置密码
+ */
+
+// DOM Elements
+const usersTableBody = document.getElementById('usersTableBody');
+const currentUserInfo = document.getElementById('currentUserInfo');
+const addUserBtn = document.getElementById('addUserBtn');
+const addUserModal = document.getElementById('addUserModal');
+const addUserForm = document.getElementById('addUserForm');
+const changePasswordModal = document.getElementById('changePasswordModal');
+const changePasswordForm = document.getElementById('changePasswordForm');
+
+const ROLE_LABELS = {
+    owner: 'owner (所有者)',
+    editor: 'editor (编辑)',
+    reviewer: 'reviewer (审核)'
+};
+const ROLE_ORDER = ['reviewer', 'editor', 'owner'];
+
+// Global Data
+window.currentAdminUser = null;
+
+window.hasAdminRole = function(requiredRole) {
+    const user = window.currentAdminUser;
+    if (!user) return false;
+    return ROLE_ORDER.indexOf(user.role) >= ROLE_ORDER.indexOf(requiredRole);
+};
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+    initUserEvents();
+    loadCurrentUser();
+});
+
+function loadCurrentUser() {
+    fetch('/api/users/me')
+        .then(res => res.json())
+        .then(data => {
+            if (data.code !== 200 || !data.data) return;
+            window.currentAdminUser = data.data;
+            applyRoleVisibility();
+        })
+        .catch(err => console.error('Failed to load current user:', err));
+}
+
+// 根据角色隐藏无权限的按钮和标签页（后端仍会做权限校验）
+function applyRoleVisibility() {
+    const user = window.currentAdminUser;
+    if (!user) return;
+
+    document.body.dataset.role = user.role;
+
+    if (currentUserInfo) {
+        currentUserInfo.innerText = `${user.username} · ${ROLE_LABELS[user.role] || user.role}`;
+        currentUserInfo.style.display = '';
+    }
+    document.querySelectorAll('[data-min-role]').forEach(el => {
+        el.style.display = window.hasAdminRole(el.dataset.minRole) ? '' : 'none';
+    });
+}
+
+function closeUserModal(modal) {
+    if (!modal) return;
+    modal.style.display = 'none';
+    document.body.classList.remove('modal-open');
+}
+
+function openUserModal(modal) {
+    if (!modal) return;
+    modal.style.display = 'block';
+    document.body.classList.add('modal-open');
+}
+
+function initUserEvents() {
+    if (addUserBtn) {
+        addUserBtn.addEventListener('click', () => {
+            if (addUserForm) addUserForm.reset();
+            openUserModal(addUserModal);
+        });
+    }
+
+    ['closeAddUserModal', 'cancelAddUserBtn'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.addEventListener('click', () => closeUserModal(addUserModal));
+    });
+    ['closeChangePasswordModal', 'cancelChangePasswordBtn'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.addEventListener('click', () => closeUserModal(changePasswordModal));
+    });
+
+    if (addUserForm) {
+        addUserForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const payload = {
+                username: document.getElementById('newUserName').value.trim(),
+                password: document.getElementById('newUserPassword').value,
+                role: document.getElementById('newUserRole').value
+            };
+
+            fetch('/api/users', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            })
+                .then(res => res.json())
+                .then(data => {
+                    if (data.code === 201) {
+                        closeUserModal(addUserModal);
+                        window.showMessage('账号已创建', 'info');
+                        fetchUsers();
+                    } else {
+                        window.showModalMessage('addUserModal', data.message || '创建失败', 'error');
+                    }
+                })
+                .catch(() => window.showModalMessage('addUserModal', '网络错误', 'error'));
+        });
+    }
+
+    if (changePasswordForm) {
+        changePasswordForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const target = document.getElementById('changePasswordTarget').value;
+            fetch(`/api/users/${encodeURIComponent(target)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ password: document.getElementById('resetPassword').value })
+            })
+                .then(res => res.json())
+                .then(data => {
+                    if (data.code === 200) {
+                        closeUserModal(changePasswordModal);
+                        window.showMessage('密码已更新', 'info');
+                    } else {
+                        window.showModalMessage('changePasswordModal', data.message || '修改失败', 'error');
+                    }
+                })
+                .catch(() => window.showModalMessage('changePasswordModal', '网络错误', 'error'));
+        });
+    }
+}
+
+function openChangePassword(username) {
+    if (changePasswordForm) changePasswordForm.reset();
+    document.getElementById('changePasswordTarget').value = username;
+    document.getElementById('changePasswordTitle').innerText = `重置密码: ${username}`;
+    openUserModal(changePasswordModal);
+}
+
+// Called by tab switching in admin.js
+window.fetchUsers = function() {
+    if (!usersTableBody) return;
+    usersTableBody.innerHTML = '<tr><td colspan="4" class="text-center py-10">加载中...</td></tr>';
+
+    fetch('/api/users')
+        .then(res => res.json())
+        .then(data => {
+            if (data.code === 200) {
+                renderUsers(data.data || []);
+            } else {
+                usersTableBody.innerHTML = '';
+                window.showMessage(data.message || '加载账号失败', 'error');
+            }
+        })
+        .catch(() => window.showMessage('网络错误', 'error'));
+};
+
+function renderUsers(users) {
+    usersTableBody.innerHTML = '';
+    if (users.length === 0) {
+        usersTableBody.innerHTML = '<tr><td colspan="4" class="text-center py-10">暂无账号</td></tr>';
+        return;
+    }
+
+    const selfName = window.currentAdminUser ? window.currentAdminUser.username : '';
+
+    users.forEach(user => {
+        const tr = document.createElement('tr');
+        const safeName = window.escapeHTML(user.username);
+        const roleOptions = ROLE_ORDER.map(role =>
+            `<option value="${role}" ${role === user.role ? 'selected' : ''}>${ROLE_LABELS[role]}</option>`
+        ).join('');
+        const createdAt = user.created_at ? new Date(user.created_at).toLocaleString() : '-';
+
+        tr.innerHTML = `
+          <td class="p-3 border-b">${safeName}${user.username === selfName ? ' <span class="text-xs text-gray-400">(当前)</span>' : ''}</td>
+          <td class="p-3 border-b">
+            <select class="user-role-select border rounded p-1 text-sm" data-username="${safeName}">${roleOptions}</select>
+          </td>
+          <td class="p-3 border-b text-sm text-gray-500">${createdAt}</td>
+          <td class="p-3 border-b">
+            <div class="flex gap-2">
+              <button class="user-password-btn bg-blue-100 text-blue-600 hover:bg-blue-200 px-2 py-1 rounded text-xs" data-username="${safeName}">重置密码</button>
+              ${user.totp_enabled ? `<button class="user-totp-btn bg-amber-100 text-amber-700 hover:bg-amber-200 px-2 py-1 rounded text-xs" data-username="${safeName}" title="用于丢失身份验证器的账号">关闭两步验证</button>` : ''}
+              ${user.username === selfName ? '' : `<button class="user-delete-btn bg-red-100 text-red-600 hover:bg-red-200 px-2 py-1 rounded text-xs" data-username="${safeName}">删除</button>`}
+            </div>
+          </td>
+        `;
+        usersTableBody.appendChild(tr);
+    });
+
+    bindUserActionEvents();
+}
+
+function bindUserActionEvents() {
+    usersTableBody.querySelectorAll('.user-role-select').forEach(select => {
+        select.addEventListener('change', function() {
+            updateUser(this.dataset.username, { role: this.value });
+        });
+    });
+    usersTableBody.querySelectorAll('.user-password-btn').forEach(btn => {
+        btn.addEventListener('click', function() {
+            openChangePassword(this.dataset.username);
+        });
+    });
+    usersTableBody.querySelectorAll('.user-totp-btn').forEach(btn => {
+        btn.addEventListener('click', function() {
+            const username = this.dataset.username;
+            if (!confirm(`确定要关闭账号 ${username} 的两步验证吗？`)) return;
+            updateUser(username, { disable_totp: true });
+        });
+    });
+    usersTableBody.querySelectorAll('.user-delete-btn').forEach(btn => {
+        btn.addEventListener('click', function() {
+            const username = this.dataset.username;
+            if (!confirm(`确定要删除账号 ${username} 吗？`)) return;
+            fetch(`/api/users/${encodeURIComponent(username)}`, { method: 'DELETE' })
+                .then(res => res.json())
+                .then(data => {
+                    if (data.code === 200) {
+                        window.showMessage('账号已删除', 'info');
+                    } else {
+                        window.showMessage(data.message || '删除失败', 'error');
+                    }
+                    window.fetchUsers();
+                })
+                .catch(() => window.showMessage('网络错误', 'error'));
+        });
+    });
+}
+
+function updateUser(username, payload) {
+    fetch(`/api/users/${encodeURIComponent(username)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    })
+        .then(res => res.json())
+        .then(data => {
+            if (data.code === 200) {
+                window.showMessage('账号已更新', 'info');
+            } else {
+                window.showMessage(data.message || '更新失败', 'error');
+            }
+            window.fetchUsers();
+        })
+        .catch(() => window.showMessage('网络错误', 'error'));
+}
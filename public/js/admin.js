@@ -97,11 +97,11 @@ window.escapeHTML = function (value) {
     return '';
   }
   return String(value)
-    .replace(/&/g, '&')
-    .replace(/</g, '<')
-    .replace(/>/g, '>')
-    .replace(/"/g, '"')
-    .replace(/'/g, "'");
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
 };
 
 window.normalizeUrl = function (value) {
@@ -165,6 +165,46 @@ tabButtons.forEach(button => {
         }
     } else if (tab === 'pending') {
       fetchPendingConfigs();
+    } else if (tab === 'tags') {
+      // Defined in admin-tags.js
+      if (typeof window.fetchTags === 'function') {
+        window.fetchTags();
+      }
+    } else if (tab === 'trash') {
+      // Defined in admin-trash.js
+      if (typeof window.fetchTrash === 'function') {
+        window.fetchTrash();
+      }
+    } else if (tab === 'users') {
+      // Defined in admin-users.js
+      if (typeof window.fetchUsers === 'function') {
+        window.fetchUsers();
+      }
+    } else if (tab === 'security') {
+      // Defined in admin-security.js
+      if (typeof window.fetchTotpStatus === 'function') {
+        window.fetchTotpStatus();
+      }
+    } else if (tab === 'sessions') {
+      // Defined in admin-sessions.js
+      if (typeof window.fetchSessions === 'function') {
+        window.fetchSessions();
+      }
+    } else if (tab === 'api-tokens') {
+      // Defined in admin-tokens.js
+      if (typeof window.fetchApiTokens === 'function') {
+        window.fetchApiTokens();
+      }
+    } else if (tab === 'login-failures') {
+      // Defined in admin-login-failures.js
+      if (typeof window.fetchLoginFailures === 'function') {
+        window.fetchLoginFailures();
+      }
+    } else if (tab === 'audit') {
+      // Defined in admin-audit.js
+      if (typeof window.fetchAuditLog === 'function') {
+        window.fetchAuditLog();
+      }
     }
   });
 });
@@ -173,6 +213,7 @@ tabButtons.forEach(button => {
 const searchInput = document.getElementById('searchInput');
 const categoryFilter = document.getElementById('categoryFilter');
 const pageSizeSelect = document.getElementById('pageSizeSelect');
+const linkStatusFilter = document.getElementById('linkStatusFilter');
 
 let currentPage = 1;
 let pageSize = 50; // Default to 50
@@ -180,6 +221,7 @@ let totalItems = 0;
 let allConfigs = [];
 let currentSearchKeyword = '';
 let currentCategoryFilter = '';
+let currentLinkStatusFilter = '';
 
 if (searchInput) {
   let debounceTimer;
@@ -193,6 +235,14 @@ if (searchInput) {
   });
 }
 
+if (linkStatusFilter) {
+  linkStatusFilter.addEventListener('change', () => {
+    currentLinkStatusFilter = linkStatusFilter.value;
+    currentPage = 1;
+    fetchConfigs(currentPage, currentSearchKeyword, currentCategoryFilter);
+  });
+}
+
 if (pageSizeSelect) {
   pageSizeSelect.value = pageSize;
   pageSizeSelect.addEventListener('change', () => {
@@ -412,14 +462,22 @@ window.fetchConfigs = function(page = currentPage, keyword = currentSearchKeywor
   params.append('pageSize', pageSize);
 
   if (keyword) {
-    params.append('keyword', keyword);
+    params.append('q', keyword);
   }
 
   if (catalogId) {
     params.append('catalogId', catalogId);
   }
 
-  url = `/api/config?${params.toString()}`;
+  // 全文搜索接口不支持按链接状态筛选，此时改用列表接口（同样使用全文索引）
+  const useSearch = keyword && !currentLinkStatusFilter;
+  if (currentLinkStatusFilter) {
+    params.append('linkStatus', currentLinkStatusFilter);
+    if (keyword) params.append('keyword', keyword);
+  }
+
+  // 有关键词时使用全文搜索接口，结果按相关度排序
+  url = useSearch ? `/api/search?${params.toString()}` : `/api/config?${params.toString()}`;
 
   fetch(url)
     .then(res => res.json())
@@ -550,7 +608,7 @@ function bindPendingActionEvents() {
 }
 
 function handlePendingAction(id, action) {
-  const method = action === 'approve' ? 'POST' : 'DELETE';
+  const method = action === 'approve' ? 'PUT' : 'DELETE';
   const url = `/api/pending/${id}`;
   
   fetch(url, { method: method })
@@ -566,6 +624,16 @@ function handlePendingAction(id, action) {
     }).catch(() => window.showMessage('操作失败', 'error'));
 }
 
+// 最近 14 天点击趋势的迷你折线图
+function renderClickTrend(trend) {
+  const width = 56;
+  const height = 16;
+  const max = Math.max(...trend, 1);
+  const step = width / Math.max(trend.length - 1, 1);
+  const points = trend.map((count, i) => `${(i * step).toFixed(1)},${(height - 1 - count / max * (height - 2)).toFixed(1)}`).join(' ');
+  return `<svg class="text-primary-500 flex-shrink-0" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"><polyline points="${points}" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round" stroke-linecap="round" /></svg>`;
+}
+
 // Render Bookmarks List
 function renderConfig(configs) {
   if (!configGrid) return;
@@ -581,8 +649,31 @@ function renderConfig(configs) {
     const displayUrl = config.url ? window.escapeHTML(config.url) : '未提供';
     const normalizedLogo = window.normalizeUrl(config.logo);
     const descCell = config.desc ? window.escapeHTML(config.desc) : '暂无描述';
+    // 搜索结果带有服务端生成的高亮片段（已转义）
+    const titleHtml = config.highlight ? config.highlight.name : safeName;
+    const descHtml = config.highlight && config.highlight.desc ? config.highlight.desc : descCell;
     const safeCatalog = window.escapeHTML(config.catelog_name || '未分类');
     const cardInitial = (safeName.charAt(0) || '站').toUpperCase();
+    // 点击统计（见 functions/clicks.js）：最近 30 天点击数与 14 天趋势
+    const clickStatsHtml = Array.isArray(config.click_trend) ? `
+        <div class="mt-2 flex items-center gap-2 text-xs text-gray-400" title="最近 14 天点击趋势，累计 ${config.clicks_total || 0} 次">
+          ${renderClickTrend(config.click_trend)}
+          <span>30 天点击 ${config.clicks || 0} 次</span>
+        </div>` : '';
+    // 最近一次链接检查结果（见 functions/link-checker.js），只标出失效与重定向的书签
+    const linkCheck = config.link_check;
+    let linkCheckHtml = '';
+    if (linkCheck && linkCheck.status === 'dead') {
+      const reason = linkCheck.status_code ? `HTTP ${linkCheck.status_code}` : (linkCheck.error || '无法访问');
+      linkCheckHtml = `<span class="link-status-badge is-dead" title="${window.escapeHTML(`${reason}，检查于 ${linkCheck.checked_at}`)}">失效 ${linkCheck.status_code || ''}</span>`;
+    } else if (linkCheck && linkCheck.status === 'redirect') {
+      const safeTarget = window.escapeHTML(linkCheck.final_url || '');
+      linkCheckHtml = `<span class="link-status-badge is-redirect" title="重定向到 ${safeTarget}">重定向</span>`;
+      if (window.hasAdminRole('editor')) {
+        linkCheckHtml += `<button class="fix-redirect-btn" data-id="${config.id}" title="将地址更新为 ${safeTarget}">更新地址</button>`;
+      }
+    }
+    const tagsHtml = (config.tags || []).map(tag => `<span class="inline-flex items-center px-2 py-0.5 mt-1.5 rounded-md text-xs font-medium bg-blue-50 text-blue-600">#${window.escapeHTML(tag)}</span>`).join(' ');
     
     // Private Icon
     const privateIcon = config.is_private ? `<svg xmlns="http://www.w3.org/2000/svg" class="h-3.5 w-3.5 ml-1 text-amber-500 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor" title="私密书签"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" /></svg>` : '';
@@ -611,6 +702,11 @@ function renderConfig(configs) {
                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
              </svg>
          </button>
+         <button class="history-btn p-1.5 bg-gray-50 text-gray-600 rounded-full hover:bg-gray-100 transition-colors shadow-sm" title="历史版本" data-id="${config.id}">
+             <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+             </svg>
+         </button>
          <button class="del-btn p-1.5 bg-red-50 text-red-600 rounded-full hover:bg-red-100 transition-colors shadow-sm" title="删除" data-id="${config.id}">
              <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
@@ -626,15 +722,18 @@ function renderConfig(configs) {
                </div>
                <div class="flex-1 min-w-0">
                   <div class="flex items-center gap-1">
-                      <h3 class="site-title truncate" title="${safeName}">${safeName}</h3>
+                      <h3 class="site-title truncate" title="${safeName}">${titleHtml}</h3>
                       ${privateIcon}
                   </div>
+                  ${linkCheckHtml ? `<div class="flex items-center gap-1 mt-1">${linkCheckHtml}</div>` : ''}
                   <span class="inline-flex items-center px-2 py-0.5 mt-1.5 rounded-md text-xs font-medium bg-gray-100 text-gray-600">
                     ${safeCatalog}
                   </span>
+                  ${tagsHtml}
                </div>
             </div>
-            <p class="mt-3 text-sm text-gray-500 leading-relaxed line-clamp-2 h-10" title="${descCell}">${descCell}</p>
+            <p class="mt-3 text-sm text-gray-500 leading-relaxed line-clamp-2 h-10" title="${descCell}">${descHtml}</p>
+            ${clickStatsHtml}
         </div>
         
         <div class="mt-4 pt-3 border-t border-gray-100 flex items-center justify-between text-xs text-gray-400">
@@ -657,6 +756,22 @@ function bindActionEvents() {
     })
   });
 
+  document.querySelectorAll('.history-btn').forEach(btn => {
+    btn.addEventListener('click', function (e) {
+      e.stopPropagation();
+      const config = allConfigs.find(c => c.id == this.dataset.id);
+      window.openRevisionDrawer(this.dataset.id, config ? config.name : '');
+    })
+  });
+
+  document.querySelectorAll('.fix-redirect-btn').forEach(btn => {
+    btn.addEventListener('click', function (e) {
+      e.stopPropagation();
+      // Defined in admin-link-check.js
+      window.fixLinkRedirect(this.dataset.id);
+    })
+  });
+
   document.querySelectorAll('.del-btn').forEach(btn => {
     btn.addEventListener('click', function (e) {
       e.stopPropagation();
@@ -678,9 +793,13 @@ window.handleEdit = function(id) {
   document.getElementById('editBookmarkName').value = config.name;
   document.getElementById('editBookmarkUrl').value = config.url;
   document.getElementById('editBookmarkLogo').value = config.logo;
+  const editBookmarkLogoStatus = document.getElementById('editBookmarkLogoStatus');
+  if (editBookmarkLogoStatus) editBookmarkLogoStatus.innerText = '';
   document.getElementById('editBookmarkDesc').value = config.desc;
   document.getElementById('editBookmarkSortOrder').value = config.sort_order;
   document.getElementById('editBookmarkIsPrivate').checked = !!config.is_private;
+  document.getElementById('editBookmarkTags').value = (config.tags || []).join(', ');
+  if (typeof window.refreshTagOptions === 'function') window.refreshTagOptions();
   
   // Create dropdown using window.categoriesTree
   window.createCascadingDropdown('editBookmarkCatelogWrapper', 'editBookmarkCatelog', window.categoriesTree, config.catelog_id);
@@ -713,7 +832,7 @@ window.performDelete = function(id) {
   }).then(res => res.json())
     .then(data => {
       if (data.code === 200) {
-        window.showMessage('删除成功', 'success', data.cacheCleared);
+        window.showMessage('已移入回收站', 'success', data.cacheCleared);
         fetchConfigs();
       } else {
         window.showMessage(data.message || '删除失败', 'error');
@@ -0,0 +1,438 @@
+/**
+ * local-search.js
+ * 首页本地搜索：在预加载的书签中按名称、拼音（全拼与首字母）、标签、分类、URL 与描述模糊匹配，按匹配度排序并高亮命中字符（需在 main.js 之前加载）
+ */
+
+(function () {
+    // ========== 拼音 ==========
+    // 各拼音音节及其在 zh-CN 排序规则下的第一个汉字（取自 GB2312 一级字库），两个列表按顺序一一对应
+    // 借助浏览器的 Intl.Collator 二分查找汉字所在的音节，无需内置完整的拼音字库；多音字取排序规则采用的读音
+    const PINYIN_SYLLABLES = [
+        'a ai an ang ao',
+        'ba bai ban bang bao bei ben beng bi bian biao bie bin bing bo bu',
+        'ca cai can cang cao ce ceng cha chai chan chang chao che chen cheng chi chong chou chu chuai chuan chuang chui chun chuo ci cong cou cu cuan cui cun cuo',
+        'da dai dan dang dao de deng di dian diao die ding diu dong dou du duan dui dun duo',
+        'e en er',
+        'fa fan fang fei fen feng fou fu',
+        'ga gai gan gang gao ge gei gen geng gong gou gu gua guai guan guang gui gun guo',
+        'ha hai han hang hao he hei hen heng hong hou hu hua huai huan huang hui hun huo',
+        'ji jia jian jiang jiao jie jin jing jiong jiu ju juan jue jun',
+        'ka kai kan kang kao ke ken keng kong kou ku kua kuai kuan kuang kui kun kuo',
+        'la lai lan lang lao le lei leng li lia lian liang liao lie lin ling liu long lou lu lv luan lue lun luo',
+        'ma mai man mang mao me mei men meng mi mian miao mie min ming miu mo mou mu',
+        'na nai nan nang nao ne nei nen neng ni nian niang niao nie nin ning niu nong nu nv nuan nue nuo',
+        'o ou',
+        'pa pai pan pang pao pei pen peng pi pian piao pie pin ping po pou pu',
+        'qi qia qian qiang qiao qie qin qing qiong qiu qu quan que qun',
+        'ran rang rao re ren reng ri rong rou ru ruan rui run ruo',
+        'sa sai san sang sao se sen seng sha shai shan shang shao she shen sheng shi shou shu shua shuai shuan shuang shui shun shuo si song sou su suan sui sun suo',
+        'ta tai tan tang tao te teng ti tian tiao tie ting tong tou tu tuan tui tun tuo',
+        'wa wai wan wang wei wen weng wo wu',
+        'xi xia xian xiang xiao xie xin xing xiong xiu xu xuan xue xun',
+        'ya yan yang yao ye yi yin ying yo yong you yu yuan yue yun',
+        'za zai zan zang zao ze zei zen zeng zha zhai zhan zhang zhao zhe zhen zheng zhi zhong zhou zhu zhua zhuai zhuan zhuang zhui zhun zhuo zi zong zou zu zuan zui zun zuo'
+    ].join(' ').split(' ');
+    const PINYIN_BOUNDARIES = Array.from([
+        '阿哎安肮凹',
+        '八白扳邦包卑奔崩逼边标憋宾冰拨卜',
+        '擦猜参仓操册层叉拆掺昌抄车郴称吃充抽出揣川疮吹春戳疵匆凑粗蹿崔村搓',
+        '搭呆丹当刀得灯低掂刁爹丁丢东兜督端堆吨多',
+        '讹恩儿',
+        '发帆方飞分丰否夫',
+        '嘎该甘冈皋戈给根庚工勾估瓜乖关光归辊郭',
+        '哈孩酣夯毫呵黑痕亨轰侯乎花怀欢荒灰昏豁',
+        '讥加奸江交阶巾京炯纠居娟撅军',
+        '咖开刊康考苛肯吭空抠枯夸块宽匡亏坤扩',
+        '垃来兰郎捞乐雷棱哩俩连良撩列拎伶溜龙娄卢驴孪掠抡罗',
+        '妈埋蛮忙猫么没门萌眯眠苗灭民名谬摸牟母',
+        '拿乃男囊挠呢馁嫩能妮拈娘鸟捏您宁牛农奴女暖疟挪',
+        '哦欧',
+        '趴拍潘乓抛呸喷抨批偏飘撇拼乒坡剖仆',
+        '七掐千呛悄且亲青穷丘区圈炔裙',
+        '然瓤饶惹人扔日戎柔如阮蕊闰若',
+        '撒塞三桑搔色森僧杀筛山伤捎奢申升尸收书刷衰拴双水吮说丝松搜苏酸虽孙唆',
+        '他胎坍汤涛特疼剔天挑帖厅通偷凸湍推吞托',
+        '挖歪弯汪危温翁挝乌',
+        '夕虾仙乡宵些心星凶休戌轩靴勋',
+        '丫烟央妖掖一因应哟佣优迂冤曰晕',
+        '匝灾咱赃遭则贼怎增扎斋沾张招遮贞争之中州朱抓拽专妆追谆拙孜宗邹租钻嘴尊昨'
+    ].join(''));
+
+    const CJK_RE = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/;
+    // 拆分检索单元：单个汉字、英文单词（含驼峰）、数字、其他文字的连续片段
+    const UNIT_RE = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]|[A-Z]?[a-z]+|[A-Z]+(?![a-z])|\d+|(?:(?![\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff])[^\sA-Za-z0-9\p{P}\p{S}])+/gu;
+
+    let pinyinCollator = null;
+    const pinyinCache = new Map();
+
+    function getPinyinCollator() {
+        if (pinyinCollator === null) {
+            try {
+                const collator = new Intl.Collator('zh-Hans-CN');
+                // 浏览器不支持中文排序规则时会按码位比较，此时只能按原文匹配
+                pinyinCollator = collator.compare('阿', '八') < 0 ? collator : false;
+            } catch (e) {
+                pinyinCollator = false;
+            }
+        }
+        return pinyinCollator;
+    }
+
+    // 单个汉字的拼音（不带声调），无法推算时返回空字符串
+    function toPinyin(ch) {
+        if (pinyinCache.has(ch)) return pinyinCache.get(ch);
+        const collator = getPinyinCollator();
+        let syllable = '';
+        if (collator && CJK_RE.test(ch)) {
+            let lo = 0;
+            let hi = PINYIN_BOUNDARIES.length - 1;
+            while (lo <= hi) {
+                const mid = (lo + hi) >> 1;
+                if (collator.compare(ch, PINYIN_BOUNDARIES[mid]) >= 0) {
+                    syllable = PINYIN_SYLLABLES[mid];
+                    lo = mid + 1;
+                } else {
+                    hi = mid - 1;
+                }
+            }
+        }
+        pinyinCache.set(ch, syllable);
+        return syllable;
+    }
+
+    // ========== 索引 ==========
+    // 各字段的权重：同样的匹配方式，命中名称的书签排在命中描述的前面
+    const FIELD_WEIGHTS = { name: 1, tags: 0.8, url: 0.6, catalog: 0.5, desc: 0.4 };
+    // 支持拼音与容错匹配的字段；描述和 URL 较长，只做原文匹配以免误命中
+    const PINYIN_FIELDS = ['name', 'tags', 'catalog'];
+    const TYPO_FIELDS = ['name', 'tags'];
+    const SNIPPET_LENGTH = 80;
+
+    const indexCache = new WeakMap();
+
+    /**
+     * 为字段文本建立检索单元
+     * 每个单元记录在原文中的位置与用于匹配的读法：汉字为拼音，单词为小写原文
+     */
+    function buildField(text) {
+        const source = String(text || '');
+        let lower = source.toLowerCase();
+        // 个别字符转小写后长度会变化，此时放弃大小写无关匹配以保证高亮位置正确
+        if (lower.length !== source.length) lower = source;
+
+        const units = [];
+        for (const match of source.matchAll(UNIT_RE)) {
+            const part = match[0];
+            const isCJK = CJK_RE.test(part);
+            units.push({
+                start: match.index,
+                end: match.index + part.length,
+                char: isCJK ? part : '',
+                token: isCJK ? toPinyin(part) : part.toLowerCase()
+            });
+        }
+        return { source, lower, units: units.filter(unit => unit.token) };
+    }
+
+    function getSiteIndex(site) {
+        let index = indexCache.get(site);
+        if (!index) {
+            const url = String(site.url || '').replace(/^[a-z][a-z0-9+.-]*:\/\//i, '').replace(/^www\./i, '');
+            index = {
+                name: buildField(site.name),
+                tags: buildField((site.tags || []).join(' ')),
+                url: buildField(url),
+                catalog: buildField(site.catelog_name || site.catelog),
+                desc: buildField(site.desc)
+            };
+            indexCache.set(site, index);
+        }
+        return index;
+    }
+
+    // ========== 匹配 ==========
+    function isWordStart(field, pos) {
+        if (pos === 0) return true;
+        const prev = field.source[pos - 1];
+        const curr = field.source[pos];
+        return !/[a-z0-9]/i.test(prev) || CJK_RE.test(curr) || (/[a-z]/.test(prev) && /[A-Z]/.test(curr));
+    }
+
+    // 原文包含搜索词
+    function matchSubstring(field, term) {
+        const pos = field.lower.indexOf(term);
+        if (pos < 0) return null;
+        let score = 70;
+        if (field.lower.length === term.length) {
+            score = 100;
+        } else if (pos === 0) {
+            score = 90;
+        } else if (isWordStart(field, pos)) {
+            score = 80;
+        }
+        return { score, ranges: [[pos, pos + term.length]] };
+    }
+
+    /**
+     * 按检索单元匹配：从某个单元起，每个连续的单元消耗搜索词的一段前缀
+     * 汉字可用全拼、拼音首字母（含 zh/ch/sh）或汉字本身匹配，单词可用任意长度的前缀匹配
+     * 例如 "zhongguo"、"zg"、"zhg" 都能匹配“中国”，"gh" 能匹配 "GitHub"
+     */
+    function matchUnits(field, term) {
+        const { units } = field;
+        if (units.length === 0) return null;
+
+        const failed = new Set();
+        // 返回每个单元消耗的长度，匹配失败返回 null
+        function walk(u, p) {
+            if (p === term.length) return [];
+            if (u >= units.length || failed.has(u * 1000 + p)) return null;
+            const unit = units[u];
+            const rest = term.slice(p);
+
+            if (unit.char && rest.startsWith(unit.char)) {
+                const tail = walk(u + 1, p + unit.char.length);
+                if (tail) return [unit.token.length, ...tail];
+            }
+            // 优先尝试更长的前缀，使全拼匹配优先于首字母匹配
+            for (let len = Math.min(unit.token.length, rest.length); len > 0; len--) {
+                if (unit.token.slice(0, len) !== rest.slice(0, len)) continue;
+                const tail = walk(u + 1, p + len);
+                if (tail) return [len, ...tail];
+            }
+            failed.add(u * 1000 + p);
+            return null;
+        }
+
+        for (let start = 0; start < units.length; start++) {
+            const consumed = walk(start, 0);
+            if (!consumed) continue;
+
+            const matched = units.slice(start, start + consumed.length);
+            // 除最后一个单元外都完整匹配时视为全拼，否则为首字母缩写
+            const isFull = matched.every((unit, i) => i === matched.length - 1 || consumed[i] === unit.token.length);
+            const hasCJK = matched.some(unit => unit.char);
+            let score = isFull ? 75 : 65;
+            if (start === 0) score += 5;
+            // 纯英文单词的完整匹配已由原文匹配覆盖，这里只处理拼音和缩写
+            if (!hasCJK && isFull && matched.length === 1) continue;
+            return {
+                score,
+                ranges: matched.map((unit, i) => [unit.start, unit.char ? unit.end : unit.start + consumed[i]])
+            };
+        }
+        return null;
+    }
+
+    // 编辑距离（相邻字符交换计为一次）
+    function editDistance(a, b, limit) {
+        if (Math.abs(a.length - b.length) > limit) return limit + 1;
+        let prevPrev = null;
+        let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const curr = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+                if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, prevPrev[j - 2] + 1);
+                }
+                curr.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+            if (rowMin > limit) return limit + 1;
+            prevPrev = prev;
+            prev = curr;
+        }
+        return prev[b.length];
+    }
+
+    /**
+     * 容错匹配：把单元的读法（或首字母）拼接起来，允许与搜索词相差 1 个字符（较长的词允许 2 个）
+     * 例如 "githbu" 能匹配 "GitHub"，"bzl" 能匹配“哔哩哔哩”（首字母 blbl）
+     * 首字母必须一致，以减少误命中
+     */
+    function matchTypo(field, term) {
+        const { units } = field;
+        if (term.length < 3 || units.length === 0) return null;
+        const limit = term.length >= 8 ? 2 : 1;
+
+        let best = null;
+        const variants = [
+            { base: 40, read: unit => unit.token },
+            { base: 35, read: unit => unit.token[0] }
+        ];
+        variants.forEach(({ base, read }) => {
+            for (let start = 0; start < units.length; start++) {
+                if (read(units[start])[0] !== term[0]) continue;
+                // 拼接从 start 开始的读法，同时记录每个字符属于哪个单元
+                let text = '';
+                const owners = [];
+                for (let u = start; u < units.length && text.length < term.length + limit; u++) {
+                    const piece = read(units[u]);
+                    text += piece;
+                    for (let k = 0; k < piece.length; k++) owners.push(u);
+                }
+                for (let len = Math.max(1, term.length - limit); len <= Math.min(text.length, term.length + limit); len++) {
+                    const distance = editDistance(term, text.slice(0, len), limit);
+                    if (distance > limit) continue;
+                    const score = base - distance * 5 + (start === 0 ? 5 : 0);
+                    if (best && best.score >= score) continue;
+                    const matched = units.slice(start, owners[len - 1] + 1);
+                    best = { score, ranges: matched.map(unit => [unit.start, unit.end]) };
+                }
+            }
+        });
+        return best;
+    }
+
+    // 子序列匹配：搜索词的字符按顺序出现在原文中，且分布足够紧凑
+    function matchSubsequence(field, term) {
+        if (term.length < 3) return null;
+        const ranges = [];
+        let pos = field.lower.indexOf(term[0]);
+        if (pos < 0) return null;
+        const first = pos;
+        ranges.push([pos, pos + 1]);
+        for (let i = 1; i < term.length; i++) {
+            pos = field.lower.indexOf(term[i], pos + 1);
+            if (pos < 0) return null;
+            const last = ranges[ranges.length - 1];
+            if (last[1] === pos) {
+                last[1] = pos + 1;
+            } else {
+                ranges.push([pos, pos + 1]);
+            }
+        }
+        const span = pos - first + 1;
+        if (span > term.length * 3) return null;
+        return { score: 30 - Math.min(10, span - term.length) - ranges.length, ranges };
+    }
+
+    function matchField(fieldName, field, term) {
+        const candidates = [matchSubstring(field, term)];
+        if (PINYIN_FIELDS.includes(fieldName)) {
+            candidates.push(matchUnits(field, term));
+        }
+        if (TYPO_FIELDS.includes(fieldName) && !candidates.some(Boolean)) {
+            candidates.push(matchTypo(field, term));
+        }
+        if (fieldName === 'name' && !candidates.some(Boolean)) {
+            candidates.push(matchSubsequence(field, term));
+        }
+        return candidates.filter(Boolean).sort((a, b) => b.score - a.score)[0] || null;
+    }
+
+    function parseTerms(keyword) {
+        return String(keyword || '').toLowerCase().split(/\s+/).filter(Boolean);
+    }
+
+    /**
+     * 计算书签与搜索词的匹配结果，所有搜索词都命中时返回 { score, ranges }
+     * ranges 按字段记录命中的字符区间，用于高亮
+     */
+    function matchSite(site, terms) {
+        const index = getSiteIndex(site);
+        const ranges = {};
+        let total = 0;
+
+        for (const term of terms) {
+            let best = 0;
+            Object.keys(FIELD_WEIGHTS).forEach(fieldName => {
+                const result = matchField(fieldName, index[fieldName], term);
+                if (!result) return;
+                best = Math.max(best, result.score * FIELD_WEIGHTS[fieldName]);
+                ranges[fieldName] = (ranges[fieldName] || []).concat(result.ranges);
+            });
+            if (best === 0) return null;
+            total += best;
+        }
+        return { score: total, ranges };
+    }
+
+    // ========== 高亮 ==========
+    function escapeHTML(str) {
+        return String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * 生成高亮片段：转义 HTML 后用 <mark> 包裹命中的字符区间
+     * maxLength 大于 0 时截取第一个命中位置附近的内容
+     */
+    function highlight(text, ranges, maxLength = 0) {
+        const source = String(text || '');
+        if (!source) return '';
+
+        const merged = [];
+        (ranges || []).slice().sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1]) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                merged.push([start, end]);
+            }
+        });
+
+        let from = 0;
+        let to = source.length;
+        if (maxLength > 0 && source.length > maxLength) {
+            const first = merged.length > 0 ? merged[0][0] : 0;
+            from = Math.max(0, Math.min(first - Math.floor(maxLength / 4), source.length - maxLength));
+            to = from + maxLength;
+        }
+
+        let html = from > 0 ? '…' : '';
+        let cursor = from;
+        merged.forEach(([start, end]) => {
+            start = Math.max(start, cursor);
+            end = Math.min(end, to);
+            if (start >= end) return;
+            html += escapeHTML(source.slice(cursor, start)) + `<mark>${escapeHTML(source.slice(start, end))}</mark>`;
+            cursor = end;
+        });
+        html += escapeHTML(source.slice(cursor, to));
+        return to < source.length ? `${html}…` : html;
+    }
+
+    // ========== 对外接口 ==========
+    /**
+     * 搜索书签，返回按匹配度排序的新数组，匹配度相同时保持原有顺序
+     * 结果是原书签的浅拷贝，附带 highlight: { name, desc }（已转义的 HTML）
+     */
+    function search(sites, keyword) {
+        const terms = parseTerms(keyword);
+        if (terms.length === 0) return (sites || []).slice();
+
+        const matches = [];
+        (sites || []).forEach((site, order) => {
+            const result = matchSite(site, terms);
+            if (result) matches.push({ site, order, ...result });
+        });
+        matches.sort((a, b) => b.score - a.score || a.order - b.order);
+
+        return matches.map(({ site, ranges }) => ({
+            ...site,
+            highlight: {
+                name: highlight(site.name, ranges.name),
+                desc: highlight(site.desc, ranges.desc, SNIPPET_LENGTH)
+            }
+        }));
+    }
+
+    // 书签是否匹配搜索词（页面上只有卡片、没有预加载数据时使用）
+    function matches(site, keyword) {
+        const terms = parseTerms(keyword);
+        return terms.length === 0 || matchSite(site, terms) !== null;
+    }
+
+    window.IoriSearch = {
+        search,
+        matches
+    };
+})();
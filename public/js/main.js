@@ -141,6 +141,45 @@ document.addEventListener('DOMContentLoaded', function() {
     if (e.target === addSiteModal) closeModal();
   });
   
+  // ========== 根据网址自动填充 ==========
+  // 只填充仍为空的字段，不覆盖访客手动输入的内容
+  const addSiteUrlInput = document.getElementById('addSiteUrl');
+  const addSiteMetaStatus = document.getElementById('addSiteMetaStatus');
+  let lastSiteMetaUrl = '';
+
+  addSiteUrlInput?.addEventListener('change', () => {
+    const url = addSiteUrlInput.value.trim();
+    if (!url || url === lastSiteMetaUrl || !addSiteMetaStatus) return;
+    lastSiteMetaUrl = url;
+    addSiteMetaStatus.textContent = '正在获取网页信息...';
+
+    fetch(`/api/fetch-meta?url=${encodeURIComponent(url)}`)
+      .then(res => res.json())
+      .then(data => {
+        if (url !== addSiteUrlInput.value.trim()) return;
+        if (data.code !== 200 || !data.data) {
+          addSiteMetaStatus.textContent = '';
+          return;
+        }
+        const fill = (id, value) => {
+          const input = document.getElementById(id);
+          if (input && value && !input.value.trim()) input.value = value;
+        };
+        fill('addSiteName', data.data.name || data.data.site_name);
+        fill('addSiteDesc', data.data.desc);
+        fill('addSiteLogo', data.data.logo);
+        addSiteMetaStatus.textContent = '已根据网页信息填充，可继续修改';
+      })
+      .catch(() => {
+        addSiteMetaStatus.textContent = '';
+      });
+  });
+
+  addSiteForm?.addEventListener('reset', () => {
+    lastSiteMetaUrl = '';
+    if (addSiteMetaStatus) addSiteMetaStatus.textContent = '';
+  });
+
   // ========== 表单提交 ==========
   addSiteForm?.addEventListener('submit', function(e) {
     e.preventDefault();
@@ -192,11 +231,19 @@ document.addEventListener('DOMContentLoaded', function() {
   
   // Initialize Search Engine UI based on saved preference
   const engineOptions = document.querySelectorAll('.search-engine-option');
+  // 后台配置的站外搜索引擎 { id, name, icon, url, bang }，url 中的 %s 为搜索词占位符
+  const searchEngines = window.IORI_SEARCH_ENGINES || [];
+
+  function findSearchEngine(id) {
+      return searchEngines.find(engine => engine.id === id) || null;
+  }
   
   // 如果外部搜索被禁用（没有搜索引擎选项），强制使用本地搜索
   let currentSearchEngine = 'local';
   if (engineOptions.length > 0) {
-    currentSearchEngine = localStorage.getItem('search_engine') || 'local';
+    const savedEngine = localStorage.getItem('search_engine') || 'local';
+    // 保存的引擎已被后台删除时回到站内搜索
+    currentSearchEngine = findSearchEngine(savedEngine) ? savedEngine : 'local';
   } else {
     // 清除之前保存的外部搜索引擎选择
     localStorage.removeItem('search_engine');
@@ -213,12 +260,8 @@ document.addEventListener('DOMContentLoaded', function() {
       });
       
       // Update Placeholder
-      let placeholder = '搜索书签...';
-      switch (engine) {
-          case 'google': placeholder = 'Google 搜索...'; break;
-          case 'baidu': placeholder = '百度搜索...'; break;
-          case 'bing': placeholder = 'Bing 搜索...'; break;
-      }
+      const searchEngine = findSearchEngine(engine);
+      const placeholder = searchEngine ? `${searchEngine.name} 搜索...` : '搜索书签...';
       
       searchInputs.forEach(input => {
           input.placeholder = placeholder;
@@ -229,6 +272,30 @@ document.addEventListener('DOMContentLoaded', function() {
       });
   }
 
+  // 外部搜索引擎的搜索地址，未知引擎返回空字符串；没有搜索词时打开引擎首页
+  function buildSearchEngineUrl(engineId, query) {
+      const engine = findSearchEngine(engineId);
+      if (!engine) return '';
+      if (!query) {
+          try {
+              return new URL(engine.url.replace(/%s/g, '')).origin;
+          } catch (e) {
+              return '';
+          }
+      }
+      return engine.url.replace(/%s/g, encodeURIComponent(query));
+  }
+
+  // 解析 !bang 快捷前缀：“!gh 关键词”或“关键词 !gh”，返回 { engine, query }，不是 bang 时返回 null
+  function parseBang(value) {
+      const text = String(value || '').trim();
+      const match = text.match(/^!(\S+)(?:\s+(.*))?$/) || text.match(/^(.*?)\s+!(\S+)$/);
+      if (!match) return null;
+      const [bang, query] = text.startsWith('!') ? [match[1], match[2] || ''] : [match[2], match[1]];
+      const engine = searchEngines.find(item => item.bang && item.bang === bang.toLowerCase());
+      return engine ? { engine, query: query.trim() } : null;
+  }
+
   // Apply initial state
   if (engineOptions.length > 0) {
       updateSearchEngineUI(currentSearchEngine);
@@ -240,6 +307,7 @@ document.addEventListener('DOMContentLoaded', function() {
           currentSearchEngine = option.dataset.engine;
           localStorage.setItem('search_engine', currentSearchEngine); // Save to storage
           updateSearchEngineUI(currentSearchEngine);
+          hideSuggestions();
           
           // Focus input after switch
           searchInputs.forEach(input => input.focus());
@@ -251,9 +319,12 @@ document.addEventListener('DOMContentLoaded', function() {
     input.addEventListener('input', function() {
         // If external engine is selected, do not filter local sites (optional, but better UX)
         // But keeping it might be confusing. Let's filter only if local.
-        if (currentSearchEngine !== 'local') return;
+        if (currentSearchEngine !== 'local') {
+            updateSuggestions(this);
+            return;
+        }
 
-        const keyword = this.value.toLowerCase().trim();
+        const keyword = this.value.trim();
         // Sync other inputs
         searchInputs.forEach(otherInput => {
             if (otherInput !== this) {
@@ -261,42 +332,187 @@ document.addEventListener('DOMContentLoaded', function() {
             }
         });
 
-        const cards = sitesGrid?.querySelectorAll('.site-card');
-        
-        cards?.forEach(card => {
-        const name = (card.dataset.name || '').toLowerCase();
-        const url = (card.dataset.url || '').toLowerCase();
-        const catalog = (card.dataset.catalog || '').toLowerCase();
-        const desc = (card.dataset.desc || '').toLowerCase();
-        
-        if (name.includes(keyword) || url.includes(keyword) || catalog.includes(keyword) || desc.includes(keyword)) {
-            card.classList.remove('hidden');
-        } else {
-            card.classList.add('hidden');
+        // 输入的是 !bang 前缀时按 Enter 交给对应的搜索引擎，不在站内搜索
+        if (parseBang(this.value)) return;
+
+        clearTimeout(searchTimer);
+        if (!keyword) {
+            searchSeq++; // 丢弃尚未返回的搜索请求
+            if (showingSearchResults) {
+                const sites = currentCatalogSites();
+                renderSites(sites);
+                updateHeading('', undefined, sites.length);
+            } else {
+                filterCardsLocally('');
+            }
+            return;
         }
-        });
-        
-        updateHeading(keyword);
+
+        // 有预加载数据时在本地搜索全部分类，离线也可用
+        if (window.IORI_SITES && window.IoriSearch) {
+            searchSeq++;
+            runLocalSearch(keyword);
+            return;
+        }
+        // 没有预加载数据且处于离线状态时，直接过滤页面上已有的卡片
+        if (!navigator.onLine) {
+            filterCardsLocally(keyword);
+            return;
+        }
+        searchTimer = setTimeout(() => runServerSearch(keyword), 250);
     });
 
     // External Search Enter Handler
     input.addEventListener('keydown', function(e) {
+        if (e.isComposing) return;
+        if (handleSuggestionKeydown(this, e)) return;
+        if (e.key === 'Enter') {
+            hideSuggestions();
+            const bang = parseBang(this.value);
+            if (bang) {
+                e.preventDefault();
+                const url = buildSearchEngineUrl(bang.engine.id, bang.query);
+                if (url) window.open(url, '_blank');
+                return;
+            }
+        }
         if (e.key === 'Enter' && currentSearchEngine !== 'local') {
             e.preventDefault();
             const query = this.value.trim();
             if (query) {
-                let url = '';
-                switch (currentSearchEngine) {
-                    case 'google': url = `https://www.google.com/search?q=${encodeURIComponent(query)}`; break;
-                    case 'baidu': url = `https://www.baidu.com/s?wd=${encodeURIComponent(query)}`; break;
-                    case 'bing': url = `https://www.bing.com/search?q=${encodeURIComponent(query)}`; break;
-                }
+                const url = buildSearchEngineUrl(currentSearchEngine, query);
                 if (url) window.open(url, '_blank');
             }
         }
     });
   });
   
+  // ========== 标签筛选 ==========
+  const tagFilterBar = document.getElementById('tagFilterBar');
+  let activeTag = (new URLSearchParams(window.location.search).get('tag') || '').trim();
+  // 当前显示的分类 ID，空字符串表示全部
+  let currentCatalogId = tagFilterBar ? (tagFilterBar.dataset.catalogId || '') : '';
+
+  function hasActiveTag(tags) {
+      if (!activeTag) return true;
+      const key = activeTag.toLowerCase();
+      return tags.some(tag => tag.toLowerCase() === key);
+  }
+
+  function cardHasActiveTag(card) {
+      return hasActiveTag((card.dataset.tags || '').split(',').filter(Boolean));
+  }
+
+  function filterByTag(sites) {
+      return activeTag ? sites.filter(site => hasActiveTag(site.tags || [])) : sites;
+  }
+
+  // 当前分类与标签下的书签
+  function currentCatalogSites() {
+      const allSites = window.IORI_SITES || [];
+      const catalogSites = currentCatalogId
+          ? allSites.filter(site => String(site.catelog_id) === String(currentCatalogId))
+          : allSites;
+      return filterByTag(catalogSites);
+  }
+
+  if (tagFilterBar) {
+      tagFilterBar.addEventListener('click', (e) => {
+          const chip = e.target.closest('.tag-chip');
+          if (!chip || !window.IORI_SITES) return;
+          if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+          e.preventDefault();
+
+          activeTag = chip.dataset.tag || '';
+          tagFilterBar.querySelectorAll('.tag-chip').forEach(item => {
+              item.classList.toggle('active', item === chip);
+          });
+
+          // 同步地址栏，便于分享与刷新后保持筛选
+          const params = new URLSearchParams(window.location.search);
+          if (activeTag) {
+              params.set('tag', activeTag);
+          } else {
+              params.delete('tag');
+          }
+          const query = params.toString();
+          history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
+
+          const filteredSites = currentCatalogSites();
+          renderSites(filteredSites);
+          updateHeading(null, undefined, filteredSites.length);
+
+          // 搜索框有内容时在新的结果上重新过滤
+          const activeInput = Array.from(searchInputs).find(input => input.value.trim());
+          if (activeInput && currentSearchEngine === 'local') {
+              activeInput.dispatchEvent(new Event('input'));
+          }
+      });
+  }
+  
+  // ========== 全文搜索 ==========
+  let searchTimer = null;
+  let searchSeq = 0;
+  // 列表当前是否显示的是搜索结果（跨分类）
+  let showingSearchResults = false;
+
+  // 在全部分类的预加载书签中模糊搜索（见 local-search.js），按匹配度排序并高亮命中字符
+  function runLocalSearch(keyword) {
+      const results = window.IoriSearch.search(filterByTag(window.IORI_SITES), keyword);
+      renderSites(results, '没有找到匹配的书签');
+      showingSearchResults = true;
+      decorateSiteCards();
+      updateHeading(keyword, undefined, results.length);
+  }
+
+  function filterCardsLocally(keyword) {
+      if (showingSearchResults) {
+          renderSites(currentCatalogSites());
+      }
+      const cards = sitesGrid?.querySelectorAll('.site-card');
+      const lowerKeyword = keyword.toLowerCase();
+
+      cards?.forEach(card => {
+        const site = {
+            name: card.dataset.name || '',
+            url: card.dataset.url || '',
+            catelog_name: card.dataset.catalog || '',
+            desc: card.dataset.desc || '',
+            tags: (card.dataset.tags || '').split(',').filter(Boolean)
+        };
+        const matchesKeyword = window.IoriSearch
+            ? window.IoriSearch.matches(site, keyword)
+            : [site.name, site.url, site.catelog_name, site.desc, site.tags.join(',')].some(value => value.toLowerCase().includes(lowerKeyword));
+
+        if (matchesKeyword && cardHasActiveTag(card)) {
+            card.classList.remove('hidden');
+        } else {
+            card.classList.add('hidden');
+        }
+      });
+
+      updateHeading(keyword);
+  }
+
+  // 没有预加载数据时调用 /api/search 在全部书签中搜索（bm25 排序、前缀与拼音首字母匹配），失败时回退到本地过滤
+  function runServerSearch(keyword) {
+      const seq = ++searchSeq;
+      fetch(`/api/search?q=${encodeURIComponent(keyword)}&pageSize=100`)
+          .then(res => res.json())
+          .then(data => {
+              if (seq !== searchSeq) return;
+              if (data.code !== 200) throw new Error(data.message);
+              const results = filterByTag(data.data || []);
+              renderSites(results, '没有找到匹配的书签');
+              showingSearchResults = true;
+              decorateSiteCards();
+              updateHeading(keyword, undefined, results.length);
+          })
+          .catch(() => {
+              if (seq === searchSeq) filterCardsLocally(keyword);
+          });
+  }
+
   function updateHeading(keyword, activeCatalog, count) {
     const heading = document.querySelector('[data-role="list-heading"]');
     if (!heading) return;
@@ -333,6 +549,329 @@ document.addEventListener('DOMContentLoaded', function() {
   // 初次加载时根据屏幕宽度修正标题显示
   updateHeading();
   
+  // ========== 搜索联想 ==========
+  // 选择站外搜索引擎时，在搜索框下方列出匹配的书签和搜索引擎的联想词（/api/suggest）
+  const SUGGEST_SITE_LIMIT = 3;
+  let suggestTimer = null;
+  let suggestSeq = 0;
+  let suggestItems = [];
+  let suggestActiveIndex = -1;
+  let suggestBox = null;
+
+  function hideSuggestions() {
+      clearTimeout(suggestTimer);
+      suggestSeq++; // 丢弃尚未返回的联想请求
+      suggestItems = [];
+      suggestActiveIndex = -1;
+      if (suggestBox) suggestBox.classList.add('hidden');
+  }
+
+  function showSuggestions(input, items) {
+      suggestItems = items;
+      suggestActiveIndex = -1;
+      if (items.length === 0) {
+          if (suggestBox) suggestBox.classList.add('hidden');
+          return;
+      }
+      if (!suggestBox) {
+          suggestBox = document.createElement('ul');
+          suggestBox.className = 'search-suggest hidden';
+          suggestBox.setAttribute('role', 'listbox');
+          // 用 mousedown 并阻止默认行为，避免搜索框先失去焦点
+          suggestBox.addEventListener('mousedown', (e) => {
+              const el = e.target.closest('.search-suggest-item');
+              if (!el) return;
+              e.preventDefault();
+              const owner = suggestBox.parentElement.querySelector('.search-input-target');
+              runSuggestion(owner, suggestItems[Number(el.dataset.index)]);
+          });
+      }
+      // 两种页头布局各有一个搜索框，下拉框跟随当前输入的那个
+      if (suggestBox.parentElement !== input.parentElement) {
+          input.parentElement.appendChild(suggestBox);
+      }
+      suggestBox.innerHTML = items.map((item, index) => `
+        <li class="search-suggest-item" role="option" data-index="${index}">
+          ${item.type === 'site' ? '<span class="search-suggest-tag">书签</span>' : '<svg class="search-suggest-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"/></svg>'}
+          <span class="search-suggest-text">${item.html}</span>
+          ${item.meta ? `<span class="search-suggest-meta">${escapeHTML(item.meta)}</span>` : ''}
+        </li>`).join('');
+      suggestBox.classList.remove('hidden');
+  }
+
+  function updateSuggestActive() {
+      if (!suggestBox) return;
+      suggestBox.querySelectorAll('.search-suggest-item').forEach(el => {
+          const isActive = Number(el.dataset.index) === suggestActiveIndex;
+          el.classList.toggle('active', isActive);
+          el.setAttribute('aria-selected', isActive ? 'true' : 'false');
+          if (isActive) el.scrollIntoView({ block: 'nearest' });
+      });
+  }
+
+  // 本地匹配的书签立即显示在最上方，联想词防抖后从服务端获取再追加在下面
+  function updateSuggestions(input) {
+      const keyword = input.value.trim();
+      clearTimeout(suggestTimer);
+      if (!keyword || currentSearchEngine === 'local' || parseBang(keyword)) {
+          hideSuggestions();
+          return;
+      }
+
+      const siteItems = (window.IORI_SITES && window.IoriSearch)
+          ? window.IoriSearch.search(window.IORI_SITES, keyword).slice(0, SUGGEST_SITE_LIMIT).map(site => ({
+              type: 'site',
+              id: site.id,
+              html: site.highlight.name,
+              meta: site.catelog_name || '',
+              url: normalizeUrl(site.url)
+          }))
+          : [];
+      showSuggestions(input, siteItems);
+
+      const seq = ++suggestSeq;
+      const engine = currentSearchEngine;
+      suggestTimer = setTimeout(() => {
+          fetch(`/api/suggest?engine=${encodeURIComponent(engine)}&q=${encodeURIComponent(keyword)}`)
+              .then(res => res.json())
+              .then(data => {
+                  if (seq !== suggestSeq || data.code !== 200) return;
+                  const queryItems = (data.data || []).map(text => ({ type: 'query', html: escapeHTML(text), text }));
+                  showSuggestions(input, siteItems.concat(queryItems));
+              })
+              .catch(() => {}); // 联想词只是辅助，失败时保留已显示的书签
+      }, 200);
+  }
+
+  function runSuggestion(input, item) {
+      if (!item) return;
+      hideSuggestions();
+      if (item.type === 'site') {
+          trackClick(item.id);
+          window.open(item.url, '_blank', 'noopener');
+          return;
+      }
+      if (input) input.value = item.text;
+      const url = buildSearchEngineUrl(currentSearchEngine, item.text);
+      if (url) window.open(url, '_blank');
+  }
+
+  // 下拉框显示时处理方向键、Enter 和 Esc，返回 true 表示按键已处理
+  function handleSuggestionKeydown(input, e) {
+      if (!suggestBox || suggestBox.classList.contains('hidden') || suggestItems.length === 0) return false;
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+          e.preventDefault();
+          const step = e.key === 'ArrowDown' ? 1 : -1;
+          // 可以回到 -1，即不选中任何一项
+          suggestActiveIndex = (suggestActiveIndex + step + 1 + suggestItems.length + 1) % (suggestItems.length + 1) - 1;
+          updateSuggestActive();
+          return true;
+      }
+      if (e.key === 'Escape') {
+          e.preventDefault();
+          hideSuggestions();
+          return true;
+      }
+      if (e.key === 'Enter' && suggestActiveIndex >= 0) {
+          e.preventDefault();
+          runSuggestion(input, suggestItems[suggestActiveIndex]);
+          return true;
+      }
+      return false;
+  }
+
+  // 点击列表项时不会失去焦点（见上面的 mousedown），其余情况失去焦点即收起
+  searchInputs.forEach(input => {
+      input.addEventListener('blur', hideSuggestions);
+  });
+  
+  // ========== 点击统计 ==========
+  // 打开书签时上报一次点击（/api/click），用于后台统计、热度排序与常用书签；sendBeacon 不会阻塞页面跳转
+  // 同时记入本浏览器的最近访问
+  function trackClick(siteId) {
+      if (!siteId) return;
+      if (window.IoriPersonal) {
+          window.IoriPersonal.addRecent(siteId);
+          renderPersonalSites();
+      }
+      if (navigator.sendBeacon) {
+          navigator.sendBeacon(`/api/click?id=${encodeURIComponent(siteId)}`);
+      }
+  }
+
+  function handleSiteLinkClick(e) {
+      // auxclick 只统计中键（在新标签页打开）
+      if (e.type === 'auxclick' && e.button !== 1) return;
+      const link = e.target.closest('.site-card a[target="_blank"], .site-chip[target="_blank"]');
+      if (!link) return;
+      const owner = link.closest('[data-id]');
+      if (owner) trackClick(owner.dataset.id);
+  }
+  document.addEventListener('click', handleSiteLinkClick);
+  document.addEventListener('auxclick', handleSiteLinkClick);
+  
+  // ========== 个性化（置顶、最近访问与隐藏） ==========
+  // 数据只保存在当前浏览器（见 personal.js），书签信息取自预加载的 IORI_SITES，已删除或无权查看的书签会被跳过
+  const PERSONAL_RECENT_LIMIT = 8;
+  const personalSites = document.getElementById('personalSites');
+  const personalDialog = document.getElementById('personalDialog');
+  const personalHiddenList = document.getElementById('personalHiddenList');
+  const personalCodeInput = document.getElementById('personalCodeInput');
+  const personalSettingsBtn = document.getElementById('personalSettingsBtn');
+
+  function findSitesByIds(ids) {
+      const siteMap = new Map((window.IORI_SITES || []).map(site => [Number(site.id), site]));
+      return ids.map(id => siteMap.get(id)).filter(Boolean);
+  }
+
+  function renderSiteChip(site) {
+      const url = normalizeUrl(site.url);
+      const name = site.name || '未命名';
+      const icon = renderSiteLogo(site, 'site-chip-icon');
+      return `<a href="${escapeHTML(url || '#')}" ${url ? 'target="_blank" rel="noopener noreferrer"' : ''} class="site-chip" data-id="${site.id}" title="${escapeHTML(name)}">${icon}<span class="site-chip-name">${escapeHTML(name)}</span></a>`;
+  }
+
+  function renderPersonalSites() {
+      if (!personalSites || !window.IoriPersonal) return;
+      const state = window.IoriPersonal.getState();
+      const pinned = findSitesByIds(state.pinned);
+      const recent = findSitesByIds(state.recent).slice(0, PERSONAL_RECENT_LIMIT);
+
+      let html = '';
+      if (pinned.length > 0) {
+          html += `<div class="site-chip-row"><span class="site-chip-row-title">置顶</span>${pinned.map(renderSiteChip).join('')}</div>`;
+      }
+      if (recent.length > 0) {
+          html += `<div class="site-chip-row"><span class="site-chip-row-title">最近访问</span>${recent.map(renderSiteChip).join('')}<button type="button" class="site-chip-row-action" data-action="clear-recent">清除</button></div>`;
+      }
+      personalSites.innerHTML = html;
+      personalSites.classList.toggle('hidden', !html);
+  }
+
+  // 为书签卡片加上置顶 / 隐藏按钮，并按个性化设置隐藏卡片（搜索结果中仍然显示被隐藏的书签）
+  function decorateSiteCards() {
+      if (!sitesGrid || !window.IoriPersonal) return;
+      sitesGrid.querySelectorAll('.site-card[data-id]').forEach(card => {
+          const id = card.dataset.id;
+          let actions = card.querySelector('.personal-actions');
+          if (!actions) {
+              actions = document.createElement('div');
+              actions.className = 'personal-actions';
+              actions.innerHTML = `
+                <button type="button" class="personal-action" data-action="pin"></button>
+                <button type="button" class="personal-action" data-action="hide" title="隐藏此书签（仅当前浏览器）">⊘</button>`;
+              card.appendChild(actions);
+          }
+          const isPinned = window.IoriPersonal.isPinned(id);
+          const pinButton = actions.querySelector('[data-action="pin"]');
+          pinButton.textContent = isPinned ? '★' : '☆';
+          pinButton.title = isPinned ? '取消置顶' : '置顶';
+          pinButton.classList.toggle('active', isPinned);
+          card.classList.toggle('is-personal-hidden', !showingSearchResults && window.IoriPersonal.isHidden(id));
+      });
+  }
+
+  function renderPersonalDialog() {
+      if (!personalDialog || !window.IoriPersonal) return;
+      const hiddenSites = findSitesByIds(window.IoriPersonal.getState().hidden);
+      personalHiddenList.innerHTML = hiddenSites.length === 0
+          ? '<li class="personal-hidden-empty">没有隐藏的书签</li>'
+          : hiddenSites.map(site => `
+            <li>
+              <span class="site-chip-name">${escapeHTML(site.name || '未命名')}</span>
+              <button type="button" data-action="unhide" data-id="${site.id}">恢复</button>
+            </li>`).join('');
+      personalCodeInput.value = window.IoriPersonal.exportCode();
+  }
+
+  function openPersonalDialog() {
+      renderPersonalDialog();
+      personalDialog.classList.remove('hidden');
+  }
+
+  function closePersonalDialog() {
+      personalDialog.classList.add('hidden');
+  }
+
+  function refreshPersonalLayer() {
+      renderPersonalSites();
+      decorateSiteCards();
+      if (personalDialog && !personalDialog.classList.contains('hidden')) renderPersonalDialog();
+  }
+
+  if (window.IoriPersonal) {
+      if (sitesGrid) {
+          sitesGrid.addEventListener('click', (e) => {
+              const button = e.target.closest('.personal-action');
+              if (!button) return;
+              e.preventDefault();
+              e.stopPropagation();
+              const id = button.closest('.site-card').dataset.id;
+              if (button.dataset.action === 'pin') {
+                  window.IoriPersonal.togglePinned(id);
+              } else {
+                  window.IoriPersonal.toggleHidden(id);
+              }
+              refreshPersonalLayer();
+          });
+      }
+
+      if (personalSites) {
+          personalSites.addEventListener('click', (e) => {
+              if (!e.target.closest('[data-action="clear-recent"]')) return;
+              window.IoriPersonal.clearRecent();
+              renderPersonalSites();
+          });
+      }
+
+      if (personalSettingsBtn && personalDialog) {
+          personalSettingsBtn.addEventListener('click', openPersonalDialog);
+
+          personalDialog.addEventListener('click', (e) => {
+              if (e.target === personalDialog) {
+                  closePersonalDialog();
+                  return;
+              }
+              const button = e.target.closest('button[data-action]');
+              if (!button) return;
+              const action = button.dataset.action;
+              if (action === 'close') {
+                  closePersonalDialog();
+              } else if (action === 'unhide') {
+                  window.IoriPersonal.toggleHidden(button.dataset.id);
+                  refreshPersonalLayer();
+              } else if (action === 'copy') {
+                  personalCodeInput.select();
+                  const copied = navigator.clipboard
+                      ? navigator.clipboard.writeText(personalCodeInput.value)
+                      : Promise.resolve(document.execCommand('copy'));
+                  copied.then(() => { button.textContent = '已复制'; })
+                      .catch(() => { button.textContent = '请手动复制'; })
+                      .finally(() => setTimeout(() => { button.textContent = '复制代码'; }, 1500));
+              } else if (action === 'import') {
+                  try {
+                      window.IoriPersonal.importCode(personalCodeInput.value);
+                      refreshPersonalLayer();
+                      alert('导入成功');
+                  } catch (err) {
+                      alert(err.message);
+                  }
+              } else if (action === 'reset') {
+                  if (!confirm('确定清除当前浏览器中的置顶、隐藏与最近访问记录吗？')) return;
+                  window.IoriPersonal.reset();
+                  refreshPersonalLayer();
+              }
+          });
+
+          document.addEventListener('keydown', (e) => {
+              if (e.key === 'Escape' && !personalDialog.classList.contains('hidden')) closePersonalDialog();
+          });
+      }
+
+      renderPersonalSites();
+      decorateSiteCards();
+  }
+  
   // ========== 一言 API ==========
   const hitokotoContainer = document.querySelector('#hitokoto').parentElement;
   // 检查容器是否被隐藏，如果隐藏则不发起请求
@@ -493,7 +1032,7 @@ document.addEventListener('DOMContentLoaded', function() {
 
   // ========== AJAX Navigation ==========
   document.addEventListener('click', async (e) => {
-    const link = e.target.closest('a[href^="?catalog="]');
+    const link = e.target.closest('a[href^="?catalog="]:not(.tag-chip)');
     if (!link) return;
     
     // Allow new tab clicks
@@ -539,6 +1078,8 @@ document.addEventListener('DOMContentLoaded', function() {
             // catalogId 为空表示“全部”
             filteredSites = allSites;
         }
+        currentCatalogId = catalogId || '';
+        filteredSites = filterByTag(filteredSites);
 
         renderSites(filteredSites);
         updateHeading(null, catalogId ? catalogName : null, filteredSites.length);
@@ -571,9 +1112,10 @@ document.addEventListener('DOMContentLoaded', function() {
       document.cookie = name + "=" + (value || "")  + expires + "; path=/; SameSite=Lax";
   }
 
-  function renderSites(sites) {
+  function renderSites(sites, emptyText = '本分类下暂无书签') {
       const sitesGrid = document.getElementById('sitesGrid');
       if (!sitesGrid) return;
+      showingSearchResults = false;
       
       // 使用全局配置获取布局设置，避免依赖 DOM 推断
       const config = window.IORI_LAYOUT_CONFIG || {};
@@ -594,7 +1136,7 @@ document.addEventListener('DOMContentLoaded', function() {
       sitesGrid.innerHTML = '';
       
       if (sites.length === 0) {
-          sitesGrid.innerHTML = '<div class="col-span-full text-center text-gray-500 py-10">本分类下暂无书签</div>';
+          sitesGrid.innerHTML = `<div class="col-span-full text-center text-gray-500 py-10">${emptyText}</div>`;
           return;
       }
 
@@ -603,13 +1145,13 @@ document.addEventListener('DOMContentLoaded', function() {
         const safeUrl = normalizeUrl(site.url);
         const safeDesc = escapeHTML(site.desc || '暂无描述');
         const safeCatalog = escapeHTML(site.catelog_name || site.catelog || '未分类');
-        const cardInitial = (safeName.charAt(0) || '站').toUpperCase();
+        // 搜索结果带有服务端生成的高亮片段（已转义）
+        const titleHtml = site.highlight ? site.highlight.name : safeName;
+        const descText = site.highlight && site.highlight.desc ? site.highlight.desc : safeDesc;
         
-        const logoHtml = site.logo 
-             ? `<img src="${escapeHTML(site.logo)}" alt="${safeName}" class="w-10 h-10 rounded-lg object-cover bg-gray-100 dark:bg-gray-700" decoding="async" loading="lazy">`
-             : `<div class="w-10 h-10 rounded-lg bg-primary-600 flex items-center justify-center text-white font-semibold text-lg shadow-inner">${cardInitial}</div>`;
+        const logoHtml = renderSiteLogo(site, 'w-10 h-10 rounded-lg object-cover bg-gray-100 dark:bg-gray-700', site.name || '未命名');
         
-        const descHtml = hideDesc ? '' : `<p class="mt-2 text-sm text-gray-600 dark:text-gray-400 leading-relaxed line-clamp-2" title="${safeDesc}">${safeDesc}</p>`;
+        const descHtml = hideDesc ? '' : `<p class="mt-2 text-sm text-gray-600 dark:text-gray-400 leading-relaxed line-clamp-2" title="${safeDesc}">${descText}</p>`;
         
         const hasValidUrl = !!safeUrl;
         const linksHtml = hideLinks ? '' : `
@@ -649,10 +1191,12 @@ document.addEventListener('DOMContentLoaded', function() {
             if (delay > 0) card.style.removeProperty('animation-delay');
         }, { once: true });
         
+        card.setAttribute('data-id', site.id);
         card.setAttribute('data-name', safeName);
         card.setAttribute('data-url', safeUrl);
         card.setAttribute('data-catalog', safeCatalog);
         card.setAttribute('data-desc', safeDesc);
+        card.setAttribute('data-tags', (site.tags || []).join(','));
         
         card.innerHTML = `
         <div class="site-card-content">
@@ -662,7 +1206,7 @@ document.addEventListener('DOMContentLoaded', function() {
                 ${logoHtml}
               </div>
               <div class="flex-1 min-w-0">
-                <h3 class="site-title text-base font-medium text-gray-900 truncate transition-all duration-300 origin-left" title="${safeName}">${safeName}</h3>
+                <h3 class="site-title text-base font-medium text-gray-900 truncate transition-all duration-300 origin-left" title="${safeName}">${titleHtml}</h3>
                 ${categoryHtml}
               </div>
             </div>
@@ -696,6 +1240,7 @@ document.addEventListener('DOMContentLoaded', function() {
             });
         }
       });
+      decorateSiteCards();
   }
 
   function updateNavigationState(catalogId) {
@@ -782,6 +1327,226 @@ document.addEventListener('DOMContentLoaded', function() {
       }
   }
 
+  // ========== 命令面板与快捷键 ==========
+  // Ctrl/Cmd + K 打开命令面板；不在输入框中时按 / 聚焦搜索框，按 0-9 切换分类
+  const commandPalette = document.getElementById('commandPalette');
+  const commandPaletteInput = document.getElementById('commandPaletteInput');
+  const commandPaletteList = document.getElementById('commandPaletteList');
+  const PALETTE_SITE_LIMIT = 8;
+  let paletteItems = [];
+  let paletteActiveIndex = 0;
+  let paletteReturnFocus = null;
+
+  function isTypingTarget(el) {
+      return !!el && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName));
+  }
+
+  // 页面上的分类链接：侧边栏与横向菜单中同一分类会出现多次，按出现顺序去重，“全部”排在最前
+  // 数组下标即数字快捷键（0-9）
+  function getCategoryEntries() {
+      const entries = [];
+      const allLink = document.querySelector('a[href="?catalog=all"]');
+      if (allLink) {
+          entries.push({ name: allLink.textContent.trim() || '全部', link: allLink });
+      }
+      const seen = new Set();
+      document.querySelectorAll('a[href^="?catalog="][data-id]:not(.tag-chip)').forEach(link => {
+          if (seen.has(link.dataset.id)) return;
+          seen.add(link.dataset.id);
+          entries.push({ name: link.textContent.trim(), link });
+      });
+      return entries.map((entry, index) => ({ ...entry, hotkey: index <= 9 ? String(index) : '' }));
+  }
+
+  function buildPaletteItems(query) {
+      const keyword = query.trim();
+      const items = [];
+
+      // 输入 !bang 前缀时只显示对应的搜索引擎
+      const bang = parseBang(keyword);
+      if (bang) {
+          return [{
+              group: '搜索引擎',
+              titleHtml: bang.query
+                  ? `使用 ${escapeHTML(bang.engine.name)} 搜索“${escapeHTML(bang.query)}”`
+                  : `打开 ${escapeHTML(bang.engine.name)}`,
+              meta: `!${bang.engine.bang}`,
+              url: buildSearchEngineUrl(bang.engine.id, bang.query)
+          }];
+      }
+
+      if (keyword && window.IORI_SITES && window.IoriSearch) {
+          window.IoriSearch.search(window.IORI_SITES, keyword).slice(0, PALETTE_SITE_LIMIT).forEach(site => {
+              items.push({
+                  group: '书签',
+                  id: site.id,
+                  titleHtml: site.highlight.name,
+                  meta: site.catelog_name || '',
+                  url: normalizeUrl(site.url)
+              });
+          });
+      }
+
+      const categories = getCategoryEntries();
+      const matchedCategories = keyword && window.IoriSearch
+          ? window.IoriSearch.search(categories, keyword)
+          : categories.map(entry => ({ ...entry, highlight: { name: escapeHTML(entry.name) } }));
+      matchedCategories.forEach(entry => {
+          items.push({ group: '分类', titleHtml: entry.highlight.name, hotkey: entry.hotkey, link: entry.link });
+      });
+
+      if (keyword) {
+          searchEngines.forEach(engine => {
+              items.push({
+                  group: '搜索引擎',
+                  titleHtml: `使用 ${escapeHTML(engine.name)} 搜索“${escapeHTML(keyword)}”`,
+                  meta: engine.bang ? `!${engine.bang}` : '',
+                  url: buildSearchEngineUrl(engine.id, keyword)
+              });
+          });
+      }
+      return items;
+  }
+
+  function renderPalette() {
+      if (!commandPaletteList) return;
+      paletteItems = buildPaletteItems(commandPaletteInput.value);
+      paletteActiveIndex = 0;
+
+      if (paletteItems.length === 0) {
+          commandPaletteList.innerHTML = '<li class="command-palette-empty">没有找到匹配的结果</li>';
+          return;
+      }
+
+      let lastGroup = '';
+      commandPaletteList.innerHTML = paletteItems.map((item, index) => {
+          const groupHtml = item.group !== lastGroup ? `<li class="command-palette-group">${item.group}</li>` : '';
+          lastGroup = item.group;
+          return `${groupHtml}
+            <li class="command-palette-item" role="option" data-index="${index}">
+              <span class="command-palette-title">${item.titleHtml}</span>
+              ${item.meta ? `<span class="command-palette-meta">${escapeHTML(item.meta)}</span>` : ''}
+              ${item.hotkey ? `<kbd>${item.hotkey}</kbd>` : ''}
+            </li>`;
+      }).join('');
+      updatePaletteActive();
+  }
+
+  function updatePaletteActive() {
+      commandPaletteList.querySelectorAll('.command-palette-item').forEach(el => {
+          const isActive = Number(el.dataset.index) === paletteActiveIndex;
+          el.classList.toggle('active', isActive);
+          el.setAttribute('aria-selected', isActive ? 'true' : 'false');
+          if (isActive) el.scrollIntoView({ block: 'nearest' });
+      });
+  }
+
+  function isPaletteOpen() {
+      return !!commandPalette && !commandPalette.classList.contains('hidden');
+  }
+
+  function openPalette() {
+      if (!commandPalette || !commandPaletteInput) return;
+      paletteReturnFocus = document.activeElement;
+      commandPalette.classList.remove('hidden');
+      commandPaletteInput.value = '';
+      renderPalette();
+      commandPaletteInput.focus();
+  }
+
+  function closePalette() {
+      if (!isPaletteOpen()) return;
+      commandPalette.classList.add('hidden');
+      if (paletteReturnFocus && typeof paletteReturnFocus.focus === 'function') {
+          paletteReturnFocus.focus();
+      }
+      paletteReturnFocus = null;
+  }
+
+  // Shift+Enter 或按住修饰键点击时在新标签页打开
+  function runPaletteItem(item, newTab) {
+      if (!item) return;
+      closePalette();
+      trackClick(item.id);
+      if (item.link) {
+          // 触发分类链接的点击，复用上面的无刷新切换逻辑
+          item.link.click();
+      } else if (newTab) {
+          window.open(item.url, '_blank', 'noopener');
+      } else {
+          window.location.href = item.url;
+      }
+  }
+
+  if (commandPalette && commandPaletteInput && commandPaletteList) {
+      commandPaletteInput.addEventListener('input', renderPalette);
+
+      commandPaletteInput.addEventListener('keydown', (e) => {
+          // 输入法组字过程中的按键交给输入法处理
+          if (e.isComposing) return;
+          if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+              e.preventDefault();
+              if (paletteItems.length === 0) return;
+              const step = e.key === 'ArrowDown' ? 1 : -1;
+              paletteActiveIndex = (paletteActiveIndex + step + paletteItems.length) % paletteItems.length;
+              updatePaletteActive();
+          } else if (e.key === 'Enter') {
+              e.preventDefault();
+              runPaletteItem(paletteItems[paletteActiveIndex], e.shiftKey);
+          } else if (e.key === 'Escape') {
+              e.preventDefault();
+              closePalette();
+          }
+      });
+
+      commandPaletteList.addEventListener('mousemove', (e) => {
+          const el = e.target.closest('.command-palette-item');
+          if (!el || Number(el.dataset.index) === paletteActiveIndex) return;
+          paletteActiveIndex = Number(el.dataset.index);
+          updatePaletteActive();
+      });
+
+      commandPaletteList.addEventListener('click', (e) => {
+          const el = e.target.closest('.command-palette-item');
+          if (!el) return;
+          runPaletteItem(paletteItems[Number(el.dataset.index)], e.shiftKey || e.ctrlKey || e.metaKey);
+      });
+
+      commandPalette.addEventListener('click', (e) => {
+          if (e.target === commandPalette) closePalette();
+      });
+  }
+
+  document.addEventListener('keydown', (e) => {
+      if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && (e.key || '').toLowerCase() === 'k') {
+          if (!commandPalette) return;
+          e.preventDefault();
+          if (isPaletteOpen()) {
+              closePalette();
+          } else {
+              openPalette();
+          }
+          return;
+      }
+
+      if (isPaletteOpen() || e.ctrlKey || e.metaKey || e.altKey || e.isComposing || isTypingTarget(e.target)) return;
+      // 添加网站的对话框打开时不响应快捷键
+      if (addSiteModal && !addSiteModal.classList.contains('invisible')) return;
+
+      if (e.key === '/') {
+          const input = Array.from(searchInputs).find(el => el.offsetParent !== null);
+          if (!input) return;
+          e.preventDefault();
+          input.focus();
+          input.select();
+      } else if (/^[0-9]$/.test(e.key)) {
+          const entry = getCategoryEntries()[Number(e.key)];
+          if (!entry) return;
+          e.preventDefault();
+          entry.link.click();
+      }
+  });
+
   // 辅助函数
   function escapeHTML(str) {
     if (!str) return '';
@@ -794,6 +1559,40 @@ document.addEventListener('DOMContentLoaded', function() {
       return 'https://' + url;
   }
 
+  // 首字母头像地址，与服务端 functions/avatar.js 的 avatarUrl 保持一致，首页服务端渲染与前端渲染可共用缓存
+  function avatarUrl(site) {
+      const params = new URLSearchParams({ text: String(site.name || '').trim() });
+      try {
+          const domain = new URL(site.url).hostname.replace(/^www\./, '');
+          if (domain) params.set('domain', domain);
+      } catch (e) {
+          // 无效地址时只按名称生成颜色
+      }
+      return `/api/avatar?${params.toString()}`;
+  }
+
+  // 旧版本默认保存的第三方图标地址换成本站缓存的 /icons/<domain>（与 functions/icons.js 中的 displayLogoUrl 保持一致）
+  const LEGACY_ICON_API = 'https://faviconsnap.com/api/favicon?url=';
+
+  function displayLogoUrl(site) {
+      const logo = String(site.logo || '').trim();
+      if (!logo.startsWith(LEGACY_ICON_API)) return logo;
+      try {
+          const parsed = new URL(site.url);
+          return /^https?:$/.test(parsed.protocol) ? `/icons/${parsed.hostname.toLowerCase().replace(/\.$/, '')}` : '';
+      } catch (e) {
+          return '';
+      }
+  }
+
+  // 书签图标：没有图标时使用首字母头像，图标加载失败时也替换为头像
+  function renderSiteLogo(site, className, alt = '') {
+      const logo = displayLogoUrl(site);
+      const fallback = escapeHTML(avatarUrl(site));
+      const errorAttrs = logo ? ` data-fallback="${fallback}" onerror="this.onerror=null;this.src=this.dataset.fallback"` : '';
+      return `<img src="${logo ? escapeHTML(logo) : fallback}" alt="${escapeHTML(alt)}" class="${className}" decoding="async" loading="lazy"${errorAttrs}>`;
+  }
+
   // Auto-restore Last Category
   (function() {
       const config = window.IORI_LAYOUT_CONFIG || {};
@@ -815,7 +1614,8 @@ document.addEventListener('DOMContentLoaded', function() {
                   let catalogName = link.innerText.trim(); 
                   
                   const allSites = window.IORI_SITES || [];
-                  const filteredSites = allSites.filter(site => String(site.catelog_id) === String(lastId));
+                  currentCatalogId = lastId;
+                  const filteredSites = filterByTag(allSites.filter(site => String(site.catelog_id) === String(lastId)));
                   
                   renderSites(filteredSites);
                   updateHeading(null, catalogName, filteredSites.length);
@@ -0,0 +1,132 @@
+/**
+ * personal.js
+ * 首页个性化：最近访问、置顶与隐藏的书签，只保存在当前浏览器的 localStorage 中，可通过同步代码迁移到其他浏览器（需在 main.js 之前加载）
+ */
+
+(function () {
+    const STORAGE_KEY = 'iori_personal';
+    const CODE_PREFIX = 'IORI1-';
+    const MAX_RECENT = 12;
+    const MAX_PINNED = 50;
+    const MAX_HIDDEN = 500;
+
+    // ========== 存储 ==========
+    // 书签 ID 统一保存为数字；recent 按访问时间从新到旧排列
+    function emptyState() {
+        return { pinned: [], hidden: [], recent: [] };
+    }
+
+    function normalizeIds(list, limit) {
+        const ids = [];
+        (Array.isArray(list) ? list : []).forEach(value => {
+            const id = parseInt(value, 10);
+            if (id > 0 && !ids.includes(id) && ids.length < limit) ids.push(id);
+        });
+        return ids;
+    }
+
+    function normalizeState(data) {
+        const source = data && typeof data === 'object' ? data : {};
+        return {
+            pinned: normalizeIds(source.pinned, MAX_PINNED),
+            hidden: normalizeIds(source.hidden, MAX_HIDDEN),
+            recent: normalizeIds(source.recent, MAX_RECENT)
+        };
+    }
+
+    function load() {
+        try {
+            return normalizeState(JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null'));
+        } catch (e) {
+            return emptyState();
+        }
+    }
+
+    let state = load();
+
+    // 隐私模式等情况下 localStorage 不可写，只在当前页面内生效
+    function save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+        } catch (e) {
+            console.warn('Failed to save personal settings:', e);
+        }
+    }
+
+    function toggle(listName, id, limit) {
+        const siteId = parseInt(id, 10);
+        if (!(siteId > 0)) return false;
+        const list = state[listName];
+        const index = list.indexOf(siteId);
+        if (index >= 0) {
+            list.splice(index, 1);
+        } else {
+            if (list.length >= limit) list.pop();
+            list.unshift(siteId);
+        }
+        save();
+        return index < 0;
+    }
+
+    // ========== 同步代码 ==========
+    // 代码为带前缀的 base64 JSON，只包含书签 ID，同一站点的不同浏览器之间通用
+    function exportCode() {
+        return CODE_PREFIX + btoa(JSON.stringify({ p: state.pinned, h: state.hidden, r: state.recent }));
+    }
+
+    // 导入会覆盖当前浏览器的个性化设置，代码无效时抛出错误
+    function importCode(code) {
+        const text = String(code || '').trim();
+        if (!text.startsWith(CODE_PREFIX)) {
+            throw new Error('同步代码格式不正确');
+        }
+        let data;
+        try {
+            data = JSON.parse(atob(text.slice(CODE_PREFIX.length)));
+        } catch (e) {
+            throw new Error('同步代码已损坏，请重新复制');
+        }
+        state = normalizeState({ pinned: data.p, hidden: data.h, recent: data.r });
+        save();
+        return getState();
+    }
+
+    // ========== 对外接口 ==========
+    function getState() {
+        return {
+            pinned: state.pinned.slice(),
+            hidden: state.hidden.slice(),
+            recent: state.recent.slice()
+        };
+    }
+
+    function addRecent(id) {
+        const siteId = parseInt(id, 10);
+        if (!(siteId > 0)) return;
+        state.recent = [siteId, ...state.recent.filter(item => item !== siteId)].slice(0, MAX_RECENT);
+        save();
+    }
+
+    function clearRecent() {
+        state.recent = [];
+        save();
+    }
+
+    function reset() {
+        state = emptyState();
+        save();
+    }
+
+    window.IoriPersonal = {
+        getState,
+        isPinned: id => state.pinned.includes(parseInt(id, 10)),
+        isHidden: id => state.hidden.includes(parseInt(id, 10)),
+        togglePinned: id => toggle('pinned', id, MAX_PINNED),
+        toggleHidden: id => toggle('hidden', id, MAX_HIDDEN),
+        addRecent,
+        clearRecent,
+        reset,
+        exportCode,
+        importCode
+    };
+})();
@@ -10,11 +10,13 @@ CREATE TABLE IF NOT EXISTS sites (
   sort_order INTEGER NOT NULL DEFAULT 9999,
   is_private INTEGER DEFAULT 0,
   create_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  update_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  update_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  deleted_at TIMESTAMP -- 移入回收站的时间，NULL 表示未删除
 );
 
 CREATE INDEX IF NOT EXISTS idx_sites_catelog_id ON sites(catelog_id);
 CREATE INDEX IF NOT EXISTS idx_sites_sort_order ON sites(sort_order);
+CREATE INDEX IF NOT EXISTS idx_sites_deleted_at ON sites(deleted_at);
 
 -- 待审核网站表
 CREATE TABLE IF NOT EXISTS pending_sites (
@@ -36,11 +38,130 @@ CREATE TABLE IF NOT EXISTS category (
   parent_id INTEGER DEFAULT 0,
   is_private INTEGER DEFAULT 0,
   create_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  update_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  update_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  deleted_at TIMESTAMP -- 移入回收站的时间，NULL 表示未删除
 );
 
+CREATE INDEX IF NOT EXISTS idx_category_deleted_at ON category(deleted_at);
+
 -- 设置表
 CREATE TABLE IF NOT EXISTS settings (
   key TEXT PRIMARY KEY,
   value TEXT
-);
\ No newline at end of file
+);
+
+-- 登录失败日志表
+CREATE TABLE IF NOT EXISTS login_failures (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  ip TEXT,
+  username TEXT,
+  reason TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_failures_created_at ON login_failures(created_at);
+
+-- 后台操作审计日志表（before_json / after_json 为修改前后的数据快照）
+CREATE TABLE IF NOT EXISTS audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  actor TEXT NOT NULL,
+  actor_token TEXT,
+  action TEXT NOT NULL,
+  entity_type TEXT NOT NULL,
+  entity_id TEXT,
+  before_json TEXT,
+  after_json TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
+
+-- 书签历史版本表（保存每次修改前的数据，source 为 edit / ai / restore）
+CREATE TABLE IF NOT EXISTS site_revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  site_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  url TEXT NOT NULL,
+  logo TEXT,
+  desc TEXT,
+  catelog_id INTEGER NOT NULL,
+  catelog_name TEXT,
+  sort_order INTEGER NOT NULL DEFAULT 9999,
+  is_private INTEGER DEFAULT 0,
+  source TEXT NOT NULL,
+  actor TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_site_revisions_site_id ON site_revisions(site_id, id);
+
+-- 批量操作撤销快照表（snapshot_json 为操作前受影响书签的分类、隐私与删除状态，过期后自动清理）
+CREATE TABLE IF NOT EXISTS batch_operations (
+  id TEXT PRIMARY KEY,
+  actor TEXT NOT NULL,
+  action TEXT NOT NULL,
+  snapshot_json TEXT NOT NULL,
+  undone_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_batch_operations_created_at ON batch_operations(created_at);
+
+-- 标签表与书签-标签关联表（多对多，标签名不区分大小写）
+CREATE TABLE IF NOT EXISTS tags (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  create_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS site_tags (
+  site_id INTEGER NOT NULL,
+  tag_id INTEGER NOT NULL,
+  PRIMARY KEY (site_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_site_tags_tag_id ON site_tags(tag_id);
+
+-- 书签全文搜索索引（rowid 为书签 ID；汉字之间插入空格后写入，initials 为名称的拼音 / 单词首字母）
+CREATE VIRTUAL TABLE IF NOT EXISTS sites_fts USING fts5(
+  name, url, desc, catelog_name, tags, initials,
+  tokenize = 'unicode61 remove_diacritics 2'
+);
+
+-- 书签点击统计（按书签与日期聚合，day 为 UTC 日期 YYYY-MM-DD）
+CREATE TABLE IF NOT EXISTS site_clicks (
+  site_id INTEGER NOT NULL,
+  day TEXT NOT NULL,
+  count INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (site_id, day)
+);
+
+CREATE INDEX IF NOT EXISTS idx_site_clicks_day ON site_clicks(day);
+
+-- 失效链接检查结果（每个书签保留最近一次；status 为 ok / redirect / dead）
+CREATE TABLE IF NOT EXISTS site_link_checks (
+  site_id INTEGER PRIMARY KEY,
+  status TEXT NOT NULL,
+  status_code INTEGER,
+  final_url TEXT,
+  latency_ms INTEGER,
+  error TEXT,
+  checked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_site_link_checks_checked_at ON site_link_checks(checked_at);
+
+-- 网站图标缓存记录（按域名；图标内容保存在 R2 或 KV 中，status 为 ok / missing）
+CREATE TABLE IF NOT EXISTS site_icons (
+  domain TEXT PRIMARY KEY,
+  status TEXT NOT NULL,
+  content_type TEXT,
+  size INTEGER,
+  source TEXT,
+  etag TEXT,
+  fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_site_icons_fetched_at ON site_icons(fetched_at);
@@ -23,6 +23,8 @@ const HTML_FILES = {
   'public/index.html': [
     { file: 'public/css/style.css', pattern: /\/css\/style\.css\?v=[a-zA-Z0-9]+/ },
     { file: 'public/css/tailwind.min.css', pattern: /\/css\/tailwind\.min\.css\?v=[a-zA-Z0-9]+/ },
+    { file: 'public/js/local-search.js', pattern: /\/js\/local-search\.js\?v=[a-zA-Z0-9]+/ },
+    { file: 'public/js/personal.js', pattern: /\/js\/personal\.js\?v=[a-zA-Z0-9]+/ },
     { file: 'public/js/main.js', pattern: /\/js\/main\.js\?v=[a-zA-Z0-9]+/ },
     { file: 'public/favicon.svg', pattern: /\/favicon\.svg\?v=[a-zA-Z0-9]+/ },
   ],
@@ -30,6 +32,7 @@ const HTML_FILES = {
     { file: 'public/css/admin.css', pattern: /\/css\/admin\.css\?v=[a-zA-Z0-9]+/ },
     { file: 'public/css/admin-dropdown.css', pattern: /\/css\/admin-dropdown\.css\?v=[a-zA-Z0-9]+/ },
     { file: 'public/css/tailwind.min.css', pattern: /\/css\/tailwind\.min\.css\?v=[a-zA-Z0-9]+/ },
+    { file: 'public/js/admin-csrf.js', pattern: /\/js\/admin-csrf\.js\?v=[a-zA-Z0-9]+/ },
     { file: 'public/js/admin-cache.js', pattern: /\/js\/admin-cache\.js\?v=[a-zA-Z0-9]+/ },
     { file: 'public/js/admin.js', pattern: /\/js\/admin\.js\?v=[a-zA-Z0-9]+/ },
     { file: 'public/js/admin-categories.js', pattern: /\/js\/admin-categories\.js\?v=[a-zA-Z0-9]+/ },
@@ -37,6 +40,18 @@ const HTML_FILES = {
     { file: 'public/js/admin-batch.js', pattern: /\/js\/admin-batch\.js\?v=[a-zA-Z0-9]+/ },
     { file: 'public/js/admin-settings.js', pattern: /\/js\/admin-settings\.js\?v=[a-zA-Z0-9]+/ },
     { file: 'public/js/admin-import-export.js', pattern: /\/js\/admin-import-export\.js\?v=[a-zA-Z0-9]+/ },
+    { file: 'public/js/admin-trash.js', pattern: /\/js\/admin-trash\.js\?v=[a-zA-Z0-9]+/ },
+    { file: 'public/js/admin-users.js', pattern: /\/js\/admin-users\.js\?v=[a-zA-Z0-9]+/ },
+    { file: 'public/js/admin-security.js', pattern: /\/js\/admin-security\.js\?v=[a-zA-Z0-9]+/ },
+    { file: 'public/js/admin-sessions.js', pattern: /\/js\/admin-sessions\.js\?v=[a-zA-Z0-9]+/ },
+    { file: 'public/js/admin-tokens.js', pattern: /\/js\/admin-tokens\.js\?v=[a-zA-Z0-9]+/ },
+    { file: 'public/js/admin-login-failures.js', pattern: /\/js\/admin-login-failures\.js\?v=[a-zA-Z0-9]+/ },
+    { file: 'public/js/admin-audit.js', pattern: /\/js\/admin-audit\.js\?v=[a-zA-Z0-9]+/ },
+    { file: 'public/js/admin-revisions.js', pattern: /\/js\/admin-revisions\.js\?v=[a-zA-Z0-9]+/ },
+    { file: 'public/js/admin-tags.js', pattern: /\/js\/admin-tags\.js\?v=[a-zA-Z0-9]+/ },
+    { file: 'public/js/admin-duplicates.js', pattern: /\/js\/admin-duplicates\.js\?v=[a-zA-Z0-9]+/ },
+    { file: 'public/js/admin-link-check.js', pattern: /\/js\/admin-link-check\.js\?v=[a-zA-Z0-9]+/ },
+    { file: 'public/js/admin-logo-upload.js', pattern: /\/js\/admin-logo-upload\.js\?v=[a-zA-Z0-9]+/ },
     { file: 'public/favicon.svg', pattern: /\/favicon\.svg\?v=[a-zA-Z0-9]+/ },
   ]
 };